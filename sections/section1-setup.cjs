@@ -98,8 +98,11 @@ app.use(cors());
 app.use(express.json({ limit: '12mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-const progress = {};
-console.log('[SECTION1][INFO] Progress tracker initialized.');
+// Progress is backed by the persistent job store (Section 5I), so it survives restarts
+const jobStore = require('./section5i-job-store.cjs');
+const progress = jobStore.progress;
+jobStore.recoverInterruptedJobs();
+console.log('[SECTION1][INFO] Progress tracker initialized (persistent job store).');
 
 // ===================== UTILITY FUNCTIONS =====================
 
@@ -408,6 +411,7 @@ module.exports = {
   JOBS_DIR,
   app,
   progress,
+  jobStore,
   getAudioDuration,
   trimVideo,
   normalizeTo9x16Blurred,
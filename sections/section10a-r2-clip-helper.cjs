@@ -1,6 +1,11 @@
 // ===========================================================
 // SECTION 10A: R2 CLIP HELPER (Cloudflare R2)
 // Exports: findR2ClipForScene (used by 5D) + getAllFiles (for parallel dedupe/scan)
+//          getLibraryCatalog (indexed library, 10H — refreshed here, never listed per scene)
+// Scores on filename tokens plus sidecar tags (10I) when an archived clip has them,
+// blended with embedding similarity (10J) of each clip's catalog description
+//          searchR2Clips (scored candidates, no download — scene plans)
+//          downloadR2ClipByKey (one specific library key — user-pinned clips)
 // MAX LOGGING EVERY STEP, Modular System Compatible
 // Parallel safe: no temp file collisions, NO silent fails
 // 2024-08: Fuzzy/partial/strict scoring, normalized folders/files, pro matching
@@ -10,6 +15,9 @@ const { S3Client, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/c
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const catalog = require('./section10h-r2-library-catalog.cjs');
+const { EMBEDDINGS_ENABLED, getEmbeddingModelId, embedTexts, blendSemanticScores } = require('./section10j-text-embeddings.cjs');
+const { isAssetUsed, identifyCatalogEntry } = require('./section5t-asset-identity.cjs');
 
 console.log('[10A][INIT] R2 clip helper loaded.');
 
@@ -17,6 +25,12 @@ const R2_LIBRARY_BUCKET = process.env.R2_LIBRARY_BUCKET || 'socialstorm-library'
 const R2_ENDPOINT = process.env.R2_ENDPOINT;
 const R2_KEY = process.env.R2_KEY || process.env.R2_ACCESS_KEY_ID;
 const R2_SECRET = process.env.R2_SECRET || process.env.R2_SECRET_ACCESS_KEY;
+// Sidecars fetched per relist; the rest are picked up by the next relists
+const SIDECAR_LOADS_PER_REFRESH = parseInt(process.env.R2_SIDECAR_LOADS_PER_REFRESH, 10) || 200;
+// Catalog descriptions embedded per relist (same catch-up idea as sidecars)
+const EMBEDDINGS_PER_REFRESH = parseInt(process.env.R2_EMBEDDINGS_PER_REFRESH, 10) || 2000;
+// Max semantic bonus, on the same scale as scoreR2Match (strict match = 100)
+const SEMANTIC_SCALE = 60;
 
 if (!R2_LIBRARY_BUCKET || !R2_ENDPOINT || !R2_KEY || !R2_SECRET) {
   console.error('[10A][FATAL] Missing one or more R2 env variables!');
@@ -42,48 +56,90 @@ function cleanForFilename(str) {
     .slice(0, 80);
 }
 
-function normalizeForMatch(str) {
-  return (str || '')
-    .toLowerCase()
-    .replace(/[\s_\-\.]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+const { normalizeForMatch, stemFromKey } = catalog;
+
+// --- Main: List all objects in R2 (full key, size, ETag). Throws on list errors. ---
+async function listAllObjectsInR2(prefix = '', jobId = '') {
+  const objects = [];
+  let continuationToken;
+  let round = 0;
+  do {
+    round++;
+    console.log(`[10A][R2][${jobId}] Listing R2 files, round ${round}...`);
+    const cmd = new ListObjectsV2Command({
+      Bucket: R2_LIBRARY_BUCKET,
+      Prefix: prefix,
+      ContinuationToken: continuationToken,
+    });
+    const resp = await s3Client.send(cmd);
+    if (resp && resp.Contents) {
+      objects.push(...resp.Contents);
+    }
+    continuationToken = resp.NextContinuationToken;
+  } while (continuationToken);
+  console.log(`[10A][R2][${jobId}] Listed ${objects.length} files from R2.`);
+  return objects;
 }
 
-// NEW: normalized “stem” for dedupe (basename, no extension, separators→spaces)
-function stemFromKey(key) {
-  const base = (key || '').split('/').pop() || '';
-  const noExt = base.replace(/\.[a-z0-9]+$/i, '');
-  const stem = normalizeForMatch(noExt);
-  return stem;
+// --- Fetch new/changed sidecars (10I) and attach their tags to the catalog ---
+async function loadPendingSidecars(jobId = '') {
+  const pending = catalog.getPendingSidecars(SIDECAR_LOADS_PER_REFRESH);
+  if (!pending.length) return;
+  let loaded = 0;
+  for (const { key, sidecarKey, etag } of pending) {
+    try {
+      const resp = await s3Client.send(new GetObjectCommand({ Bucket: R2_LIBRARY_BUCKET, Key: sidecarKey }));
+      const doc = JSON.parse(await resp.Body.transformToString());
+      if (catalog.attachSidecar(key, doc, { etag, save: false, jobId })) loaded++;
+    } catch (err) {
+      console.error(`[10A][CATALOG][${jobId}][ERR] Sidecar ${sidecarKey} could not be loaded:`, err.message || err);
+    }
+  }
+  catalog.flushCatalog();
+  console.log(`[10A][CATALOG][${jobId}] Loaded ${loaded}/${pending.length} sidecars.`);
 }
 
-// --- Main: List all files in R2 (with full path relative to bucket root) ---
-async function listAllFilesInR2(prefix = '', jobId = '') {
-  let files = [];
-  let continuationToken;
-  let round = 0;
-  try {
-    do {
-      round++;
-      console.log(`[10A][R2][${jobId}] Listing R2 files, round ${round}...`);
-      const cmd = new ListObjectsV2Command({
-        Bucket: R2_LIBRARY_BUCKET,
-        Prefix: prefix,
-        ContinuationToken: continuationToken,
-      });
-      const resp = await s3Client.send(cmd);
-      if (resp && resp.Contents) {
-        files.push(...resp.Contents.map(obj => obj.Key));
-      }
-      continuationToken = resp.NextContinuationToken;
-    } while (continuationToken);
-    console.log(`[10A][R2][${jobId}] Listed ${files.length} files from R2.`);
-    return files;
-  } catch (err) {
-    console.error(`[10A][R2][${jobId}][ERR] List error:`, err);
-    return [];
+// --- Embed catalog descriptions that are new or changed (10J); no-op without a model ---
+async function embedPendingEntries(jobId = '') {
+  if (!EMBEDDINGS_ENABLED) return;
+  const modelId = getEmbeddingModelId();
+  const pending = catalog.getPendingEmbeddings(modelId, EMBEDDINGS_PER_REFRESH);
+  if (!pending.length) return;
+  const started = Date.now();
+  const vectors = await embedTexts(pending.map(p => p.text));
+  if (!vectors) {
+    console.warn(`[10A][CATALOG][${jobId}][WARN] Embeddings unavailable, ${pending.length} entries stay keyword-only.`);
+    return;
+  }
+  pending.forEach((p, i) => { if (vectors[i]) catalog.attachEmbedding(p.key, vectors[i], p.text, modelId); });
+  catalog.flushCatalog();
+  console.log(`[10A][CATALOG][${jobId}] Embedded ${pending.length} entries in ${Date.now() - started}ms.`);
+}
+
+// One relist at a time, however many scenes ask for the catalog at once
+let catalogRefresh = null;
+
+/**
+ * The library catalog (10H), relisted from R2 when older than its TTL.
+ * A failed relist keeps serving the last good catalog.
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]
+ * @param {boolean} [opts.forceRefresh]
+ * @returns {Promise<object[]>} Catalog entries ({ key, stem, tokens, duration, width, height, orientation, ... })
+ */
+async function getLibraryCatalog({ jobId = '', forceRefresh = false } = {}) {
+  if (forceRefresh || catalog.isCatalogStale()) {
+    if (!catalogRefresh) {
+      catalogRefresh = listAllObjectsInR2('', jobId)
+        .then(objects => catalog.applyListing(objects, jobId))
+        .then(() => loadPendingSidecars(jobId))
+        .then(() => embedPendingEntries(jobId))
+        .catch(err => console.error(`[10A][CATALOG][${jobId}][ERR] Relist failed, using last catalog:`, err))
+        .finally(() => { catalogRefresh = null; });
+    }
+    await catalogRefresh;
   }
+  return catalog.getCatalogEntries();
 }
 
 // --- Major words extraction ---
@@ -95,8 +151,8 @@ function majorWords(subject) {
     .filter(w => w.length > 2 && !['the','of','and','in','on','with','to','is','for','at','by','as','a','an'].includes(w));
 }
 
-// --- Scoring function for filename match ---
-function scoreR2Match(filename, subject) {
+// --- Scoring function for filename match (entry: catalog metadata, optional) ---
+function scoreR2Match(filename, subject, entry = null) {
   if (!filename || !subject) return -99999;
   let score = 0;
 
@@ -118,17 +174,35 @@ function scoreR2Match(filename, subject) {
   majorWords(subject).forEach(word => {
     if (fn.includes(word)) score += 5;
   });
-  // 6. Prefer portrait (ends in _portrait.mp4 or has 9_16, tiktok, shorts)
-  if (/_portrait\.mp4$/i.test(base) || fn.includes('9 16') || fn.includes('shorts') || fn.includes('tiktok')) score += 8;
+  // 6. Prefer portrait (probed resolution from the catalog, else _portrait.mp4 / 9_16 / tiktok / shorts)
+  const portrait = entry && entry.orientation
+    ? entry.orientation === 'portrait'
+    : /_portrait\.mp4$/i.test(base) || fn.includes('9 16') || fn.includes('shorts') || fn.includes('tiktok');
+  if (portrait) score += 8;
   // 7. Prefer recent (higher-numbered files)
   const nums = base.match(/\d+/g) || [];
   nums.forEach(n => { if (Number(n) > 2020) score += 2; });
   // 8. Prefer shorter filenames (tighter match)
   score -= fn.length;
+  // 9. Sidecar tags and original subject (archived clips, 10I)
+  if (entry && (entry.tags?.length || entry.meta?.subject)) score += scoreR2Tags(entry, subject);
 
   return score;
 }
 
+// --- Sidecar tags: same strict/fuzzy/partial ladder, on what the clip actually shows ---
+function scoreR2Tags(entry, subject) {
+  const tags = normalizeForMatch([...(entry.tags || []), entry.meta?.subject || ''].join(' | '));
+  const subj = normalizeForMatch(subject);
+  const words = majorWords(subject);
+  let score = 0;
+  if (subj.length > 2 && (entry.tags || []).some(t => normalizeForMatch(t) === subj)) score += 60;
+  else if (subj.length > 2 && tags.includes(subj)) score += 30;
+  if (words.length && words.every(w => tags.includes(w))) score += 20;
+  words.forEach(w => { if (tags.includes(w)) score += 4; });
+  return score;
+}
+
 // --- Fuzzy/partial/strict match helpers ---
 function fuzzyMatch(filename, subject) {
   if (!filename || !subject) return false;
@@ -207,6 +281,148 @@ function dedupeByStemPreferMp4(files, jobId = '') {
   return chosen;
 }
 
+// --- Catalog, dedupe, drop used, score (sorted high to low) ---
+async function scoreR2Candidates(subject, jobId = '', usedClips = []) {
+  const entries = await getLibraryCatalog({ jobId });
+  const entryByKey = new Map(entries.map(e => [e.key, e]));
+  const files = entries.map(e => e.key);
+  if (!files.length) {
+    console.warn(`[10A][R2][${jobId}][WARN] No files found in R2 bucket!`);
+    return [];
+  }
+
+  // NEW: Dedupe by stem (pref .mp4), then proceed
+  const deduped = dedupeByStemPreferMp4(files, jobId);
+
+  // Only .mp4s, and skip any used asset: key, stem or the clip it was archived from (5T)
+  let mp4Files = deduped.filter(f => f.toLowerCase().endsWith('.mp4'));
+  mp4Files = mp4Files.filter(f => {
+    if (isAssetUsed(usedClips, identifyCatalogEntry(entryByKey.get(f)))) {
+      console.log(`[10A][SKIP][USED] Asset already used { key: '${f}' }`);
+      return false;
+    }
+    return true;
+  });
+
+  if (!mp4Files.length) {
+    console.warn(`[10A][R2][${jobId}] No .mp4 files available after dedupe/used-filter!`);
+    return [];
+  }
+
+  // Score all files for this subject
+  const scored = mp4Files.map(f => ({
+    file: f,
+    entry: entryByKey.get(f),
+    score: scoreR2Match(f, subject, entryByKey.get(f)),
+    similarity: null
+  }));
+  await blendSemanticScores(subject, scored, {
+    scale: SEMANTIC_SCALE,
+    vectorOf: s => catalog.getEntryVector(s.entry),
+    tag: '10A',
+    jobId
+  });
+
+  // Log top candidates with normalized stems
+  scored
+    .sort((a, b) => b.score - a.score)
+    .slice(0, 10)
+    .forEach((s, i) => console.log(`[10A][R2][${jobId}][CANDIDATE][${i + 1}] ${s.file} | score=${s.score} | sim=${s.similarity ?? '-'} | stem="${stemFromKey(s.file)}"`));
+
+  return scored;
+}
+
+/**
+ * Scored R2 library candidates for a subject, best first. Nothing is downloaded.
+ * @param {string} subject
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]
+ * @param {string[]} [opts.usedClips]
+ * @param {number} [opts.limit=5]
+ * @returns {Promise<object[]>} [{ source: 'r2', key, id, score, ... }] (width/height/duration once the catalog has probed the clip)
+ */
+async function searchR2Clips(subject, { jobId = '', usedClips = [], limit = 5 } = {}) {
+  if (!subject || typeof subject !== 'string') return [];
+  try {
+    const scored = await scoreR2Candidates(subject, jobId, usedClips);
+    return scored.slice(0, limit).map(s => ({
+      source: 'r2',
+      key: s.file,
+      id: s.file,
+      url: null,
+      score: s.score,
+      similarity: s.similarity,
+      width: s.entry.width,
+      height: s.entry.height,
+      duration: s.entry.duration,
+      thumbnail: null,
+      pageUrl: null
+    }));
+  } catch (err) {
+    console.error(`[10A][R2][${jobId}][ERR] searchR2Clips failed:`, err);
+    return [];
+  }
+}
+
+// --- Download one library object to outPath (throws on R2 errors, null if the file is broken) ---
+async function downloadR2Object(key, outPath, jobId = '') {
+  console.log(`[10A][R2][${jobId}] Downloading R2 clip: ${key} -> ${outPath}`);
+
+  const getCmd = new GetObjectCommand({ Bucket: R2_LIBRARY_BUCKET, Key: key });
+  const resp = await s3Client.send(getCmd);
+
+  await new Promise((resolve, reject) => {
+    const stream = resp.Body;
+    const fileStream = fs.createWriteStream(outPath);
+    stream.pipe(fileStream);
+    // Resolve on 'finish' only: the read side can end before the file is flushed
+    stream.on('error', (err) => {
+      console.error(`[10A][R2][${jobId}][ERR] Stream error during download:`, err);
+      reject(err);
+    });
+    fileStream.on('finish', () => {
+      console.log(`[10A][R2][${jobId}] Clip downloaded to: ${outPath}`);
+      resolve();
+    });
+    fileStream.on('error', (err) => {
+      console.error(`[10A][R2][${jobId}][ERR] Write error during download:`, err);
+      reject(err);
+    });
+  });
+
+  if (!isValidClip(outPath, jobId)) {
+    console.warn(`[10A][R2][${jobId}] Downloaded file is invalid/broken: ${outPath}`);
+    return null;
+  }
+
+  // Fill in duration/resolution for the catalog (first download of each object only)
+  await catalog.recordProbedClip(key, outPath, { jobId });
+  return outPath;
+}
+
+/**
+ * Downloads one specific library clip (user-pinned), no scoring.
+ * @param {string} key - Object key in the library bucket
+ * @param {string} workDir
+ * @param {number} sceneIdx
+ * @param {string} jobId
+ * @returns {Promise<string|null>} Local video path (or null if missing/broken)
+ */
+async function downloadR2ClipByKey(key, workDir, sceneIdx = 0, jobId = '') {
+  console.log(`[10A][R2][${jobId}] downloadR2ClipByKey | key="${key}" | sceneIdx=${sceneIdx}`);
+  if (!key || typeof key !== 'string' || !key.toLowerCase().endsWith('.mp4')) {
+    console.error(`[10A][R2][${jobId}] Pinned key must be an .mp4 object key: ${key}`);
+    return null;
+  }
+  try {
+    const outPath = path.join(workDir, `scene${sceneIdx + 1}-r2-${uuidv4()}.mp4`);
+    return await downloadR2Object(key, outPath, jobId);
+  } catch (err) {
+    console.error(`[10A][R2][${jobId}][ERR] downloadR2ClipByKey failed:`, err);
+    return null;
+  }
+}
+
 /**
  * Finds the *best-scoring* video in R2 for the subject, using strict, fuzzy, or partial match (in that order).
  * ALWAYS returns the best available candidate (never null if any .mp4 exists).
@@ -226,49 +442,8 @@ async function findR2ClipForScene(subject, workDir, sceneIdx = 0, jobId = '', us
   }
 
   try {
-    const files = await listAllFilesInR2('', jobId);
-    if (!files.length) {
-      console.warn(`[10A][R2][${jobId}][WARN] No files found in R2 bucket!`);
-      return null;
-    }
-
-    // NEW: Dedupe by stem (pref .mp4), then proceed
-    const deduped = dedupeByStemPreferMp4(files, jobId);
-
-    // Only .mp4s, and skip any used clips (by key or by stem)
-    const usedStems = new Set((usedClips || []).map(stemFromKey));
-    let mp4Files = deduped.filter(f => f.toLowerCase().endsWith('.mp4'));
-
-    // Respect legacy usedClips matching + new stem-level skip
-    mp4Files = mp4Files.filter(f => {
-      if ((usedClips || []).some(u => f.endsWith(u) || f === u)) {
-        console.log(`[10A][SKIP][USED] Key already used this job { key: '${f}' }`);
-        return false;
-      }
-      const stem = stemFromKey(f);
-      if (usedStems.has(stem)) {
-        console.log(`[10A][SKIP][USED_STEM] Stem already used this job { stem: '${stem}', key: '${f}' }`);
-        return false;
-      }
-      return true;
-    });
-
-    if (!mp4Files.length) {
-      console.warn(`[10A][R2][${jobId}] No .mp4 files available after dedupe/used-filter!`);
-      return null;
-    }
-
-    // Score all files for this subject
-    const scored = mp4Files.map(f => ({
-      file: f,
-      score: scoreR2Match(f, subject)
-    }));
-
-    // Log top candidates with normalized stems
-    scored
-      .sort((a, b) => b.score - a.score)
-      .slice(0, 10)
-      .forEach((s, i) => console.log(`[10A][R2][${jobId}][CANDIDATE][${i + 1}] ${s.file} | score=${s.score} | stem="${stemFromKey(s.file)}"`));
+    const scored = await scoreR2Candidates(subject, jobId, usedClips);
+    if (!scored.length) return null;
 
     // Take the highest-scoring file ALWAYS, even if score is negative (as last resort)
     let best = scored[0];
@@ -297,36 +472,7 @@ async function findR2ClipForScene(subject, workDir, sceneIdx = 0, jobId = '', us
       console.log(`[10A][R2][${jobId}] File already downloaded: ${outPath}`);
       return outPath;
     }
-    console.log(`[10A][R2][${jobId}] Downloading R2 clip: ${bestFile} -> ${outPath}`);
-
-    const getCmd = new GetObjectCommand({ Bucket: R2_LIBRARY_BUCKET, Key: bestFile });
-    const resp = await s3Client.send(getCmd);
-
-    await new Promise((resolve, reject) => {
-      const stream = resp.Body;
-      const fileStream = fs.createWriteStream(outPath);
-      stream.pipe(fileStream);
-      stream.on('end', resolve);
-      stream.on('error', (err) => {
-        console.error(`[10A][R2][${jobId}][ERR] Stream error during download:`, err);
-        reject(err);
-      });
-      fileStream.on('finish', () => {
-        console.log(`[10A][R2][${jobId}] Clip downloaded to: ${outPath}`);
-        resolve();
-      });
-      fileStream.on('error', (err) => {
-        console.error(`[10A][R2][${jobId}][ERR] Write error during download:`, err);
-        reject(err);
-      });
-    });
-
-    if (!isValidClip(outPath, jobId)) {
-      console.warn(`[10A][R2][${jobId}] Downloaded file is invalid/broken: ${outPath}`);
-      return null;
-    }
-
-    return outPath;
+    return await downloadR2Object(bestFile, outPath, jobId);
 
   } catch (err) {
     console.error(`[10A][R2][${jobId}][ERR] findR2ClipForScene failed:`, err);
@@ -337,9 +483,9 @@ async function findR2ClipForScene(subject, workDir, sceneIdx = 0, jobId = '', us
 // === Static export for advanced dedupe (used by 5D) ===
 findR2ClipForScene.getAllFiles = async function() {
   try {
-    const files = await listAllFilesInR2('', 'STATIC');
-    const mp4s = files.filter(f => f.endsWith('.mp4'));
-    console.log(`[10A][STATIC] getAllFiles: Found ${mp4s.length} mp4s in R2.`);
+    const entries = await getLibraryCatalog({ jobId: 'STATIC' });
+    const mp4s = entries.map(e => e.key).filter(f => f.endsWith('.mp4'));
+    console.log(`[10A][STATIC] getAllFiles: Found ${mp4s.length} mp4s in the catalog.`);
     return mp4s;
   } catch (err) {
     console.error('[10A][STATIC][ERR] getAllFiles failed:', err);
@@ -347,4 +493,4 @@ findR2ClipForScene.getAllFiles = async function() {
   }
 };
 
-module.exports = { findR2ClipForScene };
+module.exports = { findR2ClipForScene, searchR2Clips, downloadR2ClipByKey, getLibraryCatalog };
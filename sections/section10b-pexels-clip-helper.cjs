@@ -1,7 +1,11 @@
 // ===========================================================
 // SECTION 10B: PEXELS CLIP HELPER (Video Search & Download)
 // Exports: findPexelsClipForScene(subject, workDir, sceneIdx, jobId, usedClips)
+//          searchPexelsClips(subject, { jobId, usedClips, limit }) → scored candidates, no download
+//          downloadPexelsClipById(id, workDir, sceneIdx, jobId) → pinned clip (user override)
 // Bulletproof: always tries all options, never blocks on strict match
+// Every download gets a clip info file (10I): id, tags, photographer, license
+// Keyword scores are blended with embedding similarity (10J) of each video's description
 // Max logs at every step, accepts best available, NO silent fails
 // ===========================================================
 
@@ -9,9 +13,16 @@ const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getJobSignal } = require('./section5k-job-cancellation.cjs');
+const { writeClipInfo } = require('./section10i-clip-metadata.cjs');
+const { isAssetUsed } = require('./section5t-asset-identity.cjs');
+const { blendSemanticScores } = require('./section10j-text-embeddings.cjs');
 
 console.log('[10B][INIT] Pexels clip helper loaded.');
 
+// Max semantic bonus, on the scorePexelsMatch scale (all words present = 40)
+const SEMANTIC_SCALE = 30;
+
 const PEXELS_API_KEY = process.env.PEXELS_API_KEY;
 if (!PEXELS_API_KEY) {
   console.error('[10B][FATAL] Missing PEXELS_API_KEY in environment!');
@@ -82,8 +93,10 @@ function isValidClip(filePath, jobId) {
 async function downloadPexelsVideoToLocal(url, outPath, jobId) {
   try {
     console.log(`[10B][DL][${jobId}] Downloading Pexels video: ${url} -> ${outPath}`);
-    const response = await axios.get(url, { responseType: 'stream' });
+    const response = await axios.get(url, { responseType: 'stream', signal: getJobSignal(jobId) });
     await new Promise((resolve, reject) => {
+      // Cancellation destroys the response stream; fail instead of waiting on the file forever
+      response.data.on('error', reject);
       const stream = response.data.pipe(fs.createWriteStream(outPath));
       stream.on('finish', () => {
         console.log(`[10B][DL][${jobId}] Video saved to: ${outPath}`);
@@ -147,7 +160,7 @@ function scorePexelsMatch(video, file, subject, usedClips = []) {
   score += Math.floor(file.width / 120);
 
   // Penalize used/duplicate clips
-  if (usedClips && usedClips.some(u => file.link && (u.includes(file.link) || file.link.includes(u)))) {
+  if (isAssetUsed(usedClips, { provider: 'pexels', providerId: video.id, url: file.link })) {
     score -= 100;
   }
 
@@ -160,6 +173,103 @@ function scorePexelsMatch(video, file, subject, usedClips = []) {
   return score;
 }
 
+// --- What a Pexels video shows: tags, title/description, and the words in its page slug ---
+function describePexelsVideo(video) {
+  const slug = ((video.url || '').match(/\/video\/([^/]+?)(?:-\d+)?\/?$/) || [])[1] || '';
+  return [
+    ...(video.tags ? video.tags.map(t => t.title || t) : []),
+    video.title || '',
+    video.description || '',
+    slug.replace(/-/g, ' ')
+  ].filter(Boolean).join(' | ');
+}
+
+// --- Search + score every mp4 rendition (sorted high to low). Throws on API errors. ---
+async function searchAndScorePexels(subject, jobId, usedClips = []) {
+  const query = encodeURIComponent(cleanQuery(subject));
+  const url = `https://api.pexels.com/videos/search?query=${query}&per_page=10`;
+  console.log(`[10B][PEXELS][${jobId}] Searching: ${url}`);
+  const resp = await axios.get(url, { headers: { Authorization: PEXELS_API_KEY }, signal: getJobSignal(jobId) });
+
+  const scored = [];
+  for (const video of (resp.data && resp.data.videos) || []) {
+    const files = (video.video_files || []).filter(f => f.file_type === 'video/mp4');
+    for (const file of files) {
+      const score = scorePexelsMatch(video, file, subject, usedClips);
+      scored.push({ video, file, score, similarity: null });
+    }
+  }
+  await blendSemanticScores(subject, scored, { scale: SEMANTIC_SCALE, textOf: s => describePexelsVideo(s.video), tag: '10B', jobId });
+  // Sort high to low, log all
+  scored.sort((a, b) => b.score - a.score);
+  scored.slice(0, 7).forEach((s, i) =>
+    console.log(`[10B][PEXELS][${jobId}][CANDIDATE][${i + 1}] ${s.file.link} | score=${s.score} | sim=${s.similarity ?? '-'} | duration=${s.video.duration}s | size=${s.file.width}x${s.file.height}`)
+  );
+  return scored;
+}
+
+// --- Provenance for the library sidecar (10I) ---
+function recordPexelsInfo(localPath, video, file) {
+  writeClipInfo(localPath, {
+    source: 'pexels',
+    providerId: video.id,
+    tags: video.tags || [],
+    photographer: video.user?.name,
+    photographerUrl: video.user?.url,
+    pageUrl: video.url,
+    width: file.width,
+    height: file.height,
+    duration: video.duration
+  });
+}
+
+function logPexelsError(err) {
+  if (err.response?.data) {
+    console.error('[10B][PEXELS][ERR]', JSON.stringify(err.response.data));
+  } else {
+    console.error('[10B][PEXELS][ERR]', err);
+  }
+}
+
+/**
+ * Scored Pexels candidates for a subject, best first (one per video). Nothing is downloaded.
+ * @param {string} subject
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]
+ * @param {Array<string>} [opts.usedClips]
+ * @param {number} [opts.limit=5]
+ * @returns {Promise<object[]>} [{ source, id, url, score, similarity, width, height, duration, thumbnail, pageUrl }]
+ */
+async function searchPexelsClips(subject, { jobId = '', usedClips = [], limit = 5 } = {}) {
+  if (!PEXELS_API_KEY || !subject) return [];
+  try {
+    const scored = await searchAndScorePexels(subject, jobId, usedClips);
+    const seen = new Set();
+    const out = [];
+    for (const { video, file, score, similarity } of scored) {
+      if (seen.has(video.id)) continue;
+      seen.add(video.id);
+      out.push({
+        source: 'pexels',
+        id: String(video.id),
+        url: file.link,
+        score,
+        similarity,
+        width: file.width,
+        height: file.height,
+        duration: video.duration,
+        thumbnail: video.image || null,
+        pageUrl: video.url || null
+      });
+      if (out.length >= limit) break;
+    }
+    return out;
+  } catch (err) {
+    logPexelsError(err);
+    return [];
+  }
+}
+
 /**
  * Finds and downloads the best Pexels video for a given subject/scene,
  * using strict/fuzzy/partial keyword matching. Will always pick the best result available.
@@ -178,26 +288,9 @@ async function findPexelsClipForScene(subject, workDir, sceneIdx, jobId, usedCli
     return null;
   }
   try {
-    const query = encodeURIComponent(cleanQuery(subject));
-    const url = `https://api.pexels.com/videos/search?query=${query}&per_page=10`;
-    console.log(`[10B][PEXELS][${jobId}] Searching: ${url}`);
-    const resp = await axios.get(url, { headers: { Authorization: PEXELS_API_KEY } });
-
-    if (resp.data && resp.data.videos && resp.data.videos.length > 0) {
-      let scored = [];
-      for (const video of resp.data.videos) {
-        const files = (video.video_files || []).filter(f => f.file_type === 'video/mp4');
-        for (const file of files) {
-          const score = scorePexelsMatch(video, file, subject, usedClips);
-          scored.push({ video, file, score });
-        }
-      }
-      // Sort high to low, log all
-      scored.sort((a, b) => b.score - a.score);
-      scored.slice(0, 7).forEach((s, i) =>
-        console.log(`[10B][PEXELS][${jobId}][CANDIDATE][${i + 1}] ${s.file.link} | score=${s.score} | duration=${s.video.duration}s | size=${s.file.width}x${s.file.height}`)
-      );
+    const scored = await searchAndScorePexels(subject, jobId, usedClips);
 
+    if (scored.length > 0) {
       // === Key improvement: Always pick the best available, even if score is low ===
       let best = scored.find(s => s.score > 5) || scored[0];
       if (!best && scored.length > 0) best = scored[0];
@@ -205,7 +298,10 @@ async function findPexelsClipForScene(subject, workDir, sceneIdx, jobId, usedCli
         console.log(`[10B][PEXELS][${jobId}][PICKED] Selected: ${best.file.link} | score=${best.score}`);
         const outPath = path.join(workDir, `scene${sceneIdx + 1}-pexels-${uuidv4()}.mp4`);
         const resultPath = await downloadPexelsVideoToLocal(best.file.link, outPath, jobId);
-        if (resultPath) return resultPath;
+        if (resultPath) {
+          recordPexelsInfo(resultPath, best.video, best.file);
+          return resultPath;
+        }
         // If download fails, try next best
       } else {
         console.warn(`[10B][PEXELS][${jobId}] No Pexels videos matched subject, but candidates were returned.`);
@@ -215,13 +311,45 @@ async function findPexelsClipForScene(subject, workDir, sceneIdx, jobId, usedCli
     }
     return null;
   } catch (err) {
-    if (err.response?.data) {
-      console.error('[10B][PEXELS][ERR]', JSON.stringify(err.response.data));
-    } else {
-      console.error('[10B][PEXELS][ERR]', err);
+    logPexelsError(err);
+    return null;
+  }
+}
+
+/**
+ * Downloads one specific Pexels video (user-pinned), best mp4 rendition for a vertical render.
+ * @param {string|number} id - Pexels video id
+ * @param {string} workDir
+ * @param {number} sceneIdx
+ * @param {string} jobId
+ * @returns {Promise<string|null>} Local .mp4 path, or null
+ */
+async function downloadPexelsClipById(id, workDir, sceneIdx, jobId) {
+  console.log(`[10B][PEXELS][${jobId}] downloadPexelsClipById | id=${id} | sceneIdx=${sceneIdx}`);
+  if (!PEXELS_API_KEY) {
+    console.error('[10B][PEXELS][ERR] No Pexels API key set!');
+    return null;
+  }
+  try {
+    const url = `https://api.pexels.com/videos/videos/${encodeURIComponent(id)}`;
+    const resp = await axios.get(url, { headers: { Authorization: PEXELS_API_KEY }, signal: getJobSignal(jobId) });
+    const files = ((resp.data && resp.data.video_files) || []).filter(f => f.file_type === 'video/mp4' && f.link);
+    if (!files.length) {
+      console.warn(`[10B][PEXELS][${jobId}] Pexels video ${id} has no mp4 files.`);
+      return null;
     }
+    // Portrait first, then the tallest rendition up to 1920
+    files.sort((a, b) => (b.height > b.width) - (a.height > a.width) || Math.min(b.height, 1920) - Math.min(a.height, 1920));
+    const file = files[0];
+    console.log(`[10B][PEXELS][${jobId}][PINNED] ${file.link} | size=${file.width}x${file.height}`);
+    const outPath = path.join(workDir, `scene${sceneIdx + 1}-pexels-${uuidv4()}.mp4`);
+    const resultPath = await downloadPexelsVideoToLocal(file.link, outPath, jobId);
+    if (resultPath) recordPexelsInfo(resultPath, resp.data, file);
+    return resultPath;
+  } catch (err) {
+    logPexelsError(err);
     return null;
   }
 }
 
-module.exports = { findPexelsClipForScene };
+module.exports = { findPexelsClipForScene, searchPexelsClips, downloadPexelsClipById };
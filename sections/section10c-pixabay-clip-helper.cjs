@@ -4,15 +4,26 @@
 // MAX LOGGING EVERY STEP, Modular System Compatible
 // Bulletproof: unique files, dedupe, valid output, crash-proof
 // 2024-08: Scoring with strict/fuzzy/partial keyword filter, no skips
+// searchPixabayClips(): scored candidates only (no download), for scene plans
+// downloadPixabayClipById(): one specific video, for user-pinned clips
+// Every download gets a clip info file (10I): id, tags, user, license
+// Keyword scores are blended with embedding similarity (10J) of each video's tags
 // ===========================================================
 
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { getJobSignal } = require('./section5k-job-cancellation.cjs');
+const { writeClipInfo } = require('./section10i-clip-metadata.cjs');
+const { isAssetUsed } = require('./section5t-asset-identity.cjs');
+const { blendSemanticScores } = require('./section10j-text-embeddings.cjs');
 
 console.log('[10C][INIT] Pixabay clip helper loaded.');
 
+// Max semantic bonus, on the scorePixabayMatch scale (phrase in tags = 45)
+const SEMANTIC_SCALE = 40;
+
 const PIXABAY_API_KEY = process.env.PIXABAY_API_KEY;
 if (!PIXABAY_API_KEY) {
   console.error('[10C][FATAL] Missing PIXABAY_API_KEY in environment!');
@@ -88,8 +99,10 @@ function isValidClip(filePath, jobId) {
 async function downloadPixabayVideoToLocal(url, outPath, jobId) {
   try {
     console.log(`[10C][DL][${jobId}] Downloading Pixabay video: ${url} -> ${outPath}`);
-    const response = await axios.get(url, { responseType: 'stream' });
+    const response = await axios.get(url, { responseType: 'stream', signal: getJobSignal(jobId) });
     await new Promise((resolve, reject) => {
+      // Cancellation destroys the response stream; fail instead of waiting on the file forever
+      response.data.on('error', reject);
       const stream = response.data.pipe(fs.createWriteStream(outPath));
       stream.on('finish', () => {
         console.log(`[10C][DL][${jobId}] Video saved to: ${outPath}`);
@@ -142,7 +155,7 @@ function scorePixabayMatch(hit, vid, subject, usedClips = []) {
   score += Math.floor(vid.width / 120);
 
   // Penalize used/duplicate
-  if (usedClips && usedClips.some(u => vid.url && (u.includes(vid.url) || vid.url.includes(u)))) score -= 100;
+  if (isAssetUsed(usedClips, { provider: 'pixabay', providerId: hit.id, url: vid.url })) score -= 100;
 
   // Penalize very short
   if (hit.duration && hit.duration < 4) score -= 8;
@@ -153,6 +166,91 @@ function scorePixabayMatch(hit, vid, subject, usedClips = []) {
   return score;
 }
 
+// --- Search + score every rendition (sorted high to low). Throws on API errors. ---
+async function searchAndScorePixabay(subject, jobId, usedClips = []) {
+  const query = encodeURIComponent(cleanQuery(subject)).slice(0, 100);
+  const url = `https://pixabay.com/api/videos/?key=${PIXABAY_API_KEY}&q=${query}&per_page=10`;
+  console.log(`[10C][PIXABAY][${jobId}] Searching: ${url.replace(PIXABAY_API_KEY, '***')}`);
+  const resp = await axios.get(url, { signal: getJobSignal(jobId) });
+
+  const scored = [];
+  for (const hit of (resp.data && resp.data.hits) || []) {
+    const videoCandidates = Object.values(hit.videos || {});
+    for (const vid of videoCandidates) {
+      const score = scorePixabayMatch(hit, vid, subject, usedClips);
+      scored.push({ hit, vid, score, similarity: null });
+    }
+  }
+  await blendSemanticScores(subject, scored, { scale: SEMANTIC_SCALE, textOf: s => s.hit.tags || '', tag: '10C', jobId });
+  scored.sort((a, b) => b.score - a.score);
+  scored.slice(0, 7).forEach((s, i) =>
+    console.log(`[10C][PIXABAY][${jobId}][CANDIDATE][${i + 1}] ${s.vid.url} | score=${s.score} | sim=${s.similarity ?? '-'} | size=${s.vid.width}x${s.vid.height}`)
+  );
+  return scored;
+}
+
+// --- Provenance for the library sidecar (10I) ---
+function recordPixabayInfo(localPath, hit, vid) {
+  writeClipInfo(localPath, {
+    source: 'pixabay',
+    providerId: hit.id,
+    tags: hit.tags || '',
+    photographer: hit.user,
+    photographerUrl: hit.user && hit.user_id ? `https://pixabay.com/users/${hit.user}-${hit.user_id}/` : null,
+    pageUrl: hit.pageURL,
+    width: vid.width,
+    height: vid.height,
+    duration: hit.duration
+  });
+}
+
+function logPixabayError(err) {
+  if (err.response?.data) {
+    console.error('[10C][PIXABAY][ERR]', JSON.stringify(err.response.data));
+  } else {
+    console.error('[10C][PIXABAY][ERR]', err);
+  }
+}
+
+/**
+ * Scored Pixabay candidates for a subject, best first (one per video). Nothing is downloaded.
+ * @param {string} subject
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]
+ * @param {Array<string>} [opts.usedClips]
+ * @param {number} [opts.limit=5]
+ * @returns {Promise<object[]>} [{ source, id, url, score, similarity, width, height, duration, thumbnail, pageUrl }]
+ */
+async function searchPixabayClips(subject, { jobId = '', usedClips = [], limit = 5 } = {}) {
+  if (!PIXABAY_API_KEY || !subject) return [];
+  try {
+    const scored = await searchAndScorePixabay(subject, jobId, usedClips);
+    const seen = new Set();
+    const out = [];
+    for (const { hit, vid, score, similarity } of scored) {
+      if (seen.has(hit.id)) continue;
+      seen.add(hit.id);
+      out.push({
+        source: 'pixabay',
+        id: String(hit.id),
+        url: vid.url,
+        score,
+        similarity,
+        width: vid.width,
+        height: vid.height,
+        duration: hit.duration,
+        thumbnail: vid.thumbnail || null,
+        pageUrl: hit.pageURL || null
+      });
+      if (out.length >= limit) break;
+    }
+    return out;
+  } catch (err) {
+    logPixabayError(err);
+    return [];
+  }
+}
+
 /**
  * Finds and downloads best-scoring Pixabay video for a subject/scene.
  * All normalization, strict/fuzzy/partial, deduping, logging, crash-proof.
@@ -171,25 +269,9 @@ async function findPixabayClipForScene(subject, workDir, sceneIdx, jobId, usedCl
     return null;
   }
   try {
-    const query = encodeURIComponent(cleanQuery(subject)).slice(0, 100);
-    const url = `https://pixabay.com/api/videos/?key=${PIXABAY_API_KEY}&q=${query}&per_page=10`;
-    console.log(`[10C][PIXABAY][${jobId}] Searching: ${url}`);
-    const resp = await axios.get(url);
-
-    if (resp.data && resp.data.hits && resp.data.hits.length > 0) {
-      let scored = [];
-      for (const hit of resp.data.hits) {
-        const videoCandidates = Object.values(hit.videos || {});
-        for (const vid of videoCandidates) {
-          const score = scorePixabayMatch(hit, vid, subject, usedClips);
-          scored.push({ hit, vid, score });
-        }
-      }
-      scored.sort((a, b) => b.score - a.score);
-      scored.slice(0, 7).forEach((s, i) =>
-        console.log(`[10C][PIXABAY][${jobId}][CANDIDATE][${i + 1}] ${s.vid.url} | score=${s.score} | size=${s.vid.width}x${s.vid.height}`)
-      );
+    const scored = await searchAndScorePixabay(subject, jobId, usedClips);
 
+    if (scored.length > 0) {
       // === KEY FIX: Always pick the best available candidate, even if not a strong match ===
       let best = scored.find(s => s.score > 15) || scored[0];
       if (!best && scored.length > 0) best = scored[0];
@@ -197,7 +279,10 @@ async function findPixabayClipForScene(subject, workDir, sceneIdx, jobId, usedCl
         console.log(`[10C][PIXABAY][${jobId}][PICKED] Selected: ${best.vid.url} | score=${best.score}`);
         const outPath = path.join(workDir, `scene${sceneIdx + 1}-pixabay-${uuidv4()}.mp4`);
         const resultPath = await downloadPixabayVideoToLocal(best.vid.url, outPath, jobId);
-        if (resultPath) return resultPath;
+        if (resultPath) {
+          recordPixabayInfo(resultPath, best.hit, best.vid);
+          return resultPath;
+        }
         // If download fails, try next best (not implemented here, fallback handled by 5D)
       } else {
         console.warn(`[10C][PIXABAY][${jobId}] No Pixabay videos matched subject, but candidates were returned.`);
@@ -207,13 +292,44 @@ async function findPixabayClipForScene(subject, workDir, sceneIdx, jobId, usedCl
     }
     return null;
   } catch (err) {
-    if (err.response?.data) {
-      console.error('[10C][PIXABAY][ERR]', JSON.stringify(err.response.data));
-    } else {
-      console.error('[10C][PIXABAY][ERR]', err);
+    logPixabayError(err);
+    return null;
+  }
+}
+
+/**
+ * Downloads one specific Pixabay video (user-pinned), largest available rendition.
+ * @param {string|number} id - Pixabay video id
+ * @param {string} workDir
+ * @param {number} sceneIdx
+ * @param {string} jobId
+ * @returns {Promise<string|null>} Local .mp4 path, or null
+ */
+async function downloadPixabayClipById(id, workDir, sceneIdx, jobId) {
+  console.log(`[10C][PIXABAY][${jobId}] downloadPixabayClipById | id=${id} | sceneIdx=${sceneIdx}`);
+  if (!PIXABAY_API_KEY) {
+    console.error('[10C][PIXABAY][ERR] No Pixabay API key set!');
+    return null;
+  }
+  try {
+    const url = `https://pixabay.com/api/videos/?key=${PIXABAY_API_KEY}&id=${encodeURIComponent(id)}`;
+    const resp = await axios.get(url, { signal: getJobSignal(jobId) });
+    const hit = resp.data && Array.isArray(resp.data.hits) ? resp.data.hits[0] : null;
+    const videos = (hit && hit.videos) || {};
+    const vid = ['large', 'medium', 'small', 'tiny'].map(k => videos[k]).find(v => v && v.url);
+    if (!vid) {
+      console.warn(`[10C][PIXABAY][${jobId}] Pixabay video ${id} not found or has no renditions.`);
+      return null;
     }
+    console.log(`[10C][PIXABAY][${jobId}][PINNED] ${vid.url} | size=${vid.width}x${vid.height}`);
+    const outPath = path.join(workDir, `scene${sceneIdx + 1}-pixabay-${uuidv4()}.mp4`);
+    const resultPath = await downloadPixabayVideoToLocal(vid.url, outPath, jobId);
+    if (resultPath) recordPixabayInfo(resultPath, hit, vid);
+    return resultPath;
+  } catch (err) {
+    logPixabayError(err);
     return null;
   }
 }
 
-module.exports = { findPixabayClipForScene };
+module.exports = { findPixabayClipForScene, searchPixabayClips, downloadPixabayClipById };
@@ -11,6 +11,8 @@ const path = require('path');
 const { exec } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const sharp = require('sharp');
+const { getJobSignal, trackProcess } = require('./section5k-job-cancellation.cjs');
+const { isAssetUsed } = require('./section5t-asset-identity.cjs');
 
 const PEXELS_API_KEY = process.env.PEXELS_API_KEY;
 const PIXABAY_API_KEY = process.env.PIXABAY_API_KEY;
@@ -99,7 +101,7 @@ function scoreImage(candidate, subject, usedClips = [], extra = {}) {
   if (candidate.width && candidate.height && candidate.height / candidate.width > 1.5) score += 8;
 
   // Penalize used/dup
-  if (usedClips && candidate.url && usedClips.some(u => u.includes(candidate.url) || candidate.url.includes(u))) score -= 60;
+  if (candidate.url && isAssetUsed(usedClips, { url: candidate.url })) score -= 60;
   // Bonus for Unsplash editorial/high download count (if present)
   if (candidate.downloads && candidate.downloads > 10000) score += 4;
   // Bonus for newer image
@@ -117,7 +119,7 @@ async function findImageInUnsplash(subject, usedClips = []) {
     const query = encodeURIComponent(subject);
     const url = `https://api.unsplash.com/search/photos?query=${query}&per_page=10&orientation=portrait&client_id=${UNSPLASH_ACCESS_KEY}`;
     console.log(`[10D][UNSPLASH] Request: ${url}`);
-    const resp = await axios.get(url);
+    const resp = await axios.get(url, { signal: getJobSignal() });
     if (resp.data && resp.data.results && resp.data.results.length > 0) {
       let candidates = resp.data.results.map(item => ({
         ...item,
@@ -127,7 +129,7 @@ async function findImageInUnsplash(subject, usedClips = []) {
         height: item.height,
       }));
       candidates.forEach(c => { c.score = scoreImage(c, subject, usedClips); });
-      candidates = candidates.filter(c => !usedClips.some(u => u.includes(c.url)));
+      candidates = candidates.filter(c => !isAssetUsed(usedClips, { url: c.url }));
       candidates.sort((a, b) => b.score - a.score);
       candidates.slice(0, 4).forEach((c, i) => {
         console.log(`[10D][UNSPLASH][CANDIDATE][${i + 1}] ${c.urls.full} | score=${c.score} | desc="${c.description || c.alt_description || ''}"`);
@@ -156,7 +158,7 @@ async function findImageInPexels(subject, usedClips = []) {
     const query = encodeURIComponent(subject);
     const url = `https://api.pexels.com/v1/search?query=${query}&per_page=8&orientation=portrait`;
     console.log(`[10D][PEXELS-IMG] Request: ${url}`);
-    const resp = await axios.get(url, { headers: { Authorization: PEXELS_API_KEY } });
+    const resp = await axios.get(url, { headers: { Authorization: PEXELS_API_KEY }, signal: getJobSignal() });
     if (resp.data && resp.data.photos && resp.data.photos.length > 0) {
       let candidates = resp.data.photos.map(item => ({
         ...item,
@@ -166,7 +168,7 @@ async function findImageInPexels(subject, usedClips = []) {
         height: item.height
       }));
       candidates.forEach(c => { c.score = scoreImage(c, subject, usedClips); });
-      candidates = candidates.filter(c => !usedClips.some(u => u.includes(c.url)));
+      candidates = candidates.filter(c => !isAssetUsed(usedClips, { url: c.url }));
       candidates.sort((a, b) => b.score - a.score);
       candidates.slice(0, 4).forEach((c, i) => {
         console.log(`[10D][PEXELS-IMG][CANDIDATE][${i + 1}] ${c.src.original} | score=${c.score} | photographer="${c.photographer || ''}"`);
@@ -195,7 +197,7 @@ async function findImageInPixabay(subject, usedClips = []) {
     const query = encodeURIComponent(subject);
     const url = `https://pixabay.com/api/?key=${PIXABAY_API_KEY}&q=${query}&image_type=photo&per_page=8&orientation=vertical`;
     console.log(`[10D][PIXABAY-IMG] Request: ${url}`);
-    const resp = await axios.get(url);
+    const resp = await axios.get(url, { signal: getJobSignal() });
     if (resp.data && resp.data.hits && resp.data.hits.length > 0) {
       let candidates = resp.data.hits.map(item => ({
         ...item,
@@ -205,7 +207,7 @@ async function findImageInPixabay(subject, usedClips = []) {
         height: item.imageHeight
       }));
       candidates.forEach(c => { c.score = scoreImage(c, subject, usedClips); });
-      candidates = candidates.filter(c => !usedClips.some(u => u.includes(c.url)));
+      candidates = candidates.filter(c => !isAssetUsed(usedClips, { url: c.url }));
       candidates.sort((a, b) => b.score - a.score);
       candidates.slice(0, 4).forEach((c, i) => {
         console.log(`[10D][PIXABAY-IMG][CANDIDATE][${i + 1}] ${c.largeImageURL} | score=${c.score} | tags="${c.tags}"`);
@@ -239,10 +241,12 @@ async function downloadRemoteFileToLocal(url, outPath, jobId = '') {
       url,
       method: 'GET',
       responseType: 'stream',
-      timeout: 60000
+      timeout: 60000,
+      signal: getJobSignal()
     });
 
     await new Promise((resolve, reject) => {
+      resp.data.on('error', reject);
       resp.data.pipe(writer);
       let errored = false;
       writer.on('error', err => {
@@ -310,7 +314,8 @@ async function makeKenBurnsVideoFromImage(imgPath, outPath, duration = 5, jobId
   console.log(`[10D][KENBURNS][${jobId}] Running FFmpeg: ${ffmpegCmd}`);
 
   return new Promise((resolve, reject) => {
-    const child = exec(ffmpegCmd, { timeout: 12000 }, (error, stdout, stderr) => {
+    // 'exec' so the shell becomes ffmpeg: timeout/cancel kills reach ffmpeg, not just /bin/sh
+    const child = trackProcess(exec(`exec ${ffmpegCmd}`, { timeout: 12000 }, (error, stdout, stderr) => {
       if (error) {
         if (error.killed) {
           console.error(`[10D][KENBURNS][TIMEOUT][${jobId}] FFmpeg Ken Burns command timed out after 12s!`, error);
@@ -324,7 +329,7 @@ async function makeKenBurnsVideoFromImage(imgPath, outPath, duration = 5, jobId
       }
       console.log(`[10D][KENBURNS][${jobId}] Ken Burns pan video created:`, outPath);
       resolve(outPath);
-    });
+    }));
 
     child.on('error', (err) => {
       console.error('[10D][KENBURNS][ERR][PROC]', err);
@@ -339,7 +344,7 @@ async function staticImageToVideo(imgPath, outPath, duration = 5, jobId = '') {
   const ffmpegCmd = `ffmpeg -y -loop 1 -i "${imgPath}" -vf "scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1" -t ${duration} -r 30 -pix_fmt yuv420p -c:v libx264 -preset ultrafast "${outPath}"`;
   console.log(`[10D][STATICIMG][${jobId}] Running fallback FFmpeg: ${ffmpegCmd}`);
   return new Promise((resolve, reject) => {
-    exec(ffmpegCmd, { timeout: 8000 }, (error, stdout, stderr) => {
+    trackProcess(exec(`exec ${ffmpegCmd}`, { timeout: 8000 }, (error, stdout, stderr) => {
       if (error) {
         console.error(`[10D][STATICIMG][ERR][${jobId}] Fallback static image to video failed.`, error, stderr);
         return reject(error);
@@ -349,7 +354,7 @@ async function staticImageToVideo(imgPath, outPath, duration = 5, jobId = '') {
       }
       console.log(`[10D][STATICIMG][${jobId}] Static image video created:`, outPath);
       resolve(outPath);
-    });
+    }));
   });
 }
 
@@ -378,7 +383,7 @@ async function fallbackKenBurnsVideo(subject, workDir, sceneIdx, jobId, usedClip
     }
 
     // Score all, remove used or blank
-    candidates = candidates.filter(c => c.url && !usedClips.some(u => u.includes(c.url)));
+    candidates = candidates.filter(c => c.url && !isAssetUsed(usedClips, { url: c.url }));
     for (let c of candidates) {
       c.score = scoreImage({ ...c, url: c.url }, subject, usedClips);
     }
@@ -2,11 +2,17 @@
 // SECTION 10E: UPLOAD TO R2 HELPER (Auto-ingest for library)
 // Uploads to socialstorm-library/[category]/ with bulletproof naming
 // Max logging, bulletproof dedupe, and error resilience
+// Clips go to the library bucket (R2_LIBRARY_BUCKET, the one 10A lists and matches against)
+// and are added to the library catalog (10H) right away
+// Each clip gets a JSON sidecar (<name>.meta.json, 10I): provider id, tags, license,
+// photographer, resolution and the script line it was used for
 // 2024-08
 // ========================================================
 const fs = require('fs');
 const path = require('path');
 const { s3Client, PutObjectCommand, HeadObjectCommand } = require('./section1-setup.cjs');
+const { LIBRARY_BUCKET, recordProbedClip, attachSidecar } = require('./section10h-r2-library-catalog.cjs');
+const { probeClip, sidecarKeyFor, buildSidecar } = require('./section10i-clip-metadata.cjs');
 
 /**
  * Cleans any string for use as a folder or filename.
@@ -21,6 +27,39 @@ function cleanForFilename(str) {
     .slice(0, 70);
 }
 
+// --- Make a fresh upload matchable without waiting for the next catalog relist ---
+async function addToLibraryCatalog(r2DestPath, localFilePath, sidecar = null) {
+  if (!r2DestPath.toLowerCase().endsWith('.mp4')) return;
+  await recordProbedClip(r2DestPath, localFilePath, { jobId: 'UPLOAD' });
+  if (sidecar) attachSidecar(r2DestPath, sidecar, { jobId: 'UPLOAD' });
+}
+
+// --- JSON sidecar next to the clip (same bucket: 10A loads sidecars from its listing);
+// a failed sidecar never fails the clip upload ---
+async function uploadSidecar(r2DestPath, localFilePath, details) {
+  let probed = null;
+  try {
+    probed = await probeClip(localFilePath);
+  } catch (err) {
+    console.warn(`[10E][SIDECAR][WARN] Could not probe ${localFilePath}:`, err.message || err);
+  }
+  const sidecar = buildSidecar({ key: r2DestPath, probed, ...details });
+  const sidecarKey = sidecarKeyFor(r2DestPath);
+  try {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: LIBRARY_BUCKET,
+      Key: sidecarKey,
+      Body: JSON.stringify(sidecar, null, 2),
+      ContentType: 'application/json'
+    }));
+    console.log(`[10E][SIDECAR][OK] ${sidecarKey} (${sidecar.source}:${sidecar.providerId || '-'}, ${sidecar.tags.length} tags)`);
+    return sidecar;
+  } catch (err) {
+    console.error(`[10E][SIDECAR][FAIL] ${sidecarKey}:`, err);
+    return null;
+  }
+}
+
 /**
  * Uploads a file to R2 in the /socialstorm-library/[category]/ folder with bulletproof naming and dedupe.
  * @param {string} localFilePath - Path to local file (video/image)
@@ -28,9 +67,10 @@ function cleanForFilename(str) {
  * @param {number|string} sceneIdx - Scene index (for filename)
  * @param {string} source - Source (pexels, pixabay, unsplash, bing, etc)
  * @param {string} categoryFolder - Top-level topic/folder (e.g. "lore_history_mystery_horror")
+ * @param {object} [details] - Sidecar extras: { scriptLine, clipInfo } (clipInfo from 10I readClipInfo)
  * @returns {Promise<string|false>} - Returns R2 path string on success, false on fail
  */
-async function uploadSceneClipToR2(localFilePath, subject, sceneIdx, source, categoryFolder) {
+async function uploadSceneClipToR2(localFilePath, subject, sceneIdx, source, categoryFolder, details = {}) {
   try {
     if (!fs.existsSync(localFilePath)) {
       console.error('[10E][UPLOAD][FAIL][SCENE] Local file not found:', localFilePath);
@@ -49,10 +89,11 @@ async function uploadSceneClipToR2(localFilePath, subject, sceneIdx, source, cat
     // Dedupe: skip upload if already present in R2
     try {
       await s3Client.send(new HeadObjectCommand({
-        Bucket: process.env.R2_VIDEOS_BUCKET,
+        Bucket: LIBRARY_BUCKET,
         Key: r2DestPath
       }));
       console.log(`[10E][UPLOAD][SKIP][SCENE] File already exists in R2: ${r2DestPath}`);
+      await addToLibraryCatalog(r2DestPath, localFilePath);
       return r2DestPath; // Already there, skip
     } catch (_) {
       // Not found, proceed to upload
@@ -61,7 +102,7 @@ async function uploadSceneClipToR2(localFilePath, subject, sceneIdx, source, cat
     const fileBuffer = fs.readFileSync(localFilePath);
 
     await s3Client.send(new PutObjectCommand({
-      Bucket: process.env.R2_VIDEOS_BUCKET,
+      Bucket: LIBRARY_BUCKET,
       Key: r2DestPath,
       Body: fileBuffer,
       ACL: 'public-read',
@@ -71,6 +112,15 @@ async function uploadSceneClipToR2(localFilePath, subject, sceneIdx, source, cat
     }));
 
     console.log(`[10E][UPLOAD][OK][SCENE] Uploaded to R2: ${r2DestPath}`);
+    const sidecar = await uploadSidecar(r2DestPath, localFilePath, {
+      subject,
+      sceneIdx,
+      source,
+      category: catFolder,
+      scriptLine: details.scriptLine,
+      clipInfo: details.clipInfo
+    });
+    await addToLibraryCatalog(r2DestPath, localFilePath, sidecar);
     return r2DestPath;
   } catch (err) {
     console.error('[10E][UPLOAD][FAIL][SCENE]', err);
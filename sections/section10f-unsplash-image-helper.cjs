@@ -2,13 +2,19 @@
 // SECTION 10F: UNSPLASH IMAGE HELPER (Search & Download & Score)
 // Searches Unsplash for the best-scoring, high-res image matching the subject.
 // Downloads to local job folder, returns file path on success.
+// searchUnsplashImages(): scored candidates only (no download), for the clip browser
 // MAX LOGGING, bulletproof, modular, NO DUPES, scores all matches
+// Keyword scores are blended with embedding similarity (10J) of each photo's description
+// Every download gets a clip info file (10I): photo id, tags, photographer, license
 // Requires: UNSPLASH_ACCESS_KEY in env
 // ==============================================================
 
 const fs = require('fs');
 const path = require('path');
 const axios = require('axios');
+const { blendSemanticScores } = require('./section10j-text-embeddings.cjs');
+const { writeClipInfo } = require('./section10i-clip-metadata.cjs');
+const { isAssetUsed } = require('./section5t-asset-identity.cjs');
 
 const UNSPLASH_ACCESS_KEY = process.env.UNSPLASH_ACCESS_KEY || '';
 
@@ -18,6 +24,9 @@ if (!UNSPLASH_ACCESS_KEY) {
 
 console.log('[10F][INIT] Unsplash image helper loaded.');
 
+// Max semantic bonus, on the scoreUnsplashImage scale (all words present = 100)
+const SEMANTIC_SCALE = 50;
+
 // --- Clean string for safe filenames ---
 function cleanForFilename(str) {
   return (str || '')
@@ -99,7 +108,7 @@ function scoreUnsplashImage(result, subject, usedClips = []) {
   if (result.likes && result.likes > 100) score += 4;
 
   // Penalize used
-  if (usedClips && usedClips.some(u => result.urls?.full && u.includes(result.urls.full))) score -= 100;
+  if (isAssetUsed(usedClips, { provider: 'unsplash', providerId: result.id, url: result.urls?.full })) score -= 100;
 
   // Recent images (higher ID, slight bump)
   if (result.id && Number(result.id) > 1000000) score += 1;
@@ -110,84 +119,103 @@ function scoreUnsplashImage(result, subject, usedClips = []) {
   return score;
 }
 
-/**
- * Search Unsplash API for the best-scoring image matching subject and download it.
- * @param {string} subject - The search phrase (topic, scene, keyword)
- * @param {string} workDir - Directory to save downloaded image
- * @param {number} sceneIdx - Scene index (for filename uniqueness)
- * @param {string} jobId - For logging
- * @param {Array<string>} usedClips - List of used image URLs to prevent dupes
- * @returns {Promise<string|null>} Local file path if successful, else null
- */
-async function findUnsplashImageForScene(subject, workDir, sceneIdx = 0, jobId = 'nojob', usedClips = []) {
-  if (!UNSPLASH_ACCESS_KEY) {
-    console.error('[10F][NO_API_KEY][%s] Unsplash API key missing.', jobId);
-    return null;
-  }
-  if (!subject || !workDir) {
-    console.error('[10F][INVALID_ARGS][%s] Missing subject or workDir.', jobId);
-    return null;
-  }
-
+// --- Search + score (sorted high to low, used images dropped). Throws on API errors. ---
+async function searchAndScoreUnsplash(subject, jobId, usedClips = []) {
   const query = encodeURIComponent(subject);
   const apiUrl = `https://api.unsplash.com/search/photos?query=${query}&orientation=portrait&per_page=10&client_id=${UNSPLASH_ACCESS_KEY}`;
 
   console.log(`[10F][REQ][${jobId}] Searching Unsplash: "${subject}"`);
-
-  let json;
-  try {
-    const response = await axios.get(apiUrl, { timeout: 15000 });
-    json = response.data;
-  } catch (err) {
-    // Log 401, key missing, and other errors but NEVER block or loop
-    if (err?.response?.status === 401) {
-      console.error(`[10F][API_ERR][${jobId}] Unsplash 401 Unauthorized: Invalid API key or quota exceeded.`);
-    } else {
-      console.error(`[10F][API_ERR][${jobId}] Unsplash API error:`, err?.response?.data || err.message || err);
-    }
-    return null;
-  }
+  const response = await axios.get(apiUrl, { timeout: 15000 });
+  const json = response.data;
 
   if (!json || !Array.isArray(json.results) || !json.results.length) {
     console.warn(`[10F][NO_RESULT][${jobId}] No Unsplash image found for: "${subject}"`);
-    return null;
+    return [];
   }
 
   // Score all results, skip used
   let scored = json.results.map(result => ({
     result,
     score: scoreUnsplashImage(result, subject, usedClips),
+    similarity: null,
     url: result.urls.full
-  })).filter(item => item.url && !usedClips.some(u => u.includes(item.url)));
+  })).filter(item => item.url && !isAssetUsed(usedClips, { provider: 'unsplash', providerId: item.result.id, url: item.url }));
+
+  await blendSemanticScores(subject, scored, {
+    scale: SEMANTIC_SCALE,
+    textOf: ({ result }) => [result.alt_description, result.description, ...(result.tags || []).map(t => t.title || t)].filter(Boolean).join(' | '),
+    tag: '10F',
+    jobId
+  });
 
   scored.sort((a, b) => b.score - a.score);
 
   // Log top candidates (always show if any)
   scored.slice(0, 5).forEach((s, i) => {
-    console.log(`[10F][CANDIDATE][${jobId}] [${i + 1}] url=${s.url} | score=${s.score} | desc="${s.result.alt_description || ''}"`);
+    console.log(`[10F][CANDIDATE][${jobId}] [${i + 1}] url=${s.url} | score=${s.score} | sim=${s.similarity ?? '-'} | desc="${s.result.alt_description || ''}"`);
   });
+  return scored;
+}
 
-  // === KEY IMPROVEMENT: Always pick the best available, even if weak match ===
-  let best = scored.find(s => s.score > 15) || scored[0];
-  if (!best && scored.length > 0) best = scored[0];
-  if (!best || !best.url) {
-    console.warn(`[10F][NO_GOOD][${jobId}] No Unsplash match for "${subject}"`);
-    return null;
+function logUnsplashError(err, jobId) {
+  // Log 401, key missing, and other errors but NEVER block or loop
+  if (err?.response?.status === 401) {
+    console.error(`[10F][API_ERR][${jobId}] Unsplash 401 Unauthorized: Invalid API key or quota exceeded.`);
+  } else {
+    console.error(`[10F][API_ERR][${jobId}] Unsplash API error:`, err?.response?.data || err.message || err);
   }
+}
 
-  // Download image to local job dir
-  const filename = `unsplash_${cleanForFilename(subject)}_${sceneIdx}.jpg`;
-  const outPath = path.join(workDir, filename);
-
-  // If file already exists and is >10KB, skip download
-  if (fs.existsSync(outPath) && fs.statSync(outPath).size > 10 * 1024) {
-    console.log(`[10F][CACHE][${jobId}] HIT: ${outPath}`);
-    return outPath;
+/**
+ * Scored Unsplash images for a subject, best first. Nothing is downloaded.
+ * @param {string} subject
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]
+ * @param {Array<string>} [opts.usedClips]
+ * @param {number} [opts.limit=5]
+ * @returns {Promise<object[]>} [{ source, id, url, score, similarity, width, height, duration, thumbnail, pageUrl }]
+ */
+async function searchUnsplashImages(subject, { jobId = '', usedClips = [], limit = 5 } = {}) {
+  if (!UNSPLASH_ACCESS_KEY || !subject) return [];
+  try {
+    const scored = await searchAndScoreUnsplash(subject, jobId, usedClips);
+    return scored.slice(0, limit).map(({ result, score, similarity, url }) => ({
+      source: 'unsplash',
+      id: String(result.id),
+      url,
+      score,
+      similarity,
+      width: result.width,
+      height: result.height,
+      duration: null,
+      thumbnail: (result.urls && (result.urls.small || result.urls.thumb)) || null,
+      pageUrl: (result.links && result.links.html) || null
+    }));
+  } catch (err) {
+    logUnsplashError(err, jobId);
+    return [];
   }
+}
 
+// --- Provenance + identity (photo id) of a downloaded photo (10I) ---
+function recordUnsplashInfo(localPath, photo) {
+  writeClipInfo(localPath, {
+    source: 'unsplash',
+    providerId: photo.id,
+    tags: photo.tags || [],
+    photographer: photo.user && photo.user.name,
+    photographerUrl: photo.user && photo.user.links && photo.user.links.html,
+    pageUrl: photo.links && photo.links.html,
+    width: photo.width,
+    height: photo.height
+  });
+}
+
+// --- Download an image URL to outPath (>10KB or it counts as failed) ---
+async function downloadUnsplashImage(url, outPath, jobId) {
   try {
     const response = await axios({
-      url: best.url,
+      url,
       method: 'GET',
       responseType: 'stream',
       timeout: 15000
@@ -215,4 +243,86 @@ async function findUnsplashImageForScene(subject, workDir, sceneIdx = 0, jobId =
   }
 }
 
-module.exports = { findUnsplashImageForScene };
+/**
+ * Search Unsplash API for the best-scoring image matching subject and download it.
+ * @param {string} subject - The search phrase (topic, scene, keyword)
+ * @param {string} workDir - Directory to save downloaded image
+ * @param {number} sceneIdx - Scene index (for filename uniqueness)
+ * @param {string} jobId - For logging
+ * @param {Array<string>} usedClips - List of used image URLs to prevent dupes
+ * @returns {Promise<string|null>} Local file path if successful, else null
+ */
+async function findUnsplashImageForScene(subject, workDir, sceneIdx = 0, jobId = 'nojob', usedClips = []) {
+  if (!UNSPLASH_ACCESS_KEY) {
+    console.error('[10F][NO_API_KEY][%s] Unsplash API key missing.', jobId);
+    return null;
+  }
+  if (!subject || !workDir) {
+    console.error('[10F][INVALID_ARGS][%s] Missing subject or workDir.', jobId);
+    return null;
+  }
+
+  let scored;
+  try {
+    scored = await searchAndScoreUnsplash(subject, jobId, usedClips);
+  } catch (err) {
+    logUnsplashError(err, jobId);
+    return null;
+  }
+  if (!scored.length) return null;
+
+  // === KEY IMPROVEMENT: Always pick the best available, even if weak match ===
+  let best = scored.find(s => s.score > 15) || scored[0];
+  if (!best && scored.length > 0) best = scored[0];
+  if (!best || !best.url) {
+    console.warn(`[10F][NO_GOOD][${jobId}] No Unsplash match for "${subject}"`);
+    return null;
+  }
+
+  // Download image to local job dir
+  const filename = `unsplash_${cleanForFilename(subject)}_${sceneIdx}.jpg`;
+  const outPath = path.join(workDir, filename);
+
+  // If file already exists and is >10KB, skip download
+  if (fs.existsSync(outPath) && fs.statSync(outPath).size > 10 * 1024) {
+    console.log(`[10F][CACHE][${jobId}] HIT: ${outPath}`);
+    return outPath;
+  }
+
+  const saved = await downloadUnsplashImage(best.url, outPath, jobId);
+  if (saved) recordUnsplashInfo(saved, best.result);
+  return saved;
+}
+
+/**
+ * Downloads one specific Unsplash photo (user-pinned).
+ * @param {string} id - Unsplash photo id
+ * @param {string} workDir
+ * @param {number} sceneIdx
+ * @param {string} jobId
+ * @returns {Promise<string|null>} Local .jpg path, or null
+ */
+async function downloadUnsplashImageById(id, workDir, sceneIdx = 0, jobId = 'nojob') {
+  if (!UNSPLASH_ACCESS_KEY) {
+    console.error('[10F][NO_API_KEY][%s] Unsplash API key missing.', jobId);
+    return null;
+  }
+  try {
+    const apiUrl = `https://api.unsplash.com/photos/${encodeURIComponent(id)}?client_id=${UNSPLASH_ACCESS_KEY}`;
+    const response = await axios.get(apiUrl, { timeout: 15000 });
+    const url = response.data && response.data.urls && response.data.urls.full;
+    if (!url) {
+      console.warn(`[10F][NO_RESULT][${jobId}] Unsplash photo ${id} has no download URL.`);
+      return null;
+    }
+    console.log(`[10F][PINNED][${jobId}] Unsplash photo ${id}: ${url}`);
+    const saved = await downloadUnsplashImage(url, path.join(workDir, `unsplash_${cleanForFilename(id)}_${sceneIdx}.jpg`), jobId);
+    if (saved) recordUnsplashInfo(saved, response.data);
+    return saved;
+  } catch (err) {
+    logUnsplashError(err, jobId);
+    return null;
+  }
+}
+
+module.exports = { findUnsplashImageForScene, searchUnsplashImages, downloadUnsplashImageById };
@@ -2,8 +2,13 @@
 // SECTION 10G: SCENE SCORING HELPER (Universal Candidate Matcher)
 // Scores candidate videos/images for best subject match, no matter source.
 // Used by Section 5D and all video/image helpers.
+// Related-but-not-literal matches come from embedding similarity (10J) when
+// available; the SYNONYMS table is only the fallback without a model.
 // ===========================================================
 
+const { embedTexts, cosineSimilarity } = require('./section10j-text-embeddings.cjs');
+const { isAssetUsed } = require('./section5t-asset-identity.cjs');
+
 const SYNONYMS = {
   gorilla: ['gorillas', 'primate', 'ape', 'apes', 'chimpanzee', 'monkey'],
   chimpanzee: ['chimp', 'chimps', 'ape', 'apes', 'primate', 'monkey'],
@@ -21,17 +26,18 @@ const SYNONYMS = {
  * 
  * @param {object} candidate - { filename, tags, title, description, filePath, provider }
  * @param {string} subject
- * @param {string[]} usedFiles - Array of filePaths/filenames used so far in this job
+ * @param {object|string[]} usedFiles - The job's asset tracker (5T), or filePaths/filenames used so far
+ * @param {number|null} [similarity] - Embedding similarity of candidate and subject (10J), if known
  * @returns {number} score (0–100)
  */
-function scoreSceneCandidate(candidate, subject, usedFiles = []) {
+function scoreSceneCandidate(candidate, subject, usedFiles = [], similarity = null) {
   if (!candidate || !subject) return 0;
   const subj = (subject || '').toLowerCase().trim();
   const fname = (candidate.filename || '').toLowerCase();
   const tags = (candidate.tags || []).map(t => t.toLowerCase());
   const title = (candidate.title || '').toLowerCase();
   const desc = (candidate.description || '').toLowerCase();
-  const used = usedFiles.includes(candidate.filePath || candidate.filename);
+  const used = isAssetUsed(usedFiles, { provider: candidate.provider, key: candidate.filename, localPath: candidate.filePath });
 
   // Already used = 0
   if (used) return 0;
@@ -44,6 +50,13 @@ function scoreSceneCandidate(candidate, subject, usedFiles = []) {
     desc.includes(subj)
   ) return 100;
 
+  // Semantic match: 85 / 75 / 50 bands, same meaning as the keyword tiers below
+  if (typeof similarity === 'number') {
+    if (similarity >= 0.7) return 85;
+    if (similarity >= 0.55) return 75;
+    if (similarity >= 0.4) return 50;
+  }
+
   // Partial or synonym match
   const syns = SYNONYMS[subj] || [];
   for (const syn of syns) {
@@ -72,4 +85,23 @@ function scoreSceneCandidate(candidate, subject, usedFiles = []) {
   return 10;
 }
 
-module.exports = { scoreSceneCandidate };
+/**
+ * scoreSceneCandidate with embedding similarity filled in (keyword-only without a model).
+ * @param {object} candidate
+ * @param {string} subject
+ * @param {string[]} usedFiles
+ * @returns {Promise<{ score: number, similarity: number|null }>}
+ */
+async function scoreSceneCandidateSemantic(candidate, subject, usedFiles = []) {
+  let similarity = null;
+  if (candidate && subject) {
+    const text = [candidate.title, candidate.description, ...(candidate.tags || []), candidate.filename]
+      .filter(Boolean)
+      .join(' | ');
+    const vectors = await embedTexts([subject, text]);
+    if (vectors && vectors[0] && vectors[1]) similarity = cosineSimilarity(vectors[0], vectors[1]);
+  }
+  return { score: scoreSceneCandidate(candidate, subject, usedFiles, similarity), similarity };
+}
+
+module.exports = { scoreSceneCandidate, scoreSceneCandidateSemantic };
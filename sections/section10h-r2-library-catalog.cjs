@@ -0,0 +1,371 @@
+// ===========================================================
+// SECTION 10H: R2 LIBRARY CATALOG (on-disk index of the clip library)
+// One JSON index of every object in the library bucket, so matching never
+// lists the bucket per scene. 10A refreshes it (at most every R2_CATALOG_TTL_SEC)
+// and 10A/5D query it; 10E adds archived clips the moment they are uploaded.
+// Entry: { key, stem, tokens, folder, size, etag, lastModified,
+//          duration, width, height, orientation, tags, meta }
+// Relisting is incremental: unchanged objects keep their probed metadata,
+// changed ones (new ETag) are re-probed on next download, deleted ones drop out.
+// Duration/resolution come from local copies (10A downloads, 10E uploads);
+// orientation falls back to filename hints (_portrait, 9_16, shorts, tiktok).
+// Sidecars (<name>.meta.json, 10I) are not entries: their tags/provenance are
+// attached to the clip they describe (loaded by 10A, or recorded by 10E).
+// Each entry's description (subject, tags, name) is embedded once (10J) and kept
+// here; it is re-embedded only when the description or the model changes.
+// MAX LOGGING, atomic writes, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const path = require('path');
+const { probeClip, isSidecarKey, sidecarKeyFor, normalizeTags } = require('./section10i-clip-metadata.cjs');
+const { encodeVector, decodeVector } = require('./section10j-text-embeddings.cjs');
+
+const CATALOG_VERSION = 2;
+const CATALOG_DIR = process.env.R2_CATALOG_DIR || path.join(__dirname, '..', 'library_catalog');
+const CATALOG_FILE = path.join(CATALOG_DIR, 'r2-library.json');
+const CATALOG_TTL_MS = (parseInt(process.env.R2_CATALOG_TTL_SEC, 10) || 600) * 1000;
+const LIBRARY_BUCKET = process.env.R2_LIBRARY_BUCKET || 'socialstorm-library';
+
+console.log(`[10H][INIT] R2 library catalog loaded. File: ${CATALOG_FILE} | TTL ${CATALOG_TTL_MS / 1000}s`);
+
+// Loaded lazily from disk on first use
+let catalog = null;
+// key → { encoded, vector }: decoded embeddings, reused until the entry is re-embedded
+const vectorCache = new Map();
+
+// --- Normalization (shared with 10A scoring) ---
+function normalizeForMatch(str) {
+  return (str || '')
+    .toLowerCase()
+    .replace(/[\s_\-\.]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Normalized “stem” for dedupe (basename, no extension, separators→spaces)
+function stemFromKey(key) {
+  const base = (key || '').split('/').pop() || '';
+  const noExt = base.replace(/\.[a-z0-9]+$/i, '');
+  return normalizeForMatch(noExt);
+}
+
+function tokensFromStem(stem) {
+  return [...new Set(stem.replace(/[^a-z0-9 ]+/g, ' ').split(' ').filter(w => w.length > 1))];
+}
+
+function orientationOf(width, height, stem) {
+  if (width && height) {
+    if (Math.abs(width - height) / Math.max(width, height) < 0.05) return 'square';
+    return height > width ? 'portrait' : 'landscape';
+  }
+  if (/(^| )(portrait|shorts|tiktok)( |$)|9 16/.test(stem)) return 'portrait';
+  return null;
+}
+
+// Stored per entry; everything else is derived from the key
+const ENTRY_FIELDS = [
+  'size', 'etag', 'lastModified', 'duration', 'width', 'height',
+  'tags', 'meta', 'sidecarEtag', 'metaEtag', 'embedding', 'embeddingModel', 'embeddedText'
+];
+
+function makeEntry(key, info = {}) {
+  const stem = stemFromKey(key);
+  const parts = key.split('/');
+  const entry = {
+    key,
+    stem,
+    tokens: tokensFromStem(stem),
+    folder: parts.length > 1 ? parts[parts.length - 2] : ''
+  };
+  for (const field of ENTRY_FIELDS) entry[field] = info[field] ?? null;
+  entry.tags = entry.tags || [];
+  entry.orientation = orientationOf(entry.width, entry.height, stem);
+  return entry;
+}
+
+// Provenance kept from a sidecar (tags are stored separately for matching)
+function metaFromSidecar(doc) {
+  const meta = {};
+  for (const field of ['subject', 'scriptLine', 'category', 'source', 'providerId', 'license', 'licenseUrl', 'photographer', 'photographerUrl', 'pageUrl']) {
+    meta[field] = doc[field] ?? null;
+  }
+  return meta;
+}
+
+function emptyCatalog() {
+  return { version: CATALOG_VERSION, bucket: LIBRARY_BUCKET, refreshedAt: 0, entries: {} };
+}
+
+function loadCatalog() {
+  if (catalog) return catalog;
+  catalog = emptyCatalog();
+  if (!fs.existsSync(CATALOG_FILE)) {
+    console.log('[10H][LOAD] No catalog on disk yet, first refresh will build it.');
+    return catalog;
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+    if (data.version !== CATALOG_VERSION || data.bucket !== LIBRARY_BUCKET) {
+      console.warn(`[10H][LOAD][WARN] Catalog on disk is for ${data.bucket} v${data.version}, rebuilding for ${LIBRARY_BUCKET} v${CATALOG_VERSION}.`);
+      return catalog;
+    }
+    catalog = data;
+    console.log(`[10H][LOAD] ${Object.keys(catalog.entries).length} entries, refreshed ${new Date(catalog.refreshedAt).toISOString()}`);
+  } catch (err) {
+    console.error('[10H][LOAD][ERR] Corrupt catalog, rebuilding:', err);
+  }
+  return catalog;
+}
+
+// --- Atomic write: tmp file + rename, so a crash never leaves half an index ---
+function saveCatalog() {
+  const tmp = `${CATALOG_FILE}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(CATALOG_DIR, { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(catalog), 'utf8');
+    fs.renameSync(tmp, CATALOG_FILE);
+  } catch (err) {
+    console.error('[10H][WRITE][ERR] Failed to persist catalog:', err);
+    try { fs.unlinkSync(tmp); } catch (_) {}
+  }
+}
+
+/**
+ * True when the catalog was never listed or is older than the TTL.
+ * @returns {boolean}
+ */
+function isCatalogStale() {
+  return Date.now() - loadCatalog().refreshedAt > CATALOG_TTL_MS;
+}
+
+/**
+ * Merges a full bucket listing into the catalog and persists it.
+ * @param {object[]} objects - ListObjectsV2 Contents ({ Key, Size, ETag, LastModified })
+ * @param {string} [jobId]
+ * @returns {{ added: number, changed: number, removed: number, total: number, pendingSidecars: number }}
+ */
+function applyListing(objects, jobId = '') {
+  const current = loadCatalog().entries;
+  const next = {};
+  const sidecarEtags = new Map();
+  let added = 0;
+  let changed = 0;
+  for (const obj of objects || []) {
+    if (obj && isSidecarKey(obj.Key)) sidecarEtags.set(obj.Key, obj.ETag ? String(obj.ETag).replace(/"/g, '') : 'listed');
+  }
+  for (const obj of objects || []) {
+    if (!obj || !obj.Key || obj.Key.endsWith('/') || isSidecarKey(obj.Key)) continue;
+    const prev = current[obj.Key];
+    const info = {
+      size: obj.Size ?? null,
+      etag: obj.ETag ? String(obj.ETag).replace(/"/g, '') : null,
+      lastModified: obj.LastModified ? new Date(obj.LastModified).toISOString() : null
+    };
+    if (prev && (!prev.etag || !info.etag || prev.etag === info.etag)) {
+      next[obj.Key] = { ...prev, ...info };
+    } else {
+      if (prev) changed++;
+      else added++;
+      next[obj.Key] = makeEntry(obj.Key, info);
+    }
+    const entry = next[obj.Key];
+    entry.sidecarEtag = sidecarEtags.get(sidecarKeyFor(obj.Key)) || null;
+    // Sidecar deleted → its tags go too
+    if (!entry.sidecarEtag && entry.metaEtag) Object.assign(entry, { tags: [], meta: null, metaEtag: null });
+  }
+  const removed = Object.keys(current).filter(k => !next[k]).length;
+  catalog.entries = next;
+  catalog.refreshedAt = Date.now();
+  saveCatalog();
+  const total = Object.keys(next).length;
+  const pendingSidecars = getPendingSidecars(Infinity).length;
+  console.log(`[10H][REFRESH][${jobId}] ${total} objects | +${added} new, ${changed} changed, -${removed} removed | ${pendingSidecars} sidecars to load`);
+  return { added, changed, removed, total, pendingSidecars };
+}
+
+/**
+ * Clips whose sidecar is new or changed since it was last loaded.
+ * @param {number} [limit=Infinity]
+ * @returns {{ key: string, sidecarKey: string, etag: string }[]}
+ */
+function getPendingSidecars(limit = Infinity) {
+  const pending = [];
+  for (const entry of Object.values(loadCatalog().entries)) {
+    if (pending.length >= limit) break;
+    if (entry.sidecarEtag && entry.sidecarEtag !== entry.metaEtag) {
+      pending.push({ key: entry.key, sidecarKey: sidecarKeyFor(entry.key), etag: entry.sidecarEtag });
+    }
+  }
+  return pending;
+}
+
+/**
+ * Attaches a sidecar's tags and provenance to its clip entry.
+ * @param {string} key - Clip key
+ * @param {object} doc - Parsed sidecar (10I buildSidecar shape)
+ * @param {object} [opts]
+ * @param {string} [opts.etag] - Sidecar ETag, so it is not loaded again until it changes
+ * @param {boolean} [opts.save=true] - Batch loaders persist once at the end
+ * @param {string} [opts.jobId]
+ * @returns {object|null} The entry, or null if the clip is not in the catalog
+ */
+function attachSidecar(key, doc, { etag = null, save = true, jobId = '' } = {}) {
+  const entry = loadCatalog().entries[key];
+  if (!entry || !doc || typeof doc !== 'object') return null;
+  entry.tags = normalizeTags(doc.tags);
+  entry.meta = metaFromSidecar(doc);
+  entry.metaEtag = etag || entry.sidecarEtag || 'uploaded';
+  if (!entry.sidecarEtag) entry.sidecarEtag = entry.metaEtag;
+  // Sidecar resolution fills in until the clip itself is probed
+  for (const field of ['width', 'height', 'duration']) {
+    if (!entry[field] && doc[field]) entry[field] = doc[field];
+  }
+  entry.orientation = orientationOf(entry.width, entry.height, entry.stem);
+  if (save) saveCatalog();
+  console.log(`[10H][SIDECAR][${jobId}] ${key} | ${entry.tags.length} tags | ${entry.meta.source || '?'}:${entry.meta.providerId || '?'}`);
+  return entry;
+}
+
+/**
+ * What gets embedded for an entry: original subject, sidecar tags, then the file name words.
+ * @param {object} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+  const words = (entry.tokens || []).filter(t => !/^\d+$/.test(t)).join(' ');
+  return [entry.meta && entry.meta.subject, (entry.tags || []).join(', '), words, (entry.folder || '').replace(/_/g, ' ')]
+    .filter(Boolean)
+    .join(' | ');
+}
+
+/**
+ * Entries with no embedding for their current description under this model.
+ * @param {string} modelId - From 10J getEmbeddingModelId
+ * @param {number} [limit=Infinity]
+ * @returns {{ key: string, text: string }[]}
+ */
+function getPendingEmbeddings(modelId, limit = Infinity) {
+  const pending = [];
+  for (const entry of Object.values(loadCatalog().entries)) {
+    if (pending.length >= limit) break;
+    const text = describeEntry(entry);
+    if (entry.embeddingModel !== modelId || entry.embeddedText !== text) pending.push({ key: entry.key, text });
+  }
+  return pending;
+}
+
+/**
+ * Stores an entry's embedding (persist with flushCatalog after a batch).
+ * @param {string} key
+ * @param {Float32Array|number[]} vector
+ * @param {string} text - The description that was embedded
+ * @param {string} modelId
+ */
+function attachEmbedding(key, vector, text, modelId) {
+  const entry = loadCatalog().entries[key];
+  if (!entry) return;
+  entry.embedding = encodeVector(vector);
+  entry.embeddingModel = modelId;
+  entry.embeddedText = text;
+}
+
+/**
+ * Decoded embedding of an entry, or null if it has none yet.
+ * @param {object} entry
+ * @returns {Float32Array|null}
+ */
+function getEntryVector(entry) {
+  if (!entry || !entry.embedding) return null;
+  const cached = vectorCache.get(entry.key);
+  if (cached && cached.encoded === entry.embedding) return cached.vector;
+  const vector = decodeVector(entry.embedding);
+  vectorCache.set(entry.key, { encoded: entry.embedding, vector });
+  return vector;
+}
+
+/**
+ * Persists the catalog (after a batch of attachSidecar(..., { save: false }) or attachEmbedding).
+ */
+function flushCatalog() {
+  saveCatalog();
+}
+
+/**
+ * Adds or updates one object (e.g. just uploaded by 10E) without relisting.
+ * @param {string} key
+ * @param {object} [info] - { size, etag, lastModified, duration, width, height }
+ * @param {string} [jobId]
+ * @returns {object} The entry
+ */
+function recordLibraryObject(key, info = {}, jobId = '') {
+  const entries = loadCatalog().entries;
+  const prev = entries[key] || {};
+  const merged = {};
+  for (const field of ENTRY_FIELDS) {
+    merged[field] = info[field] ?? prev[field] ?? null;
+  }
+  entries[key] = makeEntry(key, merged);
+  saveCatalog();
+  console.log(`[10H][RECORD][${jobId}] ${key} | ${entries[key].width || '?'}x${entries[key].height || '?'} ${entries[key].duration || '?'}s ${entries[key].orientation || ''}`);
+  return entries[key];
+}
+
+/**
+ * Probes a local copy of a library object and stores its duration/resolution.
+ * Skips objects that already have metadata unless force is set. Never throws.
+ * @param {string} key
+ * @param {string} localPath
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]
+ * @param {boolean} [opts.force]
+ * @returns {Promise<object|null>} The entry, or null if probing failed
+ */
+async function recordProbedClip(key, localPath, { jobId = '', force = false } = {}) {
+  const existing = loadCatalog().entries[key];
+  if (!force && existing && existing.duration && existing.width) return existing;
+  try {
+    const probed = await probeClip(localPath);
+    let size = null;
+    try { size = fs.statSync(localPath).size; } catch (_) {}
+    return recordLibraryObject(key, { ...probed, size: existing && existing.size ? existing.size : size }, jobId);
+  } catch (err) {
+    console.error(`[10H][PROBE][ERR][${jobId}] Could not probe ${localPath} for ${key}:`, err.message || err);
+    return null;
+  }
+}
+
+/**
+ * Every catalog entry, sorted by key (stable order for matching).
+ * @returns {object[]}
+ */
+function getCatalogEntries() {
+  return Object.values(loadCatalog().entries).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * @param {string} key
+ * @returns {object|null}
+ */
+function getCatalogEntry(key) {
+  return loadCatalog().entries[key] || null;
+}
+
+module.exports = {
+  LIBRARY_BUCKET,
+  normalizeForMatch,
+  stemFromKey,
+  isCatalogStale,
+  applyListing,
+  getPendingSidecars,
+  attachSidecar,
+  describeEntry,
+  getPendingEmbeddings,
+  attachEmbedding,
+  getEntryVector,
+  flushCatalog,
+  recordLibraryObject,
+  recordProbedClip,
+  getCatalogEntries,
+  getCatalogEntry
+};
@@ -0,0 +1,162 @@
+// ===========================================================
+// SECTION 10I: CLIP METADATA (provenance that survives archiving)
+// Provider helpers (10B/10C/10F) drop a small JSON next to each downloaded clip
+// (<clip>.info.json: provider id, tags, license, photographer, resolution).
+// 5B copies it onto the scene's archive entry together with the script line,
+// and 10E stores it in the library as a sidecar object next to the clip:
+//   socialstorm-library/<category>/<name>.mp4  +  <name>.meta.json
+// The library catalog (10H) indexes sidecar tags so 10A/5D can match on them.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+
+const SIDECAR_VERSION = 1;
+const SIDECAR_SUFFIX = '.meta.json';
+const LOCAL_INFO_SUFFIX = '.info.json';
+const MAX_TAGS = 30;
+
+const LICENSES = {
+  pexels: { name: 'Pexels License', url: 'https://www.pexels.com/license/' },
+  pixabay: { name: 'Pixabay Content License', url: 'https://pixabay.com/service/license-summary/' },
+  unsplash: { name: 'Unsplash License', url: 'https://unsplash.com/license' }
+};
+
+console.log('[10I][INIT] Clip metadata module loaded.');
+
+/**
+ * Lowercased, trimmed, unique tags (accepts an array or a comma list).
+ * @param {string|string[]} raw
+ * @returns {string[]}
+ */
+function normalizeTags(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  const tags = list
+    .map(t => (t && typeof t === 'object' ? t.title : t))
+    .filter(t => typeof t === 'string')
+    .map(t => t.toLowerCase().replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Records where a downloaded clip came from. Never throws (a clip without info still renders).
+ * @param {string} localPath - The downloaded clip
+ * @param {object} info - { source, providerId, tags, photographer, photographerUrl, pageUrl, width, height, duration }
+ */
+function writeClipInfo(localPath, info) {
+  const source = String(info.source || '').toLowerCase();
+  const record = {
+    source,
+    providerId: info.providerId != null ? String(info.providerId) : null,
+    tags: normalizeTags(info.tags),
+    license: LICENSES[source] ? LICENSES[source].name : null,
+    licenseUrl: LICENSES[source] ? LICENSES[source].url : null,
+    photographer: info.photographer || null,
+    photographerUrl: info.photographerUrl || null,
+    pageUrl: info.pageUrl || null,
+    width: info.width || null,
+    height: info.height || null,
+    duration: info.duration || null
+  };
+  try {
+    fs.writeFileSync(`${localPath}${LOCAL_INFO_SUFFIX}`, JSON.stringify(record, null, 2), 'utf8');
+    console.log(`[10I][INFO] ${source}:${record.providerId} → ${localPath} (${record.tags.length} tags)`);
+  } catch (err) {
+    console.error(`[10I][INFO][ERR] Could not write clip info for ${localPath}:`, err);
+  }
+}
+
+/**
+ * @param {string} localPath
+ * @returns {object|null} What writeClipInfo stored, or null
+ */
+function readClipInfo(localPath) {
+  if (!localPath) return null;
+  const file = `${localPath}${LOCAL_INFO_SUFFIX}`;
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`[10I][INFO][ERR] Corrupt clip info ${file}:`, err);
+    return null;
+  }
+}
+
+function probeClip(localPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(localPath, (err, metadata) => {
+      if (err) return reject(err);
+      // Cover art in an audio file is a "video" stream too; it is not footage
+      const stream = (metadata.streams || []).find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic)) || {};
+      resolve({
+        duration: Number(metadata.format && metadata.format.duration) || null,
+        width: stream.width || null,
+        height: stream.height || null
+      });
+    });
+  });
+}
+
+/**
+ * Sidecar object key for a library clip key.
+ * @param {string} key
+ * @returns {string}
+ */
+function sidecarKeyFor(key) {
+  return key.replace(/\.[a-z0-9]+$/i, '') + SIDECAR_SUFFIX;
+}
+
+function isSidecarKey(key) {
+  return typeof key === 'string' && key.toLowerCase().endsWith(SIDECAR_SUFFIX);
+}
+
+/**
+ * Builds the library sidecar for an archived clip.
+ * @param {object} opts
+ * @param {string} opts.key - Library key of the clip
+ * @param {string} opts.subject
+ * @param {number|string} opts.sceneIdx
+ * @param {string} opts.source
+ * @param {string} opts.category
+ * @param {string} [opts.scriptLine] - Narration the clip was used for
+ * @param {object} [opts.clipInfo] - From readClipInfo
+ * @param {object} [opts.probed] - { width, height, duration } of the archived file
+ * @returns {object}
+ */
+function buildSidecar({ key, subject, sceneIdx, source, category, scriptLine = null, clipInfo = null, probed = null }) {
+  const info = clipInfo || {};
+  const media = probed || {};
+  return {
+    version: SIDECAR_VERSION,
+    key,
+    subject: subject || null,
+    sceneIdx: Number(sceneIdx) || 0,
+    scriptLine: scriptLine || null,
+    category: category || null,
+    source: info.source || source || null,
+    providerId: info.providerId || null,
+    tags: normalizeTags([...(info.tags || []), ...(subject ? [subject] : [])]),
+    license: info.license || null,
+    licenseUrl: info.licenseUrl || null,
+    photographer: info.photographer || null,
+    photographerUrl: info.photographerUrl || null,
+    pageUrl: info.pageUrl || null,
+    width: media.width || info.width || null,
+    height: media.height || info.height || null,
+    duration: media.duration || info.duration || null,
+    archivedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  SIDECAR_SUFFIX,
+  normalizeTags,
+  writeClipInfo,
+  readClipInfo,
+  probeClip,
+  sidecarKeyFor,
+  isSidecarKey,
+  buildSidecar
+};
@@ -0,0 +1,213 @@
+// ===========================================================
+// SECTION 10J: TEXT EMBEDDINGS (local, CPU-only semantic matching)
+// Sentence embeddings from a small local model (transformers.js / ONNX,
+// default Xenova/all-MiniLM-L6-v2, quantized, ~25 MB, downloaded once to models/).
+// Scorers (10A/10B/10C/10F/10G) blend cosine similarity to the scene subject
+// into their keyword scores, so "ape" finds "gorilla" without a synonym table.
+// Optional by design: if the runtime or model cannot load, or EMBEDDINGS_ENABLED=0,
+// every caller keeps its keyword-only score (logged, never fatal). A failed load (e.g. the
+// first model download hit a network error) is retried after a backoff (1 min, doubling to 30 min).
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const path = require('path');
+
+const EMBEDDINGS_ENABLED = process.env.EMBEDDINGS_ENABLED !== '0';
+const EMBEDDINGS_MODEL = process.env.EMBEDDINGS_MODEL || 'Xenova/all-MiniLM-L6-v2';
+const MODEL_CACHE_DIR = process.env.EMBEDDINGS_CACHE_DIR || path.join(__dirname, '..', 'models');
+const MAX_CACHED_TEXTS = 5000;
+const MAX_TEXT_CHARS = 500;
+const BATCH_SIZE = 32;
+// Below this, two texts are treated as unrelated (MiniLM rarely goes under ~0.1 for English)
+const SIMILARITY_FLOOR = 0.2;
+const LOAD_RETRY_MIN_MS = 60 * 1000;
+const LOAD_RETRY_MAX_MS = 30 * 60 * 1000;
+
+console.log(`[10J][INIT] Text embeddings module loaded. Model: ${EMBEDDINGS_MODEL} | enabled=${EMBEDDINGS_ENABLED}`);
+
+// text → Float32Array (insertion order = age; oldest dropped first)
+const vectorCache = new Map();
+let extractorPromise = null;
+let customProvider = null;
+let loadFailures = 0;
+let nextLoadAttempt = 0; // after a failure: no new attempt before this time (ms)
+
+// --- Lazy model load; resolves to null (logged) when unavailable, retried after a backoff ---
+function loadExtractor() {
+  if (!extractorPromise) {
+    if (Date.now() < nextLoadAttempt) return Promise.resolve(null);
+    extractorPromise = (async () => {
+      const started = Date.now();
+      const { pipeline, env } = await import('@huggingface/transformers');
+      env.cacheDir = MODEL_CACHE_DIR;
+      const extractor = await pipeline('feature-extraction', EMBEDDINGS_MODEL, { dtype: 'q8' });
+      console.log(`[10J][LOAD] ${EMBEDDINGS_MODEL} ready in ${Date.now() - started}ms (cache ${MODEL_CACHE_DIR})`);
+      loadFailures = 0;
+      return extractor;
+    })().catch(err => {
+      const retryMs = Math.min(LOAD_RETRY_MIN_MS * 2 ** loadFailures, LOAD_RETRY_MAX_MS);
+      loadFailures++;
+      nextLoadAttempt = Date.now() + retryMs;
+      extractorPromise = null;
+      console.error(`[10J][LOAD][ERR] Embedding model unavailable, keyword scoring only (retry in ${Math.round(retryMs / 1000)}s):`, err.message || err);
+      return null;
+    });
+  }
+  return extractorPromise;
+}
+
+/**
+ * Swaps in another embedding engine (remote service, test double...).
+ * @param {function(string[]): Promise<Array<Float32Array|number[]>>|null} fn - null restores the local model
+ */
+function setEmbeddingProvider(fn) {
+  customProvider = typeof fn === 'function' ? fn : null;
+  vectorCache.clear();
+  console.log(`[10J][PROVIDER] ${customProvider ? 'Custom embedding provider set' : 'Using local model'}`);
+}
+
+/**
+ * Name of the active engine, stored with persisted vectors so a model change re-embeds.
+ * @returns {string}
+ */
+function getEmbeddingModelId() {
+  return customProvider ? `custom:${customProvider.name || 'anonymous'}` : EMBEDDINGS_MODEL;
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, MAX_TEXT_CHARS);
+}
+
+function normalizeVector(vec) {
+  const out = Float32Array.from(vec);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm) || 1;
+  for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+async function runEngine(texts) {
+  if (customProvider) return customProvider(texts);
+  const extractor = await loadExtractor();
+  if (!extractor) return null;
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  return output.tolist();
+}
+
+/**
+ * Unit-length embeddings for texts (cached per text).
+ * @param {string[]} texts
+ * @returns {Promise<Array<Float32Array|null>|null>} null when embeddings are unavailable
+ */
+async function embedTexts(texts) {
+  if (!EMBEDDINGS_ENABLED || !Array.isArray(texts)) return null;
+  const cleaned = texts.map(cleanText);
+  const missing = [...new Set(cleaned.filter(t => t && !vectorCache.has(t)))];
+  try {
+    for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+      const batch = missing.slice(i, i + BATCH_SIZE);
+      const vectors = await runEngine(batch);
+      if (!vectors) return null;
+      batch.forEach((text, k) => {
+        vectorCache.set(text, normalizeVector(vectors[k]));
+        if (vectorCache.size > MAX_CACHED_TEXTS) vectorCache.delete(vectorCache.keys().next().value);
+      });
+    }
+  } catch (err) {
+    console.error(`[10J][EMBED][ERR] Embedding ${missing.length} texts failed:`, err.message || err);
+    return null;
+  }
+  return cleaned.map(t => (t ? vectorCache.get(t) : null));
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<Float32Array|null>}
+ */
+async function embedText(text) {
+  const vectors = await embedTexts([text]);
+  return vectors ? vectors[0] : null;
+}
+
+/**
+ * Cosine similarity of two unit vectors.
+ * @returns {number} -1..1 (0 if either is missing or the sizes differ)
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+/**
+ * Score bonus for a similarity: 0 at or below SIMILARITY_FLOOR, `scale` at 1.
+ * @param {number} similarity
+ * @param {number} scale - Max bonus, in the calling scorer's units
+ * @returns {number}
+ */
+function semanticBonus(similarity, scale) {
+  if (typeof similarity !== 'number') return 0;
+  return Math.round((Math.max(0, similarity - SIMILARITY_FLOOR) / (1 - SIMILARITY_FLOOR)) * scale);
+}
+
+/**
+ * Adds a semantic bonus to each item's keyword score (in place) and records item.similarity.
+ * Items are not re-sorted. Without embeddings, items are left untouched.
+ * @param {string} subject
+ * @param {object[]} items - Each with a numeric .score
+ * @param {object} opts
+ * @param {number} opts.scale - Max bonus (scorer units)
+ * @param {function(object): string} [opts.textOf] - Description to embed per item
+ * @param {function(object): (Float32Array|null)} [opts.vectorOf] - Precomputed vector (e.g. from the catalog)
+ * @param {string} [opts.tag] - Log tag, e.g. '10B'
+ * @param {string} [opts.jobId]
+ * @returns {Promise<boolean>} true if scores were blended
+ */
+async function blendSemanticScores(subject, items, { scale, textOf = null, vectorOf = null, tag = '10J', jobId = '' }) {
+  if (!EMBEDDINGS_ENABLED || !subject || !Array.isArray(items) || !items.length) return false;
+  const subjectVec = await embedText(subject);
+  if (!subjectVec) return false;
+
+  const needText = items.filter(item => !(vectorOf && vectorOf(item)) && textOf);
+  const textVecs = needText.length ? await embedTexts(needText.map(textOf)) : [];
+  if (!textVecs) return false;
+  const onTheFly = new Map(needText.map((item, i) => [item, textVecs[i]]));
+
+  let blended = 0;
+  for (const item of items) {
+    const vec = (vectorOf && vectorOf(item)) || onTheFly.get(item);
+    if (!vec) continue;
+    item.similarity = Math.round(cosineSimilarity(subjectVec, vec) * 1000) / 1000;
+    item.score += semanticBonus(item.similarity, scale);
+    blended++;
+  }
+  console.log(`[${tag}][SEMANTIC][${jobId}] "${subject}": blended ${blended}/${items.length} candidates (scale ${scale})`);
+  return blended > 0;
+}
+
+// --- Compact storage for persisted vectors (catalog JSON) ---
+function encodeVector(vec) {
+  return Buffer.from(Float32Array.from(vec).buffer).toString('base64');
+}
+
+function decodeVector(str) {
+  if (typeof str !== 'string' || !str) return null;
+  // Copy: pooled Buffers are not always 4-byte aligned
+  const bytes = new Uint8Array(Buffer.from(str, 'base64'));
+  return new Float32Array(bytes.buffer, 0, Math.floor(bytes.length / 4));
+}
+
+module.exports = {
+  EMBEDDINGS_ENABLED,
+  setEmbeddingProvider,
+  getEmbeddingModelId,
+  embedTexts,
+  embedText,
+  cosineSimilarity,
+  semanticBonus,
+  blendSemanticScores,
+  encodeVector,
+  decodeVector
+};
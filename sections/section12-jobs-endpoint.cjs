@@ -0,0 +1,83 @@
+/* ===========================================================
+   SECTION 12: JOBS API (Modular)
+   -----------------------------------------------------------
+   - Exports registerJobsEndpoint(app)
+   - GET /api/jobs          → recent job records (newest first)
+   - GET /api/jobs/:jobId   → full job record (inputs, outputs, timestamps)
+   - GET /api/queue         → render queue stats (active, waiting, retry hint)
+   - DELETE /api/jobs/:jobId (or POST /api/jobs/:jobId/cancel)
+                            → cancel a queued/running job (Section 5K)
+   - POST /api/jobs/:jobId/retry lives in Section 5B (needs the job runner)
+   - Reads from the persistent job store (Section 5I)
+   - MAX logging everywhere
+   =========================================================== */
+
+console.log('\n========== [SECTION 12] Jobs API ==========');
+
+const jobStore = require('./section5i-job-store.cjs');
+const { renderQueue } = require('./section5j-render-queue.cjs');
+const { cancelVideoJob } = require('./section5k-job-cancellation.cjs');
+const { cleanupJob } = require('./section5h-job-cleanup.cjs');
+
+function registerJobsEndpoint(app) {
+  console.log('[SECTION12][INIT] registerJobsEndpoint called');
+  if (!app) throw new Error('[SECTION12][FATAL] No app instance provided!');
+
+  app.get('/api/jobs', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 200);
+    console.log(`[SECTION12][REQ] GET /api/jobs?limit=${limit}`);
+    try {
+      const jobs = jobStore.listJobs(limit);
+      res.json({ success: true, jobs });
+    } catch (err) {
+      console.error('[SECTION12][ERR] Failed to list jobs:', err);
+      res.status(500).json({ success: false, error: 'Failed to list jobs' });
+    }
+  });
+
+  app.get('/api/queue', (req, res) => {
+    console.log('[SECTION12][REQ] GET /api/queue');
+    res.json({ success: true, queue: renderQueue.stats() });
+  });
+
+  app.get('/api/jobs/:jobId', (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[SECTION12][REQ] GET /api/jobs/${jobId}`);
+    const job = jobStore.getJob(jobId);
+    if (!job) {
+      console.warn(`[SECTION12][404] Job not found: ${jobId}`);
+      return res.status(404).json({ success: false, error: 'Job not found', jobId });
+    }
+    res.json({ success: true, job });
+  });
+
+  function handleCancel(req, res) {
+    const { jobId } = req.params;
+    console.log(`[SECTION12][REQ] ${req.method} ${req.originalUrl}`);
+    const result = cancelVideoJob(jobId);
+    if (!result.ok && result.code === 'NOT_FOUND') {
+      console.warn(`[SECTION12][404] Job not found: ${jobId}`);
+      return res.status(404).json({ success: false, error: 'Job not found', jobId });
+    }
+    if (!result.ok) {
+      return res.status(409).json({ success: false, error: `Job already ${result.state}`, jobId, state: result.state });
+    }
+    // A job that never left the queue has no worker to run its cleanup
+    if (result.wasQueued) {
+      try {
+        cleanupJob(jobId, null);
+      } catch (err) {
+        console.warn(`[SECTION12][CLEANUP][WARN][${jobId}] Cleanup failed:`, err);
+      }
+    }
+    res.json({ success: true, jobId, state: result.state });
+  }
+
+  app.delete('/api/jobs/:jobId', handleCancel);
+  app.post('/api/jobs/:jobId/cancel', handleCancel);
+
+  console.log('[SECTION12][INFO] /api/jobs and /api/queue endpoints registered.');
+}
+
+console.log('[SECTION12][EXPORT] registerJobsEndpoint exported');
+module.exports = registerJobsEndpoint;
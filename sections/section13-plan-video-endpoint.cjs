@@ -0,0 +1,60 @@
+/* ===========================================================
+   SECTION 13: PLAN VIDEO API (Modular)
+   -----------------------------------------------------------
+   - Exports registerPlanVideoEndpoint(app)
+   - POST /api/plan-video → editable scene plan (Section 5Q)
+       body: { script, sceneMap?, speakingRate?, includeCandidates?, candidateLimit? }
+       sceneMap is Section 4's SCENE_MAP (subject, alternates, must_tokens, mood per line)
+   - Send the (edited) plan back as `plan` on /api/generate-video to render it as-is
+   - MAX logging everywhere
+   =========================================================== */
+
+console.log('\n========== [SECTION 13] Plan Video API ==========');
+
+const { buildScenePlan } = require('./section5q-scene-planner.cjs');
+const { normalizeProsodyOptions } = require('./section5m-prosody-markup.cjs');
+
+const MAX_SCRIPT_CHARS = 10000;
+
+function registerPlanVideoEndpoint(app) {
+  console.log('[SECTION13][INIT] registerPlanVideoEndpoint called');
+  if (!app) throw new Error('[SECTION13][FATAL] No app instance provided!');
+
+  app.post('/api/plan-video', async (req, res) => {
+    console.log('[SECTION13][REQ] POST /api/plan-video');
+    const body = req.body || {};
+    const { script, sceneMap, includeCandidates, candidateLimit } = body;
+    if (typeof script !== 'string' || !script.trim()) {
+      return res.status(400).json({ success: false, error: 'script must be a non-empty string' });
+    }
+    if (script.length > MAX_SCRIPT_CHARS) {
+      return res.status(400).json({ success: false, error: `script is longer than ${MAX_SCRIPT_CHARS} characters` });
+    }
+    if (sceneMap !== undefined && sceneMap !== null && !Array.isArray(sceneMap)) {
+      return res.status(400).json({ success: false, error: 'sceneMap must be an array' });
+    }
+
+    try {
+      const plan = await buildScenePlan({
+        script,
+        sceneMap,
+        speakingRate: normalizeProsodyOptions(body).speakingRate,
+        includeCandidates: includeCandidates !== false,
+        candidateLimit
+      });
+      if (plan.scenes.length < 2) {
+        console.warn(`[SECTION13][WARN] Script produced ${plan.scenes.length} scene(s), not renderable`);
+        return res.status(400).json({ success: false, error: 'Script needs at least two usable lines (hook + main scene).', plan });
+      }
+      console.log(`[SECTION13][OK] Plan built: ${plan.scenes.length} scenes, ~${plan.estimatedDuration}s`);
+      res.json({ success: true, plan });
+    } catch (err) {
+      console.error('[SECTION13][ERR] Failed to build plan:', err);
+      res.status(500).json({ success: false, error: 'Failed to build scene plan' });
+    }
+  });
+
+  console.log('[SECTION13][SUCCESS] /api/plan-video endpoint registered.');
+}
+
+module.exports = registerPlanVideoEndpoint;
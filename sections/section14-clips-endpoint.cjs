@@ -0,0 +1,140 @@
+/* ===========================================================
+   SECTION 14: CLIPS API (Modular)
+   -----------------------------------------------------------
+   - Exports registerClipsEndpoint(app)
+   - GET /api/clips/search?subject=...&limit=5&sources=r2,pexels
+       scored candidates from R2, Pexels, Pixabay, Unsplash (Section 5Q → 10A/10B/10C/10F)
+       with thumbnails, durations and provider ids; scores only compare within a source.
+       Any candidate can be sent back as a scene's clip override (Section 5R)
+   - POST /api/clips/upload → multipart field "file" (video or image)
+       mp4/mov/webm/jpg/png/webp, max CLIP_UPLOAD_MAX_MB (default 200)
+       returns { upload, clip } — send `clip` as a scene override on /api/generate-video
+   - Uploads are stored under uploads/ (Section 5R resolves them per scene); the janitor (5X)
+     removes them after UPLOAD_RETENTION_HOURS or when the folder passes UPLOAD_DIR_MAX_MB
+   - MAX logging everywhere
+   =========================================================== */
+
+console.log('\n========== [SECTION 14] Clips API ==========');
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { probeClip } = require('./section10i-clip-metadata.cjs');
+const { UPLOAD_DIR, UPLOAD_TYPES, MAX_UPLOAD_BYTES } = require('./section5r-clip-overrides.cjs');
+const { CANDIDATE_SOURCES, searchClipCandidates } = require('./section5q-scene-planner.cjs');
+
+const MAX_SUBJECT_CHARS = 200;
+const MAX_SEARCH_LIMIT = 10;
+const ALLOWED_EXTENSIONS = ['.mp4', '.mov', '.webm', '.jpg', '.jpeg', '.png', '.webp'];
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+      cb(null, UPLOAD_DIR);
+    },
+    filename: (req, file, cb) => cb(null, `${uuidv4()}${UPLOAD_TYPES[file.mimetype].ext}`)
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname || '').toLowerCase();
+    if (!UPLOAD_TYPES[file.mimetype] || !ALLOWED_EXTENSIONS.includes(ext)) {
+      const err = new Error(`Unsupported file type: ${file.mimetype} (${ext || 'no extension'})`);
+      err.code = 'UNSUPPORTED_TYPE';
+      return cb(err);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+// --- Content check: the declared type has to actually decode (videos need a real video stream) ---
+async function inspectUpload(file) {
+  const kind = UPLOAD_TYPES[file.mimetype].kind;
+  if (kind === 'image') {
+    const meta = await sharp(file.path).metadata();
+    if (!meta.width || !meta.height) throw new Error('Image has no dimensions');
+    return { kind, width: meta.width, height: meta.height };
+  }
+  const { duration, width, height } = await probeClip(file.path);
+  if (!width || !height) throw new Error('No video stream (audio-only or cover art)');
+  if (!(duration > 0)) throw new Error('Video has no duration');
+  return { kind, duration, width, height };
+}
+
+function registerClipsEndpoint(app) {
+  console.log('[SECTION14][INIT] registerClipsEndpoint called');
+  if (!app) throw new Error('[SECTION14][FATAL] No app instance provided!');
+
+  app.get('/api/clips/search', async (req, res) => {
+    const subject = typeof req.query.subject === 'string' ? req.query.subject.trim() : '';
+    console.log(`[SECTION14][REQ] GET /api/clips/search?subject=${subject}`);
+    if (!subject || subject.length > MAX_SUBJECT_CHARS) {
+      return res.status(400).json({ success: false, error: `subject is required (max ${MAX_SUBJECT_CHARS} characters)` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), MAX_SEARCH_LIMIT);
+    const known = Object.keys(CANDIDATE_SOURCES);
+    const sources = typeof req.query.sources === 'string'
+      ? req.query.sources.split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+      : known;
+    const unknown = sources.filter(s => !known.includes(s));
+    if (unknown.length || !sources.length) {
+      return res.status(400).json({ success: false, error: `sources must be a comma list of: ${known.join(', ')}` });
+    }
+
+    try {
+      const candidates = await searchClipCandidates(subject, { jobId: 'search', limit, sources });
+      const counts = Object.fromEntries(sources.map(s => [s, candidates.filter(c => c.source === s).length]));
+      console.log(`[SECTION14][OK] ${candidates.length} candidates for "${subject}":`, JSON.stringify(counts));
+      res.json({ success: true, subject, counts, candidates });
+    } catch (err) {
+      console.error('[SECTION14][ERR] Clip search failed:', err);
+      res.status(500).json({ success: false, error: 'Clip search failed' });
+    }
+  });
+
+  app.post('/api/clips/upload', (req, res) => {
+    console.log('[SECTION14][REQ] POST /api/clips/upload');
+    upload(req, res, async (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          console.warn('[SECTION14][413] Upload too large');
+          return res.status(413).json({ success: false, error: `File is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB` });
+        }
+        if (err.code === 'UNSUPPORTED_TYPE') {
+          console.warn(`[SECTION14][415] ${err.message}`);
+          return res.status(415).json({ success: false, error: `${err.message}. Use mp4, mov, webm, jpg, png or webp.` });
+        }
+        if (err instanceof multer.MulterError) {
+          console.warn(`[SECTION14][400] Upload rejected: ${err.code}`);
+          return res.status(400).json({ success: false, error: err.message });
+        }
+        console.error('[SECTION14][ERR] Upload failed:', err);
+        return res.status(500).json({ success: false, error: 'Upload failed' });
+      }
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'No file uploaded (multipart field "file")' });
+      }
+
+      const uploadId = path.basename(req.file.path);
+      try {
+        const info = await inspectUpload(req.file);
+        console.log(`[SECTION14][OK] Stored upload ${uploadId} (${req.file.mimetype}, ${req.file.size} bytes)`);
+        res.json({
+          success: true,
+          upload: { id: uploadId, mimeType: req.file.mimetype, size: req.file.size, ...info },
+          clip: { source: 'upload', id: uploadId }
+        });
+      } catch (inspectErr) {
+        console.warn(`[SECTION14][400] Upload ${uploadId} is not a readable ${req.file.mimetype}:`, inspectErr.message || inspectErr);
+        fs.rm(req.file.path, { force: true }, () => {});
+        res.status(400).json({ success: false, error: 'The file could not be read as a video or image.' });
+      }
+    });
+  });
+
+  console.log('[SECTION14][SUCCESS] /api/clips/search and /api/clips/upload endpoints registered.');
+}
+
+module.exports = registerClipsEndpoint;
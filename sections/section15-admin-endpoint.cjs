@@ -0,0 +1,153 @@
+/* ===========================================================
+   SECTION 15: ADMIN API (Modular)
+   -----------------------------------------------------------
+   - Exports registerAdminEndpoint(app)
+   - GET /api/admin/cache                → stats of every managed cache (Section 5W)
+   - GET /api/admin/cache/:name?sort=lru|size|hits&limit=100
+                                         → stats + index entries (leased = in use by a running job)
+   - POST /api/admin/cache/:name/verify  → re-hash every file, corrupt ones are removed
+   - DELETE /api/admin/cache/:name?file=<name> | ?olderThanDays=N | (none = everything)
+                                         → purge; files leased by running jobs are kept
+   - GET /api/admin/disk?limit=20        → jobs/ usage by job state, largest work dirs with
+                                           what the janitor will do with them (Section 5X),
+                                           free space, uploads/ usage, cache totals
+   - POST /api/admin/jobs/sweep?dryRun=1 → run the janitor (job dirs, uploads, old job records) now
+                                           (dryRun: only list what would go)
+   - Requests need header x-admin-token: <ADMIN_TOKEN>; with ADMIN_TOKEN unset every
+     admin request is refused (403)
+   - MAX logging everywhere
+   =========================================================== */
+
+console.log('\n========== [SECTION 15] Admin API ==========');
+
+const crypto = require('crypto');
+const { getCache, listCaches } = require('./section5w-cache-manager.cjs');
+const { sweepJobDirs, getJobsDiskUsage, sweepUploads, getUploadsDiskUsage, sweepJobRecords } = require('./section5x-job-janitor.cjs');
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const MAX_LIST_LIMIT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function registerAdminEndpoint(app) {
+  console.log('[SECTION15][INIT] registerAdminEndpoint called');
+  if (!app) throw new Error('[SECTION15][FATAL] No app instance provided!');
+  if (!ADMIN_TOKEN) console.warn('[SECTION15][WARN] ADMIN_TOKEN not set: /api/admin routes will refuse every request');
+
+  // Compares digests so timingSafeEqual gets equal-length buffers whatever the header holds
+  function tokenMatches(token) {
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+      console.warn(`[SECTION15][403] ADMIN_TOKEN not configured, refusing: ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ success: false, error: 'Admin API disabled (ADMIN_TOKEN not set)' });
+    }
+    const token = req.get('x-admin-token');
+    if (token && tokenMatches(token)) return next();
+    console.warn(`[SECTION15][403] Bad or missing admin token: ${req.method} ${req.originalUrl}`);
+    res.status(403).json({ success: false, error: 'Admin token required' });
+  }
+
+  function cacheOr404(req, res) {
+    const cache = getCache(req.params.name);
+    if (!cache) {
+      console.warn(`[SECTION15][404] Cache not found: ${req.params.name}`);
+      res.status(404).json({ success: false, error: 'Cache not found', name: req.params.name, caches: listCaches().map(c => c.name) });
+    }
+    return cache;
+  }
+
+  app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    console.log('[SECTION15][REQ] GET /api/admin/cache');
+    res.json({ success: true, caches: listCaches().map(c => c.stats()) });
+  });
+
+  app.get('/api/admin/cache/:name', requireAdmin, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_LIST_LIMIT);
+    const sort = ['lru', 'size', 'hits'].includes(req.query.sort) ? req.query.sort : 'lru';
+    console.log(`[SECTION15][REQ] GET /api/admin/cache/${req.params.name}?sort=${sort}&limit=${limit}`);
+    const cache = cacheOr404(req, res);
+    if (!cache) return;
+    res.json({ success: true, stats: cache.stats(), entries: cache.list({ sort, limit }) });
+  });
+
+  app.post('/api/admin/cache/:name/verify', requireAdmin, async (req, res) => {
+    console.log(`[SECTION15][REQ] POST /api/admin/cache/${req.params.name}/verify`);
+    const cache = cacheOr404(req, res);
+    if (!cache) return;
+    try {
+      const result = await cache.verify();
+      res.json({ success: true, ...result, stats: cache.stats() });
+    } catch (err) {
+      console.error(`[SECTION15][ERR] Verify failed for cache ${cache.name}:`, err);
+      res.status(500).json({ success: false, error: 'Cache verify failed' });
+    }
+  });
+
+  app.delete('/api/admin/cache/:name', requireAdmin, (req, res) => {
+    console.log(`[SECTION15][REQ] DELETE ${req.originalUrl}`);
+    const cache = cacheOr404(req, res);
+    if (!cache) return;
+    let olderThanMs = null;
+    if (req.query.olderThanDays !== undefined) {
+      const days = Number(req.query.olderThanDays);
+      if (!Number.isFinite(days) || days < 0) {
+        return res.status(400).json({ success: false, error: 'olderThanDays must be a number >= 0' });
+      }
+      olderThanMs = days * DAY_MS;
+    }
+    const file = req.query.file ? String(req.query.file) : null;
+    if (file && (file.includes('/') || file.includes('\\'))) {
+      return res.status(400).json({ success: false, error: 'file must be a cache file name, not a path' });
+    }
+    try {
+      const result = cache.purge({ file, olderThanMs });
+      if (file && !result.removed && !result.skippedLeased) {
+        return res.status(404).json({ success: false, error: 'File not in cache', file });
+      }
+      res.json({ success: true, ...result, stats: cache.stats() });
+    } catch (err) {
+      console.error(`[SECTION15][ERR] Purge failed for cache ${cache.name}:`, err);
+      res.status(500).json({ success: false, error: 'Cache purge failed' });
+    }
+  });
+
+  app.get('/api/admin/disk', requireAdmin, (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_LIST_LIMIT);
+    console.log(`[SECTION15][REQ] GET /api/admin/disk?limit=${limit}`);
+    try {
+      res.json({
+        success: true,
+        jobs: getJobsDiskUsage({ limit }),
+        uploads: getUploadsDiskUsage(),
+        caches: listCaches().map(c => c.stats())
+      });
+    } catch (err) {
+      console.error('[SECTION15][ERR] Disk usage failed:', err);
+      res.status(500).json({ success: false, error: 'Disk usage failed' });
+    }
+  });
+
+  app.post('/api/admin/jobs/sweep', requireAdmin, (req, res) => {
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    console.log(`[SECTION15][REQ] POST /api/admin/jobs/sweep dryRun=${dryRun}`);
+    try {
+      res.json({
+        success: true,
+        ...sweepJobDirs({ dryRun }),
+        uploads: sweepUploads({ dryRun }),
+        records: sweepJobRecords({ dryRun })
+      });
+    } catch (err) {
+      console.error('[SECTION15][ERR] Job dir sweep failed:', err);
+      res.status(500).json({ success: false, error: 'Job dir sweep failed' });
+    }
+  });
+
+  console.log('[SECTION15][INFO] /api/admin/cache, /api/admin/disk and /api/admin/jobs/sweep endpoints registered.');
+}
+
+console.log('[SECTION15][EXPORT] registerAdminEndpoint exported');
+module.exports = registerAdminEndpoint;
@@ -3,10 +3,14 @@
    -----------------------------------------------------------
    - Static file middleware, home page, status and progress endpoints
    - Assumes app, express, progress from Section 1
+   - Progress is read from the persistent job store (Section 5I)
+   - Queued jobs report their live queuePosition (Section 5J)
    - MAX logging everywhere
    =========================================================== */
 
 const path = require('path');
+const jobStore = require('./section5i-job-store.cjs');
+const { renderQueue } = require('./section5j-render-queue.cjs');
 
 console.log('[SECTION2][INIT] section2-basic-routes.cjs loaded');
 
@@ -43,13 +47,23 @@ function registerBasicRoutes(app, express, progress) {
     app.get('/api/progress/:jobId', (req, res) => {
       const { jobId } = req.params;
       console.log(`[SECTION2][REQ] GET /api/progress/${jobId}`);
-      if (progress && typeof progress === 'object' && progress[jobId]) {
-        console.log(`[SECTION2][INFO] Returning progress for job ${jobId}:`, progress[jobId]);
-        res.json(progress[jobId]);
+      const job = jobStore.getJob(jobId);
+      if (job) {
+        const payload = { ...(progress[jobId] || {}), jobId, state: job.state };
+        // Live place in line from the render queue (Section 5J) while waiting for a worker
+        const queuePosition = renderQueue.getPosition(jobId);
+        if (job.state === 'queued' && queuePosition) {
+          payload.queuePosition = queuePosition;
+          payload.status = queuePosition === 1
+            ? "You're next in line..."
+            : `Waiting in line... (${queuePosition - 1} ahead of you)`;
+        }
+        console.log(`[SECTION2][INFO] Returning progress for job ${jobId}:`, payload);
+        res.json(payload);
       } else {
         console.warn(`[SECTION2][WARN] No progress found for job ${jobId}`);
-        // Always return a valid JSON shape to prevent frontend errors
-        res.json({ percent: 100, status: 'Done (or not found)', jobId });
+        // Valid JSON shape (percent 100 stops frontend polling), but honest: 404 + error
+        res.status(404).json({ percent: 100, status: 'Job not found.', error: 'Job not found', jobId });
       }
     });
 
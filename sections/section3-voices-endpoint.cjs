@@ -2,48 +2,148 @@
    SECTION 3: VOICES ENDPOINT (Polly Voices First)
    -----------------------------------------------------------
    - Exports registerVoicesEndpoint(app)
+   - Built from the TTS provider registry (Section 5L)
+   - Only providers with credentials are listed (?all=1 lists every voice)
    - Polly (Free) voices show up first in dropdowns and API
+   - GET /api/voices/:id/preview → short mp3 sample (?text= for custom);
+     the default sample is synthesized once and cached on disk in voice-previews/,
+     custom text goes through the render audio cache (Section 5W, same key as 5B narration);
+     custom-text synthesis is limited per IP (VOICE_PREVIEW_RATE_LIMIT per 10 min, 0 = off)
    - MAX logging everywhere
    =========================================================== */
 
 console.log('\n========== [SECTION3][INIT] Voices Endpoint Setup ==========');
 
-const pollyVoices = [
-  { id: "Matthew", name: "Matthew (US Male)", description: "Amazon Polly, Male, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false, preview: null },
-  { id: "Joey", name: "Joey (US Male)", description: "Amazon Polly, Male, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false, preview: null },
-  { id: "Brian", name: "Brian (British Male)", description: "Amazon Polly, Male, British English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false, preview: null },
-  { id: "Russell", name: "Russell (Australian Male)", description: "Amazon Polly, Male, Australian English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false, preview: null },
-  { id: "Joanna", name: "Joanna (US Female)", description: "Amazon Polly, Female, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "female", disabled: false, preview: null },
-  { id: "Kimberly", name: "Kimberly (US Female)", description: "Amazon Polly, Female, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "female", disabled: false, preview: null },
-  { id: "Amy", name: "Amy (British Female)", description: "Amazon Polly, Female, British English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "female", disabled: false, preview: null },
-  { id: "Salli", name: "Salli (US Female)", description: "Amazon Polly, Female, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "female", disabled: false, preview: null }
-];
-
-const elevenProVoices = [
-  // Add preview URLs as available for ElevenLabs
-  { id: "ZthjuvLPty3kTMaNKVKb", name: "Mike (Pro)", description: "ElevenLabs, Deep US Male", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
-  { id: "6F5Zhi321D3Oq7v1oNT4", name: "Jackson (Pro)", description: "ElevenLabs, Movie Style Narration", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
-  { id: "p2ueywPKFXYa6hdYfSIJ", name: "Tyler (Pro)", description: "ElevenLabs, US Male Friendly", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
-  { id: "EXAVITQu4vr4xnSDxMaL", name: "Olivia (Pro)", description: "ElevenLabs, Warm US Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
-  { id: "FUfBrNit0NNZAwb58KWH", name: "Emily (Pro)", description: "ElevenLabs, Conversational US Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
-  { id: "xctasy8XvGp2cVO9HL9k", name: "Sophia (Pro Kid)", description: "ElevenLabs, US Female Young", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
-  { id: "goT3UYdM9bhm0n2lmKQx", name: "James (Pro UK)", description: "ElevenLabs, British Male", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
-  { id: "19STyYD15bswVz51nqLf", name: "Amelia (Pro UK)", description: "ElevenLabs, British Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
-  { id: "2h7ex7B1yGrkcLFI8zUO", name: "Pierre (Pro FR)", description: "ElevenLabs, French Male", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
-  { id: "xNtG3W2oqJs0cJZuTyBc", name: "Claire (Pro FR)", description: "ElevenLabs, French Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
-  { id: "IP2syKL31S2JthzSSfZH", name: "Diego (Pro ES)", description: "ElevenLabs, Spanish Accent Male", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
-  { id: "WLjZnm4PkNmYtNCyiCq8", name: "Lucia (Pro ES)", description: "ElevenLabs, Spanish Accent Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
-  { id: "zA6D7RyKdc2EClouEMkP", name: "Aimee (ASMR Pro)", description: "Female British Meditation ASMR", provider: "elevenlabs", tier: "ASMR", gender: "female", disabled: false, preview: null },
-  { id: "RCQHZdatZm4oG3N6Nwme", name: "Dr. Lovelace (ASMR Pro)", description: "Pro Whisper ASMR", provider: "elevenlabs", tier: "ASMR", gender: "female", disabled: false, preview: null },
-  { id: "RBknfnzK8KHNwv44gIrh", name: "James Whitmore (ASMR Pro)", description: "Gentle Whisper ASMR", provider: "elevenlabs", tier: "ASMR", gender: "male", disabled: false, preview: null },
-  { id: "GL7nH05mDrxcH1JPJK5T", name: "Aimee (ASMR Gentle)", description: "ASMR Gentle Whisper", provider: "elevenlabs", tier: "ASMR", gender: "female", disabled: false, preview: null }
-];
-
-const voices = [...pollyVoices, ...elevenProVoices]; // Polly (Free) voices first
-
-const POLLY_VOICE_IDS = pollyVoices.map(v => v.id);
-
-console.log('[SECTION3][DEBUG] Voices list loaded (Polly first):', { count: voices.length, POLLY_VOICE_IDS });
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Voices come from the TTS provider registry (Section 5L); providers register in Section 5A
+require('./section5a-tts-helpers.cjs');
+const { listVoices, listTtsProviders, findVoice, getTtsProvider } = require('./section5l-tts-provider-registry.cjs');
+const { createSceneAudio } = require('./section5e-audio-generator.cjs');
+const { audioCache } = require('./section5w-cache-manager.cjs');
+
+// === PREVIEW CACHE ===
+const previewCacheDir = path.resolve(__dirname, '..', 'voice-previews');
+if (!fs.existsSync(previewCacheDir)) fs.mkdirSync(previewCacheDir);
+
+const DEFAULT_PREVIEW_TEXT = 'Hey there! This is how your SocialStorm video will sound with my voice.';
+const MAX_PREVIEW_TEXT_LENGTH = 200;
+const MIN_PREVIEW_BYTES = 1024;
+const pendingPreviews = new Map(); // cache file -> Promise (one synth per file, even under double-clicks)
+
+const parsedRateLimit = parseInt(process.env.VOICE_PREVIEW_RATE_LIMIT, 10);
+const PREVIEW_RATE_LIMIT = Number.isFinite(parsedRateLimit) && parsedRateLimit >= 0 ? parsedRateLimit : 10;
+const PREVIEW_RATE_WINDOW_MS = 10 * 60 * 1000;
+const previewRate = new Map(); // ip -> { windowStart, count }
+
+function hashForCache(str) {
+  return crypto.createHash('sha1').update(str).digest('hex');
+}
+
+function previewUrlFor(voiceId) {
+  return `/api/voices/${encodeURIComponent(voiceId)}/preview`;
+}
+
+function previewCachePath(voice, text) {
+  return path.join(previewCacheDir, `${hashForCache(JSON.stringify({ text, voice: voice.id, provider: voice.provider }))}.mp3`);
+}
+
+// Synthesizes to a temp file then renames, so a half-written mp3 is never served
+async function ensurePreviewAudio(voice, text) {
+  const cachePath = previewCachePath(voice, text);
+  if (fs.existsSync(cachePath) && fs.statSync(cachePath).size > MIN_PREVIEW_BYTES) {
+    console.log(`[SECTION3][PREVIEW][CACHE HIT] ${voice.id} → ${cachePath}`);
+    return cachePath;
+  }
+  if (pendingPreviews.has(cachePath)) return pendingPreviews.get(cachePath);
+
+  const tmpPath = `${cachePath}.${process.pid}-${Date.now()}.part.mp3`;
+  const job = (async () => {
+    try {
+      console.log(`[SECTION3][PREVIEW][SYNTH] ${voice.id} (${voice.provider}): "${text}"`);
+      await createSceneAudio(text, voice.id, tmpPath, voice.provider);
+      fs.renameSync(tmpPath, cachePath);
+      return cachePath;
+    } finally {
+      pendingPreviews.delete(cachePath);
+      if (fs.existsSync(tmpPath)) fs.unlinkSync(tmpPath);
+    }
+  })();
+  pendingPreviews.set(cachePath, job);
+  return job;
+}
+
+// Custom text lives in the audio cache under 5B's narration key, so a previewed line is reused by the render
+function customPreviewPath(voice, text) {
+  return audioCache.pathFor(`${hashForCache(JSON.stringify({ text, voice: voice.id, provider: voice.provider }))}.mp3`);
+}
+
+// Synthesizes a cache miss (once, even if requested twice) and leases the file to `leaseId`
+async function ensureCustomPreviewAudio(voice, text, leaseId) {
+  const cachePath = customPreviewPath(voice, text);
+  if (!pendingPreviews.has(cachePath)) {
+    const job = (async () => {
+      try {
+        const tmpPath = audioCache.tempPathFor(cachePath, leaseId);
+        console.log(`[SECTION3][PREVIEW][SYNTH][CUSTOM] ${voice.id} (${voice.provider}): "${text}"`);
+        await createSceneAudio(text, voice.id, tmpPath, voice.provider);
+        if (!(await audioCache.commit(cachePath, { jobId: leaseId, from: tmpPath }))) {
+          throw new Error(`Preview audio was not written: ${tmpPath}`);
+        }
+      } finally {
+        pendingPreviews.delete(cachePath);
+      }
+    })();
+    pendingPreviews.set(cachePath, job);
+  }
+  await pendingPreviews.get(cachePath);
+  audioCache.hold(cachePath, leaseId);
+  return cachePath;
+}
+
+// Fixed window per IP; returns 0 if a synthesis may start, else seconds until the window resets
+function takePreviewSlot(ip) {
+  if (!PREVIEW_RATE_LIMIT) return 0;
+  const now = Date.now();
+  if (previewRate.size > 1000) {
+    for (const [key, slot] of previewRate) {
+      if (now - slot.windowStart >= PREVIEW_RATE_WINDOW_MS) previewRate.delete(key);
+    }
+  }
+  let slot = previewRate.get(ip);
+  if (!slot || now - slot.windowStart >= PREVIEW_RATE_WINDOW_MS) {
+    slot = { windowStart: now, count: 0 };
+    previewRate.set(ip, slot);
+  }
+  if (slot.count >= PREVIEW_RATE_LIMIT) return Math.ceil((slot.windowStart + PREVIEW_RATE_WINDOW_MS - now) / 1000);
+  slot.count++;
+  return 0;
+}
+
+// --- Boot: voice-previews/ only holds default samples; drop custom-text ones left by older builds ---
+function pruneStalePreviews() {
+  const keep = new Set(listVoices({ includeUnconfigured: true }).map(v => path.basename(previewCachePath(v, DEFAULT_PREVIEW_TEXT))));
+  let removed = 0;
+  for (const name of fs.readdirSync(previewCacheDir)) {
+    if (keep.has(name)) continue;
+    try {
+      fs.rmSync(path.join(previewCacheDir, name), { force: true, recursive: true });
+      removed++;
+    } catch (err) {
+      console.warn(`[SECTION3][PREVIEW][WARN] Could not remove stale preview ${name}:`, err.message);
+    }
+  }
+  if (removed) console.log(`[SECTION3][PREVIEW] Removed ${removed} stale preview file(s) from ${previewCacheDir}`);
+}
+try {
+  pruneStalePreviews();
+} catch (err) {
+  console.error('[SECTION3][PREVIEW][ERR] Could not prune voice-previews/:', err);
+}
+
+console.log('[SECTION3][DEBUG] TTS providers:', listTtsProviders().map(p => `${p.id}(${p.voiceCount}${p.configured ? '' : ', not configured'})`).join(', '));
 
 function registerVoicesEndpoint(app) {
   if (!app) {
@@ -55,14 +155,69 @@ function registerVoicesEndpoint(app) {
   app.get('/api/voices', (req, res) => {
     const now = new Date().toISOString();
     console.log(`[SECTION3][REQ] GET /api/voices @ ${now}`);
+    const includeUnconfigured = req.query.all === '1' || req.query.all === 'true';
+    const voices = listVoices({ includeUnconfigured }).map(v => ({ ...v, preview: v.preview || previewUrlFor(v.id) }));
     const count = voices.length;
-    const byTier = {
-      Free: voices.filter(v => v.tier === 'Free').length,
-      Pro: voices.filter(v => v.tier === 'Pro').length,
-      ASMR: voices.filter(v => v.tier === 'ASMR').length
-    };
-    console.log(`[SECTION3][INFO] Returning ${count} voices → Free: ${byTier.Free}, Pro: ${byTier.Pro}, ASMR: ${byTier.ASMR}`);
-    res.json({ success: true, voices });
+    const byTier = {};
+    for (const v of voices) byTier[v.tier] = (byTier[v.tier] || 0) + 1;
+    console.log(`[SECTION3][INFO] Returning ${count} voices →`, byTier);
+    res.json({ success: true, voices, providers: listTtsProviders() });
+  });
+
+  app.get('/api/voices/:id/preview', async (req, res) => {
+    const voiceId = req.params.id;
+    console.log(`[SECTION3][REQ] GET /api/voices/${voiceId}/preview`);
+    const voice = findVoice(voiceId);
+    if (!voice) {
+      console.warn(`[SECTION3][404] Unknown voice: ${voiceId}`);
+      return res.status(404).json({ success: false, error: 'Voice not found', voiceId });
+    }
+    const provider = getTtsProvider(voice.provider);
+    if (!provider || !provider.isConfigured()) {
+      console.warn(`[SECTION3][503] Provider "${voice.provider}" not configured for voice ${voiceId}`);
+      return res.status(503).json({ success: false, error: `Voice provider "${voice.provider}" is not configured`, voiceId });
+    }
+
+    const rawText = req.query.text;
+    if (rawText !== undefined && typeof rawText !== 'string') {
+      return res.status(400).json({ success: false, error: 'text must be a string' });
+    }
+    const text = (rawText || '').trim() || DEFAULT_PREVIEW_TEXT;
+    if (text.length > MAX_PREVIEW_TEXT_LENGTH) {
+      return res.status(400).json({ success: false, error: `Preview text is limited to ${MAX_PREVIEW_TEXT_LENGTH} characters` });
+    }
+
+    const isDefaultText = text === DEFAULT_PREVIEW_TEXT;
+    // Custom previews lease their cache file until it is sent, so eviction cannot pull it mid-response
+    const leaseId = `preview-${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      let filePath;
+      if (isDefaultText) {
+        filePath = await ensurePreviewAudio(voice, text);
+      } else {
+        filePath = customPreviewPath(voice, text);
+        if (!(await audioCache.lookup(filePath, { jobId: leaseId, minSize: MIN_PREVIEW_BYTES }))) {
+          // Only a request that starts a synthesis spends a slot
+          const retryAfter = pendingPreviews.has(filePath) ? 0 : takePreviewSlot(req.ip);
+          if (retryAfter) {
+            console.warn(`[SECTION3][429] Preview limit reached for ${req.ip} (${PREVIEW_RATE_LIMIT} per ${PREVIEW_RATE_WINDOW_MS / 60000} min)`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ success: false, error: 'Too many custom previews. Please try again shortly.', retryAfter });
+          }
+          filePath = await ensureCustomPreviewAudio(voice, text, leaseId);
+        }
+      }
+      res.set('Cache-Control', isDefaultText ? 'public, max-age=86400' : 'private, max-age=3600');
+      res.type('audio/mpeg');
+      res.sendFile(filePath, (sendErr) => {
+        if (sendErr) console.warn(`[SECTION3][PREVIEW][WARN] Could not send preview for ${voiceId}:`, sendErr.message);
+        if (!isDefaultText) audioCache.release(leaseId);
+      });
+    } catch (err) {
+      if (!isDefaultText) audioCache.release(leaseId);
+      console.error(`[SECTION3][PREVIEW][ERR] Preview failed for ${voiceId}:`, err);
+      res.status(502).json({ success: false, error: 'Could not generate voice preview', voiceId });
+    }
   });
 
   console.log('[SECTION3][SUCCESS] /api/voices endpoint registered.');
@@ -1,28 +1,126 @@
 // ===========================================================
 // SECTION 5A: TTS & VISUAL SUBJECT HELPERS
-// Handles Polly & ElevenLabs TTS + subject extraction
+// Handles Polly, ElevenLabs & Google Cloud TTS + subject extraction
+// Each provider registers its voices/formats/capabilities in Section 5L
+// ElevenLabs: per-voice settings, model selection, retries on 429/5xx
+// Prosody markup ([pause], *emphasis*, {rate:...}) rendered per provider (Section 5M)
+// ELEVENLABS_API_BASE can point at a local stub for testing
 // MAX LOGGING
 // ===========================================================
 const AWS = require('aws-sdk');
 const fs = require('fs');
+const axios = require('axios');
+const { getJobSignal } = require('./section5k-job-cancellation.cjs');
+const { registerTtsProvider, getTtsProvider } = require('./section5l-tts-provider-registry.cjs');
+const {
+  hasProsodyMarkup,
+  parseProsodyMarkup,
+  renderSsml,
+  renderTextWithBreaks
+} = require('./section5m-prosody-markup.cjs');
+
+const ELEVENLABS_API_BASE = process.env.ELEVENLABS_API_BASE || 'https://api.elevenlabs.io';
+const ELEVENLABS_MODEL_ID = process.env.ELEVENLABS_MODEL_ID || 'eleven_multilingual_v2';
+const ELEVENLABS_MAX_RETRIES = Math.max(0, parseInt(process.env.ELEVENLABS_MAX_RETRIES, 10) || 3);
+const ELEVENLABS_TIMEOUT_MS = parseInt(process.env.ELEVENLABS_TIMEOUT_MS, 10) || 60000;
+
+// Defaults for narration; per-voice entries below override any field
+const ELEVENLABS_DEFAULT_SETTINGS = { stability: 0.5, similarity_boost: 0.75, style: 0, use_speaker_boost: true };
+
+// Keyed by ElevenLabs voice id (same ids as Section 3). model_id here overrides ELEVENLABS_MODEL_ID.
+const ELEVENLABS_VOICE_SETTINGS = {
+  ZthjuvLPty3kTMaNKVKb: { stability: 0.45, similarity_boost: 0.8 },             // Mike (deep)
+  '6F5Zhi321D3Oq7v1oNT4': { stability: 0.35, similarity_boost: 0.8, style: 0.3 }, // Jackson (movie narration)
+  p2ueywPKFXYa6hdYfSIJ: { stability: 0.5, similarity_boost: 0.75 },             // Tyler
+  EXAVITQu4vr4xnSDxMaL: { stability: 0.5, similarity_boost: 0.75 },             // Olivia
+  FUfBrNit0NNZAwb58KWH: { stability: 0.4, similarity_boost: 0.75, style: 0.2 },  // Emily (conversational)
+  xctasy8XvGp2cVO9HL9k: { stability: 0.55, similarity_boost: 0.7 },             // Sophia (kid)
+  goT3UYdM9bhm0n2lmKQx: { stability: 0.5, similarity_boost: 0.8 },              // James (UK)
+  '19STyYD15bswVz51nqLf': { stability: 0.5, similarity_boost: 0.8 },            // Amelia (UK)
+  '2h7ex7B1yGrkcLFI8zUO': { stability: 0.5, similarity_boost: 0.8 },            // Pierre (FR)
+  xNtG3W2oqJs0cJZuTyBc: { stability: 0.5, similarity_boost: 0.8 },              // Claire (FR)
+  IP2syKL31S2JthzSSfZH: { stability: 0.5, similarity_boost: 0.8 },              // Diego (ES)
+  WLjZnm4PkNmYtNCyiCq8: { stability: 0.5, similarity_boost: 0.8 },              // Lucia (ES)
+  // ASMR: steadier delivery, keep the breathy timbre, no speaker boost (it adds harshness)
+  zA6D7RyKdc2EClouEMkP: { stability: 0.75, similarity_boost: 0.9, use_speaker_boost: false },
+  RCQHZdatZm4oG3N6Nwme: { stability: 0.8, similarity_boost: 0.9, use_speaker_boost: false },
+  RBknfnzK8KHNwv44gIrh: { stability: 0.8, similarity_boost: 0.9, use_speaker_boost: false },
+  GL7nH05mDrxcH1JPJK5T: { stability: 0.8, similarity_boost: 0.9, use_speaker_boost: false }
+};
 
 console.log('[5A][INIT] TTS and subject extraction helpers loaded.');
 
+// ===== VOICE CATALOGS (served by /api/voices via the registry) =====
+const pollyVoices = [
+  { id: "Matthew", name: "Matthew (US Male)", description: "Amazon Polly, Male, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false, preview: null },
+  { id: "Joey", name: "Joey (US Male)", description: "Amazon Polly, Male, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false, preview: null },
+  { id: "Brian", name: "Brian (British Male)", description: "Amazon Polly, Male, British English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false, preview: null },
+  { id: "Russell", name: "Russell (Australian Male)", description: "Amazon Polly, Male, Australian English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "male", disabled: false, preview: null },
+  { id: "Joanna", name: "Joanna (US Female)", description: "Amazon Polly, Female, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "female", disabled: false, preview: null },
+  { id: "Kimberly", name: "Kimberly (US Female)", description: "Amazon Polly, Female, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "female", disabled: false, preview: null },
+  { id: "Amy", name: "Amy (British Female)", description: "Amazon Polly, Female, British English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "female", disabled: false, preview: null },
+  { id: "Salli", name: "Salli (US Female)", description: "Amazon Polly, Female, US English (Neural) - Free with AWS Free Tier", provider: "polly", tier: "Free", gender: "female", disabled: false, preview: null }
+];
+
+const elevenProVoices = [
+  // Add preview URLs as available for ElevenLabs
+  { id: "ZthjuvLPty3kTMaNKVKb", name: "Mike (Pro)", description: "ElevenLabs, Deep US Male", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
+  { id: "6F5Zhi321D3Oq7v1oNT4", name: "Jackson (Pro)", description: "ElevenLabs, Movie Style Narration", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
+  { id: "p2ueywPKFXYa6hdYfSIJ", name: "Tyler (Pro)", description: "ElevenLabs, US Male Friendly", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
+  { id: "EXAVITQu4vr4xnSDxMaL", name: "Olivia (Pro)", description: "ElevenLabs, Warm US Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
+  { id: "FUfBrNit0NNZAwb58KWH", name: "Emily (Pro)", description: "ElevenLabs, Conversational US Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
+  { id: "xctasy8XvGp2cVO9HL9k", name: "Sophia (Pro Kid)", description: "ElevenLabs, US Female Young", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
+  { id: "goT3UYdM9bhm0n2lmKQx", name: "James (Pro UK)", description: "ElevenLabs, British Male", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
+  { id: "19STyYD15bswVz51nqLf", name: "Amelia (Pro UK)", description: "ElevenLabs, British Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
+  { id: "2h7ex7B1yGrkcLFI8zUO", name: "Pierre (Pro FR)", description: "ElevenLabs, French Male", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
+  { id: "xNtG3W2oqJs0cJZuTyBc", name: "Claire (Pro FR)", description: "ElevenLabs, French Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
+  { id: "IP2syKL31S2JthzSSfZH", name: "Diego (Pro ES)", description: "ElevenLabs, Spanish Accent Male", provider: "elevenlabs", tier: "Pro", gender: "male", disabled: false, preview: null },
+  { id: "WLjZnm4PkNmYtNCyiCq8", name: "Lucia (Pro ES)", description: "ElevenLabs, Spanish Accent Female", provider: "elevenlabs", tier: "Pro", gender: "female", disabled: false, preview: null },
+  { id: "zA6D7RyKdc2EClouEMkP", name: "Aimee (ASMR Pro)", description: "Female British Meditation ASMR", provider: "elevenlabs", tier: "ASMR", gender: "female", disabled: false, preview: null },
+  { id: "RCQHZdatZm4oG3N6Nwme", name: "Dr. Lovelace (ASMR Pro)", description: "Pro Whisper ASMR", provider: "elevenlabs", tier: "ASMR", gender: "female", disabled: false, preview: null },
+  { id: "RBknfnzK8KHNwv44gIrh", name: "James Whitmore (ASMR Pro)", description: "Gentle Whisper ASMR", provider: "elevenlabs", tier: "ASMR", gender: "male", disabled: false, preview: null },
+  { id: "GL7nH05mDrxcH1JPJK5T", name: "Aimee (ASMR Gentle)", description: "ASMR Gentle Whisper", provider: "elevenlabs", tier: "ASMR", gender: "female", disabled: false, preview: null }
+];
+
+// Google Cloud TTS (Neural2). languageCode is sent with every request.
+const googleVoices = [
+  { id: "en-US-Neural2-D", name: "Daniel (Google US Male)", description: "Google Cloud, Male, US English (Neural2)", languageCode: "en-US", provider: "google", tier: "Plus", gender: "male", disabled: false, preview: null },
+  { id: "en-US-Neural2-J", name: "Jacob (Google US Male)", description: "Google Cloud, Male, US English (Neural2)", languageCode: "en-US", provider: "google", tier: "Plus", gender: "male", disabled: false, preview: null },
+  { id: "en-US-Neural2-F", name: "Grace (Google US Female)", description: "Google Cloud, Female, US English (Neural2)", languageCode: "en-US", provider: "google", tier: "Plus", gender: "female", disabled: false, preview: null },
+  { id: "en-US-Neural2-C", name: "Chloe (Google US Female)", description: "Google Cloud, Female, US English (Neural2)", languageCode: "en-US", provider: "google", tier: "Plus", gender: "female", disabled: false, preview: null },
+  { id: "en-GB-Neural2-B", name: "Oliver (Google British Male)", description: "Google Cloud, Male, British English (Neural2)", languageCode: "en-GB", provider: "google", tier: "Plus", gender: "male", disabled: false, preview: null },
+  { id: "en-GB-Neural2-A", name: "Harriet (Google British Female)", description: "Google Cloud, Female, British English (Neural2)", languageCode: "en-GB", provider: "google", tier: "Plus", gender: "female", disabled: false, preview: null },
+  { id: "en-AU-Neural2-B", name: "Lachlan (Google Australian Male)", description: "Google Cloud, Male, Australian English (Neural2)", languageCode: "en-AU", provider: "google", tier: "Plus", gender: "male", disabled: false, preview: null },
+  { id: "en-AU-Neural2-C", name: "Matilda (Google Australian Female)", description: "Google Cloud, Female, Australian English (Neural2)", languageCode: "en-AU", provider: "google", tier: "Plus", gender: "female", disabled: false, preview: null }
+];
+
 async function extractVisualSubject(line, scriptTopic = '') {
   console.log(`[5A][EXTRACT] Dummy extractVisualSubject for: "${line}" | topic: "${scriptTopic}"`);
   return line;
 }
 
-async function generatePollyTTS(text, voiceId, outPath) {
+// --- Same text/SSML for audio and speech marks, so word timings match the mp3 ---
+// options: { speakingRate (1 = normal), pitch (semitones; neural voices can't, ignored) }
+function buildPollySpeechParams(text, voiceId, options = {}) {
+  const { speakingRate = 1 } = options;
+  // Neural engine: no <emphasis> (louder instead), no pitch
+  const useSsml = hasProsodyMarkup(text) || speakingRate !== 1;
+  const spoken = useSsml
+    ? renderSsml(parseProsodyMarkup(text), {
+        emphasis: 'volume',
+        pitch: false,
+        globalRate: speakingRate !== 1 ? `${Math.round(speakingRate * 100)}%` : null
+      })
+    : text;
+  return { Text: spoken, TextType: useSsml ? 'ssml' : 'text', VoiceId: voiceId, Engine: 'neural' };
+}
+
+async function generatePollyTTS(text, voiceId, outPath, options = {}) {
   try {
-    console.log(`[5A][POLLY] Synthesizing speech: "${text}" [voice: ${voiceId}] → ${outPath}`);
+    if (options.pitch) console.warn(`[5A][POLLY][WARN] Neural voices do not support pitch, ignoring pitch=${options.pitch}`);
+    const params = { OutputFormat: 'mp3', ...buildPollySpeechParams(text, voiceId, options) };
+    console.log(`[5A][POLLY] Synthesizing speech: "${params.Text}" [voice: ${voiceId}] [${params.TextType}] → ${outPath}`);
     const polly = new AWS.Polly();
-    const params = {
-      OutputFormat: 'mp3',
-      Text: text,
-      VoiceId: voiceId,
-      Engine: 'neural'
-    };
     const data = await polly.synthesizeSpeech(params).promise();
     fs.writeFileSync(outPath, data.AudioStream);
     console.log(`[5A][POLLY] Audio written: ${outPath}`);
@@ -32,27 +130,217 @@ async function generatePollyTTS(text, voiceId, outPath) {
   }
 }
 
-async function generateElevenLabsTTS(text, voiceId, outPath) {
-  console.error('[5A][ERR][11LABS] ElevenLabs TTS not implemented!');
-  throw new Error('ElevenLabs TTS not implemented');
+/**
+ * Word timings from Polly speech marks (same request as the audio, JSON output).
+ * @returns {Promise<{ word: string, start: number, end: number }[]>} seconds from audio start
+ */
+async function getPollyWordTimings(text, voiceId, options = {}) {
+  const params = {
+    ...buildPollySpeechParams(text, voiceId, options),
+    OutputFormat: 'json',
+    SpeechMarkTypes: ['word']
+  };
+  console.log(`[5A][POLLY][MARKS] Requesting word speech marks [voice: ${voiceId}]`);
+  const data = await new AWS.Polly().synthesizeSpeech(params).promise();
+  const marks = String(data.AudioStream || '')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .filter(m => m.type === 'word');
+  // Speech marks only carry start times; a word ends where the next one starts
+  const words = marks.map((m, i) => ({
+    word: m.value,
+    start: m.time / 1000,
+    end: i + 1 < marks.length ? marks[i + 1].time / 1000 : null
+  }));
+  console.log(`[5A][POLLY][MARKS] ${words.length} word marks received.`);
+  return words;
+}
+
+// --- Merged settings + model for one voice (explicit options win) ---
+function getElevenLabsVoiceConfig(voiceId, options = {}) {
+  const { model_id: voiceModel, ...voiceSettings } = ELEVENLABS_VOICE_SETTINGS[voiceId] || {};
+  return {
+    modelId: options.modelId || voiceModel || ELEVENLABS_MODEL_ID,
+    voiceSettings: { ...ELEVENLABS_DEFAULT_SETTINGS, ...voiceSettings, ...(options.voiceSettings || {}) }
+  };
+}
+
+// --- Retry only what can succeed later: network errors, 429, 5xx ---
+function isRetryableElevenLabsError(err) {
+  if (axios.isCancel(err)) return false;
+  const status = err.response && err.response.status;
+  if (!status) return true;
+  return status === 429 || status >= 500;
+}
+
+function elevenLabsBackoffMs(err, attempt) {
+  const retryAfter = err.response && err.response.headers && parseInt(err.response.headers['retry-after'], 10);
+  if (retryAfter > 0) return Math.min(retryAfter, 30) * 1000;
+  return Math.min(500 * 2 ** attempt, 8000);
 }
 
-async function generateSceneAudio(sceneText, voiceId, outPath, provider) {
+// --- Error bodies come back as arraybuffer (we asked for audio) ---
+function describeElevenLabsError(err) {
+  if (!err.response) return err.message;
+  let detail = '';
+  try {
+    detail = Buffer.from(err.response.data || '').toString('utf8').slice(0, 300);
+  } catch (_) {}
+  return `HTTP ${err.response.status} ${detail}`.trim();
+}
+
+/**
+ * Synthesizes text with ElevenLabs and writes an mp3 to outPath.
+ * @param {string} text
+ * @param {string} voiceId - ElevenLabs voice id
+ * @param {string} outPath
+ * @param {object} [options]
+ * @param {string} [options.modelId] - Overrides per-voice/env model
+ * @param {object} [options.voiceSettings] - { stability, similarity_boost, style, use_speaker_boost }
+ * @param {string} [options.apiKey] - Defaults to ELEVENLABS_API_KEY
+ * @param {string} [options.baseUrl] - Defaults to ELEVENLABS_API_BASE
+ * @param {number} [options.maxRetries] - Defaults to ELEVENLABS_MAX_RETRIES
+ * @param {number} [options.speakingRate] - 1 = normal; sent as voice_settings.speed (0.7–1.2)
+ */
+async function generateElevenLabsTTS(text, voiceId, outPath, options = {}) {
+  const apiKey = options.apiKey || process.env.ELEVENLABS_API_KEY;
+  if (!apiKey) {
+    console.error('[5A][ERR][11LABS] ELEVENLABS_API_KEY not set!');
+    throw new Error('ElevenLabs API key missing (ELEVENLABS_API_KEY)');
+  }
+  const baseUrl = (options.baseUrl || ELEVENLABS_API_BASE).replace(/\/$/, '');
+  const maxRetries = Number.isInteger(options.maxRetries) ? options.maxRetries : ELEVENLABS_MAX_RETRIES;
+  const { modelId, voiceSettings } = getElevenLabsVoiceConfig(voiceId, options);
+  if (options.speakingRate && options.speakingRate !== 1) {
+    voiceSettings.speed = Math.min(1.2, Math.max(0.7, options.speakingRate));
+  }
+  if (options.pitch) console.warn(`[5A][11LABS][WARN] ElevenLabs has no pitch control, ignoring pitch=${options.pitch}`);
+  // No SSML: pauses become <break/> tags, other markup is dropped
+  const spoken = hasProsodyMarkup(text) ? renderTextWithBreaks(parseProsodyMarkup(text)) : text;
+  const url = `${baseUrl}/v1/text-to-speech/${encodeURIComponent(voiceId)}?output_format=mp3_44100_128`;
+
+  console.log(`[5A][11LABS] Synthesizing speech: "${text}" [voice: ${voiceId}] [model: ${modelId}] → ${outPath}`, voiceSettings);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const resp = await axios.post(url, { text: spoken, model_id: modelId, voice_settings: voiceSettings }, {
+        headers: { 'xi-api-key': apiKey, 'Content-Type': 'application/json', Accept: 'audio/mpeg' },
+        responseType: 'arraybuffer',
+        timeout: ELEVENLABS_TIMEOUT_MS,
+        signal: getJobSignal()
+      });
+      const audio = Buffer.from(resp.data);
+      if (!audio.length) throw new Error('ElevenLabs returned empty audio');
+      fs.writeFileSync(outPath, audio);
+      console.log(`[5A][11LABS] Audio written: ${outPath} (${audio.length} bytes, attempt ${attempt + 1})`);
+      return outPath;
+    } catch (err) {
+      const reason = describeElevenLabsError(err);
+      if (attempt < maxRetries && isRetryableElevenLabsError(err)) {
+        const waitMs = elevenLabsBackoffMs(err, attempt);
+        console.warn(`[5A][11LABS][RETRY] Attempt ${attempt + 1}/${maxRetries + 1} failed (${reason}), retrying in ${waitMs}ms`);
+        await new Promise(r => setTimeout(r, waitMs));
+        continue;
+      }
+      console.error(`[5A][ERR][11LABS] TTS failed for voice ${voiceId} text: "${text}" after ${attempt + 1} attempt(s): ${reason}`);
+      throw new Error(`ElevenLabs TTS failed: ${reason}`);
+    }
+  }
+}
+
+// --- Google Cloud TTS (client created on first use; credentials from env) ---
+let googleTtsClient = null;
+function isGoogleTtsConfigured() {
+  return !!(process.env.GOOGLE_APPLICATION_CREDENTIALS || process.env.GOOGLE_TTS_CREDENTIALS_JSON);
+}
+
+function getGoogleTtsClient() {
+  if (googleTtsClient) return googleTtsClient;
+  const textToSpeech = require('@google-cloud/text-to-speech');
+  const clientOptions = {};
+  if (process.env.GOOGLE_TTS_CREDENTIALS_JSON) {
+    // For hosts without a credentials file (Railway etc.): service account JSON in an env var
+    clientOptions.credentials = JSON.parse(process.env.GOOGLE_TTS_CREDENTIALS_JSON);
+  }
+  googleTtsClient = new textToSpeech.TextToSpeechClient(clientOptions);
+  console.log('[5A][GOOGLE] TextToSpeechClient created.');
+  return googleTtsClient;
+}
+
+async function generateGoogleTTS(text, voiceId, outPath, options = {}) {
+  try {
+    const voice = googleVoices.find(v => v.id === voiceId);
+    // Google voice names start with their language code: en-US-Neural2-D → en-US
+    const languageCode = (voice && voice.languageCode) || voiceId.split('-').slice(0, 2).join('-');
+    const audioConfig = { audioEncoding: 'MP3' };
+    if (options.speakingRate && options.speakingRate !== 1) audioConfig.speakingRate = options.speakingRate;
+    if (options.pitch) audioConfig.pitch = options.pitch; // semitones
+    const input = hasProsodyMarkup(text) ? { ssml: renderSsml(parseProsodyMarkup(text)) } : { text };
+    console.log(`[5A][GOOGLE] Synthesizing speech: "${input.ssml || input.text}" [voice: ${voiceId}] [lang: ${languageCode}] → ${outPath}`);
+    const [response] = await getGoogleTtsClient().synthesizeSpeech({
+      input,
+      voice: { languageCode, name: voiceId },
+      audioConfig: { ...audioConfig, ...(options.audioConfig || {}) }
+    });
+    if (!response || !response.audioContent || !response.audioContent.length) {
+      throw new Error('Google TTS returned empty audio');
+    }
+    fs.writeFileSync(outPath, response.audioContent, 'binary');
+    console.log(`[5A][GOOGLE] Audio written: ${outPath}`);
+  } catch (err) {
+    console.error(`[5A][ERR][GOOGLE] TTS failed for voice ${voiceId} text: "${text}"`, err);
+    throw err;
+  }
+}
+
+// ===== PROVIDER REGISTRATION (order = /api/voices order; Free first) =====
+registerTtsProvider({
+  id: 'polly',
+  label: 'Amazon Polly',
+  voices: pollyVoices,
+  formats: ['mp3', 'ogg_vorbis', 'pcm'],
+  capabilities: { ssml: true, speechMarks: true, voiceSettings: false, breaks: true, emphasis: false, rate: true, pitch: false },
+  synthesize: generatePollyTTS,
+  wordTimings: getPollyWordTimings,
+  // Section 1 refuses to boot without AWS credentials
+  isConfigured: () => true
+});
+
+registerTtsProvider({
+  id: 'elevenlabs',
+  label: 'ElevenLabs',
+  voices: elevenProVoices,
+  formats: ['mp3'],
+  capabilities: { ssml: false, speechMarks: false, voiceSettings: true, breaks: true, emphasis: false, rate: true, pitch: false },
+  synthesize: generateElevenLabsTTS,
+  isConfigured: () => !!process.env.ELEVENLABS_API_KEY
+});
+
+registerTtsProvider({
+  id: 'google',
+  label: 'Google Cloud TTS',
+  voices: googleVoices,
+  formats: ['mp3', 'ogg_opus', 'linear16'],
+  capabilities: { ssml: true, speechMarks: false, voiceSettings: false, breaks: true, emphasis: true, rate: true, pitch: true },
+  synthesize: generateGoogleTTS,
+  isConfigured: isGoogleTtsConfigured
+});
+
+async function generateSceneAudio(sceneText, voiceId, outPath, provider, options = {}) {
   console.log(`[5A][AUDIO] generateSceneAudio called: "${sceneText}" | voice: ${voiceId} | provider: ${provider} | out: ${outPath}`);
   if (!provider) throw new Error("No TTS provider specified");
   if (!sceneText || !voiceId || !outPath) throw new Error("Missing input for generateSceneAudio");
-  if (provider.toLowerCase() === 'polly') {
-    await generatePollyTTS(sceneText, voiceId, outPath);
-  } else if (provider.toLowerCase() === 'elevenlabs') {
-    await generateElevenLabsTTS(sceneText, voiceId, outPath);
-  } else {
-    throw new Error(`Unknown TTS provider: ${provider}`);
-  }
+  const impl = getTtsProvider(provider);
+  if (!impl) throw new Error(`Unknown TTS provider: ${provider}`);
+  await impl.synthesize(sceneText, voiceId, outPath, options);
 }
 
 module.exports = {
   extractVisualSubject,
   generatePollyTTS,
+  getPollyWordTimings,
   generateElevenLabsTTS,
+  getElevenLabsVoiceConfig,
+  generateGoogleTTS,
   generateSceneAudio
 };
@@ -2,7 +2,27 @@
 // SECTION 5B: GENERATE VIDEO ENDPOINT (Job Controller)
 // The /api/generate-video route handler. Full job orchestration.
 // MAX LOGGING EVERYWHERE, User-friendly status messages!
-// PRO+: Audio and muxed video caching, parallelized scene jobs
+// PRO+: Audio and muxed video caching, parallelized scene jobs: narration, clip search
+//   (in scene order) and ffmpeg trim/mux run as a bounded task graph (Section 5U)
+// Jobs run through the bounded render queue (Section 5J), 429 when full
+// Cancellable: each job runs in a Section 5K scope, checked between steps
+// Resumable: scene plan + muxed scenes saved on the job record, POST /api/jobs/:jobId/retry
+// Prosody: script lines may carry [pause]/*emphasis*/{rate:...} markup (Section 5M),
+//   stripped for scenes/subjects, spoken via SSML; speakingRate + pitch are global options
+// Captions: optional word-highlight captions burned into each muxed scene (Section 5N)
+// Subtitles: .srt + .vtt for the final timeline (Section 5O), URLs in the final progress payload
+// Aspects: 9:16 master (downloadUrl); aspects=16:9,1:1 opts into reframed copies of it (16:9 = displayUrl),
+//   all uploaded, listed in `variants`
+// plan: a Section 5Q scene plan (POST /api/plan-video, user-edited) replaces script splitting + subject picking
+// clipOverrides / plan scene `clip`: pin a library key, Pexels/Pixabay id or upload to a scene (Section 5R)
+// crop: 'smart' pans a 9:16 window over the subject (Section 5P); default 'blur' fits inside a blurred frame
+// visualVerify: matched clips must show the subject in their frames (Section 5S); confidence saved per scene
+// Dedupe: one asset tracker per job (Section 5T); avoidRecentClips=N + channel skips clips of the last N videos
+// renderMode: 'timeline' (default, RENDER_MODE) compiles scenes + music + outro into one ffmpeg encode (Section 5V);
+//   'scenes' keeps the per-scene trim/mux/concat path and its muxed-scene cache
+// Caches: audio_cache/video_cache go through Section 5W (checksummed hits, LRU byte budget);
+//   a job leases the files it uses until it ends, so eviction never pulls them mid-render
+// Music: musicLevel (bed volume 0-1) + musicDuckDb (dip under narration, 0 = flat) (Section 5G)
 // 2024-08: Works with GPT-powered subject extraction (Section 11)
 // Mega-clip logic: Scenes 1 & 2 = ONE continuous video, subject from line 2 (w/ progressive fallback)
 // Bulletproof R2: Auto-downloads from R2 if file not present locally
@@ -27,27 +47,57 @@ const {
   concatScenes,
   ensureAudioStream,
   overlayMusic,
+  normalizeMusicOptions,
   appendOutro,
   getUniqueFinalName,
-  pickMusicForMood
+  pickMusicForMood,
+  ASPECT_FORMATS
 } = require('./section5g-concat-and-music.cjs');
 
 const {
   getDuration,
   trimForNarration,
   muxVideoWithNarration,
+  pickFrameFilter,
 } = require('./section5f-video-processing.cjs');
 
 const { findClipForScene } = require('./section5d-clip-matcher.cjs');
+const { readClipInfo } = require('./section10i-clip-metadata.cjs');
+const { resolveTtsProvider } = require('./section5e-audio-generator.cjs');
+const { mapSpeechLines, normalizeProsodyOptions } = require('./section5m-prosody-markup.cjs');
+const { normalizeCaptionOptions, captionSceneVideo, writeSceneCaptions } = require('./section5n-captions.cjs');
+const { buildSubtitleCues, writeSubtitleFiles } = require('./section5o-subtitle-export.cjs');
+const { normalizeScenePlan, planMusicMood } = require('./section5q-scene-planner.cjs');
+const { normalizeClipOverrides, resolveClipOverride, describeClipOverride } = require('./section5r-clip-overrides.cjs');
+const { isVisualVerifyEnabled } = require('./section5s-visual-verification.cjs');
+const {
+  createUsedAssets,
+  identifyClip,
+  normalizeRecentWindow,
+  recentAssetAliases
+} = require('./section5t-asset-identity.cjs');
+const { runTaskGraph } = require('./section5u-task-graph.cjs');
+const { renderTimeline } = require('./section5v-timeline-render.cjs');
 const { cleanupJob } = require('./section5h-job-cleanup.cjs');
+const jobStore = require('./section5i-job-store.cjs');
+const { renderQueue } = require('./section5j-render-queue.cjs');
+const {
+  runInJobScope,
+  releaseJob,
+  getJobSignal,
+  isJobCancelled,
+  throwIfCancelled
+} = require('./section5k-job-cancellation.cjs');
 
 console.log('[5B][INIT] section5b-generate-video-endpoint.cjs loaded');
 
-// === CACHE DIRS ===
-const audioCacheDir = path.resolve(__dirname, '..', 'audio_cache');
-const videoCacheDir = path.resolve(__dirname, '..', 'video_cache');
-if (!fs.existsSync(audioCacheDir)) fs.mkdirSync(audioCacheDir);
-if (!fs.existsSync(videoCacheDir)) fs.mkdirSync(videoCacheDir);
+// === CACHES (audio_cache / video_cache, Section 5W) ===
+const { audioCache, videoCache, releaseCacheLeases } = require('./section5w-cache-manager.cjs');
+
+// Per-job scene pipeline slots: narration requests and ffmpeg trim/mux/caption runs
+const SCENE_TTS_CONCURRENCY = Math.max(1, parseInt(process.env.SCENE_TTS_CONCURRENCY, 10) || 3);
+const SCENE_FFMPEG_CONCURRENCY = Math.max(1, parseInt(process.env.SCENE_FFMPEG_CONCURRENCY, 10) || 2);
+const DEFAULT_RENDER_MODE = process.env.RENDER_MODE === 'scenes' ? 'scenes' : 'timeline';
 
 function hashForCache(str) {
   return crypto.createHash('sha1').update(str).digest('hex');
@@ -73,7 +123,7 @@ async function ensureLocalClipExists(r2Path, localPath) {
   const key = r2Path.replace(/^(\.\/)+/, '').replace(/^\/+/, '');
   console.log(`[5B][R2][DOWNLOAD] Fetching from R2: bucket=${bucket} key=${key} → ${localPath}`);
   try {
-    const data = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    const data = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }), { abortSignal: getJobSignal() });
     const fileStream = fs.createWriteStream(localPath);
     await new Promise((resolve, reject) => {
       data.Body.pipe(fileStream);
@@ -94,6 +144,25 @@ function assertFileExists(file, label) {
   }
 }
 
+// --- Requested aspects; 9:16 is the timeline itself and always included, the rest are opt-in ---
+function normalizeAspects(requested) {
+  const all = Object.keys(ASPECT_FORMATS);
+  if (requested === undefined || requested === null) return ['9:16'];
+  const list = (Array.isArray(requested) ? requested : String(requested).split(','))
+    .map(a => String(a).trim())
+    .filter(Boolean);
+  const unknown = list.filter(a => !ASPECT_FORMATS[a]);
+  if (unknown.length) console.warn(`[5B][ASPECT][WARN] Ignoring unknown aspects: ${unknown.join(', ')}`);
+  return ['9:16', ...all.filter(a => a !== '9:16' && list.includes(a))];
+}
+
+// --- Archive/source tag for a scene clip (uploads are the user's, never archived) ---
+function clipSourceOf(clipPath) {
+  const p = clipPath || '';
+  if (p.includes('-upload-')) return 'upload';
+  return p.includes('pexels') ? 'pexels' : p.includes('pixabay') ? 'pixabay' : 'r2';
+}
+
 function getCategoryFolder(mainTopic) {
   const lower = (mainTopic || '').toLowerCase();
   if (/haunt|castle|ghost|lore|myth|mystery|history|horror/.test(lower)) return 'lore_history_mystery_horror';
@@ -144,145 +213,348 @@ function registerGenerateVideoEndpoint(app, deps) {
 
   console.log('[5B][INFO] Registering POST /api/generate-video route...');
 
-  app.post('/api/generate-video', async (req, res) => {
-    console.log('[5B][REQ] POST /api/generate-video');
-    const jobId = uuidv4();
-    if (!progress) {
-      console.error('[5B][FATAL] No progress tracker found!');
-      return res.status(500).json({ error: 'Internal progress tracker missing.' });
+  // --- MAIN VIDEO JOB HANDLER (runs once the render queue gives it a worker slot) ---
+  // resume=true: reuse the saved scene plan and skip scenes whose muxed file still exists
+  async function runVideoJob(jobId, body, { resume = false } = {}) {
+    const workDir = path.join(__dirname, '..', 'jobs', jobId);
+    const jobContext = { sceneClipMetaList: [] };
+    const saved = resume ? (jobStore.getJob(jobId) || {}) : {};
+    const sceneArtifacts = { ...(saved.sceneArtifacts || {}) };
+
+    // Shared per-job asset tracker (Section 5T, same one passed to every scene).
+    // Resume seeds it with the saved picks; avoidRecentClips excludes the channel's last N videos.
+    const { window: recentWindow } = normalizeRecentWindow((body || {}).avoidRecentClips);
+    const usedAssets = createUsedAssets(jobId, {
+      exclude: recentAssetAliases({ channel: (body || {}).channel, window: recentWindow, jobId }),
+      seed: Array.isArray(saved.usedAssets) ? saved.usedAssets : []
+    });
+    // 5D records its own picks; this covers clips 5B picks itself (Ken Burns fallbacks)
+    async function pushUsedClip(label, p) {
+      if (!p) return;
+      usedAssets.add(await identifyClip(p), label);
     }
-    progress[jobId] = { percent: 0, status: 'Starting up...' };
-    console.log(`[5B][INFO] New job started: ${jobId}`);
-    res.json({ jobId });
-
-    // --- MAIN VIDEO JOB HANDLER ---
-    (async () => {
-      const workDir = path.join(__dirname, '..', 'jobs', jobId);
-      const jobContext = { sceneClipMetaList: [] };
-
-      // Shared per-job usedClips (same array passed to every scene)
-      const usedClips = [];
-      function pushUsedClip(label, p) {
-        if (!p) return;
-        if (!usedClips.includes(p)) {
-          usedClips.push(p);
-          console.log(`[5B][DUPE][ADD][${jobId}] ${label}: ${p} | usedClipsLen=${usedClips.length}`);
-        } else {
-          console.log(`[5B][DUPE][SKIP][${jobId}] ${label}: already tracked | usedClipsLen=${usedClips.length}`);
+    console.log(`[5B][DUPE][INIT][${jobId}] Asset tracker created (recent window ${recentWindow}).`);
+
+    try {
+      fs.mkdirSync(workDir, { recursive: true });
+      progress[jobId] = { percent: 2, status: resume ? 'Resuming your video...' : 'Setting up your project...' };
+
+      const { script: rawScript = '', voice = '', music = true, outro = true, subtitles = true, aspects: requestedAspects, crop, renderMode: requestedRenderMode, provider: requestedProvider } = body || {};
+      // A submitted plan brings its own lines; the script is rebuilt from them
+      const planned = body && body.plan ? normalizeScenePlan(body.plan) : null;
+      if (planned && planned.errors.length) throw new Error(`Invalid scene plan: ${planned.errors.join('; ')}`);
+      const script = planned ? planned.script : rawScript;
+      if (!script || !voice) throw new Error('Missing script or voice');
+      // The frontend only sends a voice id; the voice list knows whether it is Polly or ElevenLabs
+      const provider = resolveTtsProvider(voice, requestedProvider);
+      // Scenes/subjects see plain text; narration gets each line's marked-up original back
+      const { plainScript, speechFor } = mapSpeechLines(script);
+      const prosody = normalizeProsodyOptions(body);
+      const musicOptions = normalizeMusicOptions(body);
+      const isDefaultProsody = prosody.speakingRate === 1 && prosody.pitch === 0;
+      // Unmarked lines at default prosody keep their old cache key
+      const audioCacheKey = (text, speech) => JSON.stringify({
+        text,
+        voice,
+        provider,
+        ...(speech !== (Array.isArray(text) ? text[0] : text) ? { speech } : {}),
+        ...(isDefaultProsody ? {} : { prosody })
+      });
+      const captionOptions = normalizeCaptionOptions(body);
+      const aspects = normalizeAspects(requestedAspects);
+      const cropMode = crop === 'smart' ? 'smart' : 'blur';
+      // Smart-cropped renders get their own cache names; blur keeps the old ones
+      const cropCacheTag = cropMode === 'smart' ? ':smartcrop' : '';
+      const renderMode = requestedRenderMode === 'scenes' || requestedRenderMode === 'timeline' ? requestedRenderMode : DEFAULT_RENDER_MODE;
+      console.log(`[5B][RENDER][${jobId}] Render mode: ${renderMode}`);
+      jobContext.visualVerify = isVisualVerifyEnabled(body.visualVerify);
+      if (jobContext.visualVerify) console.log(`[5B][VERIFY][${jobId}] Visual verification of matched clips is on.`);
+      if (captionOptions.enabled) console.log(`[5B][CAPTIONS][${jobId}] Captions on:`, JSON.stringify(captionOptions));
+      let scenes = (resume && Array.isArray(saved.scenePlan) && saved.scenePlan.length)
+        ? saved.scenePlan
+        : planned ? planned.scenes : depSplitScriptToScenes(plainScript);
+      if (scenes === saved.scenePlan) console.log(`[5B][RESUME][${jobId}] Reusing saved scene plan (${scenes.length} scenes).`);
+      else if (planned) console.log(`[5B][PLAN][${jobId}] Rendering submitted scene plan (${scenes.length} scenes).`);
+
+      // === BULLETPROOF SCENE NORMALIZATION ===
+      console.log(`[5B][SCENES][RAW][${jobId}]`, JSON.stringify(scenes, null, 2));
+      scenes = Array.isArray(scenes) ? scenes : [];
+      scenes = scenes.map((scene, idx) => {
+        if (typeof scene === 'string') {
+          console.log(`[5B][SCENES][NORMALIZE][${jobId}] Scene ${idx + 1} was string, wrapping.`);
+          return { texts: [scene], isMegaScene: idx === 1, type: idx === 0 ? 'hook-summary' : 'normal' };
         }
-      }
-      console.log(`[5B][DUPE][INIT][${jobId}] usedClips array created.`);
+        if (scene && Array.isArray(scene.texts)) {
+          return scene;
+        }
+        if (scene && typeof scene.text === 'string') {
+          console.log(`[5B][SCENES][NORMALIZE][${jobId}] Scene ${idx + 1} had 'text' field, converting to texts array.`);
+          return { texts: [scene.text], ...scene };
+        }
+        return null;
+      });
+      // === END BULLETPROOF NORMALIZATION ===
 
-      try {
-        fs.mkdirSync(workDir, { recursive: true });
-        progress[jobId] = { percent: 2, status: 'Setting up your project...' };
-
-        const { script = '', voice = '', music = true, outro = true, provider = 'polly' } = req.body || {};
-        if (!script || !voice) throw new Error('Missing script or voice');
-        let scenes = depSplitScriptToScenes(script);
-
-        // === BULLETPROOF SCENE NORMALIZATION ===
-        console.log(`[5B][SCENES][RAW][${jobId}]`, JSON.stringify(scenes, null, 2));
-        scenes = Array.isArray(scenes) ? scenes : [];
-        scenes = scenes.map((scene, idx) => {
-          if (typeof scene === 'string') {
-            console.log(`[5B][SCENES][NORMALIZE][${jobId}] Scene ${idx + 1} was string, wrapping.`);
-            return { texts: [scene], isMegaScene: idx === 1, type: idx === 0 ? 'hook-summary' : 'normal' };
-          }
-          if (scene && Array.isArray(scene.texts)) {
-            return scene;
-          }
-          if (scene && typeof scene.text === 'string') {
-            console.log(`[5B][SCENES][NORMALIZE][${jobId}] Scene ${idx + 1} had 'text' field, converting to texts array.`);
-            return { texts: [scene.text], ...scene };
+      // LOG AFTER NORMALIZATION
+      console.log(`[5B][SCENES][NORM][${jobId}]`, JSON.stringify(scenes, null, 2));
+
+      scenes = scenes.filter(s =>
+        s && Array.isArray(s.texts) && typeof s.texts[0] === 'string' && s.texts[0].length > 0
+      );
+      if (!scenes.length) throw new Error('[5B][FATAL] No valid scenes found after filter!');
+      if (scenes !== saved.scenePlan) {
+        const { overrides, errors: overrideErrors } = normalizeClipOverrides(body.clipOverrides);
+        if (overrideErrors.length) throw new Error(`Invalid clipOverrides: ${overrideErrors.join('; ')}`);
+        for (const [idx, override] of Object.entries(overrides)) {
+          if (!scenes[idx]) {
+            console.warn(`[5B][PINNED][WARN][${jobId}] clipOverrides[${idx}] has no scene (${scenes.length} scenes), ignored.`);
+            continue;
           }
-          return null;
+          scenes[idx] = { ...scenes[idx], clipOverride: override };
+        }
+        scenes.forEach((scene, idx) => {
+          if (scene.clipOverride) console.log(`[5B][PINNED][${jobId}] Scene ${idx + 1} → ${describeClipOverride(scene.clipOverride)}`);
         });
-        // === END BULLETPROOF NORMALIZATION ===
-
-        // LOG AFTER NORMALIZATION
-        console.log(`[5B][SCENES][NORM][${jobId}]`, JSON.stringify(scenes, null, 2));
-
-        scenes = scenes.filter(s =>
-          s && Array.isArray(s.texts) && typeof s.texts[0] === 'string' && s.texts[0].length > 0
-        );
-        if (!scenes.length) throw new Error('[5B][FATAL] No valid scenes found after filter!');
+      }
+      // Saved so a retry renders the exact same scenes (and can edit one subject)
+      jobStore.updateJob(jobId, { scenePlan: scenes });
 
-        const allSceneTexts = scenes.flatMap(s => Array.isArray(s.texts) ? s.texts : []);
-        const mainTopic = allSceneTexts[0] || 'misc';
-        const categoryFolder = getCategoryFolder(mainTopic);
-        jobContext.categoryFolder = categoryFolder;
+      const allSceneTexts = scenes.flatMap(s => Array.isArray(s.texts) ? s.texts : []);
+      const mainTopic = allSceneTexts[0] || 'misc';
+      const categoryFolder = getCategoryFolder(mainTopic);
+      jobContext.categoryFolder = categoryFolder;
+      // Scene moods from a plan pick the music; otherwise 5G detects it from the script
+      const musicMood = planMusicMood(scenes);
+      if (musicMood) console.log(`[5B][MUSIC][${jobId}] Plan music mood: "${musicMood}"`);
 
-        const sceneFiles = [];
+      const sceneFiles = [];
+      const sceneSegments = []; // timeline mode: per scene what to encode (Section 5V), nothing muxed yet
+      const sceneNarration = []; // per scene: what was said and where the audio is (subtitles)
 
-        // === HOOK SCENE ===
-        const hookText = scenes[0].texts[0];
-        const audioHashHook = hashForCache(JSON.stringify({ text: hookText, voice, provider }));
-        const audioPathHook = path.join(audioCacheDir, `${audioHashHook}.mp3`);
-        if (!fs.existsSync(audioPathHook) || fs.statSync(audioPathHook).size < 10000)
-          await deps.createSceneAudio(hookText, voice, audioPathHook, provider);
-        assertFileExists(audioPathHook, `AUDIO_HOOK`);
+      // --- Resume helpers: a scene is done once its muxed file (timeline: its clip + narration) exists ---
+      const isUsableFile = (file, minSize = 10240) => !!file && fs.existsSync(file) && fs.statSync(file).size >= minSize;
+      // Archiving + bulletproofing need one entry per scene, restored ones included (sorted after the graph)
+      function addSceneClipMeta(idx, localFilePath, clipPath, subject, scriptLine) {
+        jobContext.sceneClipMetaList.push({
+          localFilePath,
+          subject,
+          sceneIdx: idx,
+          source: clipSourceOf(clipPath),
+          category: categoryFolder,
+          scriptLine,
+          clipInfo: readClipInfo(clipPath)
+        });
+      }
+      function restoreScene(idx) {
+        const art = sceneArtifacts[idx];
+        if (!art) return false;
+        if (renderMode === 'timeline') {
+          const seg = art.segment;
+          if (!seg || !isUsableFile(seg.clipPath) || !isUsableFile(seg.audioPath, 1000)) return false;
+          if (seg.captionsPath && !isUsableFile(seg.captionsPath, 1)) return false;
+          sceneSegments[idx] = seg;
+          audioCache.hold(seg.audioPath, jobId);
+        } else {
+          if (!isUsableFile(art.muxedPath)) return false;
+          sceneFiles[idx] = art.muxedPath;
+          videoCache.hold(art.muxedPath, jobId);
+        }
+        if (art.narration) sceneNarration[idx] = art.narration;
+        const restoredFile = renderMode === 'timeline' ? art.segment.clipPath : art.muxedPath;
+        addSceneClipMeta(idx, restoredFile, art.clipPath, art.subject, art.narration ? art.narration.plainText : '');
+        console.log(`[5B][RESUME][${jobId}] Scene ${idx + 1} already ${renderMode === 'timeline' ? 'prepared' : 'muxed'}, skipping: ${art.muxedPath || art.segment.clipPath}`);
+        return true;
+      }
+      function saveSceneArtifact(idx, clipPath, muxedPath, subject, narration, segment = null) {
+        sceneNarration[idx] = narration;
+        // Visual check verdicts from 5D: the kept clip's confidence + what was turned down
+        const verdicts = (jobContext.clipVerifications && jobContext.clipVerifications[idx]) || [];
+        const verification = verdicts.filter(v => v.clipPath === clipPath).pop() || null;
+        const rejectedClips = verdicts.filter(v => !v.verified);
+        sceneArtifacts[idx] = {
+          clipPath, muxedPath, subject, narration,
+          ...(segment ? { segment } : {}),
+          ...(verdicts.length ? { verification, rejectedClips } : {})
+        };
+        // usedAssets: what this video showed, for resume and later jobs' recent window
+        jobStore.updateJob(jobId, { sceneArtifacts: { ...sceneArtifacts }, usedAssets: usedAssets.ids() });
+      }
 
-        console.log(`[5B][DUPE][INFO][${jobId}] Before hook lookup, usedClipsLen=${usedClips.length}`);
-        // For hook, you could use a branding video, short animation, or a generic visual, but for now use normal clip logic:
-        let hookClipPath = null;
+      // --- Captions: returns the captioned scene, or the plain one if captions are off/fail ---
+      async function captionScene(idx, muxedPath, audioPath, plainText, speech) {
+        if (!captionOptions.enabled) return muxedPath;
+        const captionedPath = videoCache.pathFor(`${hashForCache(JSON.stringify({ muxedPath, audioPath, speech, captions: captionOptions }))}-cap.mp4`);
+        if (await videoCache.lookup(captionedPath, { jobId })) {
+          console.log(`[5B][CAPTIONS][CACHE HIT][${jobId}] Scene ${idx + 1}: ${captionedPath}`);
+          return captionedPath;
+        }
         try {
-          hookClipPath = await findClipForScene({
-            subject: scenes[0].visualSubject || hookText || mainTopic,
-            sceneIdx: 0,
-            allSceneTexts,
-            mainTopic,
-            isMegaScene: false,
-            usedClips,
+          progress[jobId] = { percent: progress[jobId]?.percent || 10, status: `Adding captions to scene ${idx + 1}...` };
+          const captionedTmp = videoCache.tempPathFor(captionedPath, jobId);
+          await captionSceneVideo({
+            videoIn: muxedPath,
+            outPath: captionedTmp,
             workDir,
-            jobId,
-            jobContext,
-            categoryFolder
+            captionOptions,
+            audioPath,
+            plainText,
+            speech,
+            voiceId: voice,
+            provider,
+            prosody
           });
-        } catch (e) {
-          console.warn(`[5B][HOOK][CLIP][WARN][${jobId}] No clip found for hook, using fallback:`, e);
+          await videoCache.commit(captionedPath, { jobId, from: captionedTmp });
+          return captionedPath;
+        } catch (err) {
+          if (err.code === 'JOB_CANCELLED' || isJobCancelled(jobId)) throw err;
+          console.warn(`[5B][CAPTIONS][WARN][${jobId}] Captions failed for scene ${idx + 1}, using uncaptioned scene:`, err);
+          return muxedPath;
         }
-        if (!hookClipPath) {
-          const { fallbackKenBurnsVideo } = require('./section10d-kenburns-image-helper.cjs');
-          hookClipPath = await fallbackKenBurnsVideo(scenes[0].visualSubject || hookText || mainTopic, workDir, 0, jobId, usedClips);
-        }
-        pushUsedClip('HOOK', hookClipPath);
-        const localHookClipPath = path.join(workDir, path.basename(hookClipPath));
-        await ensureLocalClipExists(hookClipPath, localHookClipPath);
-
-        const hookDuration = await getDuration(audioPathHook);
-        const trimmedHookClip = path.join(videoCacheDir, `${hashForCache(localHookClipPath + audioPathHook)}-hooktrim.mp4`);
-        await trimForNarration(localHookClipPath, trimmedHookClip, hookDuration, { loop: true });
-        assertFileExists(trimmedHookClip, `HOOK_TRIMMED_VIDEO`);
+      }
 
-        const hookMuxed = path.join(videoCacheDir, `${hashForCache(trimmedHookClip + audioPathHook)}-hookmux.mp4`);
-        await muxVideoWithNarration(trimmedHookClip, audioPathHook, hookMuxed);
-        assertFileExists(hookMuxed, `HOOK_MUXED`);
+      // --- Timeline captions: the scene's .ass, burned in by the single encode; null if off/failed ---
+      async function sceneCaptionsFile(idx, audioPath, plainText, speech) {
+        if (!captionOptions.enabled) return null;
+        try {
+          const { assPath } = await writeSceneCaptions({
+            assPath: path.join(workDir, `scene${idx + 1}-captions.ass`),
+            captionOptions,
+            audioPath,
+            plainText,
+            speech,
+            voiceId: voice,
+            provider,
+            prosody
+          });
+          return assPath;
+        } catch (err) {
+          if (err.code === 'JOB_CANCELLED' || isJobCancelled(jobId)) throw err;
+          console.warn(`[5B][CAPTIONS][WARN][${jobId}] Captions failed for scene ${idx + 1}, rendering it without:`, err);
+          return null;
+        }
+      }
 
-        sceneFiles[0] = hookMuxed;
-        jobContext.sceneClipMetaList.push({
-          localFilePath: hookMuxed,
-          subject: scenes[0].visualSubject || hookText || mainTopic,
-          sceneIdx: 0,
-          source: hookClipPath.includes('pexels') ? 'pexels' : hookClipPath.includes('pixabay') ? 'pixabay' : 'r2',
-          category: categoryFolder
+      // --- Pinned clip (Section 5R): fetched, then handed to 5D as forceClipPath instead of matching ---
+      async function usePinnedClip(idx, subject) {
+        progress[jobId] = { percent: progress[jobId]?.percent || 10, status: `Loading your clip for scene ${idx + 1}...` };
+        let pinnedPath = null;
+        try {
+          pinnedPath = await resolveClipOverride(scenes[idx].clipOverride, { workDir, sceneIdx: idx, jobId });
+        } catch (err) {
+          if (err.code !== 'CLIP_OVERRIDE_FAILED') throw err;
+          console.error(`[5B][PINNED][ERR][${jobId}]`, err.message);
+        }
+        const clipPath = pinnedPath && await findClipForScene({
+          subject: subject || mainTopic,
+          sceneIdx: idx,
+          allSceneTexts,
+          mainTopic,
+          usedAssets,
+          workDir,
+          jobId,
+          forceClipPath: pinnedPath,
+          jobContext,
+          categoryFolder
         });
+        if (!clipPath) {
+          progress[jobId] = { percent: 100, status: `Your clip for scene ${idx + 1} could not be loaded. Pick another clip and try again.`, error: `Pinned clip for scene ${idx + 1} could not be loaded` };
+          throw new Error(`[5B][PINNED][ERR][${jobId}] Pinned clip ${describeClipOverride(scenes[idx].clipOverride)} unusable for scene ${idx + 1}`);
+        }
+        return clipPath;
+      }
 
-        // === MEGA SCENE (single only, not duplicated!) ===
-        const scene2 = scenes[1];
-        if (!scene2) throw new Error('[5B][FATAL] Mega scene missing!');
+      // === SCENE PIPELINE (Section 5U) ===
+      // Scene 1 = hook, scene 2 = mega scene (all of its lines), then one scene per line.
+      // Per scene: audio (narration) ∥ clip (search, in scene order) → render (trim/mux/captions).
+      const sceneKind = idx => (idx === 0 ? 'hook' : idx === 1 ? 'mega' : 'normal');
+      // Failures carry the scene they belong to (retry resumes there)
+      function forScene(idx, step) {
+        return async depResults => {
+          throwIfCancelled(jobId);
+          try {
+            return await step(depResults);
+          } catch (err) {
+            if (err && !Number.isInteger(err.sceneIdx)) err.sceneIdx = idx;
+            throw err;
+          }
+        };
+      }
 
-        const megaText = (scene2.texts && Array.isArray(scene2.texts)) ? scene2.texts.join(' ') : '';
-        const audioHashMega = hashForCache(JSON.stringify({ text: megaText, voice, provider }));
-        const audioPathMega = path.join(audioCacheDir, `${audioHashMega}-mega.mp3`);
+      async function sceneAudio(idx) {
+        const scene = scenes[idx];
+        const kind = sceneKind(idx);
+        let plainText, speech, cacheKeyText, suffix;
+        if (kind === 'mega') {
+          plainText = (scene.texts && Array.isArray(scene.texts)) ? scene.texts.join(' ') : '';
+          speech = (scene.texts && Array.isArray(scene.texts)) ? scene.texts.map(speechFor).join(' ') : '';
+          cacheKeyText = plainText;
+          suffix = '-mega';
+        } else {
+          plainText = scene.texts[0];
+          speech = speechFor(plainText);
+          // Hook keys on its line, later scenes on their texts array (existing cache names)
+          cacheKeyText = kind === 'hook' ? plainText : scene.texts;
+          suffix = '';
+        }
+        const audioPath = audioCache.pathFor(`${hashForCache(audioCacheKey(cacheKeyText, speech))}${suffix}.mp3`);
+        if (!(await audioCache.lookup(audioPath, { jobId, minSize: 10000 }))) {
+          const audioTmp = audioCache.tempPathFor(audioPath, jobId);
+          await deps.createSceneAudio(speech, voice, audioTmp, provider, prosody);
+          assertFileExists(audioTmp, kind === 'hook' ? 'AUDIO_HOOK' : kind === 'mega' ? 'AUDIO_MEGA' : `AUDIO_SCENE_${idx + 1}`);
+          await audioCache.commit(audioPath, { jobId, from: audioTmp });
+        }
+        return { audioPath, plainText, speech };
+      }
 
-        if (!fs.existsSync(audioPathMega) || fs.statSync(audioPathMega).size < 10000)
-          await deps.createSceneAudio(megaText, voice, audioPathMega, provider);
-        assertFileExists(audioPathMega, `AUDIO_MEGA`);
+      async function hookClip() {
+        const hookText = scenes[0].texts[0];
+        const subject = scenes[0].visualSubject || hookText || mainTopic;
+        console.log(`[5B][DUPE][INFO][${jobId}] Before hook lookup, usedAssets=${usedAssets.size}`);
+        // For hook, you could use a branding video, short animation, or a generic visual, but for now use normal clip logic:
+        let clipPath = null;
+        if (scenes[0].clipOverride) {
+          clipPath = await usePinnedClip(0, subject);
+        } else {
+          try {
+            clipPath = await findClipForScene({
+              subject,
+              sceneIdx: 0,
+              allSceneTexts,
+              mainTopic,
+              isMegaScene: false,
+              usedAssets,
+              workDir,
+              jobId,
+              jobContext,
+              categoryFolder,
+              alternates: scenes[0].alternates,
+              mustTokens: scenes[0].mustTokens
+            });
+          } catch (e) {
+            console.warn(`[5B][HOOK][CLIP][WARN][${jobId}] No clip found for hook, using fallback:`, e);
+          }
+        }
+        if (!clipPath) {
+          const { fallbackKenBurnsVideo } = require('./section10d-kenburns-image-helper.cjs');
+          clipPath = await fallbackKenBurnsVideo(subject, workDir, 0, jobId, usedAssets);
+        }
+        throwIfCancelled(jobId);
+        await pushUsedClip('HOOK', clipPath);
+        return { clipPath, subject };
+      }
 
+      async function megaClip() {
+        const scene2 = scenes[1];
+        const megaText = (scene2.texts && Array.isArray(scene2.texts)) ? scene2.texts.join(' ') : '';
         // === Subject extraction for mega scene ===
         let candidateSubjects = [];
-        if (extractVisualSubjects) {
+        if (scene2.clipOverride) {
+          // Pinned clip: nothing to search for, the subject only labels the scene
+          candidateSubjects = [scene2.subjectOverride || scene2.visualSubject || mainTopic];
+        } else if (scene2.subjectOverride) {
+          // Subject edited on retry / chosen in the scene plan wins over GPT extraction
+          candidateSubjects = [scene2.subjectOverride];
+        } else if (extractVisualSubjects) {
           try {
             candidateSubjects = await extractVisualSubjects(megaText, mainTopic);
             if (!Array.isArray(candidateSubjects) || !candidateSubjects.length) candidateSubjects = [];
@@ -290,84 +562,51 @@ function registerGenerateVideoEndpoint(app, deps) {
             console.warn(`[5B][MEGA][WARN] GPT subject extract failed, falling back:`, e);
           }
         }
+        // Plan alternates come right after the main subject(s)
+        if (!scene2.clipOverride && Array.isArray(scene2.alternates)) candidateSubjects.push(...scene2.alternates);
         if (!candidateSubjects.length) candidateSubjects = [megaText, mainTopic];
 
-        console.log(`[5B][DUPE][INFO][${jobId}] Before mega lookup, usedClipsLen=${usedClips.length}`);
-        let megaClipPath = null;
-        for (let subj of candidateSubjects) {
-          megaClipPath = await findClipForScene({
+        console.log(`[5B][DUPE][INFO][${jobId}] Before mega lookup, usedAssets=${usedAssets.size}`);
+        let clipPath = scene2.clipOverride ? await usePinnedClip(1, candidateSubjects[0]) : null;
+        for (const subj of clipPath ? [] : [...candidateSubjects, ...getFallbackSubjects(megaText, mainTopic)]) {
+          clipPath = await findClipForScene({
             subject: subj,
             sceneIdx: 1,
             allSceneTexts,
             mainTopic,
             isMegaScene: true,
-            usedClips,
+            usedAssets,
             workDir,
             jobId,
             megaSubject: subj,
             jobContext,
-            categoryFolder
+            categoryFolder,
+            mustTokens: scene2.mustTokens
           });
-          if (megaClipPath) break;
-        }
-        if (!megaClipPath) {
-          let fallbackSubjects = getFallbackSubjects(megaText, mainTopic);
-          for (let subj of fallbackSubjects) {
-            megaClipPath = await findClipForScene({
-              subject: subj,
-              sceneIdx: 1,
-              allSceneTexts,
-              mainTopic,
-              isMegaScene: true,
-              usedClips,
-              workDir,
-              jobId,
-              megaSubject: subj,
-              jobContext,
-              categoryFolder
-            });
-            if (megaClipPath) break;
-          }
+          if (clipPath) break;
         }
-        if (!megaClipPath) {
+        if (!clipPath) {
           const { fallbackKenBurnsVideo } = require('./section10d-kenburns-image-helper.cjs');
-          megaClipPath = await fallbackKenBurnsVideo(candidateSubjects[0] || mainTopic, workDir, 1, jobId, usedClips);
+          clipPath = await fallbackKenBurnsVideo(candidateSubjects[0] || mainTopic, workDir, 1, jobId, usedAssets);
         }
-        if (!megaClipPath) throw new Error(`[5B][ERR] No mega-clip found for any subject or fallback for: "${candidateSubjects[0] || mainTopic}"`);
-        pushUsedClip('MEGA', megaClipPath);
-
-        const localMegaClipPath = path.join(workDir, path.basename(megaClipPath));
-        await ensureLocalClipExists(megaClipPath, localMegaClipPath);
-
-        const megaDuration = await getDuration(audioPathMega);
-        const trimmedMegaClip = path.join(videoCacheDir, `${hashForCache(localMegaClipPath + audioPathMega)}-megatrim.mp4`);
-        await trimForNarration(localMegaClipPath, trimmedMegaClip, megaDuration, { loop: true });
-        assertFileExists(trimmedMegaClip, `MEGA_TRIMMED_VIDEO`);
-
-        const megaMuxed = path.join(videoCacheDir, `${hashForCache(trimmedMegaClip + audioPathMega)}-megamux.mp4`);
-        await muxVideoWithNarration(trimmedMegaClip, audioPathMega, megaMuxed);
-        assertFileExists(megaMuxed, `MEGA_MUXED`);
-
-        sceneFiles[1] = megaMuxed;
-        jobContext.sceneClipMetaList.push({
-          localFilePath: megaMuxed,
-          subject: candidateSubjects[0] || mainTopic,
-          sceneIdx: 1,
-          source: megaClipPath.includes('pexels') ? 'pexels' : megaClipPath.includes('pixabay') ? 'pixabay' : 'r2',
-          category: categoryFolder
-        });
+        if (!clipPath) throw new Error(`[5B][ERR] No mega-clip found for any subject or fallback for: "${candidateSubjects[0] || mainTopic}"`);
+        throwIfCancelled(jobId);
+        await pushUsedClip('MEGA', clipPath);
+        return { clipPath, subject: candidateSubjects[0] || mainTopic };
+      }
 
-        // === Remaining Scenes (async for...of, one attempt each, no infinite retry) ===
-        for (let i = 2; i < scenes.length; i++) {
-          const scene = scenes[i];
-          let sceneIdx = i;
-          let sceneSubject = scene.visualSubject || (Array.isArray(scene.texts) && scene.texts[0]) || allSceneTexts[sceneIdx];
-          const GENERIC_SUBJECTS = ['face','person','man','woman','it','thing','someone','something','body','eyes'];
-          if (GENERIC_SUBJECTS.includes((sceneSubject || '').toLowerCase())) {
-            sceneSubject = mainTopic;
-          }
-          console.log(`[5B][DUPE][INFO][${jobId}] Before scene ${sceneIdx + 1} lookup, usedClipsLen=${usedClips.length}`);
-          let clipPath = null;
+      async function lineClip(sceneIdx) {
+        const scene = scenes[sceneIdx];
+        let sceneSubject = scene.subjectOverride || scene.visualSubject || (Array.isArray(scene.texts) && scene.texts[0]) || allSceneTexts[sceneIdx];
+        const GENERIC_SUBJECTS = ['face','person','man','woman','it','thing','someone','something','body','eyes'];
+        if (!scene.subjectOverride && GENERIC_SUBJECTS.includes((sceneSubject || '').toLowerCase())) {
+          sceneSubject = mainTopic;
+        }
+        console.log(`[5B][DUPE][INFO][${jobId}] Before scene ${sceneIdx + 1} lookup, usedAssets=${usedAssets.size}`);
+        let clipPath = null;
+        if (scene.clipOverride) {
+          clipPath = await usePinnedClip(sceneIdx, sceneSubject);
+        } else {
           try {
             clipPath = await findClipForScene({
               subject: sceneSubject,
@@ -375,59 +614,146 @@ function registerGenerateVideoEndpoint(app, deps) {
               allSceneTexts,
               mainTopic,
               isMegaScene: false,
-              usedClips,
+              usedAssets,
               workDir,
               jobId,
               jobContext,
-              categoryFolder
+              categoryFolder,
+              alternates: scene.alternates,
+              mustTokens: scene.mustTokens
             });
           } catch (e) {
             console.error(`[5B][CLIP][ERR][${jobId}] findClipForScene failed for scene ${sceneIdx + 1}:`, e);
           }
-          if (!clipPath) {
-            console.error(`[5B][ERR][NO_MATCH][${jobId}] No clip found for scene ${sceneIdx + 1}. Failing this job.`);
-            progress[jobId] = { percent: 100, status: `No clip found for scene ${sceneIdx + 1}. Try a different topic or rephrase your script.`, error: `No clip found for scene ${sceneIdx + 1}` };
-            throw new Error(`[5B][ERR][NO_MATCH][${jobId}] No clip found for scene ${sceneIdx + 1}`);
-          }
-          pushUsedClip(`SCENE_${sceneIdx + 1}`, clipPath);
+        }
+        if (!clipPath) {
+          console.error(`[5B][ERR][NO_MATCH][${jobId}] No clip found for scene ${sceneIdx + 1}. Failing this job.`);
+          progress[jobId] = { percent: 100, status: `No clip found for scene ${sceneIdx + 1}. Try a different topic or rephrase your script.`, error: `No clip found for scene ${sceneIdx + 1}` };
+          throw new Error(`[5B][ERR][NO_MATCH][${jobId}] No clip found for scene ${sceneIdx + 1}`);
+        }
+        throwIfCancelled(jobId);
+        await pushUsedClip(`SCENE_${sceneIdx + 1}`, clipPath);
+        return { clipPath, subject: sceneSubject };
+      }
 
-          const localClipPath = path.join(workDir, path.basename(clipPath));
-          await ensureLocalClipExists(clipPath, localClipPath);
-          assertFileExists(localClipPath, `CLIP_SCENE_${sceneIdx+1}`);
+      // Clip lookup + local copy; the download stays out of the ffmpeg pool
+      async function sceneClip(idx) {
+        const kind = sceneKind(idx);
+        const picked = kind === 'hook' ? await hookClip() : kind === 'mega' ? await megaClip() : await lineClip(idx);
+        const localClipPath = path.join(workDir, path.basename(picked.clipPath));
+        await ensureLocalClipExists(picked.clipPath, localClipPath);
+        assertFileExists(localClipPath, kind === 'normal' ? `CLIP_SCENE_${idx + 1}` : `CLIP_${kind.toUpperCase()}`);
+        return { ...picked, localClipPath };
+      }
 
-          const audioHash = hashForCache(JSON.stringify({
-            text: scene.texts,
-            voice,
-            provider
-          }));
-          const audioCachePath = path.join(audioCacheDir, `${audioHash}.mp3`);
-          if (!fs.existsSync(audioCachePath) || fs.statSync(audioCachePath).size < 10000)
-            await deps.createSceneAudio(scene.texts[0], voice, audioCachePath, provider);
-          assertFileExists(audioCachePath, `AUDIO_SCENE_${sceneIdx+1}`);
-
-          const narrationDuration = await getDuration(audioCachePath);
-          const trimmedVideoPath = path.join(workDir, `scene${sceneIdx+1}-trimmed.mp4`);
-          await trimForNarration(localClipPath, trimmedVideoPath, narrationDuration);
-          const videoCachePath = path.join(videoCacheDir, `${hashForCache(JSON.stringify({
+      let renderedScenes = 0;
+      async function renderScene(idx, clip, audio) {
+        const kind = sceneKind(idx);
+        const scene = scenes[idx];
+        const { clipPath, localClipPath, subject } = clip;
+        const { audioPath, plainText, speech } = audio;
+        const narrationDuration = await getDuration(audioPath);
+        if (renderMode === 'timeline') return prepareSegment(idx, clip, audio, narrationDuration);
+        let muxedPath;
+        if (kind === 'normal') {
+          const trimmedVideoPath = path.join(workDir, `scene${idx + 1}-trimmed.mp4`);
+          // Pinned clips (uploaded stills are 5s) may be shorter than the line: loop instead of cutting short
+          await trimForNarration(localClipPath, trimmedVideoPath, narrationDuration, { cropMode, loop: !!scene.clipOverride });
+          // Same narration keys as audioCacheKey: speech markup / prosody only when set (old names kept)
+          muxedPath = videoCache.pathFor(`${hashForCache(JSON.stringify({
             text: scene.texts,
             voice,
             provider,
-            clip: clipPath
+            clip: clipPath,
+            ...(cropCacheTag ? { crop: cropMode } : {}),
+            ...(speech !== plainText ? { speech } : {}),
+            ...(isDefaultProsody ? {} : { prosody })
           }))}.mp4`);
-          await muxVideoWithNarration(trimmedVideoPath, audioCachePath, videoCachePath);
-          assertFileExists(videoCachePath, `MUXED_SCENE_${sceneIdx+1}`);
-
-          jobContext.sceneClipMetaList.push({
-            localFilePath: videoCachePath,
-            subject: sceneSubject,
-            sceneIdx,
-            source: (clipPath || '').includes('pexels') ? 'pexels' : (clipPath || '').includes('pixabay') ? 'pixabay' : 'r2',
-            category: categoryFolder
-          });
-
-          sceneFiles[sceneIdx] = videoCachePath;
+          const muxedTmp = videoCache.tempPathFor(muxedPath, jobId);
+          await muxVideoWithNarration(trimmedVideoPath, audioPath, muxedTmp);
+          assertFileExists(muxedTmp, `MUXED_SCENE_${idx + 1}`);
+          await videoCache.commit(muxedPath, { jobId, from: muxedTmp });
+        } else {
+          const tag = kind.toUpperCase();
+          const trimmedPath = videoCache.pathFor(`${hashForCache(localClipPath + audioPath + cropCacheTag)}-${kind}trim.mp4`);
+          const trimmedTmp = videoCache.tempPathFor(trimmedPath, jobId);
+          await trimForNarration(localClipPath, trimmedTmp, narrationDuration, { loop: true, cropMode });
+          assertFileExists(trimmedTmp, `${tag}_TRIMMED_VIDEO`);
+          await videoCache.commit(trimmedPath, { jobId, from: trimmedTmp });
+          muxedPath = videoCache.pathFor(`${hashForCache(trimmedPath + audioPath)}-${kind}mux.mp4`);
+          const muxedTmp = videoCache.tempPathFor(muxedPath, jobId);
+          await muxVideoWithNarration(trimmedPath, audioPath, muxedTmp);
+          assertFileExists(muxedTmp, `${tag}_MUXED`);
+          await videoCache.commit(muxedPath, { jobId, from: muxedTmp });
         }
+        const sceneFinal = await captionScene(idx, muxedPath, audioPath, plainText, speech);
+        throwIfCancelled(jobId);
+
+        sceneFiles[idx] = sceneFinal;
+        addSceneClipMeta(idx, sceneFinal, clipPath, subject, plainText);
+        saveSceneArtifact(idx, clipPath, sceneFinal, subject, { audioPath, plainText, speech });
+        sceneReady(idx);
+        return sceneFinal;
+      }
+
+      // Timeline mode: no encode per scene, only how the clip is framed/captioned (encoded once in 5V)
+      async function prepareSegment(idx, clip, audio, narrationDuration) {
+        const { clipPath, localClipPath, subject } = clip;
+        const { audioPath, plainText, speech } = audio;
+        // Hook/mega always loop; pinned clips (uploaded stills are 5s) too
+        const loop = sceneKind(idx) !== 'normal' || !!scenes[idx].clipOverride;
+        const segment = {
+          clipPath: localClipPath,
+          audioPath,
+          duration: narrationDuration,
+          loop,
+          frameFilter: await pickFrameFilter(localClipPath, cropMode, narrationDuration, loop),
+          captionsPath: await sceneCaptionsFile(idx, audioPath, plainText, speech)
+        };
+        throwIfCancelled(jobId);
+
+        sceneSegments[idx] = segment;
+        addSceneClipMeta(idx, localClipPath, clipPath, subject, plainText);
+        saveSceneArtifact(idx, clipPath, null, subject, { audioPath, plainText, speech }, segment);
+        sceneReady(idx);
+        return segment;
+      }
+
+      function sceneReady(idx) {
+        renderedScenes++;
+        // A failed sibling's error message stays on screen
+        if (!(progress[jobId] && progress[jobId].error)) progress[jobId] = { percent: 10 + Math.round((28 * renderedScenes) / pendingScenes.length), status: `Scene ${idx + 1} ready (${renderedScenes}/${pendingScenes.length})...` };
+      }
 
+      if (!scenes[1]) throw new Error('[5B][FATAL] Mega scene missing!');
+      const pendingScenes = scenes.map((_, idx) => idx).filter(idx => !restoreScene(idx));
+      const sceneTasks = [];
+      let prevClipTask = null;
+      for (const idx of pendingScenes) {
+        sceneTasks.push({ id: `audio:${idx}`, pool: 'tts', run: forScene(idx, () => sceneAudio(idx)) });
+        // Clip lookups stay in scene order: each one sees every earlier pick as used
+        sceneTasks.push({ id: `clip:${idx}`, pool: 'clips', deps: prevClipTask ? [prevClipTask] : [], run: forScene(idx, () => sceneClip(idx)) });
+        prevClipTask = `clip:${idx}`;
+        sceneTasks.push({
+          id: `render:${idx}`,
+          pool: 'ffmpeg',
+          deps: [`clip:${idx}`, `audio:${idx}`],
+          run: forScene(idx, r => renderScene(idx, r[`clip:${idx}`], r[`audio:${idx}`]))
+        });
+      }
+      if (pendingScenes.length) {
+        progress[jobId] = { percent: 10, status: `Building ${pendingScenes.length} scene${pendingScenes.length === 1 ? '' : 's'}...` };
+      }
+      await runTaskGraph(sceneTasks, {
+        jobId,
+        pools: { tts: SCENE_TTS_CONCURRENCY, clips: 1, ffmpeg: SCENE_FFMPEG_CONCURRENCY }
+      });
+      // Scenes finish out of order; archiving/bulletproofing index this list by scene
+      jobContext.sceneClipMetaList.sort((a, b) => a.sceneIdx - b.sceneIdx);
+
+      // === 7. Final video: per-scene concat/music/outro, or one timeline encode (Section 5V) ===
+      // Both return the finished 9:16 master and the length before the outro (subtitles end there)
+      async function assembleFromScenes() {
         progress[jobId] = { percent: 40, status: 'Stitching your video together...' };
         let refInfo = null;
         try {
@@ -461,14 +787,15 @@ function registerGenerateVideoEndpoint(app, deps) {
           throw new Error(`[5B][AUDIO][ERR][${jobId}] ensureAudioStream failed: ${e}`);
         }
 
+        throwIfCancelled(jobId);
         let musicPath = withAudioPath;
         if (music) {
           try {
             progress[jobId] = { percent: 80, status: 'Adding background music...' };
-            const chosenMusic = pickMusicForMood ? await pickMusicForMood(script, workDir, jobId) : null;
+            const chosenMusic = pickMusicForMood ? await pickMusicForMood(script, workDir, { mood: musicMood, jobId }) : null;
             if (chosenMusic) {
               const musicOutput = path.join(workDir, getUniqueFinalName('with-music'));
-              await overlayMusic(withAudioPath, chosenMusic, musicOutput);
+              await overlayMusic(withAudioPath, chosenMusic, musicOutput, musicOptions);
               assertFileExists(musicOutput, 'MUSIC_OUT');
               musicPath = musicOutput;
               progress[jobId] = { percent: 82, status: 'Background music ready!' };
@@ -483,7 +810,6 @@ function registerGenerateVideoEndpoint(app, deps) {
         }
 
         let finalPath = musicPath;
-        let r2FinalName = getUniqueFinalName('final-with-outro');
         if (outro) {
           const outroPath = path.join(__dirname, '..', 'public', 'assets', 'outro.mp4');
           if (fs.existsSync(outroPath)) {
@@ -503,39 +829,312 @@ function registerGenerateVideoEndpoint(app, deps) {
         } else {
           progress[jobId] = { percent: 90, status: 'Outro skipped (user setting).' };
         }
+        return { finalPath, mainPath: musicPath, mainDuration: null };
+      }
+
+      async function assembleTimeline() {
+        progress[jobId] = { percent: 40, status: 'Stitching your video together...' };
+        const segments = scenes.map((_, idx) => sceneSegments[idx]);
+        const missing = segments.findIndex(seg => !seg);
+        if (missing !== -1) throw new Error(`[5B][TIMELINE][ERR][${jobId}] Scene ${missing + 1} was never prepared`);
+
+        let musicPath = null;
+        if (music) {
+          try {
+            musicPath = pickMusicForMood ? await pickMusicForMood(script, workDir, { mood: musicMood, jobId }) : null;
+          } catch (e) {
+            throw new Error(`[5B][MUSIC][ERR][${jobId}] pickMusicForMood failed: ${e}`);
+          }
+          if (!musicPath) console.warn(`[5B][MUSIC][WARN][${jobId}] No music found, rendering without.`);
+        }
+        const outroPath = path.join(__dirname, '..', 'public', 'assets', 'outro.mp4');
+        const useOutro = !!outro && fs.existsSync(outroPath);
+        if (outro && !useOutro) console.warn(`[5B][OUTRO][WARN][${jobId}] Outro file missing, rendering without: ${outroPath}`);
 
-        // === 9. Upload final video to R2 and finish ===
+        const finalPath = path.join(workDir, r2FinalName);
+        progress[jobId] = { percent: 45, status: 'Rendering your video...' };
         try {
-          progress[jobId] = { percent: 98, status: 'Uploading video to Cloudflare R2...' };
-          const r2VideoUrl = await uploadToR2(finalPath, r2FinalName, jobId);
-          progress[jobId] = { percent: 100, status: 'Your video is ready! 🎉', output: r2VideoUrl };
-        } catch (uploadErr) {
-          progress[jobId] = { percent: 100, status: 'Video ready locally (Cloudflare upload failed).', output: finalPath };
+          const rendered = await renderTimeline(
+            { segments, musicPath, musicOptions, outro: useOutro ? { path: outroPath } : null },
+            finalPath,
+            {
+              jobId,
+              onProgress: fraction => {
+                const percent = 45 + Math.round(47 * fraction);
+                if (percent > (progress[jobId]?.percent || 0)) progress[jobId] = { percent, status: 'Rendering your video...' };
+              }
+            }
+          );
+          assertFileExists(finalPath, 'TIMELINE_OUT');
+          progress[jobId] = { percent: 92, status: 'Video rendered! Wrapping up...' };
+          return { finalPath, mainPath: null, mainDuration: rendered.mainDuration };
+        } catch (e) {
+          if (isJobCancelled(jobId)) throw e;
+          throw new Error(`[5B][TIMELINE][ERR][${jobId}] renderTimeline failed: ${e}`);
         }
+      }
 
-      } catch (err) {
-        console.error(`[5B][FATAL][JOB][${jobId}] Video job failed:`, err, err && err.stack ? err.stack : '');
-        progress[jobId] = { percent: 100, status: 'Something went wrong. Please try again or contact support.', error: err.message || err.toString() };
-      } finally {
-        if (cleanupJob) {
+      throwIfCancelled(jobId);
+      const r2FinalName = getUniqueFinalName('final-with-outro');
+      const { finalPath, mainPath, mainDuration } = renderMode === 'timeline' ? await assembleTimeline() : await assembleFromScenes();
+
+      // === 8b. Subtitles (.srt/.vtt) for the main video; the outro has no narration ===
+      let subtitleFiles = null;
+      if (subtitles) {
+        try {
+          throwIfCancelled(jobId);
+          progress[jobId] = { percent: 94, status: 'Writing subtitles...' };
+          const cues = await buildSubtitleCues(
+            scenes.map((_, idx) => ({
+              // Timeline segments know their length; muxed scenes are probed
+              ...(renderMode === 'timeline' ? { duration: sceneSegments[idx].duration } : { videoPath: sceneFiles[idx] }),
+              voiceId: voice,
+              provider,
+              prosody,
+              ...(sceneNarration[idx] || {})
+            })),
+            { maxEnd: mainDuration || await getDuration(mainPath) }
+          );
+          subtitleFiles = writeSubtitleFiles(cues, path.join(workDir, 'subtitles'));
+        } catch (e) {
+          if (isJobCancelled(jobId)) throw e;
+          console.warn(`[5B][SUBTITLES][WARN][${jobId}] Subtitle export failed, finishing without subtitles:`, e);
+        }
+      }
+
+      // === 8c. Requested extra aspects, reframed from the finished 9:16 video (captions included) ===
+      const aspectFiles = { '9:16': finalPath };
+      for (const aspect of aspects) {
+        if (aspect === '9:16') continue;
+        throwIfCancelled(jobId);
+        const { create, suffix } = ASPECT_FORMATS[aspect];
+        const variantPath = path.join(workDir, r2FinalName.replace(/\.mp4$/i, `-${suffix}.mp4`));
+        try {
+          progress[jobId] = { percent: 95, status: `Creating your ${aspect} version...` };
+          await create(finalPath, variantPath);
+          assertFileExists(variantPath, `ASPECT_${suffix}`);
+          aspectFiles[aspect] = variantPath;
+        } catch (e) {
+          if (isJobCancelled(jobId)) throw e;
+          console.warn(`[5B][ASPECT][WARN][${jobId}] ${aspect} export failed, skipping it:`, e);
+        }
+      }
+
+      // === 9. Upload final video to R2 and finish ===
+      throwIfCancelled(jobId);
+      try {
+        progress[jobId] = { percent: 98, status: 'Uploading video to Cloudflare R2...' };
+        const variants = {};
+        for (const [aspect, file] of Object.entries(aspectFiles)) {
+          variants[aspect] = await uploadToR2(file, aspect === '9:16' ? r2FinalName : path.basename(file), jobId);
+        }
+        const r2VideoUrl = variants['9:16'];
+        let subtitleUrls = {};
+        if (subtitleFiles) {
+          const base = r2FinalName.replace(/\.mp4$/i, '');
           try {
-            cleanupJob(jobId, jobContext);
-          } catch (e) {
-            console.warn(`[5B][CLEANUP][WARN][${jobId}] Cleanup failed:`, e);
+            subtitleUrls = {
+              srt: await uploadToR2(subtitleFiles.srtPath, `${base}.srt`, jobId, 'application/x-subrip'),
+              vtt: await uploadToR2(subtitleFiles.vttPath, `${base}.vtt`, jobId, 'text/vtt')
+            };
+          } catch (subErr) {
+            console.warn(`[5B][R2][WARN][${jobId}] Subtitle upload failed, returning local paths:`, subErr);
+            subtitleUrls = { srt: subtitleFiles.srtPath, vtt: subtitleFiles.vttPath };
           }
         }
+        progress[jobId] = {
+          percent: 100,
+          status: 'Your video is ready! 🎉',
+          output: r2VideoUrl,
+          // The player shows 16:9 when it was requested, the download button gets the vertical master
+          displayUrl: variants['16:9'] || r2VideoUrl,
+          downloadUrl: r2VideoUrl,
+          variants,
+          ...subtitleUrls
+        };
+      } catch (uploadErr) {
+        progress[jobId] = {
+          percent: 100,
+          status: 'Video ready locally (Cloudflare upload failed).',
+          output: finalPath,
+          displayUrl: aspectFiles['16:9'] || finalPath,
+          downloadUrl: finalPath,
+          variants: aspectFiles,
+          ...(subtitleFiles ? { srt: subtitleFiles.srtPath, vtt: subtitleFiles.vttPath } : {})
+        };
+      }
+
+    } catch (err) {
+      if (isJobCancelled(jobId)) {
+        // Aborted downloads / killed ffmpeg surface here; the job store already says 'cancelled'
+        console.log(`[5B][CANCELLED][JOB][${jobId}] Video job stopped after cancellation: ${err && err.message ? err.message : err}`);
+      } else {
+        console.error(`[5B][FATAL][JOB][${jobId}] Video job failed:`, err, err && err.stack ? err.stack : '');
+        // The "No clip found" path already wrote a friendlier message; keep it
+        const current = progress[jobId];
+        if (!current || !current.error) {
+          progress[jobId] = { percent: 100, status: 'Something went wrong. Please try again or contact support.', error: err.message || err.toString() };
+        }
+        // Where to pick up on POST /api/jobs/:jobId/retry (null = failed outside the scene pipeline)
+        jobStore.updateJob(jobId, { failedSceneIdx: err && Number.isInteger(err.sceneIdx) ? err.sceneIdx : null });
+      }
+    } finally {
+      const cancelled = isJobCancelled(jobId);
+      releaseJob(jobId);
+      releaseCacheLeases(jobId);
+      if (cleanupJob) {
+        try {
+          // Cancelled jobs never archive their half-made clips
+          cleanupJob(jobId, cancelled ? null : jobContext);
+        } catch (e) {
+          console.warn(`[5B][CLEANUP][WARN][${jobId}] Cleanup failed:`, e);
+        }
+      }
+    }
+  }
+
+  app.post('/api/generate-video', async (req, res) => {
+    console.log('[5B][REQ] POST /api/generate-video');
+    if (!progress) {
+      console.error('[5B][FATAL] No progress tracker found!');
+      return res.status(500).json({ error: 'Internal progress tracker missing.' });
+    }
+
+    // Back-pressure: refuse (429 + retry hint) instead of piling up ffmpeg pipelines
+    if (renderQueue.isFull()) {
+      const retryAfter = renderQueue.estimateRetryAfter();
+      console.warn(`[5B][QUEUE][FULL] Rejecting request, retryAfter=${retryAfter}s`, renderQueue.stats());
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'We are busy rendering other videos. Please try again shortly.', retryAfter });
+    }
+
+    const body = { ...(req.body || {}) };
+    if (body.plan !== undefined && body.plan !== null) {
+      const { errors } = normalizeScenePlan(body.plan);
+      if (errors.length) {
+        console.warn(`[5B][PLAN][400] Invalid scene plan: ${errors.join('; ')}`);
+        return res.status(400).json({ error: 'Invalid scene plan.', details: errors });
       }
-    })();
+    }
+    const { errors: overrideErrors } = normalizeClipOverrides(body.clipOverrides);
+    if (overrideErrors.length) {
+      console.warn(`[5B][PINNED][400] Invalid clipOverrides: ${overrideErrors.join('; ')}`);
+      return res.status(400).json({ error: 'Invalid clipOverrides.', details: overrideErrors });
+    }
+
+    const { error: recentError } = normalizeRecentWindow(body.avoidRecentClips);
+    const channelError = body.channel != null && typeof body.channel !== 'string' ? 'channel must be a string' : null;
+    if (recentError || channelError) {
+      const details = [recentError, channelError].filter(Boolean);
+      console.warn(`[5B][DUPE][400] Invalid clip reuse options: ${details.join('; ')}`);
+      return res.status(400).json({ error: 'Invalid clip reuse options.', details });
+    }
+
+    const jobId = uuidv4();
+    // Durable job record (Section 5I): inputs kept so finished jobs can be looked up later
+    jobStore.createJob(jobId, body);
+
+    let queuePosition;
+    try {
+      queuePosition = renderQueue.enqueue(jobId, () => runInJobScope(jobId, () => runVideoJob(jobId, body)));
+    } catch (err) {
+      if (err.code !== 'QUEUE_FULL') throw err;
+      jobStore.updateJob(jobId, { state: 'failed', percent: 100, status: 'Server busy, job not started.', error: 'Render queue full' });
+      res.set('Retry-After', String(err.retryAfter));
+      return res.status(429).json({ error: 'We are busy rendering other videos. Please try again shortly.', retryAfter: err.retryAfter });
+    }
+    console.log(`[5B][INFO] New job queued: ${jobId} | queuePosition=${queuePosition}`);
+    res.json({ jobId, queuePosition });
+  });
+
+  // --- RETRY: resume a failed/interrupted job from its last completed scene (same jobId) ---
+  // Body (optional): { subject } → replaces the visual subject of the scene that failed
+  const RETRYABLE_STATES = ['failed', 'interrupted'];
+  app.post('/api/jobs/:jobId/retry', (req, res) => {
+    const { jobId } = req.params;
+    console.log(`[5B][REQ] POST /api/jobs/${jobId}/retry`);
+    const job = jobStore.getJob(jobId);
+    if (!job) {
+      console.warn(`[5B][RETRY][404] Job not found: ${jobId}`);
+      return res.status(404).json({ success: false, error: 'Job not found', jobId });
+    }
+    if (!RETRYABLE_STATES.includes(job.state)) {
+      console.warn(`[5B][RETRY][WARN][${jobId}] Not retryable in state=${job.state}`);
+      return res.status(409).json({ success: false, error: `Only failed or interrupted jobs can be retried (state: ${job.state})`, jobId, state: job.state });
+    }
+
+    const failedSceneIdx = Number.isInteger(job.failedSceneIdx) ? job.failedSceneIdx : null;
+    const rawSubject = req.body ? req.body.subject : undefined;
+    if (rawSubject !== undefined && typeof rawSubject !== 'string') {
+      return res.status(400).json({ success: false, error: 'subject must be a string', jobId });
+    }
+    const subject = (rawSubject || '').trim();
+    let scenePlan = null;
+    if (subject) {
+      if (failedSceneIdx === null || !Array.isArray(job.scenePlan) || !job.scenePlan[failedSceneIdx]) {
+        return res.status(400).json({ success: false, error: 'This job did not fail on a scene, so there is no subject to edit.', jobId });
+      }
+      scenePlan = job.scenePlan.map((scene, idx) =>
+        // A new subject means "find something else": drop any pinned clip for that scene
+        idx === failedSceneIdx ? { ...scene, visualSubject: subject, subjectOverride: subject, clipOverride: null } : scene
+      );
+    }
+
+    // Nothing is saved until the queue has room, so a 429 leaves the job as it was
+    if (renderQueue.isFull()) {
+      const retryAfter = renderQueue.estimateRetryAfter();
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error: 'We are busy rendering other videos. Please try again shortly.', retryAfter });
+    }
+
+    // Taken before the update: `job` can be the cached record that updateJob mutates
+    const rollback = {
+      state: job.state,
+      scenePlan: job.scenePlan,
+      finishedAt: job.finishedAt,
+      failedSceneIdx: job.failedSceneIdx,
+      retries: job.retries || 0
+    };
+    jobStore.updateJob(jobId, {
+      ...(scenePlan ? { scenePlan } : {}),
+      state: 'queued',
+      percent: 0,
+      status: 'Queued for retry...',
+      error: null,
+      finishedAt: null,
+      failedSceneIdx: null,
+      progress: { percent: 0, status: 'Queued for retry...' },
+      retries: rollback.retries + 1
+    });
+    if (scenePlan) console.log(`[5B][RETRY][${jobId}] Scene ${failedSceneIdx + 1} subject set to "${subject}"`);
+
+    let queuePosition;
+    try {
+      queuePosition = renderQueue.enqueue(jobId, () => runInJobScope(jobId, () => runVideoJob(jobId, job.inputs, { resume: true })));
+    } catch (err) {
+      if (err.code !== 'QUEUE_FULL') throw err;
+      jobStore.updateJob(jobId, {
+        ...rollback,
+        percent: 100,
+        status: 'Server busy, retry not started.',
+        error: 'Render queue full'
+      });
+      res.set('Retry-After', String(err.retryAfter));
+      return res.status(429).json({ success: false, error: 'We are busy rendering other videos. Please try again shortly.', retryAfter: err.retryAfter });
+    }
+    const resumeFromScene = failedSceneIdx === null ? null : failedSceneIdx + 1;
+    console.log(`[5B][RETRY][${jobId}] Re-queued | queuePosition=${queuePosition} resumeFromScene=${resumeFromScene}`);
+    res.json({ success: true, jobId, queuePosition, resumeFromScene });
   });
 
-  console.log('[5B][SUCCESS] /api/generate-video endpoint registered.');
+  console.log('[5B][SUCCESS] /api/generate-video and /api/jobs/:jobId/retry endpoints registered.');
 }
 
 console.log('[5B][EXPORT] registerGenerateVideoEndpoint exported');
 module.exports = registerGenerateVideoEndpoint;
 
 // === UPLOAD TO R2 (Helper) ===
-async function uploadToR2(finalPath, r2FinalName, jobId) {
+async function uploadToR2(finalPath, r2FinalName, jobId, contentType = 'video/mp4') {
   const bucket = process.env.R2_VIDEOS_BUCKET || 'socialstorm-videos';
   const fileData = fs.readFileSync(finalPath);
   const key = r2FinalName.startsWith('jobs/') ? r2FinalName : `jobs/${jobId}/${r2FinalName}`;
@@ -544,7 +1143,7 @@ async function uploadToR2(finalPath, r2FinalName, jobId) {
     Bucket: bucket,
     Key: key,
     Body: fileData,
-    ContentType: 'video/mp4'
+    ContentType: contentType
   }));
   // Always return the custom public domain if available!
   const urlBase = process.env.R2_PUBLIC_CUSTOM_DOMAIN || 'https://videos.socialstormai.com';
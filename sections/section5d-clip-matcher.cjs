@@ -2,15 +2,26 @@
 // SECTION 5D: CLIP MATCHER ORCHESTRATOR (Loosest, Bulletproof)
 // Always returns something: video, image, Ken Burns, or any available.
 // Never loops forever. Max logs at each fallback step.
+// R2 matching queries the library catalog (10A/10H), never the bucket itself.
+// Optional visual verification (5S): R2/Pexels/Pixabay picks are checked frame-by-frame
+// against the subject and rejected below the confidence floor; verdicts go on jobContext.
+// Dedupe is one asset tracker per job (5T): provider id, library key/origin, content hash.
+// Every clip returned here is recorded on it, pinned ones included.
+// Scene plans (5Q) add alternates (video-searched after the extracted subjects, before any
+// image/any-clip fallback) and mustTokens:
+// R2/Pexels/Pixabay picks must carry every token in their name or tags.
 // ===========================================================
 
-const { findR2ClipForScene } = require('./section10a-r2-clip-helper.cjs');
+const { getLibraryCatalog, downloadR2ClipByKey } = require('./section10a-r2-clip-helper.cjs');
 const { findPexelsClipForScene } = require('./section10b-pexels-clip-helper.cjs');
 const { findPixabayClipForScene } = require('./section10c-pixabay-clip-helper.cjs');
 const { findUnsplashImageForScene } = require('./section10f-unsplash-image-helper.cjs');
 const { fallbackKenBurnsVideo } = require('./section10d-kenburns-image-helper.cjs');
 const { cleanForFilename } = require('./section10e-upload-to-r2.cjs');
 const { extractVisualSubjects } = require('./section11-visual-subject-extractor.cjs');
+const { isVisualVerifyEnabled, verifyClip } = require('./section5s-visual-verification.cjs');
+const { createUsedAssets, identifyClip, identifyCatalogEntry } = require('./section5t-asset-identity.cjs');
+const { readClipInfo } = require('./section10i-clip-metadata.cjs');
 const fs = require('fs');
 const path = require('path');
 
@@ -32,17 +43,6 @@ function getMajorWords(subject) {
     .filter(w => w.length > 2 && !['the','of','and','in','on','with','to','is','for','at','by','as','a','an'].includes(w));
 }
 
-// Stem for per-video dedupe (basename, no extension, separators→spaces, lowercase)
-function stemFromPath(p) {
-  try {
-    const base = (p || '').split('/').pop() || '';
-    const noExt = base.replace(/\.[a-z0-9]+$/i, '');
-    return noExt.toLowerCase().replace(/[\s_\-\.]+/g, ' ').replace(/\s+/g, ' ').trim();
-  } catch {
-    return '';
-  }
-}
-
 // NEW: derive a stable provider ID from filename when meta.id is missing
 function deriveProviderId(filePath, label = '') {
   try {
@@ -103,6 +103,13 @@ function strictSubjectMatch(filename, subject) {
   return re.test(cleanForFilename(filename));
 }
 
+// Every must-token appears in one of the texts (file name, tags), compared in filename form
+function hasMustTokens(texts, mustTokens) {
+  if (!mustTokens.length) return true;
+  const haystack = texts.filter(t => typeof t === 'string').map(cleanForFilename);
+  return mustTokens.every(token => haystack.some(text => text.includes(token)));
+}
+
 function assertFileExists(file, label = 'FILE', minSize = 10240) {
   try {
     if (!file || !fs.existsSync(file)) {
@@ -127,23 +134,52 @@ async function findClipForScene({
   allSceneTexts,
   mainTopic,
   isMegaScene = false,
-  usedClips = [],
+  usedAssets = null,
   workDir,
   jobId,
   megaSubject = null,
   forceClipPath = null,
   jobContext = {},
-  categoryFolder
+  categoryFolder,
+  alternates = [],
+  mustTokens = []
 }) {
   let searchSubject = subject;
+  const requiredTokens = (Array.isArray(mustTokens) ? mustTokens : [])
+    .filter(t => typeof t === 'string')
+    .map(cleanForFilename)
+    .filter(Boolean);
+
+  // The job's asset tracker (5B passes one per job; a lone call gets its own)
+  if (!usedAssets) usedAssets = createUsedAssets(jobId);
+
+  // Identity of a local clip; null (logged) if this job or a recent video already used it
+  async function unusedIdentity(localPath, known, label) {
+    const identity = await identifyClip(localPath, known);
+    const hit = usedAssets.match(identity);
+    if (hit) {
+      console.log(`[5D][${label}][${jobId}][DUPE][SKIP] ${hit.alias} already used (${hit.scope === 'recent' ? 'recent video' : hit.label}): ${localPath}`);
+      return null;
+    }
+    return identity;
+  }
+  function skipUsedEntry(entry) {
+    const hit = usedAssets.match(identifyCatalogEntry(entry));
+    if (hit) console.log(`[5D][R2][${jobId}][DUPE][SKIP] ${hit.alias} already used (${hit.scope === 'recent' ? 'recent video' : hit.label}): ${entry.key}`);
+    return !!hit;
+  }
 
-  // Build per-video used stems from passed-in usedClips (current job only)
-  const usedStems = new Set((usedClips || []).map(stemFromPath).filter(Boolean));
-  // Track provider clip IDs per job to avoid repeating the same Pexels/Pixabay asset
-  const usedSourceIds = jobContext && jobContext._usedSourceIds instanceof Set
-    ? jobContext._usedSourceIds
-    : new Set();
-  jobContext._usedSourceIds = usedSourceIds;
+  // Visual verification: null when off/unavailable, so the loose policy below decides
+  const verifyEnabled = isVisualVerifyEnabled(jobContext.visualVerify);
+  async function verifyCandidate(clipPath, verifySubject) {
+    if (!verifyEnabled) return null;
+    const verdict = await verifyClip(clipPath, verifySubject, { workDir, sceneIdx, jobId });
+    if (verdict) {
+      if (!jobContext.clipVerifications) jobContext.clipVerifications = {};
+      (jobContext.clipVerifications[sceneIdx] = jobContext.clipVerifications[sceneIdx] || []).push(verdict);
+    }
+    return verdict;
+  }
 
   // Anchor logic
   if (isMegaScene || sceneIdx === 0) {
@@ -176,11 +212,13 @@ async function findClipForScene({
 
   if (forceClipPath) {
     console.log(`[5D][FORCE][${jobId}] Forcing clip path: ${forceClipPath}`);
-    if (assertFileExists(forceClipPath, 'FORCE_CLIP')) return forceClipPath;
-    return null;
+    if (!assertFileExists(forceClipPath, 'FORCE_CLIP')) return null;
+    // Pinned by the user: used even if seen before, but later scenes should not repeat it
+    usedAssets.add(await identifyClip(forceClipPath), `FORCE_${sceneIdx + 1}`);
+    return forceClipPath;
   }
 
-  if (!findR2ClipForScene || !findPexelsClipForScene || !findPixabayClipForScene || !findUnsplashImageForScene || !fallbackKenBurnsVideo) {
+  if (!getLibraryCatalog || !downloadR2ClipByKey || !findPexelsClipForScene || !findPixabayClipForScene || !findUnsplashImageForScene || !fallbackKenBurnsVideo) {
     console.error('[5D][FATAL][HELPERS] One or more clip helpers not loaded!');
     return null;
   }
@@ -193,93 +231,69 @@ async function findClipForScene({
     console.error(`[5D][GPT][${jobId}][ERR] Error extracting prioritized subjects:`, err);
     prioritizedSubjects = [searchSubject, mainTopic];
   }
+  const extraSubjects = (Array.isArray(alternates) ? alternates : [])
+    .filter(a => typeof a === 'string' && a.trim().length >= 2 && !prioritizedSubjects.some(s => (s || '').toLowerCase() === a.trim().toLowerCase()));
+  if (extraSubjects.length) {
+    prioritizedSubjects = [...prioritizedSubjects, ...extraSubjects.map(a => a.trim())];
+    console.log(`[5D][PLAN][${jobId}] Scene ${sceneIdx + 1} alternates added:`, extraSubjects);
+  }
+  if (requiredTokens.length) console.log(`[5D][PLAN][${jobId}] Scene ${sceneIdx + 1} must tokens:`, requiredTokens);
 
   // Try all prioritized subjects, loose mode
-  for (const subjectOption of prioritizedSubjects) {
+  for (let subjectIdx = 0; subjectIdx < prioritizedSubjects.length; subjectIdx++) {
+    const subjectOption = prioritizedSubjects[subjectIdx];
     if (!subjectOption || subjectOption.length < 2) continue;
+    // With plan alternates the any-clip fallbacks below wait for the last subject
+    const deferLoose = extraSubjects.length > 0 && subjectIdx < prioritizedSubjects.length - 1;
 
-    // === 1. Try R2, loose mode ===
-    async function findDedupedR2ClipLoose(searchPhrase, usedClipsArr) {
+    // === 1. Try R2 (library catalog), loose mode ===
+    async function findDedupedR2ClipLoose(searchPhrase) {
       try {
-        const r2Files = await findR2ClipForScene.getAllFiles
-          ? await findR2ClipForScene.getAllFiles()
-          : [];
-        let found = null;
-
-        // a) Strict match first
-        for (const fname of r2Files) {
-          const stem = stemFromPath(fname);
-          if (usedClipsArr.includes(fname)) {
-            console.log(`[5D][R2][${jobId}][SKIP][USED_KEY] ${fname}`);
-            continue;
-          }
-          if (usedStems.has(stem)) {
-            console.log(`[5D][R2][${jobId}][DUPE][SKIP] stem already used: "${stem}" (${fname})`);
-            continue;
-          }
-          if (strictSubjectMatch(fname, searchPhrase)) {
-            found = fname;
-            console.log(`[5D][R2][${jobId}] STRICT MATCH: "${fname}"`);
-            break;
-          }
-        }
-        // b) Loose match: any major word or substring
-        if (!found) {
-          for (const fname of r2Files) {
-            const stem = stemFromPath(fname);
-            if (usedClipsArr.includes(fname)) {
-              console.log(`[5D][R2][${jobId}][SKIP][USED_KEY] ${fname}`);
-              continue;
-            }
-            if (usedStems.has(stem)) {
-              console.log(`[5D][R2][${jobId}][DUPE][SKIP] stem already used: "${stem}" (${fname})`);
-              continue;
-            }
-            if (looseSubjectMatch(fname, searchPhrase)) {
-              found = fname;
-              console.log(`[5D][R2][${jobId}] LOOSE MATCH: "${fname}"`);
-              break;
-            }
-          }
+        const entries = (await getLibraryCatalog({ jobId })).filter(e => e.key.toLowerCase().endsWith('.mp4'));
+        const unused = entries.filter(e => !skipUsedEntry(e) &&
+          hasMustTokens([path.basename(e.key), ...(e.tags || [])], requiredTokens));
+
+        // a) Strict match first, b) loose match: any major word or substring
+        let found = unused.find(e => strictSubjectMatch(e.key, searchPhrase));
+        if (found) {
+          console.log(`[5D][R2][${jobId}] STRICT MATCH: "${found.key}"`);
+        } else {
+          // Loose also looks at sidecar tags of archived clips (10I)
+          found = unused.find(e => looseSubjectMatch(e.key, searchPhrase) ||
+            (e.tags || []).some(tag => getMajorWords(searchPhrase).some(word => tag.includes(word))));
+          if (found) console.log(`[5D][R2][${jobId}] LOOSE MATCH: "${found.key}"`);
         }
         // c) Any unused file as last resort
-        if (!found && r2Files.length) {
-          for (const fname of r2Files) {
-            const stem = stemFromPath(fname);
-            if (usedClipsArr.includes(fname)) {
-              console.log(`[5D][R2][${jobId}][SKIP][USED_KEY] ${fname}`);
-              continue;
-            }
-            if (usedStems.has(stem)) {
-              console.log(`[5D][R2][${jobId}][DUPE][SKIP] stem already used: "${stem}" (${fname})`);
-              continue;
-            }
-            found = fname;
-            console.log(`[5D][R2][${jobId}] FALLBACK: Picking available unused: "${fname}"`);
-            break;
-          }
+        if (!found && unused.length && !deferLoose) {
+          found = unused[0];
+          console.log(`[5D][R2][${jobId}] FALLBACK: Picking available unused: "${found.key}"`);
         }
-        if (found && assertFileExists(found, 'R2_RESULT')) return found;
-        return null;
+        return found || null;
       } catch (err) {
         console.error(`[5D][R2][ERR][${jobId}] Error during R2 matching:`, err);
         return null;
       }
     }
 
-    let r2Result = null;
-    if (findR2ClipForScene.getAllFiles) {
-      r2Result = await findDedupedR2ClipLoose(subjectOption, usedClips);
-      if (r2Result) {
-        const stem = stemFromPath(r2Result);
-        usedClips.push(r2Result);
-        usedStems.add(stem);
-        console.log(`[5D][DUPE][ADD][${jobId}] Added stem="${stem}" key="${r2Result}"`);
-        console.log(`[5D][PICK][${jobId}] R2 subject match: ${r2Result}`);
-        return r2Result;
+    const r2Entry = await findDedupedR2ClipLoose(subjectOption);
+    if (r2Entry) {
+      const r2Result = await downloadR2ClipByKey(r2Entry.key, workDir, sceneIdx, jobId);
+      const r2Known = identifyCatalogEntry(r2Entry);
+      // Key is marked used either way: a broken object should not be retried by later scenes
+      const r2Identity = r2Result && assertFileExists(r2Result, 'R2_RESULT')
+        ? await unusedIdentity(r2Result, r2Known, 'R2')
+        : null;
+      usedAssets.add(r2Identity || r2Known, `SCENE_${sceneIdx + 1}`);
+      if (r2Identity) {
+        const verdict = await verifyCandidate(r2Result, subjectOption);
+        if (!verdict || verdict.verified) {
+          console.log(`[5D][PICK][${jobId}] R2 subject match: ${r2Entry.key} → ${r2Result}`);
+          return r2Result;
+        }
+        console.warn(`[5D][R2][${jobId}] R2 clip rejected by visual check (confidence ${verdict.confidence}): ${r2Entry.key}`);
       }
-      console.log(`[5D][FALLBACK][${jobId}] No R2 found, trying Pexels/Pixabay/Unsplash.`);
     }
+    console.log(`[5D][FALLBACK][${jobId}] No R2 found, trying Pexels/Pixabay/Unsplash.`);
 
     // --- Try Pexels, Pixabay with loose match ---
     let sources = [
@@ -289,24 +303,24 @@ async function findClipForScene({
 
     for (const src of sources) {
       try {
-        let result = await src.fn(subjectOption, workDir, sceneIdx, jobId, usedClips);
+        let result = await src.fn(subjectOption, workDir, sceneIdx, jobId, usedAssets);
         const candidatePath = (result && result.path) ? result.path : result;
 
-        // Skip if provider returned an ID we've already used this job
-        let candId = result && result.meta && (result.meta.id || result.meta.sourceId) ? String(result.meta.id || result.meta.sourceId) : null;
-        if (!candId) {
-          // NEW: derive ID from filename if meta missing
-          candId = deriveProviderId(candidatePath, src.label);
-        }
-        if (candId && usedSourceIds.has(candId)) {
-          console.log(`[5D][${src.label}][${jobId}][ID][SKIP] providerId already used: "${candId}" (${candidatePath})`);
-          continue;
-        }
-
         if (candidatePath && assertFileExists(candidatePath, src.label + '_RESULT')) {
-          const candStem = stemFromPath(candidatePath);
-          if (usedStems.has(candStem)) {
-            console.log(`[5D][${src.label}][${jobId}][DUPE][SKIP] stem already used: "${candStem}" (${candidatePath})`);
+          // Provider id: helper meta, else the clip info file (10I), else derived from the filename
+          const metaId = result && result.meta && (result.meta.id || result.meta.sourceId) ? String(result.meta.id || result.meta.sourceId) : null;
+          const identity = await unusedIdentity(candidatePath, { provider: src.label.toLowerCase(), providerId: metaId }, src.label);
+          if (!identity) continue;
+          if (!identity.providerId) identity.providerId = deriveProviderId(candidatePath, src.label);
+          if (identity.providerId && usedAssets.has({ provider: identity.provider, providerId: identity.providerId })) {
+            console.log(`[5D][${src.label}][${jobId}][ID][SKIP] providerId already used: "${identity.providerId}" (${candidatePath})`);
+            continue;
+          }
+          const infoTags = (readClipInfo(candidatePath) || {}).tags || [];
+          const metaTags = result && result.meta && Array.isArray(result.meta.tags) ? result.meta.tags : [];
+          if (!hasMustTokens([path.basename(candidatePath), ...infoTags, ...metaTags], requiredTokens)) {
+            usedAssets.add(identity, `REJECTED_${sceneIdx + 1}`);
+            console.warn(`[5D][${src.label}][${jobId}] ${src.label} clip lacks must tokens [${requiredTokens.join(', ')}]: ${candidatePath}`);
             continue;
           }
           // Loose match: accept if ANY major word from subject appears in filename/tags
@@ -316,15 +330,11 @@ async function findClipForScene({
           } else if (typeof candidatePath === 'string') {
             valid = looseSubjectMatch(candidatePath, subjectOption);
           }
-          // **Loose policy**: accept first available (still respecting de-dupe)
-          if (valid || true) {
-            usedClips.push(candidatePath);
-            usedStems.add(candStem);
-            if (candId) {
-              usedSourceIds.add(candId);
-              console.log(`[5D][${src.label}][${jobId}][ID][ADD] providerId="${candId}"`);
-            }
-            console.log(`[5D][DUPE][ADD][${jobId}] Added stem="${candStem}" path="${candidatePath}"`);
+          // **Loose policy**: accept first available (still respecting de-dupe),
+          // unless visual verification is on: then the frames have to show the subject
+          const verdict = await verifyCandidate(candidatePath, subjectOption);
+          if (verdict ? verdict.verified : (valid || true)) {
+            usedAssets.add(identity, `SCENE_${sceneIdx + 1}`);
             console.log(`[5D][PICK][${jobId}] ${src.label} subject match: ${candidatePath}`);
             if (jobContext && Array.isArray(jobContext.clipsToIngest)) {
               jobContext.clipsToIngest.push({
@@ -337,7 +347,9 @@ async function findClipForScene({
             }
             return candidatePath;
           } else {
-            console.warn(`[5D][${src.label}][${jobId}] ${src.label} clip rejected (no subject match): ${candidatePath}`);
+            // Never offered again this job, by this or any later subject
+            usedAssets.add(identity, `REJECTED_${sceneIdx + 1}`);
+            console.warn(`[5D][${src.label}][${jobId}] ${src.label} clip rejected by visual check (confidence ${verdict.confidence}, keyword match=${valid}): ${candidatePath}`);
           }
         }
       } catch (e) {
@@ -345,17 +357,18 @@ async function findClipForScene({
       }
     }
 
+    if (deferLoose) {
+      console.log(`[5D][PLAN][${jobId}] No video for "${subjectOption}", trying the next subject before images.`);
+      continue;
+    }
+
     // --- Unsplash: always loose, just check for unused image
     try {
-      let unsplashResult = await findUnsplashImageForScene(subjectOption, workDir, sceneIdx, jobId, usedClips, jobContext);
+      let unsplashResult = await findUnsplashImageForScene(subjectOption, workDir, sceneIdx, jobId, usedAssets, jobContext);
       if (unsplashResult && assertFileExists(unsplashResult, 'UNSPLASH_RESULT')) {
-        const candStem = stemFromPath(unsplashResult);
-        if (usedStems.has(candStem)) {
-          console.log(`[5D][UNSPLASH][${jobId}][DUPE][SKIP] stem already used: "${candStem}" (${unsplashResult})`);
-        } else {
-          usedClips.push(unsplashResult);
-          usedStems.add(candStem);
-          console.log(`[5D][DUPE][ADD][${jobId}] Added stem="${candStem}" path="${unsplashResult}"`);
+        const identity = await unusedIdentity(unsplashResult, { provider: 'unsplash' }, 'UNSPLASH');
+        if (identity) {
+          usedAssets.add(identity, `SCENE_${sceneIdx + 1}`);
           console.log(`[5D][PICK][${jobId}] Unsplash image (loose): ${unsplashResult}`);
           return unsplashResult;
         }
@@ -366,15 +379,11 @@ async function findClipForScene({
 
     // --- Ken Burns (final fallback, always returns an image)
     try {
-      let kenBurnsResult = await fallbackKenBurnsVideo(subjectOption, workDir, sceneIdx, jobId, usedClips);
+      let kenBurnsResult = await fallbackKenBurnsVideo(subjectOption, workDir, sceneIdx, jobId, usedAssets);
       if (kenBurnsResult && assertFileExists(kenBurnsResult, 'KENBURNS_RESULT')) {
-        const candStem = stemFromPath(kenBurnsResult);
-        if (usedStems.has(candStem)) {
-          console.log(`[5D][KENBURNS][${jobId}][DUPE][SKIP] stem already used: "${candStem}" (${kenBurnsResult})`);
-        } else {
-          usedClips.push(kenBurnsResult);
-          usedStems.add(candStem);
-          console.log(`[5D][DUPE][ADD][${jobId}] Added stem="${candStem}" path="${kenBurnsResult}"`);
+        const identity = await unusedIdentity(kenBurnsResult, {}, 'KENBURNS');
+        if (identity) {
+          usedAssets.add(identity, `SCENE_${sceneIdx + 1}`);
           console.log(`[5D][PICK][${jobId}] KenBurns fallback (loose): ${kenBurnsResult}`);
           return kenBurnsResult;
         }
@@ -386,24 +395,18 @@ async function findClipForScene({
 
   // === If absolutely nothing was found, pick any unused R2 file ===
   try {
-    if (findR2ClipForScene.getAllFiles) {
-      const r2Files = await findR2ClipForScene.getAllFiles();
-      for (const fname of r2Files) {
-        const stem = stemFromPath(fname);
-        if (usedClips.includes(fname)) {
-          console.log(`[5D][R2][${jobId}][SKIP][USED_KEY] ${fname}`);
-          continue;
-        }
-        if (usedStems.has(stem)) {
-          console.log(`[5D][R2][${jobId}][DUPE][SKIP] stem already used: "${stem}" (${fname})`);
-          continue;
-        }
-        if (assertFileExists(fname, 'R2_ANYFALLBACK')) {
-          usedClips.push(fname);
-          usedStems.add(stem);
-          console.warn(`[5D][FINALFALLBACK][${jobId}] ABSOLUTE fallback, picking any available R2: ${fname}`);
-          return fname;
-        }
+    const entries = await getLibraryCatalog({ jobId });
+    for (const entry of entries) {
+      if (!entry.key.toLowerCase().endsWith('.mp4') || skipUsedEntry(entry)) continue;
+      const localPath = await downloadR2ClipByKey(entry.key, workDir, sceneIdx, jobId);
+      const known = identifyCatalogEntry(entry);
+      const identity = localPath && assertFileExists(localPath, 'R2_ANYFALLBACK')
+        ? await unusedIdentity(localPath, known, 'R2')
+        : null;
+      usedAssets.add(identity || known, `SCENE_${sceneIdx + 1}`);
+      if (identity) {
+        console.warn(`[5D][FINALFALLBACK][${jobId}] ABSOLUTE fallback, picking any available R2: ${entry.key} → ${localPath}`);
+        return localPath;
       }
     }
   } catch (e) {
@@ -414,14 +417,10 @@ async function findClipForScene({
   console.error(`[5D][NO_MATCH][${jobId}] No valid clip found for prioritized subjects (scene ${sceneIdx + 1}), even with all fallbacks`);
   // Instead of returning null, let's try one last Ken Burns with a generic prompt:
   try {
-    let kenBurnsResult = await fallbackKenBurnsVideo('landmark', workDir, sceneIdx, jobId, usedClips);
+    let kenBurnsResult = await fallbackKenBurnsVideo('landmark', workDir, sceneIdx, jobId, usedAssets);
     if (kenBurnsResult && assertFileExists(kenBurnsResult, 'KENBURNS_RESULT')) {
-      const candStem = stemFromPath(kenBurnsResult);
-      if (!usedStems.has(candStem)) {
-        usedClips.push(kenBurnsResult);
-        usedStems.add(candStem);
-        console.log(`[5D][DUPE][ADD][${jobId}] Added stem="${candStem}" path="${kenBurnsResult}"`);
-      }
+      // Last resort: returned even if already used
+      usedAssets.add(await identifyClip(kenBurnsResult), `SCENE_${sceneIdx + 1}`);
       console.log(`[5D][FINALFALLBACK][${jobId}] KenBurns generic fallback: ${kenBurnsResult}`);
       return kenBurnsResult;
     }
@@ -3,6 +3,7 @@
 // Handles scene audio generation, narration, and audio utilities.
 // MAX LOGGING AT EVERY STEP
 // Enhanced: Mega-scene (multi-line) audio support
+// Provider is resolved from the voice id (Section 5L registry), so Pro voices go to ElevenLabs
 // ===========================================================
 
 const fs = require('fs');
@@ -11,17 +12,29 @@ const util = require('util');
 const exec = util.promisify(require('child_process').exec);
 
 const { generateSceneAudio } = require('./section5a-tts-helpers.cjs');
+const { findVoice } = require('./section5l-tts-provider-registry.cjs');
 
 console.log('[5E][INIT] Audio generator loaded.');
 
+// === Which TTS provider owns this voice? (the frontend only sends a voice id) ===
+function resolveTtsProvider(voiceId, provider) {
+  const known = findVoice(voiceId);
+  if (!known) return provider || 'polly';
+  if (provider && provider.toLowerCase() !== known.provider) {
+    console.warn(`[5E][PROVIDER] Voice ${voiceId} belongs to "${known.provider}", not "${provider}". Using ${known.provider}.`);
+  }
+  return known.provider;
+}
+
 // === Single scene audio (one line) ===
-async function createSceneAudio(sceneText, voiceId, outPath, provider) {
+// sceneText may carry prosody markup (Section 5M); options: { speakingRate, pitch }
+async function createSceneAudio(sceneText, voiceId, outPath, provider, options = {}) {
   console.log(`[5E][AUDIOGEN] createSceneAudio called: text="${sceneText}" | voiceId=${voiceId} | outPath=${outPath} | provider=${provider}`);
   try {
     if (!sceneText || typeof sceneText !== 'string' || !sceneText.trim()) {
       throw new Error('[5E][AUDIOGEN][ERR] Scene text missing or invalid!');
     }
-    await generateSceneAudio(sceneText, voiceId, outPath, provider);
+    await generateSceneAudio(sceneText, voiceId, outPath, resolveTtsProvider(voiceId, provider), options);
     if (!fs.existsSync(outPath) || fs.statSync(outPath).size < 1024) {
       throw new Error(`[5E][AUDIOGEN][ERR] Audio file not created or too small: ${outPath}`);
     }
@@ -156,6 +169,7 @@ async function batchGenerateSceneAudio(scenes, voiceId, provider, workDir) {
 module.exports = {
   createSceneAudio,
   createMegaSceneAudio,
+  resolveTtsProvider,
   isAudioValid,
   batchGenerateSceneAudio,
 };
@@ -4,6 +4,7 @@
 // MAX LOGGING AT EVERY STEP, VIRAL PORTRAIT BLUR, NO STRETCH, NO BLACK BARS
 // Scene logic: 0.5s pre-voice, +1s post-voice. Scene 1+2 share video, different lines.
 // Aspect always forced to 1080x1920 (portrait)
+// Optional smart crop (Section 5P): pan a 9:16 window over the subject, blur mode as fallback
 // Bulletproof: Ensures every scene is perfectly trimmed to narration duration
 // 2024-08: Fully bulletproofed for always-local file requirement
 // ===========================================================
@@ -11,10 +12,18 @@
 const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
+const { trackProcess } = require('./section5k-job-cancellation.cjs');
+const { analyzeSmartCrop } = require('./section5p-smart-crop.cjs');
 const os = require('os');
 
 console.log('[5F][INIT] Video processing & AV combiner loaded.');
 
+// Where narration starts inside a muxed scene. muxVideoWithNarration maps the
+// narration at 0 (no adelay) and ends the scene with it (-shortest), so the
+// trimForNarration lead-in/trail-out only pad the video input. Subtitle timing
+// (Section 5O) reads this; change it together with the mux.
+const NARRATION_START_SEC = 0;
+
 // =====================
 // UTILITY: ASSERT FILE
 // =====================
@@ -63,7 +72,7 @@ async function getDuration(file) {
 // ======================
 async function convertMp3ToWav(mp3Path, wavPath) {
   return new Promise((resolve, reject) => {
-    ffmpeg(mp3Path)
+    trackProcess(ffmpeg(mp3Path))
       .toFormat('wav')
       .on('start', cmd => console.log(`[5F][MP3->WAV][CMD] ${cmd}`))
       .on('stderr', line => console.log(`[5F][MP3->WAV][STDERR] ${line}`))
@@ -126,7 +135,7 @@ async function splitVideoForFirstTwoScenes(
 
   // SCENE 1
   await new Promise((resolve, reject) => {
-    ffmpeg(videoIn)
+    trackProcess(ffmpeg(videoIn))
       .inputOptions(['-y'])
       .setStartTime(scene1Start)
       .setDuration(scene1Len)
@@ -163,7 +172,7 @@ async function splitVideoForFirstTwoScenes(
 
   // SCENE 2
   await new Promise((resolve, reject) => {
-    ffmpeg(videoIn)
+    trackProcess(ffmpeg(videoIn))
       .inputOptions(['-y'])
       .setStartTime(scene2Start)
       .setDuration(scene2Len)
@@ -201,17 +210,41 @@ async function splitVideoForFirstTwoScenes(
   return [scene1Path, scene2Path];
 }
 
+const BLUR_FIT_FILTER =
+  "[0:v]scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[vmain];" +
+  "[0:v]scale=1080:1920,boxblur=32:2[bg];" +
+  "[bg][vmain]overlay=(W-w)/2:(H-h)/2,format=yuv420p";
+
+// --- 'smart' → subject-following crop if the analysis is confident, else the blur fit ---
+async function pickFrameFilter(inPath, cropMode, duration, loop) {
+  if (cropMode !== 'smart') return BLUR_FIT_FILTER;
+  try {
+    const result = await analyzeSmartCrop(inPath, { duration, loop });
+    if (result.ok) {
+      console.log(`[5F][TRIM][SMARTCROP] Using smart crop (confidence ${result.confidence.toFixed(3)}) for ${inPath}`);
+      return result.filter;
+    }
+    console.log(`[5F][TRIM][SMARTCROP] Falling back to blur: ${result.reason}`);
+  } catch (err) {
+    if (err && err.code === 'JOB_CANCELLED') throw err;
+    console.warn(`[5F][TRIM][SMARTCROP][WARN] Analysis failed, falling back to blur for ${inPath}:`, err);
+  }
+  return BLUR_FIT_FILTER;
+}
+
 // ============================================================
 // TRIM FOR NARRATION (Scene 3+): 0.5s pre-voice, 1.0s post-voice
 // Bulletproof: Always trims video to exactly match narration audio+padding
+// options.cropMode: 'blur' (default) | 'smart'
 // ============================================================
 async function trimForNarration(inPath, outPath, audioDuration, options = {}) {
   // Defensive: Accept both legacy signature and new options object
-  let leadIn = 0.5, trailOut = 1.0, loop = false;
+  let leadIn = 0.5, trailOut = 1.0, loop = false, cropMode = 'blur';
   if (typeof options === 'object' && options !== null) {
     leadIn = options.leadIn ?? 0.5;
     trailOut = options.trailOut ?? 1.0;
     loop = !!options.loop;
+    cropMode = options.cropMode || 'blur';
   } else if (typeof arguments[3] === 'number') {
     leadIn = arguments[3];
     trailOut = arguments[4];
@@ -219,18 +252,17 @@ async function trimForNarration(inPath, outPath, audioDuration, options = {}) {
 
   assertFile(inPath, 10000, 'TRIM_IN');
   const duration = audioDuration + leadIn + trailOut;
-  console.log(`[5F][TRIM] in="${inPath}" → out="${outPath}" | trim to ${duration}s | loop=${loop}`);
+  console.log(`[5F][TRIM] in="${inPath}" → out="${outPath}" | trim to ${duration}s | loop=${loop} | crop=${cropMode}`);
+  const frameFilter = await pickFrameFilter(inPath, cropMode, duration, loop);
 
   return new Promise((resolve, reject) => {
-    let ff = ffmpeg(inPath)
+    let ff = trackProcess(ffmpeg(inPath))
       .inputOptions(['-y'])
       .setStartTime(0)
       .setDuration(duration)
       .outputOptions([
         '-filter_complex',
-        "[0:v]scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[vmain];" +
-        "[0:v]scale=1080:1920,boxblur=32:2[bg];" +
-        "[bg][vmain]overlay=(W-w)/2:(H-h)/2,format=yuv420p",
+        frameFilter,
         '-r 30',
         '-an',
         '-pix_fmt yuv420p',
@@ -287,7 +319,7 @@ async function muxVideoWithNarration(videoIn, audioIn, outPath) {
 
   // Use WAV file as mux input!
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(videoIn)
       .input(wavTemp)
       .inputOptions(['-y'])
@@ -336,7 +368,7 @@ async function addSilentAudioTrack(inPath, outPath, duration) {
   assertFile(inPath, 10000, 'AUDIO_IN');
   console.log(`[5F][AUDIO] Adding silent audio: ${inPath} → ${outPath} (duration: ${duration})`);
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(inPath)
       .input('anullsrc=channel_layout=stereo:sample_rate=44100')
       .inputOptions(['-f lavfi'])
@@ -374,9 +406,11 @@ async function addSilentAudioTrack(inPath, outPath, duration) {
 // MODULE EXPORTS
 // ===================
 module.exports = {
+  NARRATION_START_SEC,
   getDuration,
   trimForNarration,
   addSilentAudioTrack,
   muxVideoWithNarration,
+  pickFrameFilter,
   splitVideoForFirstTwoScenes
 };
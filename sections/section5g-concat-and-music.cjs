@@ -5,12 +5,14 @@
 // All FFmpeg uses -preset ultrafast for max speed
 // BulletproofScenes for size/audio normalization
 // Never repeats same song twice! AI mood detection fallback!
+// Music bed ducks under narration (sidechain compression): musicLevel + musicDuckDb per job
 // 2024-08: PRO — Always 9:16 output, validated output, logging
 // ===========================================================
 
 const fs = require('fs');
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
+const { trackProcess } = require('./section5k-job-cancellation.cjs');
 const { v4: uuidv4 } = require('uuid');
 
 // === Load music moods (if available) ===
@@ -99,7 +101,7 @@ async function bulletproofScenes(sceneFiles, refInfo, getVideoInfo, standardizeV
     if (needsFix) {
       const fixedPath = file.replace(/\.mp4$/, `-fixed-${uuidv4()}.mp4`);
       await new Promise((resolve, reject) => {
-        ffmpeg()
+        trackProcess(ffmpeg())
           .input(file)
           .outputOptions([
             '-vf scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2,setsar=1',
@@ -160,7 +162,7 @@ async function ensureAudioStream(videoPath, workDir) {
 
   const fixedPath = path.resolve(workDir, `audiofix-${path.basename(videoPath, '.mp4')}-${uuidv4()}.mp4`);
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(videoPath)
       .input('anullsrc=channel_layout=stereo:sample_rate=44100')
       .inputOptions(['-f lavfi'])
@@ -190,7 +192,7 @@ async function ensureAudioStream(videoPath, workDir) {
 async function bulletproofFile(inputPath, workDir, label) {
   const output = path.join(workDir, `${path.basename(inputPath, '.mp4')}-bp-${uuidv4()}.mp4`);
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(inputPath)
       .outputOptions([
         '-vf scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2,setsar=1',
@@ -275,7 +277,7 @@ async function concatScenes(sceneFiles, workDir, sceneClipMetaList = null) {
   }
 
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(listFile)
       .inputOptions(['-f concat', '-safe 0'])
       .outputOptions([
@@ -362,7 +364,7 @@ async function appendOutro(mainPath, outroPath, outPath, workDir) {
   ].join('\n'), { encoding: 'utf8' });
 
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(listFile)
       .inputOptions(['-f concat', '-safe 0'])
       .outputOptions([
@@ -396,9 +398,78 @@ async function appendOutro(mainPath, outroPath, outPath, workDir) {
   });
 }
 
+// === Music bed: level + ducking under narration (shared with the 5V timeline graph) ===
+const MUSIC_LEVEL_RANGE = [0, 1];      // volume= of the bed between lines
+const MUSIC_DUCK_DB_RANGE = [0, 30];   // how far the bed dips while someone speaks (0 = flat bed)
+const DEFAULT_MUSIC_LEVEL = 0.25;
+const DEFAULT_MUSIC_DUCK_DB = 10;
+const MUSIC_FORMAT = 'aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo';
+
+function clampMusicNumber(value, [min, max], fallback, label) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isFinite(num)) {
+    console.warn(`[5G][MUSIC][OPTIONS][WARN] ${label}="${value}" is not a number, using ${fallback}`);
+    return fallback;
+  }
+  const clamped = Math.min(max, Math.max(min, num));
+  if (clamped !== num) console.warn(`[5G][MUSIC][OPTIONS][WARN] ${label}=${num} out of range, clamped to ${clamped}`);
+  return clamped;
+}
+
+/**
+ * Music bed options from a request body.
+ * @param {object} body - { musicLevel?, musicDuckDb? }
+ * @returns {{ level: number, duckDb: number }} level = bed volume (0-1), duckDb = dip under narration in dB
+ */
+function normalizeMusicOptions(body = {}) {
+  return {
+    level: clampMusicNumber(body.musicLevel, MUSIC_LEVEL_RANGE, DEFAULT_MUSIC_LEVEL, 'musicLevel'),
+    duckDb: clampMusicNumber(body.musicDuckDb, MUSIC_DUCK_DB_RANGE, DEFAULT_MUSIC_DUCK_DB, 'musicDuckDb')
+  };
+}
+
+/**
+ * Filter chains that lay a ducked music bed under a program track.
+ * The narration (key) drives a hard sidechain compressor; its output is blended with the
+ * dry bed (mix) so the dip is about duckDb no matter how loud the narration is. Where the
+ * key is silent (lead-in/trail-out of lines, outro) the bed swells back to `level`.
+ * @param {object} pads - Pad names without brackets, all audio in MUSIC_FORMAT
+ * @param {string} pads.music
+ * @param {string} pads.key - Narration only, padded with silence to the program's length (must end)
+ * @param {string} pads.program - What the bed goes under (sets the length)
+ * @param {string} pads.out
+ * @param {{ level: number, duckDb: number }} options - From normalizeMusicOptions
+ * @returns {string[]}
+ */
+function musicBedChains({ music, key, program, out }, { level, duckDb }) {
+  const bed = `${out}_bed`;
+  const chains = [`[${music}]volume=${level.toFixed(3)}[${bed}]`];
+  let mixed = bed;
+  if (duckDb > 0) {
+    mixed = `${out}_ducked`;
+    const mix = 1 - Math.pow(10, -duckDb / 20);
+    chains.push(`[${bed}][${key}]sidechaincompress=threshold=0.01:ratio=20:attack=20:release=400:level_sc=4:mix=${mix.toFixed(3)}[${mixed}]`);
+  } else {
+    chains.push(`[${key}]anullsink`);
+  }
+  chains.push(`[${program}][${mixed}]amix=inputs=2:duration=first:dropout_transition=2[${out}]`);
+  return chains;
+}
+
 // === Music overlay (max logging, bulletproof random) ===
-async function overlayMusic(videoPath, musicPath, outPath) {
-  console.log(`[5G][MUSIC] overlayMusic called: video="${videoPath}" music="${musicPath}" out="${outPath}"`);
+/**
+ * Mixes a ducked music bed under a video's own audio (its narration).
+ * Scenes render mode: the outro is appended afterwards, so the bed stops where it starts.
+ * @param {string} videoPath
+ * @param {string} musicPath
+ * @param {string} outPath
+ * @param {{ level: number, duckDb: number }} [musicOptions] - From normalizeMusicOptions
+ * @returns {Promise<string>} outPath
+ */
+async function overlayMusic(videoPath, musicPath, outPath, musicOptions = normalizeMusicOptions()) {
+  console.log(`[5G][MUSIC] overlayMusic called: video="${videoPath}" music="${musicPath}" out="${outPath}" ` +
+    `level=${musicOptions.level} duck=${musicOptions.duckDb}dB`);
 
   try {
     await logFileProbe(videoPath, 'MUSIC_VIDEO');
@@ -408,13 +479,13 @@ async function overlayMusic(videoPath, musicPath, outPath) {
   }
 
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(videoPath)
       .input(musicPath)
       .complexFilter([
-        '[0:a]volume=1.0[a0]',
-        '[1:a]volume=0.16[a1]',
-        '[a0][a1]amix=inputs=2:duration=first:dropout_transition=2[aout]'
+        `[0:a]${MUSIC_FORMAT},asplit=2[voice][key]`,
+        `[1:a]${MUSIC_FORMAT}[music]`,
+        ...musicBedChains({ music: 'music', key: 'key', program: 'voice', out: 'aout' }, musicOptions)
       ])
       .outputOptions([
         '-map', '0:v',
@@ -453,12 +524,18 @@ let _lastTrack = null;
  * pickMusicForMood: Detects mood (via music-moods if present, else fallback), then randomizes and prevents repeats.
  * @param {string} script - Full script text for mood detection
  * @param {string} workDir - Work directory for job (for logging/future)
+ * @param {object} [opts]
+ * @param {string} [opts.mood] - Mood chosen in the scene plan (5Q); skips detection
+ * @param {string} [opts.jobId] - Log tag only
  * @returns {string} Full path to music file, or null
  */
-async function pickMusicForMood(script, workDir) {
+async function pickMusicForMood(script, workDir, { mood = null, jobId = '' } = {}) {
   let detectedMood;
   try {
-    if (musicMoods && typeof musicMoods.detectMusicMood === 'function') {
+    if (mood && musicMoods && typeof musicMoods.bestFolderMatch === 'function') {
+      detectedMood = musicMoods.bestFolderMatch(mood);
+      console.log(`[5G][MUSIC][PLAN][${jobId}] Plan mood "${mood}" → "${detectedMood}"`);
+    } else if (musicMoods && typeof musicMoods.detectMusicMood === 'function') {
       detectedMood = musicMoods.detectMusicMood(script);
       console.log(`[5G][MUSIC][AI] Mood detected (music-moods): "${detectedMood}"`);
     } else {
@@ -557,7 +634,7 @@ function getRandomMusicFileForMood(mood, lastTrack = null) {
 async function create16x9FromInput(inputPath, outputPath) {
   console.log(`[5G][FORMAT][16x9] Creating 16:9 output from: ${inputPath}`);
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(inputPath)
       .complexFilter([
         "[0:v]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2[fg];" +
@@ -588,7 +665,7 @@ async function create16x9FromInput(inputPath, outputPath) {
 async function create9x16FromInput(inputPath, outputPath) {
   console.log(`[5G][FORMAT][9x16] Creating 9:16 output from: ${inputPath}`);
   return new Promise((resolve, reject) => {
-    ffmpeg()
+    trackProcess(ffmpeg())
       .input(inputPath)
       .complexFilter([
         "[0:v]scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2[fg];" +
@@ -616,6 +693,44 @@ async function create9x16FromInput(inputPath, outputPath) {
   });
 }
 
+async function create1x1FromInput(inputPath, outputPath) {
+  console.log(`[5G][FORMAT][1x1] Creating 1:1 output from: ${inputPath}`);
+  return new Promise((resolve, reject) => {
+    trackProcess(ffmpeg())
+      .input(inputPath)
+      .complexFilter([
+        "[0:v]scale=1080:1080:force_original_aspect_ratio=decrease,pad=1080:1080:(ow-iw)/2:(oh-ih)/2[fg];" +
+        "[0:v]scale=1080:1080:force_original_aspect_ratio=increase,boxblur=40:1[bg];" +
+        "[bg][fg]overlay=(W-w)/2:(H-h)/2,crop=1080:1080"
+      ])
+      .outputOptions([
+        '-c:v libx264',
+        '-preset ultrafast',
+        '-crf 22',
+        '-c:a copy',
+        '-pix_fmt yuv420p',
+        '-movflags +faststart',
+        '-y'
+      ])
+      .save(outputPath)
+      .on('end', () => {
+        console.log(`[5G][FORMAT][1x1] Output written: ${outputPath}`);
+        resolve(outputPath);
+      })
+      .on('error', (err, stdout, stderr) => {
+        console.error(`[5G][FORMAT][1x1][ERR]`, err);
+        reject(err);
+      });
+  });
+}
+
+// === Multi-aspect masters: aspect -> { formatter, file suffix } ===
+const ASPECT_FORMATS = {
+  '9:16': { create: create9x16FromInput, suffix: '9x16' },
+  '16:9': { create: create16x9FromInput, suffix: '16x9' },
+  '1:1': { create: create1x1FromInput, suffix: '1x1' }
+};
+
 // ============================================
 // MODULE EXPORTS
 // ============================================
@@ -623,6 +738,8 @@ module.exports = {
   concatScenes, // (sceneFiles, workDir, sceneClipMetaList)
   ensureAudioStream,
   overlayMusic,
+  normalizeMusicOptions,
+  musicBedChains,
   appendOutro,
   getOutroPath,
   getUniqueFinalName,
@@ -632,5 +749,7 @@ module.exports = {
   simpleDetectMood,
   create16x9FromInput,
   create9x16FromInput,
+  create1x1FromInput,
+  ASPECT_FORMATS,
   postProcessSceneClipArchiving // NEW: bulk-archive scene clips after job
 };
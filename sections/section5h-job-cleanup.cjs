@@ -1,42 +1,35 @@
 // ===========================================================
 // SECTION 5H: JOB CLEANUP & PROGRESS TRACKING
-// Handles cleanup of temp files, progress map, error logging
+// Handles cleanup of temp files, job store cache, error logging
 // Post-job: Ingests any queued scene clips to R2 in background!
+// Work dir (jobs/<jobId>): handed to the Section 5X janitor once archiving has read the clips
 // SUPER MAX LOGGING EVERY STEP — NO SILENT FAILURES
 // ===========================================================
 
-const fs = require('fs');
-const path = require('path');
 const { uploadSceneClipToR2 } = require('./section10e-upload-to-r2.cjs');
 const { postProcessSceneClipArchiving } = require('./section5g-concat-and-music.cjs');
+const jobStore = require('./section5i-job-store.cjs');
+const { finishJobWorkDir } = require('./section5x-job-janitor.cjs');
 
 console.log('[5H][INIT] Cleanup & progress module loaded.');
 
-// --- Utility to ensure only this module deletes progress ---
-function safeDeleteProgressEntry(jobId) {
-  if (typeof global.progress === 'object' && global.progress !== null) {
-    if (global.progress[jobId]) {
-      delete global.progress[jobId];
-      console.log(`[5H][CLEANUP] Progress entry deleted for job ${jobId} (delayed 30s).`);
-    } else {
-      console.log(`[5H][CLEANUP] Progress entry for job ${jobId} was already deleted before timer fired.`);
-    }
-  } else {
-    console.warn('[5H][CLEANUP][WARN] Tried to delete progress, but global progress is missing or invalid.');
-  }
-}
-
 /**
  * Kicks off async, fire-and-forget archiving of all scene clips from sceneClipMetaList.
  * Does NOT block cleanup, runs in background. Logs all results.
- * @param {Array} sceneClipMetaList - Array of { localFilePath, subject, sceneIdx, source, category }
+ * @param {Array} sceneClipMetaList - Array of { localFilePath, subject, sceneIdx, source, category, scriptLine, clipInfo }
  * @param {string} jobId
+ * @returns {Promise|null} Settles when archiving is done (never rejects), null if nothing to archive
  */
 function fireAndForgetPostJobSceneArchiving(sceneClipMetaList, jobId = '') {
+  // User uploads (Section 5R) are private footage, never shared through the library
+  if (Array.isArray(sceneClipMetaList) && sceneClipMetaList.some(meta => meta && meta.source === 'upload')) {
+    console.log(`[5H][ARCHIVE][${jobId}] Skipping user-uploaded scene clips.`);
+    sceneClipMetaList = sceneClipMetaList.filter(meta => !meta || meta.source !== 'upload');
+  }
   if (Array.isArray(sceneClipMetaList) && sceneClipMetaList.length) {
     console.log(`[5H][ARCHIVE][${jobId}] Starting async R2 archiving for ${sceneClipMetaList.length} scene clips...`);
     // Use Section 5G's postProcessSceneClipArchiving for bulk processing (await inside fire-and-forget)
-    postProcessSceneClipArchiving(
+    return postProcessSceneClipArchiving(
       sceneClipMetaList,
       async (meta) => {
         // [10E] Helper for correct foldering and de-dupe
@@ -45,7 +38,8 @@ function fireAndForgetPostJobSceneArchiving(sceneClipMetaList, jobId = '') {
           meta.subject,
           meta.sceneIdx,
           meta.source,
-          meta.category
+          meta.category,
+          { scriptLine: meta.scriptLine, clipInfo: meta.clipInfo }
         );
         if (r2Path) {
           console.log(`[5H][ARCHIVE][${jobId}] Scene archived:`, r2Path);
@@ -56,14 +50,15 @@ function fireAndForgetPostJobSceneArchiving(sceneClipMetaList, jobId = '') {
     ).catch(err => {
       console.error(`[5H][ARCHIVE][${jobId}] Async archiving error:`, err);
     });
-  } else {
-    console.log(`[5H][ARCHIVE][${jobId}] No scene clips provided for post-job archiving.`);
   }
+  console.log(`[5H][ARCHIVE][${jobId}] No scene clips provided for post-job archiving.`);
+  return null;
 }
 
 /**
  * Cleans up all temp files and folders for a given job.
- * DELAYS removal from progress map by 30 seconds to allow frontend to fetch final result.
+ * The job record stays in the persistent job store (Section 5I) so finished jobs
+ * can still be looked up; the store drops it from memory on its own once it ends.
  * @param {string} jobId - The job's unique identifier
  * @param {object} [jobContext] - Optional, must have .sceneClipMetaList for archiving
  */
@@ -71,9 +66,10 @@ function cleanupJob(jobId, jobContext = null) {
   console.log(`[5H][CLEANUP] Called for job: ${jobId}`);
 
   // 1. Trigger post-job scene archiving (fire-and-forget, does not block)
+  let archiving = null;
   try {
     if (jobContext && Array.isArray(jobContext.sceneClipMetaList) && jobContext.sceneClipMetaList.length) {
-      fireAndForgetPostJobSceneArchiving(jobContext.sceneClipMetaList, jobId);
+      archiving = fireAndForgetPostJobSceneArchiving(jobContext.sceneClipMetaList, jobId);
     } else {
       console.log(`[5H][CLEANUP][${jobId}] No sceneClipMetaList in jobContext, skipping archiving.`);
     }
@@ -81,44 +77,16 @@ function cleanupJob(jobId, jobContext = null) {
     console.error(`[5H][CLEANUP][${jobId}] Error launching post-job archiving:`, err);
   }
 
-  // 2. Remove temp files
-  try {
-    const rendersDir = path.resolve(__dirname, '..', 'renders', jobId);
-    if (fs.existsSync(rendersDir)) {
-      fs.rmSync(rendersDir, { recursive: true, force: true });
-      console.log(`[5H][CLEANUP] Removed renders dir for job ${jobId}: ${rendersDir}`);
-    } else {
-      console.log(`[5H][CLEANUP] No renders dir for job ${jobId} to remove: ${rendersDir}`);
-    }
-  } catch (err) {
-    console.error(`[5H][CLEANUP][ERR] Failed to clean up files for job ${jobId}:`, err);
-  }
-
-  // 3. Delay removal from global progress tracking to prevent "not found" warnings
-  if (typeof global.progress === 'object' && global.progress !== null) {
-    if (global.progress[jobId]) {
-      console.log(`[5H][CLEANUP] Scheduling progress entry removal for job ${jobId} in 30 seconds.`);
-      setTimeout(() => {
-        safeDeleteProgressEntry(jobId);
-      }, 30000);
-    } else {
-      console.log(`[5H][CLEANUP] Job ${jobId} not present in global progress (no delayed deletion needed).`);
-    }
-  } else {
-    console.warn('[5H][CLEANUP][WARN] Global progress map missing or invalid.');
-  }
+  // 2. Work dir: removed or kept by the janitor's rules, after archiving has read the clips
+  console.log(`[5H][CLEANUP] Handing work dir of job ${jobId} to the janitor${archiving ? ' (after archiving)' : ''}.`);
+  finishJobWorkDir(jobId, { after: archiving });
 }
 
 /**
- * Sets up or retrieves a progress tracking object (singleton style).
- * Call this at app boot, or pass your own.
+ * Returns the shared progress map (backed by the persistent job store).
  */
 function getGlobalProgressMap() {
-  if (!global.progress || typeof global.progress !== 'object') {
-    global.progress = {};
-    console.log('[5H][PROGRESS] Initialized global progress object.');
-  }
-  return global.progress;
+  return jobStore.progress;
 }
 
 /**
@@ -141,7 +109,7 @@ function updateJobProgress(jobId, statusObj) {
  */
 function jobFatalError(jobId, errorMsg, err = null, jobContext = null) {
   const prog = getGlobalProgressMap();
-  prog[jobId] = { percent: 100, status: `Failed: ${errorMsg}` };
+  prog[jobId] = { percent: 100, status: `Failed: ${errorMsg}`, error: errorMsg };
   console.error(`[5H][FATAL] [${jobId}] ${errorMsg}`, err ? err.stack || err : '');
   cleanupJob(jobId, jobContext);
 }
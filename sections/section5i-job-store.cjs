@@ -0,0 +1,414 @@
+// ===========================================================
+// SECTION 5I: PERSISTENT JOB STORE
+// File-backed job records for /api/generate-video (one JSON file per job)
+// Holds state, percent, status, inputs, outputs, error and timestamps
+// Survives restarts: interrupted jobs are marked failed at boot, never "lost"
+// Exposes a progress map facade so progress[jobId] = {...} persists to disk
+// Keeps a small in-memory index (summaries sorted by createdAt) so listings never scan the dir;
+// finished records are deleted by the janitor's retention (Section 5X)
+// MAX LOGGING, atomic writes, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const path = require('path');
+
+const JOB_STORE_DIR = process.env.JOB_STORE_DIR || path.join(__dirname, '..', 'job_store');
+
+// States a job can be in. Terminal states never go back to running.
+const JOB_STATES = ['queued', 'running', 'done', 'failed', 'interrupted', 'cancelled'];
+const TERMINAL_STATES = ['done', 'failed', 'interrupted', 'cancelled'];
+
+// Progress payload keys that are job outputs (copied onto record.outputs)
+const OUTPUT_KEYS = ['output', 'displayUrl', 'downloadUrl', 'variants', 'srt', 'vtt'];
+
+// In-memory cache of active records (disk is the source of truth). A job that ends stays
+// cached FINISHED_CACHE_MS for pollers, then is only read from disk
+const jobCache = new Map();
+const FINISHED_CACHE_MS = 30 * 1000;
+
+// One summary per record on disk, oldest → newest by createdAt (built once at boot, kept by writeRecord)
+const jobIndex = [];
+const jobIndexById = new Map();
+
+if (!fs.existsSync(JOB_STORE_DIR)) fs.mkdirSync(JOB_STORE_DIR, { recursive: true });
+console.log('[5I][INIT] Job store loaded. Dir:', JOB_STORE_DIR);
+
+// --- Only accept uuid-ish ids so a jobId can never escape JOB_STORE_DIR ---
+function isValidJobId(jobId) {
+  return typeof jobId === 'string' && /^[A-Za-z0-9_-]{1,80}$/.test(jobId);
+}
+
+function jobFilePath(jobId) {
+  return path.join(JOB_STORE_DIR, `${jobId}.json`);
+}
+
+// --- What listings filter on without reading the record ---
+function summarize(jobId, record) {
+  return {
+    jobId,
+    createdAt: String(record.createdAt || ''),
+    state: record.state,
+    finishedAt: record.finishedAt || null,
+    channel: (record.inputs && record.inputs.channel) || null
+  };
+}
+
+function removeFromIndex(jobId) {
+  const summary = jobIndexById.get(jobId);
+  if (!summary) return;
+  jobIndexById.delete(jobId);
+  jobIndex.splice(jobIndex.indexOf(summary), 1);
+}
+
+function indexRecord(jobId, record) {
+  const summary = summarize(jobId, record);
+  const existing = jobIndexById.get(jobId);
+  if (existing && existing.createdAt === summary.createdAt) {
+    Object.assign(existing, summary);
+    return;
+  }
+  removeFromIndex(jobId);
+  // Binary insert; a new job is the newest, so this is normally the end
+  let lo = 0;
+  let hi = jobIndex.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (jobIndex[mid].createdAt <= summary.createdAt) lo = mid + 1;
+    else hi = mid;
+  }
+  jobIndex.splice(lo, 0, summary);
+  jobIndexById.set(jobId, summary);
+}
+
+// --- Atomic write: tmp file + rename, so a crash never leaves half a record ---
+function writeRecord(record) {
+  const file = jobFilePath(record.jobId);
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(record, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+    indexRecord(record.jobId, record);
+  } catch (err) {
+    console.error(`[5I][WRITE][ERR][${record.jobId}] Failed to persist job record:`, err);
+    try { fs.unlinkSync(tmp); } catch (_) {}
+  }
+}
+
+function readRecord(jobId) {
+  const file = jobFilePath(jobId);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`[5I][READ][ERR][${jobId}] Corrupt job record:`, err);
+    return null;
+  }
+}
+
+// --- Boot: the only full read of the store ---
+function loadJobIndex() {
+  let files = [];
+  try {
+    files = fs.readdirSync(JOB_STORE_DIR).filter(f => f.endsWith('.json'));
+  } catch (err) {
+    console.error('[5I][INDEX][ERR] Could not read job store dir:', err);
+    return;
+  }
+  for (const f of files) {
+    const jobId = path.basename(f, '.json');
+    if (!isValidJobId(jobId)) continue;
+    const record = readRecord(jobId);
+    if (record) indexRecord(jobId, record);
+  }
+  console.log(`[5I][INDEX] ${jobIndex.length} job records indexed.`);
+}
+loadJobIndex();
+
+/**
+ * Returns the job record for jobId (memory first, then disk), or null.
+ * @param {string} jobId
+ * @returns {object|null}
+ */
+function getJob(jobId) {
+  if (!isValidJobId(jobId)) return null;
+  if (jobCache.has(jobId)) return jobCache.get(jobId);
+  const record = readRecord(jobId);
+  if (record && !TERMINAL_STATES.includes(record.state)) jobCache.set(jobId, record);
+  return record;
+}
+
+/**
+ * Creates and persists a new job record.
+ * @param {string} jobId
+ * @param {object} [inputs] - Request inputs (script, voice, options...)
+ * @returns {object} The new record
+ */
+function createJob(jobId, inputs = {}) {
+  if (!isValidJobId(jobId)) throw new Error(`[5I][CREATE][ERR] Invalid jobId: ${jobId}`);
+  const now = new Date().toISOString();
+  const record = {
+    jobId,
+    state: 'queued',
+    percent: 0,
+    status: 'Queued...',
+    progress: { percent: 0, status: 'Queued...' },
+    inputs: inputs || {},
+    outputs: {},
+    error: null,
+    // Resume data (Section 5B): normalized scenes, muxed file per scene index, where it failed
+    scenePlan: null,
+    sceneArtifacts: {},
+    failedSceneIdx: null,
+    retries: 0,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+  jobCache.set(jobId, record);
+  writeRecord(record);
+  console.log(`[5I][CREATE][${jobId}] Job record created.`);
+  return record;
+}
+
+/**
+ * Merges a patch into a job record and persists it.
+ * Stamps startedAt/finishedAt on state transitions.
+ * @param {string} jobId
+ * @param {object} patch
+ * @returns {object|null} Updated record, or null if job unknown
+ */
+function updateJob(jobId, patch = {}) {
+  const record = getJob(jobId);
+  if (!record) {
+    console.warn(`[5I][UPDATE][WARN] Unknown job ${jobId}, patch ignored.`);
+    return null;
+  }
+  const now = new Date().toISOString();
+  const prevState = record.state;
+  const { outputs, ...rest } = patch;
+  Object.assign(record, rest, { updatedAt: now });
+  if (outputs) record.outputs = { ...(record.outputs || {}), ...outputs };
+  if (record.state !== prevState) {
+    if (!JOB_STATES.includes(record.state)) {
+      console.warn(`[5I][UPDATE][WARN][${jobId}] Unknown state "${record.state}"`);
+    }
+    if (record.state === 'running' && !record.startedAt) record.startedAt = now;
+    if (TERMINAL_STATES.includes(record.state) && !record.finishedAt) record.finishedAt = now;
+    console.log(`[5I][STATE][${jobId}] ${prevState} → ${record.state}`);
+    if (TERMINAL_STATES.includes(record.state)) {
+      setTimeout(() => {
+        const cached = jobCache.get(jobId);
+        if (cached && TERMINAL_STATES.includes(cached.state)) evictJobFromCache(jobId);
+      }, FINISHED_CACHE_MS).unref();
+    } else {
+      jobCache.set(jobId, record); // e.g. a retried job read back from disk
+    }
+  }
+  writeRecord(record);
+  return record;
+}
+
+// --- Derive job state from a legacy progress payload ({ percent, status, error, output }) ---
+function stateFromProgress(payload) {
+  if (payload && payload.error) return 'failed';
+  if (payload && Number(payload.percent) >= 100) return 'done';
+  return 'running';
+}
+
+/**
+ * Records a progress payload for a job (the shape /api/progress returns).
+ * Creates the record if needed. Outputs in the payload are copied to record.outputs.
+ * @param {string} jobId
+ * @param {object} payload - { percent, status, error?, output? }
+ * @returns {object|null}
+ */
+function setJobProgress(jobId, payload) {
+  if (!isValidJobId(jobId)) {
+    console.warn(`[5I][PROGRESS][WARN] Ignoring progress for invalid jobId: ${jobId}`);
+    return null;
+  }
+  const existing = getJob(jobId) || createJob(jobId);
+  // A cancelled job may still be unwinding; its late writes must not revive it
+  if (existing.state === 'cancelled') {
+    console.log(`[5I][PROGRESS][${jobId}] Job is cancelled, ignoring progress write.`);
+    return existing;
+  }
+  const safe = { ...(payload || {}) };
+  const outputs = {};
+  for (const key of OUTPUT_KEYS) {
+    if (safe[key] !== undefined && safe[key] !== null) outputs[key] = safe[key];
+  }
+  return updateJob(jobId, {
+    progress: safe,
+    percent: typeof safe.percent === 'number' ? safe.percent : 0,
+    status: safe.status || '',
+    error: safe.error || null,
+    state: stateFromProgress(safe),
+    outputs
+  });
+}
+
+/**
+ * Marks a job 'cancelled' (terminal). Later progress writes are ignored.
+ * @param {string} jobId
+ * @returns {object|null}
+ */
+function markJobCancelled(jobId) {
+  const status = 'Video cancelled.';
+  return updateJob(jobId, {
+    state: 'cancelled',
+    percent: 100,
+    status,
+    error: null,
+    progress: { percent: 100, status, cancelled: true }
+  });
+}
+
+/**
+ * Returns the last progress payload for a job, or null if unknown.
+ * @param {string} jobId
+ * @returns {object|null}
+ */
+function getJobProgress(jobId) {
+  const record = getJob(jobId);
+  return record ? record.progress : null;
+}
+
+/**
+ * Job summaries from the index, newest first (nothing is read from disk).
+ * @param {object} [opts]
+ * @param {Function} [opts.where] - (summary) => boolean; summary = { jobId, createdAt, state, finishedAt, channel }
+ * @param {number} [opts.limit]
+ * @returns {object[]} Copies of the summaries
+ */
+function listJobSummaries({ where = null, limit = Infinity } = {}) {
+  const out = [];
+  for (let i = jobIndex.length - 1; i >= 0 && out.length < limit; i--) {
+    if (!where || where(jobIndex[i])) out.push({ ...jobIndex[i] });
+  }
+  return out;
+}
+
+/**
+ * Lists job records, newest first. Only the records returned are read (without being cached).
+ * @param {number} [limit=50]
+ * @param {object} [opts]
+ * @param {Function} [opts.where] - Filter on the index summary, see listJobSummaries
+ * @returns {object[]}
+ */
+function listJobs(limit = 50, { where = null } = {}) {
+  const records = [];
+  for (let i = jobIndex.length - 1; i >= 0 && records.length < limit; i--) {
+    const summary = jobIndex[i];
+    if (where && !where(summary)) continue;
+    const record = jobCache.get(summary.jobId) || readRecord(summary.jobId);
+    if (record) records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Deletes a finished job's record from disk, memory and the index (janitor retention, Section 5X).
+ * @param {string} jobId
+ * @returns {boolean} false if unknown, still active or not removable
+ */
+function deleteJob(jobId) {
+  const summary = jobIndexById.get(jobId);
+  if (!isValidJobId(jobId) || !summary) return false;
+  if (!TERMINAL_STATES.includes(summary.state)) {
+    console.warn(`[5I][DELETE][WARN][${jobId}] Job is ${summary.state}, record kept.`);
+    return false;
+  }
+  try {
+    fs.rmSync(jobFilePath(jobId), { force: true });
+  } catch (err) {
+    console.error(`[5I][DELETE][ERR][${jobId}] Could not remove job record:`, err);
+    return false;
+  }
+  jobCache.delete(jobId);
+  removeFromIndex(jobId);
+  console.log(`[5I][DELETE][${jobId}] Job record removed (${summary.state}, finished ${summary.finishedAt || 'unknown'}).`);
+  return true;
+}
+
+/**
+ * Drops a finished job from the in-memory cache (record stays on disk).
+ * @param {string} jobId
+ */
+function evictJobFromCache(jobId) {
+  if (jobCache.delete(jobId)) {
+    console.log(`[5I][CACHE] Evicted job ${jobId} from memory (record kept on disk).`);
+  }
+}
+
+/**
+ * At boot, any job still queued/running was killed by the restart.
+ * Marks those records 'interrupted' so pollers get a truthful answer.
+ * @returns {number} Count of interrupted jobs
+ */
+function recoverInterruptedJobs() {
+  let count = 0;
+  for (const record of listJobs(Infinity, { where: s => !TERMINAL_STATES.includes(s.state) })) {
+    if (!TERMINAL_STATES.includes(record.state)) {
+      const status = 'This job was interrupted by a server restart. Please try again.';
+      updateJob(record.jobId, {
+        state: 'interrupted',
+        percent: 100,
+        status,
+        error: 'Job interrupted by server restart',
+        progress: { percent: 100, status, error: 'Job interrupted by server restart' }
+      });
+      count++;
+    }
+  }
+  console.log(`[5I][RECOVER] Marked ${count} unfinished job(s) as interrupted.`);
+  return count;
+}
+
+/**
+ * Map-like facade over the store: progress[jobId] reads the last payload,
+ * progress[jobId] = {...} persists it. Drop-in for the old in-memory object.
+ * @returns {object}
+ */
+function createProgressMap() {
+  return new Proxy({}, {
+    get(_target, jobId) {
+      if (typeof jobId !== 'string') return undefined;
+      return getJobProgress(jobId) || undefined;
+    },
+    set(_target, jobId, value) {
+      setJobProgress(jobId, value);
+      return true;
+    },
+    has(_target, jobId) {
+      return typeof jobId === 'string' && !!getJob(jobId);
+    },
+    deleteProperty(_target, jobId) {
+      evictJobFromCache(jobId);
+      return true;
+    }
+  });
+}
+
+const progress = createProgressMap();
+
+module.exports = {
+  JOB_STORE_DIR,
+  JOB_STATES,
+  TERMINAL_STATES,
+  isValidJobId,
+  createJob,
+  getJob,
+  updateJob,
+  setJobProgress,
+  markJobCancelled,
+  getJobProgress,
+  listJobs,
+  listJobSummaries,
+  deleteJob,
+  evictJobFromCache,
+  recoverInterruptedJobs,
+  createProgressMap,
+  progress
+};
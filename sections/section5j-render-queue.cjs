@@ -0,0 +1,138 @@
+// ===========================================================
+// SECTION 5J: RENDER QUEUE (Bounded, concurrency-limited)
+// Sits behind /api/generate-video so N users never launch N ffmpeg pipelines
+// Configurable worker count + max waiting jobs (back-pressure → HTTP 429)
+// Reports live queue position per job, estimates a retry hint from run times
+// MAX LOGGING, never throws out of a worker, NO SILENT FAILURES
+// ===========================================================
+
+const RENDER_CONCURRENCY = Math.max(1, parseInt(process.env.RENDER_CONCURRENCY, 10) || 1);
+// 0 is a real setting (no waiting jobs: busy → 429), so only a missing/invalid value falls back
+const parsedQueueMax = parseInt(process.env.RENDER_QUEUE_MAX, 10);
+const RENDER_QUEUE_MAX = Number.isFinite(parsedQueueMax) ? Math.max(0, parsedQueueMax) : 20;
+// Used for the retry hint until we have real run times to average
+const DEFAULT_JOB_SECONDS = parseInt(process.env.RENDER_DEFAULT_JOB_SECONDS, 10) || 120;
+
+console.log(`[5J][INIT] Render queue loaded. concurrency=${RENDER_CONCURRENCY} maxQueued=${RENDER_QUEUE_MAX}`);
+
+/**
+ * Creates a FIFO job queue with a fixed number of worker slots.
+ * @param {object} [opts]
+ * @param {number} [opts.concurrency=1] - Jobs allowed to run at once
+ * @param {number} [opts.maxQueued=20] - Jobs allowed to wait; beyond this enqueue() throws QUEUE_FULL
+ * @param {string} [opts.label='RENDER'] - Log label
+ * @returns {object} Queue API
+ */
+function createRenderQueue({ concurrency = 1, maxQueued = 20, label = 'RENDER' } = {}) {
+  const waiting = [];        // [{ jobId, task, enqueuedAt }]
+  const active = new Map();  // jobId -> startedAt (ms)
+  let completedRuns = 0;
+  let totalRunMs = 0;
+
+  function pump() {
+    while (active.size < concurrency && waiting.length) {
+      const { jobId, task, enqueuedAt } = waiting.shift();
+      const startedAt = Date.now();
+      active.set(jobId, startedAt);
+      console.log(`[5J][${label}][START][${jobId}] Waited ${((startedAt - enqueuedAt) / 1000).toFixed(1)}s | active=${active.size}/${concurrency} waiting=${waiting.length}`);
+      Promise.resolve()
+        .then(task)
+        .catch(err => {
+          console.error(`[5J][${label}][ERR][${jobId}] Job task threw:`, err);
+        })
+        .finally(() => {
+          const ranMs = Date.now() - startedAt;
+          active.delete(jobId);
+          completedRuns++;
+          totalRunMs += ranMs;
+          console.log(`[5J][${label}][DONE][${jobId}] Ran ${(ranMs / 1000).toFixed(1)}s | active=${active.size}/${concurrency} waiting=${waiting.length}`);
+          pump();
+        });
+    }
+  }
+
+  function isFull() {
+    return waiting.length >= maxQueued;
+  }
+
+  /**
+   * Seconds until a waiting slot is likely to free up (for Retry-After).
+   */
+  function estimateRetryAfter() {
+    const avgSeconds = completedRuns ? (totalRunMs / completedRuns) / 1000 : DEFAULT_JOB_SECONDS;
+    return Math.min(600, Math.max(5, Math.ceil(avgSeconds / concurrency)));
+  }
+
+  /**
+   * 0 = running, 1..n = place in line, null = not in this queue.
+   * @param {string} jobId
+   */
+  function getPosition(jobId) {
+    if (active.has(jobId)) return 0;
+    const idx = waiting.findIndex(w => w.jobId === jobId);
+    return idx === -1 ? null : idx + 1;
+  }
+
+  /**
+   * Adds a job. Throws an Error with code 'QUEUE_FULL' (and .retryAfter) when full.
+   * @param {string} jobId
+   * @param {Function} task - async () => void; rejections are logged, never rethrown
+   * @returns {number} Initial position (0 if it started immediately)
+   */
+  function enqueue(jobId, task) {
+    if (typeof task !== 'function') throw new Error(`[5J][${label}][ERR] Task must be a function`);
+    if (isFull()) {
+      const err = new Error(`[5J][${label}] Queue full (${waiting.length}/${maxQueued} waiting)`);
+      err.code = 'QUEUE_FULL';
+      err.retryAfter = estimateRetryAfter();
+      console.warn(`[5J][${label}][FULL][${jobId}] Rejecting job, retryAfter=${err.retryAfter}s`);
+      throw err;
+    }
+    waiting.push({ jobId, task, enqueuedAt: Date.now() });
+    console.log(`[5J][${label}][ENQUEUE][${jobId}] position=${waiting.length} active=${active.size}/${concurrency}`);
+    pump();
+    return getPosition(jobId);
+  }
+
+  /**
+   * Removes a job that has not started yet. Returns true if it was waiting.
+   * @param {string} jobId
+   */
+  function remove(jobId) {
+    const idx = waiting.findIndex(w => w.jobId === jobId);
+    if (idx === -1) return false;
+    waiting.splice(idx, 1);
+    console.log(`[5J][${label}][REMOVE][${jobId}] Removed from waiting list. waiting=${waiting.length}`);
+    return true;
+  }
+
+  function stats() {
+    return {
+      concurrency,
+      maxQueued,
+      active: active.size,
+      waiting: waiting.length,
+      activeJobIds: [...active.keys()],
+      waitingJobIds: waiting.map(w => w.jobId),
+      completedRuns,
+      avgRunSeconds: completedRuns ? Math.round(totalRunMs / completedRuns / 1000) : null,
+      retryAfter: estimateRetryAfter()
+    };
+  }
+
+  return { enqueue, remove, getPosition, isFull, estimateRetryAfter, stats };
+}
+
+// Shared queue for /api/generate-video
+const renderQueue = createRenderQueue({
+  concurrency: RENDER_CONCURRENCY,
+  maxQueued: RENDER_QUEUE_MAX,
+  label: 'RENDER'
+});
+
+module.exports = {
+  createRenderQueue,
+  renderQueue,
+  RENDER_CONCURRENCY,
+  RENDER_QUEUE_MAX
+};
@@ -0,0 +1,170 @@
+// ===========================================================
+// SECTION 5K: JOB CANCELLATION (AbortSignals + process tracking)
+// Every running video job gets a scope: one AbortController for provider
+// calls (axios downloads in 10B/10C/10D/10F) and a set of spawned ffmpeg
+// processes (5F/5G/10D). cancelVideoJob() aborts + kills all of them.
+// Scope is carried through async calls (AsyncLocalStorage), so helpers
+// without a jobId argument still find their job.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const { AsyncLocalStorage } = require('async_hooks');
+const jobStore = require('./section5i-job-store.cjs');
+const { renderQueue } = require('./section5j-render-queue.cjs');
+
+console.log('[5K][INIT] Job cancellation module loaded.');
+
+const jobScope = new AsyncLocalStorage();
+const activeJobs = new Map(); // jobId -> { controller, processes: Set, cancelled }
+
+function getCurrentJobId() {
+  const store = jobScope.getStore();
+  return store ? store.jobId : null;
+}
+
+function registerJob(jobId) {
+  if (!activeJobs.has(jobId)) {
+    activeJobs.set(jobId, { controller: new AbortController(), processes: new Set(), cancelled: false });
+    console.log(`[5K][REGISTER][${jobId}] Job scope created.`);
+  }
+  return activeJobs.get(jobId);
+}
+
+/**
+ * Runs fn inside a cancellable scope for jobId. Everything awaited inside
+ * (including helpers that only call getJobSignal()/trackProcess()) sees the job.
+ * @param {string} jobId
+ * @param {Function} fn - async () => any
+ */
+function runInJobScope(jobId, fn) {
+  registerJob(jobId);
+  return jobScope.run({ jobId }, fn);
+}
+
+/**
+ * Forgets a finished job's scope (call from the job's finally block).
+ * @param {string} jobId
+ */
+function releaseJob(jobId) {
+  if (activeJobs.delete(jobId)) {
+    console.log(`[5K][RELEASE][${jobId}] Job scope released.`);
+  }
+}
+
+/**
+ * AbortSignal for the job (pass to axios as { signal }). undefined outside a job.
+ * @param {string} [jobId] - Defaults to the current job scope
+ */
+function getJobSignal(jobId = getCurrentJobId()) {
+  const entry = jobId ? activeJobs.get(jobId) : null;
+  return entry ? entry.controller.signal : undefined;
+}
+
+function isJobCancelled(jobId = getCurrentJobId()) {
+  const entry = jobId ? activeJobs.get(jobId) : null;
+  if (entry) return entry.cancelled;
+  const record = jobId ? jobStore.getJob(jobId) : null;
+  return !!(record && record.state === 'cancelled');
+}
+
+function makeCancelledError(jobId) {
+  const err = new Error(`[5K][CANCELLED][${jobId}] Job was cancelled`);
+  err.code = 'JOB_CANCELLED';
+  return err;
+}
+
+/**
+ * Throws an Error with code 'JOB_CANCELLED' if the job was cancelled.
+ * Drop between pipeline steps so a cancelled job stops at the next checkpoint.
+ * @param {string} [jobId]
+ */
+function throwIfCancelled(jobId = getCurrentJobId()) {
+  if (jobId && isJobCancelled(jobId)) throw makeCancelledError(jobId);
+}
+
+// --- Kill a fluent-ffmpeg command or a child_process, even if it has not spawned yet ---
+function killProcess(proc, jobId) {
+  try {
+    const isFluent = proc && Object.prototype.hasOwnProperty.call(proc, '_inputs');
+    if (isFluent) {
+      if (proc.ffmpegProc) {
+        proc.kill('SIGKILL');
+      } else {
+        proc.once('start', () => proc.kill('SIGKILL'));
+      }
+    } else if (proc && typeof proc.kill === 'function') {
+      proc.kill('SIGKILL');
+    }
+    console.log(`[5K][KILL][${jobId}] Sent SIGKILL to tracked process.`);
+  } catch (err) {
+    console.error(`[5K][KILL][ERR][${jobId}] Failed to kill process:`, err);
+  }
+}
+
+/**
+ * Registers an ffmpeg command (fluent-ffmpeg) or child process with the current
+ * job so cancellation can kill it. Returns proc unchanged (chain-friendly).
+ * If the job is already cancelled, kills proc and throws JOB_CANCELLED.
+ * @param {object} proc
+ * @param {string} [jobId]
+ * @returns {object} proc
+ */
+function trackProcess(proc, jobId = getCurrentJobId()) {
+  const entry = jobId ? activeJobs.get(jobId) : null;
+  if (!entry || !proc) return proc;
+  if (entry.cancelled) {
+    // exec() children are already running by the time they get here
+    killProcess(proc, jobId);
+    throw makeCancelledError(jobId);
+  }
+  entry.processes.add(proc);
+  const untrack = () => entry.processes.delete(proc);
+  if (typeof proc.once === 'function') {
+    proc.once('end', untrack);
+    proc.once('exit', untrack);
+    proc.once('error', untrack);
+  }
+  return proc;
+}
+
+/**
+ * Cancels a video job wherever it is:
+ * - waiting in the render queue → removed, never starts
+ * - running → AbortSignal fired, tracked ffmpeg processes killed
+ * Marks the job 'cancelled' in the job store (later progress writes are ignored).
+ * @param {string} jobId
+ * @returns {{ ok: boolean, code?: string, state?: string, wasQueued?: boolean }}
+ */
+function cancelVideoJob(jobId) {
+  const record = jobStore.getJob(jobId);
+  if (!record) return { ok: false, code: 'NOT_FOUND' };
+  if (jobStore.TERMINAL_STATES.includes(record.state)) {
+    console.warn(`[5K][CANCEL][${jobId}] Job already finished (state=${record.state}).`);
+    return { ok: false, code: 'ALREADY_FINISHED', state: record.state };
+  }
+
+  const wasQueued = renderQueue.remove(jobId);
+  jobStore.markJobCancelled(jobId);
+
+  const entry = activeJobs.get(jobId);
+  if (entry && !entry.cancelled) {
+    entry.cancelled = true;
+    entry.controller.abort();
+    console.log(`[5K][CANCEL][${jobId}] AbortSignal fired. Killing ${entry.processes.size} tracked process(es).`);
+    for (const proc of entry.processes) killProcess(proc, jobId);
+    entry.processes.clear();
+  }
+  console.log(`[5K][CANCEL][${jobId}] Cancelled (wasQueued=${wasQueued}).`);
+  return { ok: true, state: 'cancelled', wasQueued };
+}
+
+module.exports = {
+  runInJobScope,
+  releaseJob,
+  getCurrentJobId,
+  getJobSignal,
+  isJobCancelled,
+  throwIfCancelled,
+  trackProcess,
+  cancelVideoJob
+};
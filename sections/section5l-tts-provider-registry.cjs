@@ -0,0 +1,120 @@
+// ===========================================================
+// SECTION 5L: TTS PROVIDER REGISTRY
+// One place that knows every TTS provider: its voices, output formats,
+// capabilities (ssml, speech marks...) and how to synthesize.
+// Providers register themselves (Section 5A); /api/voices (Section 3) and
+// scene audio dispatch (5A/5E) read from here. No hard-coded if/else.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+console.log('[5L][INIT] TTS provider registry loaded.');
+
+const providers = new Map(); // id -> provider (insertion order = listing order)
+
+/**
+ * Registers (or replaces) a TTS provider.
+ * @param {object} provider
+ * @param {string} provider.id - e.g. 'polly'
+ * @param {string} provider.label - Human readable name
+ * @param {object[]} provider.voices - [{ id, name, description, tier, gender, disabled, preview, ... }]
+ * @param {string[]} [provider.formats] - Output formats the provider can produce
+ * @param {object} [provider.capabilities] - e.g. { ssml: true, speechMarks: true }
+ * @param {Function} provider.synthesize - async (text, voiceId, outPath, options) => void
+ * @param {Function} [provider.wordTimings] - async (text, voiceId, options) => [{ word, start, end }] (seconds)
+ * @param {Function} [provider.isConfigured] - () => boolean (credentials present?)
+ * @returns {object} The registered provider
+ */
+function registerTtsProvider(provider) {
+  if (!provider || typeof provider.id !== 'string' || !provider.id) {
+    throw new Error('[5L][REGISTER][ERR] Provider needs a string id');
+  }
+  if (typeof provider.synthesize !== 'function') {
+    throw new Error(`[5L][REGISTER][ERR] Provider "${provider.id}" has no synthesize()`);
+  }
+  if (!Array.isArray(provider.voices)) {
+    throw new Error(`[5L][REGISTER][ERR] Provider "${provider.id}" must declare a voices array`);
+  }
+  const id = provider.id.toLowerCase();
+  const entry = {
+    label: provider.id,
+    formats: ['mp3'],
+    capabilities: {},
+    isConfigured: () => true,
+    ...provider,
+    id,
+    // Every voice carries its provider id so callers never have to guess
+    voices: provider.voices.map(v => ({ ...v, provider: id }))
+  };
+  if (providers.has(id)) console.warn(`[5L][REGISTER][WARN] Replacing provider "${id}"`);
+  providers.set(id, entry);
+  console.log(`[5L][REGISTER] Provider "${id}" registered: ${entry.voices.length} voices, formats=${entry.formats.join(',')}`);
+  return entry;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+function getTtsProvider(id) {
+  return providers.get(String(id || '').toLowerCase()) || null;
+}
+
+function isProviderConfigured(provider) {
+  try {
+    return !!provider.isConfigured();
+  } catch (err) {
+    console.error(`[5L][CONFIG][ERR] isConfigured() threw for "${provider.id}":`, err);
+    return false;
+  }
+}
+
+/**
+ * Provider summaries (no synthesize fn), for APIs and logs.
+ * @returns {object[]}
+ */
+function listTtsProviders() {
+  return [...providers.values()].map(p => ({
+    id: p.id,
+    label: p.label,
+    formats: p.formats,
+    capabilities: p.capabilities,
+    configured: isProviderConfigured(p),
+    voiceCount: p.voices.length
+  }));
+}
+
+/**
+ * All voices in provider registration order.
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeUnconfigured=false] - Also list voices of providers missing credentials
+ * @returns {object[]}
+ */
+function listVoices({ includeUnconfigured = false } = {}) {
+  const out = [];
+  for (const p of providers.values()) {
+    if (!includeUnconfigured && !isProviderConfigured(p)) continue;
+    out.push(...p.voices);
+  }
+  return out;
+}
+
+/**
+ * Finds a voice by id across all providers.
+ * @param {string} voiceId
+ * @returns {object|null} Voice (with .provider) or null
+ */
+function findVoice(voiceId) {
+  for (const p of providers.values()) {
+    const voice = p.voices.find(v => v.id === voiceId);
+    if (voice) return voice;
+  }
+  return null;
+}
+
+module.exports = {
+  registerTtsProvider,
+  getTtsProvider,
+  listTtsProviders,
+  listVoices,
+  findVoice
+};
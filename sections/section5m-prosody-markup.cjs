@@ -0,0 +1,214 @@
+// ===========================================================
+// SECTION 5M: PROSODY MARKUP → SSML
+// Script lines may carry lightweight markup for narration:
+//   [pause 400ms] / [pause 1s] / [pause]   → break
+//   *words*                                → emphasis
+//   {rate:fast} ... {/rate}                → speaking rate for the rest of the line
+//   {pitch:high} / {volume:loud}           → same, for pitch / volume
+// Parsed once here, rendered per provider (Section 5A) because engines differ
+// (Polly neural: no <emphasis>, no pitch; ElevenLabs: breaks only).
+// Everything outside markup is XML-escaped before it goes into SSML.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+console.log('[5M][INIT] Prosody markup helper loaded.');
+
+const DEFAULT_PAUSE_MS = 500;
+const MAX_PAUSE_MS = 5000;
+
+const PROSODY_VALUES = {
+  rate: /^(x-slow|slow|medium|fast|x-fast|\d{2,3}%)$/,
+  pitch: /^(x-low|low|medium|high|x-high|[+-]\d{1,2}(%|st))$/,
+  volume: /^(silent|x-soft|soft|medium|loud|x-loud|[+-]\d{1,2}dB)$/
+};
+
+// Global options accepted on /api/generate-video
+const SPEAKING_RATE_RANGE = [0.5, 2.0]; // multiplier, 1 = normal
+const PITCH_RANGE = [-12, 12];          // semitones, 0 = normal
+
+const MARKUP_RE = /\[pause(?:\s+(\d+(?:\.\d+)?)\s*(ms|s)?)?\]|\{(rate|pitch|volume):([^}]*)\}|\{\/(rate|pitch|volume)\}|\*([^*]+)\*/gi;
+
+/**
+ * Escapes text for use inside SSML/XML.
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * True if the line contains any prosody markup.
+ * @param {string} line
+ */
+function hasProsodyMarkup(line) {
+  MARKUP_RE.lastIndex = 0;
+  const found = MARKUP_RE.test(String(line || ''));
+  MARKUP_RE.lastIndex = 0;
+  return found;
+}
+
+/**
+ * Parses one script line into segments:
+ *   { type: 'text', text, emphasis, rate, pitch, volume } | { type: 'break', ms }
+ * Unknown/invalid {key:value} directives are dropped (logged), never spoken.
+ * @param {string} line
+ * @returns {object[]}
+ */
+function parseProsodyMarkup(line) {
+  const input = String(line || '');
+  const segments = [];
+  const state = { rate: null, pitch: null, volume: null };
+  let last = 0;
+
+  const pushText = (text, emphasis = false) => {
+    if (!text) return;
+    segments.push({ type: 'text', text, emphasis, rate: state.rate, pitch: state.pitch, volume: state.volume });
+  };
+
+  MARKUP_RE.lastIndex = 0;
+  let m;
+  while ((m = MARKUP_RE.exec(input)) !== null) {
+    pushText(input.slice(last, m.index));
+    last = MARKUP_RE.lastIndex;
+    const [, pauseNum, pauseUnit, key, rawValue, closeKey, emphText] = m;
+
+    if (m[0].toLowerCase().startsWith('[pause')) {
+      let ms = pauseNum === undefined ? DEFAULT_PAUSE_MS : parseFloat(pauseNum) * ((pauseUnit || 'ms').toLowerCase() === 's' ? 1000 : 1);
+      ms = Math.min(MAX_PAUSE_MS, Math.max(0, Math.round(ms)));
+      segments.push({ type: 'break', ms });
+    } else if (key) {
+      const prop = key.toLowerCase();
+      let value = String(rawValue || '').trim().toLowerCase();
+      if (value === 'normal' || value === 'default' || value === '') {
+        state[prop] = null;
+      } else if (PROSODY_VALUES[prop].test(value)) {
+        state[prop] = value === 'medium' ? null : value;
+      } else {
+        console.warn(`[5M][PARSE][WARN] Ignoring invalid {${prop}:${rawValue}} in line: "${input}"`);
+      }
+    } else if (closeKey) {
+      state[closeKey.toLowerCase()] = null;
+    } else if (emphText !== undefined) {
+      pushText(emphText, true);
+    }
+  }
+  MARKUP_RE.lastIndex = 0;
+  pushText(input.slice(last));
+  return segments;
+}
+
+/**
+ * Plain spoken text (no markup) — for subjects, captions, logs.
+ * @param {string} line
+ * @returns {string}
+ */
+function stripProsodyMarkup(line) {
+  return parseProsodyMarkup(line)
+    .filter(s => s.type === 'text')
+    .map(s => s.text)
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Renders segments as SSML.
+ * @param {object[]} segments - From parseProsodyMarkup
+ * @param {object} [opts]
+ * @param {'tag'|'volume'} [opts.emphasis='tag'] - 'volume' for engines without <emphasis> (Polly neural)
+ * @param {boolean} [opts.pitch=true] - false drops pitch (Polly neural)
+ * @param {string} [opts.globalRate] - e.g. '110%', wraps the whole line
+ * @returns {string} <speak>...</speak>
+ */
+function renderSsml(segments, { emphasis = 'tag', pitch = true, globalRate = null } = {}) {
+  const body = segments.map(seg => {
+    if (seg.type === 'break') return `<break time="${seg.ms}ms"/>`;
+    let out = escapeXml(seg.text);
+    if (seg.emphasis) {
+      out = emphasis === 'volume'
+        ? `<prosody volume="loud">${out}</prosody>`
+        : `<emphasis level="strong">${out}</emphasis>`;
+    }
+    const attrs = [];
+    if (seg.rate) attrs.push(`rate="${seg.rate}"`);
+    if (seg.pitch && pitch) attrs.push(`pitch="${seg.pitch}"`);
+    if (seg.volume) attrs.push(`volume="${seg.volume}"`);
+    return attrs.length ? `<prosody ${attrs.join(' ')}>${out}</prosody>` : out;
+  }).join('');
+  const wrapped = globalRate ? `<prosody rate="${globalRate}">${body}</prosody>` : body;
+  return `<speak>${wrapped}</speak>`;
+}
+
+/**
+ * Plain text with ElevenLabs-style <break/> tags (no other markup survives).
+ * @param {object[]} segments
+ * @param {number} [maxBreakMs=3000] - ElevenLabs caps pauses at 3s
+ * @returns {string}
+ */
+function renderTextWithBreaks(segments, maxBreakMs = 3000) {
+  return segments.map(seg => seg.type === 'break'
+    ? ` <break time="${(Math.min(seg.ms, maxBreakMs) / 1000).toFixed(1)}s" /> `
+    : seg.text
+  ).join('').replace(/\s+/g, ' ').trim();
+}
+
+function clampNumber(value, [min, max], fallback, label) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = Number(value);
+  if (!Number.isFinite(num)) {
+    console.warn(`[5M][OPTIONS][WARN] ${label}="${value}" is not a number, using ${fallback}`);
+    return fallback;
+  }
+  const clamped = Math.min(max, Math.max(min, num));
+  if (clamped !== num) console.warn(`[5M][OPTIONS][WARN] ${label}=${num} out of range, clamped to ${clamped}`);
+  return clamped;
+}
+
+/**
+ * Global narration options from a request body.
+ * @param {object} body - { speakingRate?, pitch? }
+ * @returns {{ speakingRate: number, pitch: number }} speakingRate multiplier (1 = normal), pitch in semitones (0 = normal)
+ */
+function normalizeProsodyOptions(body = {}) {
+  return {
+    speakingRate: clampNumber(body.speakingRate, SPEAKING_RATE_RANGE, 1, 'speakingRate'),
+    pitch: clampNumber(body.pitch, PITCH_RANGE, 0, 'pitch')
+  };
+}
+
+/**
+ * Strips markup from a whole script (for scene splitting / subject extraction) and
+ * remembers each line's marked-up original so narration can still use it.
+ * @param {string} script
+ * @returns {{ plainScript: string, speechFor: (plainLine: string) => string }}
+ */
+function mapSpeechLines(script) {
+  const byPlain = new Map();
+  const plainLines = String(script || '').split('\n').map(raw => {
+    const plain = stripProsodyMarkup(raw);
+    if (plain && raw.trim() !== plain) byPlain.set(plain, raw.trim());
+    return plain;
+  });
+  if (byPlain.size) console.log(`[5M][SCRIPT] ${byPlain.size} line(s) carry prosody markup.`);
+  return {
+    plainScript: plainLines.join('\n'),
+    speechFor: plainLine => byPlain.get(plainLine) || plainLine
+  };
+}
+
+module.exports = {
+  escapeXml,
+  hasProsodyMarkup,
+  parseProsodyMarkup,
+  stripProsodyMarkup,
+  renderSsml,
+  renderTextWithBreaks,
+  normalizeProsodyOptions,
+  mapSpeechLines
+};
@@ -0,0 +1,394 @@
+// ===========================================================
+// SECTION 5N: WORD-LEVEL BURNED-IN CAPTIONS
+// TikTok-style captions: a few words per line, the spoken word highlighted.
+// Word timings come from the TTS provider when it has them (Polly speech
+// marks, Section 5A), otherwise from aligning the words to the voiced parts
+// of the scene audio (ffmpeg silencedetect). Timings are cached next to the
+// audio file (<audio>.words.json) so retries and re-renders reuse them.
+// Captions are written as ASS and burned in with ffmpeg's subtitles filter.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { getTtsProvider } = require('./section5l-tts-provider-registry.cjs');
+const { getDuration } = require('./section5f-video-processing.cjs');
+const { trackProcess } = require('./section5k-job-cancellation.cjs');
+
+console.log('[5N][INIT] Captions module loaded.');
+
+const CAPTION_DEFAULTS = {
+  enabled: false,
+  font: 'Arial',
+  fontSize: 84,
+  color: '#FFFFFF',
+  highlightColor: '#FFD700',
+  outlineColor: '#000000',
+  position: 'bottom',
+  maxWordsPerLine: 3,
+  uppercase: true
+};
+
+const NAMED_COLORS = {
+  white: '#FFFFFF',
+  black: '#000000',
+  yellow: '#FFD700',
+  red: '#FF3B30',
+  green: '#34C759',
+  blue: '#0A84FF',
+  pink: '#FF2D95',
+  orange: '#FF9500'
+};
+
+// ASS alignment (numpad layout) + vertical margin on a 1080x1920 canvas
+const POSITIONS = {
+  top: { alignment: 8, marginV: 260 },
+  center: { alignment: 5, marginV: 0 },
+  bottom: { alignment: 2, marginV: 380 }
+};
+
+const SILENCE_NOISE_DB = -35;
+const SILENCE_MIN_SEC = 0.12;
+
+// ===========================
+// OPTIONS
+// ===========================
+
+function normalizeColor(value, fallback, label) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const named = NAMED_COLORS[String(value).toLowerCase()];
+  if (named) return named;
+  const hex = String(value).trim();
+  if (/^#?[0-9a-f]{6}$/i.test(hex)) return `#${hex.replace('#', '').toUpperCase()}`;
+  console.warn(`[5N][OPTIONS][WARN] ${label}="${value}" is not a #RRGGBB color, using ${fallback}`);
+  return fallback;
+}
+
+function normalizeInt(value, min, max, fallback, label) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const num = parseInt(value, 10);
+  if (!Number.isFinite(num)) {
+    console.warn(`[5N][OPTIONS][WARN] ${label}="${value}" is not a number, using ${fallback}`);
+    return fallback;
+  }
+  return Math.min(max, Math.max(min, num));
+}
+
+/**
+ * Caption options from a /api/generate-video body.
+ * `captions: true` turns them on with defaults; an object turns them on and sets style:
+ *   { font, fontSize, color, highlightColor, outlineColor, position: top|center|bottom, maxWordsPerLine, uppercase }
+ * @param {object} body
+ * @returns {object} Normalized options (enabled=false when captions are off)
+ */
+function normalizeCaptionOptions(body = {}) {
+  const raw = body.captions;
+  if (raw === undefined || raw === null || raw === false || raw === 'false' || raw === '0') {
+    return { ...CAPTION_DEFAULTS };
+  }
+  const opts = (raw && typeof raw === 'object') ? raw : {};
+  const font = typeof opts.font === 'string' && /^[\w .-]{1,64}$/.test(opts.font) ? opts.font : CAPTION_DEFAULTS.font;
+  if (opts.font !== undefined && font !== opts.font) {
+    console.warn(`[5N][OPTIONS][WARN] Unsupported font name "${opts.font}", using ${font}`);
+  }
+  const position = POSITIONS[String(opts.position || '').toLowerCase()] ? String(opts.position).toLowerCase() : CAPTION_DEFAULTS.position;
+  return {
+    enabled: opts.enabled !== false,
+    font,
+    fontSize: normalizeInt(opts.fontSize, 24, 200, CAPTION_DEFAULTS.fontSize, 'fontSize'),
+    color: normalizeColor(opts.color, CAPTION_DEFAULTS.color, 'color'),
+    highlightColor: normalizeColor(opts.highlightColor, CAPTION_DEFAULTS.highlightColor, 'highlightColor'),
+    outlineColor: normalizeColor(opts.outlineColor, CAPTION_DEFAULTS.outlineColor, 'outlineColor'),
+    position,
+    maxWordsPerLine: normalizeInt(opts.maxWordsPerLine, 1, 8, CAPTION_DEFAULTS.maxWordsPerLine, 'maxWordsPerLine'),
+    uppercase: opts.uppercase !== undefined ? !!opts.uppercase : CAPTION_DEFAULTS.uppercase
+  };
+}
+
+// ===========================
+// WORD TIMINGS
+// ===========================
+
+// --- Voiced intervals of an audio file: everything between detected silences ---
+function detectVoicedIntervals(audioPath, duration) {
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let openStart = null;
+    trackProcess(ffmpeg(audioPath))
+      .noVideo()
+      .audioFilters(`silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SEC}`)
+      .format('null')
+      .on('start', cmd => console.log(`[5N][ALIGN][CMD] ${cmd}`))
+      .on('stderr', line => {
+        const start = /silence_start:\s*(-?[\d.]+)/.exec(line);
+        const end = /silence_end:\s*([\d.]+)/.exec(line);
+        if (start) openStart = Math.max(0, parseFloat(start[1]));
+        if (end) {
+          silences.push([openStart === null ? 0 : openStart, parseFloat(end[1])]);
+          openStart = null;
+        }
+      })
+      .on('end', () => {
+        if (openStart !== null) silences.push([openStart, duration]);
+        const voiced = [];
+        let cursor = 0;
+        for (const [s, e] of silences) {
+          if (s > cursor) voiced.push([cursor, s]);
+          cursor = Math.max(cursor, e);
+        }
+        if (cursor < duration) voiced.push([cursor, duration]);
+        resolve(voiced.filter(([s, e]) => e - s > 0.02));
+      })
+      .on('error', err => {
+        console.error('[5N][ALIGN][ERR] silencedetect failed:', err);
+        reject(err);
+      })
+      .save(process.platform === 'win32' ? 'NUL' : '/dev/null');
+  });
+}
+
+/**
+ * Aligns words to the voiced parts of the audio, weighted by word length.
+ * Used when the TTS provider has no timing data (ElevenLabs, Google).
+ * @param {string} plainText
+ * @param {string} audioPath
+ * @returns {Promise<{ word: string, start: number, end: number }[]>}
+ */
+async function alignWordsToAudio(plainText, audioPath) {
+  const words = String(plainText || '').split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const duration = await getDuration(audioPath);
+  let voiced = await detectVoicedIntervals(audioPath, duration);
+  if (!voiced.length) voiced = [[0, duration]];
+  const voicedTotal = voiced.reduce((sum, [s, e]) => sum + (e - s), 0);
+
+  // Map a position on the "voiced only" timeline back to real audio time.
+  // At an interval boundary a word end stays in the earlier interval, a word start moves to the next.
+  const toAudioTime = (t, isStart) => {
+    let left = t;
+    for (const [s, e] of voiced) {
+      const len = e - s;
+      if (isStart ? left < len - 1e-6 : left <= len + 1e-6) return Math.min(e, s + left);
+      left -= len;
+    }
+    return voiced[voiced.length - 1][1];
+  };
+
+  const weights = words.map(w => w.replace(/[^\p{L}\p{N}]/gu, '').length + 1);
+  const weightTotal = weights.reduce((a, b) => a + b, 0);
+  let acc = 0;
+  const timed = words.map((word, i) => {
+    const start = toAudioTime((acc / weightTotal) * voicedTotal, true);
+    acc += weights[i];
+    const end = toAudioTime((acc / weightTotal) * voicedTotal, false);
+    return { word, start: Math.round(start * 1000) / 1000, end: Math.round(end * 1000) / 1000 };
+  });
+  console.log(`[5N][ALIGN] Aligned ${timed.length} words over ${voiced.length} voiced interval(s) (${voicedTotal.toFixed(2)}s voiced).`);
+  return timed;
+}
+
+/**
+ * Word timings for one scene's narration, in seconds from the start of the audio.
+ * Provider timings first, audio alignment as fallback; cached as <audioPath>.words.json.
+ * @param {object} args
+ * @param {string} args.audioPath - Scene narration mp3
+ * @param {string} args.plainText - Text without prosody markup (what captions show)
+ * @param {string} [args.speech] - Text as sent to TTS (may carry markup)
+ * @param {string} args.voiceId
+ * @param {string} args.provider
+ * @param {object} [args.prosody] - { speakingRate, pitch }
+ * @returns {Promise<{ word: string, start: number, end: number }[]>}
+ */
+async function getSceneWordTimings({ audioPath, plainText, speech, voiceId, provider, prosody = {} }) {
+  const cachePath = `${audioPath}.words.json`;
+  if (fs.existsSync(cachePath)) {
+    try {
+      const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (Array.isArray(cached) && cached.length) {
+        console.log(`[5N][TIMINGS][CACHE HIT] ${cachePath}`);
+        return cached;
+      }
+    } catch (err) {
+      console.warn(`[5N][TIMINGS][WARN] Ignoring unreadable timing cache ${cachePath}:`, err.message);
+    }
+  }
+
+  const duration = await getDuration(audioPath);
+  let words = null;
+  const impl = getTtsProvider(provider);
+  if (impl && typeof impl.wordTimings === 'function') {
+    try {
+      words = await impl.wordTimings(speech || plainText, voiceId, prosody);
+    } catch (err) {
+      console.warn(`[5N][TIMINGS][WARN] ${provider} word timings failed, aligning audio instead:`, err.message || err);
+    }
+  }
+  if (!words || !words.length) words = await alignWordsToAudio(plainText, audioPath);
+
+  // Fill open ends and keep everything inside the audio
+  words = words.map((w, i) => {
+    const start = Math.min(Math.max(0, w.start), duration);
+    const next = words[i + 1];
+    const end = Math.min(w.end ?? (next ? next.start : duration), duration);
+    return { word: w.word, start, end: Math.max(start, end) };
+  });
+
+  try {
+    fs.writeFileSync(cachePath, JSON.stringify(words));
+  } catch (err) {
+    console.warn(`[5N][TIMINGS][WARN] Could not cache word timings at ${cachePath}:`, err.message);
+  }
+  return words;
+}
+
+// ===========================
+// ASS SUBTITLES
+// ===========================
+
+// #RRGGBB -> &H00BBGGRR
+function toAssColor(hex) {
+  const h = hex.replace('#', '');
+  return `&H00${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`.toUpperCase();
+}
+
+function toAssTime(sec) {
+  const cs = Math.max(0, Math.round(sec * 100));
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor((cs % 360000) / 6000);
+  const s = Math.floor((cs % 6000) / 100);
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs % 100).padStart(2, '0')}`;
+}
+
+// Braces start override blocks and backslashes start tags in ASS
+function escapeAssText(text) {
+  return String(text).replace(/\\/g, '/').replace(/\{/g, '(').replace(/\}/g, ')');
+}
+
+/**
+ * Builds an ASS subtitle file: one event per spoken word, showing its line with that word highlighted.
+ * @param {{ word: string, start: number, end: number }[]} words
+ * @param {object} options - From normalizeCaptionOptions
+ * @returns {string}
+ */
+function buildAssSubtitles(words, options) {
+  const opts = { ...CAPTION_DEFAULTS, ...options };
+  const { alignment, marginV } = POSITIONS[opts.position] || POSITIONS.bottom;
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    'PlayResX: 1080',
+    'PlayResY: 1920',
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Caption,${opts.font},${opts.fontSize},${toAssColor(opts.color)},${toAssColor(opts.color)},${toAssColor(opts.outlineColor)},&H64000000,-1,0,0,0,100,100,0,0,1,6,2,${alignment},60,60,${marginV},1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+
+  const shown = words
+    .filter(w => w.word && w.end > w.start)
+    .map(w => ({ ...w, text: escapeAssText(opts.uppercase ? w.word.toUpperCase() : w.word) }));
+  const highlight = toAssColor(opts.highlightColor);
+  const events = [];
+  for (let i = 0; i < shown.length; i += opts.maxWordsPerLine) {
+    const line = shown.slice(i, i + opts.maxWordsPerLine);
+    line.forEach((w, j) => {
+      // Keep the line on screen across small gaps between words
+      const end = j + 1 < line.length ? line[j + 1].start : w.end;
+      const text = line
+        .map((other, k) => (k === j ? `{\\c${highlight}\\fscx110\\fscy110}${other.text}{\\r}` : other.text))
+        .join(' ');
+      events.push(`Dialogue: 0,${toAssTime(w.start)},${toAssTime(Math.max(end, w.start + 0.05))},Caption,,0,0,0,,${text}`);
+    });
+  }
+  return [...header, ...events, ''].join('\n');
+}
+
+// ===========================
+// BURN-IN
+// ===========================
+
+// subtitles= takes a filter argument: escape \ : ' for the filtergraph parser
+function escapeFilterPath(p) {
+  return p.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
+
+/**
+ * Burns an ASS file into a video (audio stream copied).
+ * @param {string} videoIn
+ * @param {string} assPath
+ * @param {string} outPath
+ */
+function burnCaptions(videoIn, assPath, outPath) {
+  console.log(`[5N][BURN] ${videoIn} + ${assPath} → ${outPath}`);
+  return new Promise((resolve, reject) => {
+    trackProcess(ffmpeg(videoIn))
+      .videoFilters(`subtitles=${escapeFilterPath(assPath)}`)
+      .outputOptions([
+        '-c:v libx264',
+        '-c:a copy',
+        '-b:v 2200k',
+        '-preset ultrafast',
+        '-pix_fmt yuv420p',
+        '-y'
+      ])
+      .on('start', cmd => console.log(`[5N][BURN][CMD] ${cmd}`))
+      .on('stderr', line => console.log(`[5N][BURN][STDERR] ${line}`))
+      .on('end', () => {
+        if (!fs.existsSync(outPath) || fs.statSync(outPath).size < 10240) {
+          return reject(new Error(`[5N][BURN][ERR] Captioned video missing or too small: ${outPath}`));
+        }
+        console.log(`[5N][BURN] ✅ Captions burned in: ${outPath}`);
+        resolve(outPath);
+      })
+      .on('error', (err, stdout, stderr) => {
+        console.error('[5N][BURN][ERR] FFmpeg caption burn failed:', err);
+        if (stderr) console.error(`[5N][BURN][STDERR]\n${stderr}`);
+        reject(err);
+      })
+      .save(outPath);
+  });
+}
+
+/**
+ * Word timings → .ass for one scene, without burning it in (the single-pass
+ * timeline, Section 5V, burns it while encoding). Times are scene-relative.
+ * @param {object} args - getSceneWordTimings args plus { assPath, captionOptions }
+ * @returns {Promise<{ assPath: string, words: object[] }>}
+ */
+async function writeSceneCaptions({ assPath, captionOptions, ...timingArgs }) {
+  const words = await getSceneWordTimings(timingArgs);
+  if (!words.length) throw new Error(`[5N][ERR] No words to caption for ${timingArgs.audioPath}`);
+  fs.writeFileSync(assPath, buildAssSubtitles(words, captionOptions), 'utf8');
+  console.log(`[5N][ASS] Wrote ${words.length} word events → ${assPath}`);
+  return { assPath, words };
+}
+
+/**
+ * Full captions pass for one muxed scene. Narration starts at 0 in the muxed
+ * scene (Section 5F mux has no offset), so word timings are used as-is.
+ * @param {object} args - getSceneWordTimings args plus { videoIn, outPath, workDir, captionOptions }
+ * @returns {Promise<{ outPath: string, words: object[] }>}
+ */
+async function captionSceneVideo({ videoIn, outPath, workDir, captionOptions, ...timingArgs }) {
+  const assPath = path.join(workDir, `${path.basename(outPath, path.extname(outPath))}.ass`);
+  const { words } = await writeSceneCaptions({ assPath, captionOptions, ...timingArgs });
+  await burnCaptions(videoIn, assPath, outPath);
+  return { outPath, words };
+}
+
+module.exports = {
+  CAPTION_DEFAULTS,
+  normalizeCaptionOptions,
+  alignWordsToAudio,
+  getSceneWordTimings,
+  buildAssSubtitles,
+  burnCaptions,
+  writeSceneCaptions,
+  captionSceneVideo
+};
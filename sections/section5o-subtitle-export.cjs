@@ -0,0 +1,142 @@
+// ===========================================================
+// SECTION 5O: SUBTITLE EXPORT (SRT + VTT)
+// Builds sidecar subtitles for the final video from the scene timeline:
+// each scene's real (post-standardize) duration, where its narration
+// starts inside the scene, and the narration's word timings (Section 5N).
+// Cues never run past the main video, so the outro stays caption-free.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const path = require('path');
+const { getDuration, NARRATION_START_SEC } = require('./section5f-video-processing.cjs');
+const { getSceneWordTimings } = require('./section5n-captions.cjs');
+
+console.log('[5O][INIT] Subtitle export module loaded.');
+
+const MAX_CUE_WORDS = 7;
+const MAX_CUE_CHARS = 42;
+const MIN_CUE_SEC = 0.4;
+
+// --- Group timed words into readable cues (break on sentence ends and size limits) ---
+function groupWordsIntoCues(words, offset) {
+  const cues = [];
+  let current = [];
+  const flush = () => {
+    if (!current.length) return;
+    cues.push({
+      start: offset + current[0].start,
+      end: offset + current[current.length - 1].end,
+      text: current.map(w => w.word).join(' ')
+    });
+    current = [];
+  };
+  for (const w of words) {
+    const length = current.map(x => x.word).join(' ').length + w.word.length + 1;
+    if (current.length && (current.length >= MAX_CUE_WORDS || length > MAX_CUE_CHARS)) flush();
+    current.push(w);
+    if (/[.!?…]["')\]]?$/.test(w.word)) flush();
+  }
+  flush();
+  return cues;
+}
+
+/**
+ * Builds cues for the final timeline.
+ * @param {object[]} scenes - In order: { videoPath, audioPath, plainText, speech, voiceId, provider, prosody } (audioPath null = no narration)
+ *   A scene with `duration` (single-pass timeline, Section 5V) has no video file to probe.
+ * @param {object} [opts]
+ * @param {number} [opts.maxEnd] - Main video duration (before outro); cues are clipped to it
+ * @returns {Promise<{ start: number, end: number, text: string }[]>}
+ */
+async function buildSubtitleCues(scenes, { maxEnd = Infinity } = {}) {
+  const cues = [];
+  let sceneStart = 0;
+  for (let i = 0; i < scenes.length; i++) {
+    const scene = scenes[i];
+    const sceneDuration = scene.duration > 0 ? scene.duration : await getDuration(scene.videoPath);
+    const sceneEnd = sceneStart + sceneDuration;
+    const offset = sceneStart + NARRATION_START_SEC;
+
+    if (scene.audioPath && scene.plainText) {
+      let sceneCues;
+      try {
+        const timed = await getSceneWordTimings(scene);
+        // Provider marks drop punctuation; show the script's own words when they line up
+        const plainWords = scene.plainText.split(/\s+/).filter(Boolean);
+        const words = plainWords.length === timed.length
+          ? timed.map((w, k) => ({ ...w, word: plainWords[k] }))
+          : timed;
+        sceneCues = groupWordsIntoCues(words, offset);
+      } catch (err) {
+        console.warn(`[5O][CUES][WARN] No word timings for scene ${i + 1}, using one cue for the whole line:`, err.message || err);
+        const narration = await getDuration(scene.audioPath);
+        sceneCues = [{ start: offset, end: offset + narration, text: scene.plainText }];
+      }
+      for (const cue of sceneCues) {
+        const end = Math.min(cue.end, sceneEnd, maxEnd);
+        const start = Math.min(cue.start, end);
+        if (end - start < 0.01) continue;
+        cues.push({ start, end: Math.max(end, Math.min(start + MIN_CUE_SEC, sceneEnd, maxEnd)), text: cue.text });
+      }
+    } else {
+      console.warn(`[5O][CUES][WARN] Scene ${i + 1} has no narration info, no subtitles for it.`);
+    }
+    sceneStart = sceneEnd;
+  }
+  console.log(`[5O][CUES] Built ${cues.length} cues over ${scenes.length} scenes (${sceneStart.toFixed(2)}s).`);
+  return cues;
+}
+
+function formatTimestamp(sec, separator) {
+  const ms = Math.max(0, Math.round(sec * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${separator}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+/**
+ * @param {{ start: number, end: number, text: string }[]} cues
+ * @returns {string} SubRip text
+ */
+function toSrt(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`
+  ).join('\n');
+}
+
+/**
+ * @param {{ start: number, end: number, text: string }[]} cues
+ * @returns {string} WebVTT text (cue text escaped)
+ */
+function toVtt(cues) {
+  const escape = t => t.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const body = cues.map(cue =>
+    `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${escape(cue.text)}\n`
+  ).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+/**
+ * Writes <outBase>.srt and <outBase>.vtt.
+ * @param {object[]} cues
+ * @param {string} outBase - Path without extension
+ * @returns {{ srtPath: string, vttPath: string }}
+ */
+function writeSubtitleFiles(cues, outBase) {
+  const srtPath = `${outBase}.srt`;
+  const vttPath = `${outBase}.vtt`;
+  fs.mkdirSync(path.dirname(outBase), { recursive: true });
+  fs.writeFileSync(srtPath, toSrt(cues), 'utf8');
+  fs.writeFileSync(vttPath, toVtt(cues), 'utf8');
+  console.log(`[5O][WRITE] ${cues.length} cues → ${srtPath}, ${vttPath}`);
+  return { srtPath, vttPath };
+}
+
+module.exports = {
+  buildSubtitleCues,
+  toSrt,
+  toVtt,
+  writeSubtitleFiles
+};
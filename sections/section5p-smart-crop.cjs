@@ -0,0 +1,184 @@
+// ===========================================================
+// SECTION 5P: SMART CROP (subject-aware 9:16 reframing)
+// Instead of fitting landscape footage inside a blurred 1080x1920 frame,
+// pan a full-height 9:16 window that follows the interesting region.
+// Local heuristic, no models: low-res grayscale frames from ffmpeg, column
+// "interest" = edges (detail) + frame differences (motion), best window per
+// sampled frame, smoothed into a keyframed crop x expression.
+// Low confidence (flat/evenly busy frames, already-portrait clips) → caller
+// keeps the blur mode.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const { spawn } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const { ffmpegPath } = require('./section1-setup.cjs');
+const { trackProcess } = require('./section5k-job-cancellation.cjs');
+
+console.log('[5P][INIT] Smart crop module loaded.');
+
+const ANALYSIS_WIDTH = 160;      // px, analysis frames are tiny on purpose
+const ANALYSIS_FPS = 2;
+const MAX_ANALYSIS_SEC = 30;
+const MOTION_WEIGHT = 2;
+const MIN_CONFIDENCE = 0.15;     // 0 = window no better than anywhere else, 1 = all interest inside it
+const MIN_MEAN_ENERGY = 2;       // per analysed pixel; below this the frames are basically flat
+const SMOOTHING_RADIUS = 2;      // samples on each side (moving average)
+const MAX_KEYFRAMES = 16;        // keeps the ffmpeg expression short
+const PORTRAIT_RATIO = 9 / 16;
+
+function probeVideo(inPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(inPath, (err, metadata) => {
+      if (err) return reject(err);
+      const stream = (metadata.streams || []).find(s => s.codec_type === 'video');
+      if (!stream || !stream.width || !stream.height) {
+        return reject(new Error(`[5P][PROBE][ERR] No video stream with dimensions in ${inPath}`));
+      }
+      resolve({
+        width: stream.width,
+        height: stream.height,
+        duration: Number(metadata.format && metadata.format.duration) || 0
+      });
+    });
+  });
+}
+
+// --- Grayscale frames (Uint8Array each) at ANALYSIS_FPS, scaled to w x h ---
+function readAnalysisFrames(inPath, w, h, seconds) {
+  return new Promise((resolve, reject) => {
+    const frameSize = w * h;
+    const frames = [];
+    let pending = Buffer.alloc(0);
+    const args = [
+      '-v', 'error', '-t', String(seconds), '-i', inPath,
+      '-vf', `fps=${ANALYSIS_FPS},scale=${w}:${h},format=gray`,
+      '-f', 'rawvideo', 'pipe:1'
+    ];
+    const proc = trackProcess(spawn(ffmpegPath, args));
+    let stderr = '';
+    proc.stdout.on('data', chunk => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= frameSize) {
+        frames.push(new Uint8Array(pending.subarray(0, frameSize)));
+        pending = pending.subarray(frameSize);
+      }
+    });
+    proc.stderr.on('data', d => { stderr += d.toString(); });
+    proc.on('error', reject);
+    proc.on('close', code => {
+      if (code !== 0) return reject(new Error(`[5P][FRAMES][ERR] ffmpeg exited ${code}: ${stderr.trim()}`));
+      resolve(frames);
+    });
+  });
+}
+
+// --- Per-column interest for one frame: horizontal+vertical gradients, plus motion vs previous frame ---
+function columnEnergy(frame, prev, w, h) {
+  const cols = new Float64Array(w);
+  for (let y = 0; y < h - 1; y++) {
+    const row = y * w;
+    for (let x = 0; x < w - 1; x++) {
+      const i = row + x;
+      let e = Math.abs(frame[i + 1] - frame[i]) + Math.abs(frame[i + w] - frame[i]);
+      if (prev) e += MOTION_WEIGHT * Math.abs(frame[i] - prev[i]);
+      cols[x] += e;
+    }
+  }
+  return cols;
+}
+
+// --- Best window start (sliding sum) and how much better it is than average ---
+function bestWindow(cols, windowW) {
+  let sum = 0;
+  for (let x = 0; x < windowW; x++) sum += cols[x];
+  let best = sum;
+  let bestX = 0;
+  let total = sum;
+  for (let x = windowW; x < cols.length; x++) {
+    total += cols[x];
+    sum += cols[x] - cols[x - windowW];
+    if (sum > best) {
+      best = sum;
+      bestX = x - windowW + 1;
+    }
+  }
+  const expected = total * (windowW / cols.length);
+  const confidence = total > 0 && total > expected ? Math.max(0, (best - expected) / (total - expected)) : 0;
+  return { x: bestX, confidence, total };
+}
+
+function smooth(values, radius) {
+  return values.map((_, i) => {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(values.length - 1, i + radius);
+    let s = 0;
+    for (let k = from; k <= to; k++) s += values[k];
+    return s / (to - from + 1);
+  });
+}
+
+// --- Piecewise-linear crop x(t); looping clips wrap t around the source duration ---
+function buildCropXExpression(keyframes, loopDuration) {
+  const t = loopDuration ? `mod(t,${loopDuration.toFixed(3)})` : 't';
+  if (keyframes.length === 1) return String(keyframes[0].x);
+  let expr = String(keyframes[keyframes.length - 1].x);
+  for (let i = keyframes.length - 2; i >= 0; i--) {
+    const a = keyframes[i];
+    const b = keyframes[i + 1];
+    const seg = `${a.x}+(${b.x - a.x})*(${t}-${a.t.toFixed(3)})/${(b.t - a.t).toFixed(3)}`;
+    expr = `if(lt(${t},${b.t.toFixed(3)}),${seg},${expr})`;
+  }
+  return `if(lt(${t},${keyframes[0].t.toFixed(3)}),${keyframes[0].x},${expr})`;
+}
+
+/**
+ * Analyses a clip and returns a smart-crop filter for a 1080x1920 output, or why not.
+ * @param {string} inPath
+ * @param {object} [opts]
+ * @param {number} [opts.duration] - Seconds of output that will be used (analysis is capped)
+ * @param {boolean} [opts.loop] - Clip will be looped; the pan repeats with it
+ * @returns {Promise<{ ok: boolean, confidence: number, reason?: string, filter?: string }>}
+ */
+async function analyzeSmartCrop(inPath, { duration = MAX_ANALYSIS_SEC, loop = false } = {}) {
+  const info = await probeVideo(inPath);
+  if (info.width / info.height <= PORTRAIT_RATIO * 1.05) {
+    return { ok: false, confidence: 0, reason: `already portrait (${info.width}x${info.height})` };
+  }
+  const seconds = Math.max(1, Math.min(MAX_ANALYSIS_SEC, duration, info.duration || duration));
+  const w = ANALYSIS_WIDTH;
+  const h = Math.max(2, Math.round((ANALYSIS_WIDTH * info.height) / info.width / 2) * 2);
+  const windowW = Math.max(2, Math.round(h * PORTRAIT_RATIO));
+
+  const frames = await readAnalysisFrames(inPath, w, h, seconds);
+  if (frames.length < 2) return { ok: false, confidence: 0, reason: `only ${frames.length} analysis frame(s)` };
+
+  const samples = frames.map((frame, i) => bestWindow(columnEnergy(frame, frames[i - 1], w, h), windowW));
+  const meanEnergy = samples.reduce((s, f) => s + f.total, 0) / samples.length / (w * h);
+  const confidence = samples.reduce((s, f) => s + f.confidence, 0) / samples.length;
+  console.log(`[5P][ANALYZE] ${inPath}: ${frames.length} frames, meanEnergy=${meanEnergy.toFixed(2)}, confidence=${confidence.toFixed(3)}`);
+  if (meanEnergy < MIN_MEAN_ENERGY) return { ok: false, confidence, reason: 'frames too flat to find a subject' };
+  if (confidence < MIN_CONFIDENCE) return { ok: false, confidence, reason: `low confidence ${confidence.toFixed(3)}` };
+
+  // Analysis coords → source pixels, crop window full height
+  const cropW = Math.floor((info.height * PORTRAIT_RATIO) / 2) * 2;
+  const maxX = info.width - cropW;
+  const centers = smooth(samples.map(s => s.x + windowW / 2), SMOOTHING_RADIUS);
+  const step = Math.max(1, Math.ceil(centers.length / MAX_KEYFRAMES));
+  const keyframes = [];
+  for (let i = 0; i < centers.length; i += step) {
+    const x = Math.round((centers[i] / w) * info.width - cropW / 2);
+    keyframes.push({ t: i / ANALYSIS_FPS, x: Math.min(maxX, Math.max(0, x)) });
+  }
+  // Only wrap when the whole source was analysed (it is what repeats)
+  const loopDuration = loop && info.duration && info.duration <= seconds + 0.01 ? info.duration : 0;
+  const xExpr = buildCropXExpression(keyframes, loopDuration);
+  const filter = `[0:v]crop=w=${cropW}:h=${info.height - (info.height % 2)}:x='${xExpr}':y=0,scale=1080:1920,setsar=1,format=yuv420p`;
+  console.log(`[5P][ANALYZE] Smart crop ${cropW}x${info.height} over ${info.width}x${info.height}, ${keyframes.length} keyframes.`);
+  return { ok: true, confidence, filter };
+}
+
+module.exports = {
+  analyzeSmartCrop,
+  buildCropXExpression
+};
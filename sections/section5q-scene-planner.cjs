@@ -0,0 +1,231 @@
+// ===========================================================
+// SECTION 5Q: SCENE PLANNER (script → editable scene plan)
+// Sits between script generation (Section 4) and rendering (Section 5B).
+// A plan is plain JSON the user can review and edit before rendering:
+//   { version, scenes: [{ idx, type, isMegaScene, texts, subject, alternates,
+//     mustTokens, mood, candidates, estimatedDuration }], estimatedDuration }
+// Subjects come from Section 4's sceneMap when given (matched by script line),
+// otherwise from the same splitter 5B uses. Candidates are search-only (10A/10B/10C/10F).
+// 5B renders a submitted plan as-is: texts, order and subjects are the plan's.
+// A scene may also pin a clip: `clip` = one of its candidates (or an upload), see 5R.
+// At render time alternates are extra search subjects and mustTokens words every matched
+// clip has to carry (5D); the scenes' mood picks the background music (5G).
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const { splitScriptToScenes, extractVisualSubject } = require('./section5c-script-scene-utils.cjs');
+const { mapSpeechLines, stripProsodyMarkup } = require('./section5m-prosody-markup.cjs');
+const { searchR2Clips } = require('./section10a-r2-clip-helper.cjs');
+const { searchPexelsClips } = require('./section10b-pexels-clip-helper.cjs');
+const { searchPixabayClips } = require('./section10c-pixabay-clip-helper.cjs');
+const { searchUnsplashImages } = require('./section10f-unsplash-image-helper.cjs');
+const { normalizeClipOverride } = require('./section5r-clip-overrides.cjs');
+const { createUsedAssets, identifyCandidate } = require('./section5t-asset-identity.cjs');
+
+console.log('[5Q][INIT] Scene planner loaded.');
+
+const PLAN_VERSION = 1;
+const WORDS_PER_SECOND = 2.6;   // typical narration pace at speakingRate 1
+const MAX_PLAN_SCENES = 40;
+const MAX_SCENE_CHARS = 600;
+const MAX_CANDIDATES = 10;
+const MAX_MOOD_CHARS = 60;
+// Section 4 writes this style string into every sceneMap entry; it says nothing about music
+const SCENE_MAP_DEFAULT_MOOD = 'funny+dramatic+info';
+
+// --- Rough narration length; real durations come from the rendered audio ---
+function estimateNarrationSeconds(text, speakingRate = 1) {
+  const words = String(text || '').split(/\s+/).filter(Boolean).length;
+  return Math.round((words / WORDS_PER_SECOND / (speakingRate || 1)) * 10) / 10;
+}
+
+function stringList(value, max = 3) {
+  return Array.isArray(value)
+    ? value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()).slice(0, max)
+    : [];
+}
+
+// A scene mood worth picking music by, or '' (missing, blank, or Section 4's default)
+function sceneMood(value) {
+  const mood = typeof value === 'string' ? value.trim().slice(0, MAX_MOOD_CHARS) : '';
+  return mood.toLowerCase() === SCENE_MAP_DEFAULT_MOOD ? '' : mood;
+}
+
+/**
+ * The plan's music mood: the mood most of its scenes ask for (earliest wins a tie).
+ * @param {object[]} scenes - normalizeScenePlan scenes
+ * @returns {string|null} null when no scene sets one (5G detects it from the script)
+ */
+function planMusicMood(scenes) {
+  const counts = new Map();
+  for (const scene of Array.isArray(scenes) ? scenes : []) {
+    const mood = sceneMood(scene && scene.mood).toLowerCase();
+    if (mood) counts.set(mood, (counts.get(mood) || 0) + 1);
+  }
+  let best = null;
+  for (const [mood, count] of counts) {
+    if (!best || count > counts.get(best)) best = mood;
+  }
+  return best;
+}
+
+// Same order 5D tries them in; scores are per source and not comparable across sources
+const CANDIDATE_SOURCES = {
+  r2: searchR2Clips,
+  pexels: searchPexelsClips,
+  pixabay: searchPixabayClips,
+  unsplash: searchUnsplashImages
+};
+
+/**
+ * Candidate clips for one subject, every requested source searched in parallel. Nothing is downloaded.
+ * Each candidate can be sent back unchanged as a scene's `clip` (Section 5R).
+ * @param {string} subject
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]
+ * @param {string[]} [opts.usedClips]
+ * @param {number} [opts.limit=3] - Per source
+ * @param {string[]} [opts.sources] - Subset of r2, pexels, pixabay, unsplash (default all)
+ * @returns {Promise<object[]>} Grouped by source (5D order), best first within a source
+ */
+async function searchClipCandidates(subject, { jobId = '', usedClips = [], limit = 3, sources = Object.keys(CANDIDATE_SOURCES) } = {}) {
+  const picked = sources.filter(s => CANDIDATE_SOURCES[s]);
+  const results = await Promise.all(picked.map(s => CANDIDATE_SOURCES[s](subject, { jobId, usedClips, limit })));
+  return results.flat().map(c => ({ kind: c.source === 'unsplash' ? 'image' : 'video', ...c }));
+}
+
+/**
+ * Builds an editable scene plan from a script.
+ * @param {object} opts
+ * @param {string} opts.script - One narration line per row (prosody markup allowed)
+ * @param {object[]} [opts.sceneMap] - Section 4 SCENE_MAP: [{ idx, subject, alternates, must_tokens, mood }]
+ * @param {number} [opts.speakingRate=1] - For the duration estimate
+ * @param {boolean} [opts.includeCandidates=true] - Search clip sources for each scene
+ * @param {number} [opts.candidateLimit=3] - Per source, per scene
+ * @param {string} [opts.jobId] - Log tag only
+ * @returns {Promise<object>} The plan
+ */
+async function buildScenePlan({ script, sceneMap, speakingRate = 1, includeCandidates = true, candidateLimit = 3, jobId = 'plan' } = {}) {
+  const { plainScript, speechFor } = mapSpeechLines(script);
+  const split = splitScriptToScenes(plainScript);
+  const limit = Math.min(MAX_CANDIDATES, Math.max(1, parseInt(candidateLimit, 10) || 3));
+  const mapByLine = new Map();
+  for (const entry of Array.isArray(sceneMap) ? sceneMap : []) {
+    if (entry && Number.isInteger(entry.idx)) mapByLine.set(entry.idx, entry);
+  }
+  console.log(`[5Q][PLAN][${jobId}] ${split.length} scenes, sceneMap entries=${mapByLine.size}, candidates=${includeCandidates}`);
+
+  const usedAssets = createUsedAssets(jobId);
+  const scenes = [];
+  for (let i = 0; i < split.length; i++) {
+    const scene = split[i];
+    // Mega scene takes its subject from its last line, same as the splitter
+    const lines = Array.isArray(scene.origIndices) ? scene.origIndices : [];
+    const mapEntry = mapByLine.get(lines[lines.length - 1]) || null;
+    const mapSubject = mapEntry && typeof mapEntry.subject === 'string' ? mapEntry.subject.trim() : '';
+    const subject = mapSubject || scene.visualSubject || scene.texts[0];
+    const texts = scene.texts.map(speechFor);
+
+    let candidates = [];
+    if (includeCandidates) {
+      candidates = await searchClipCandidates(subject, { jobId, usedClips: usedAssets, limit });
+      // Later scenes see the best pick of earlier ones as used, like a real render would
+      const top = candidates.slice().sort((a, b) => b.score - a.score)[0];
+      if (top) usedAssets.add(identifyCandidate(top), `PLAN_${i + 1}`);
+    }
+
+    scenes.push({
+      idx: i,
+      type: scene.type,
+      isMegaScene: !!scene.isMegaScene,
+      texts,
+      subject,
+      subjectSource: mapSubject ? 'sceneMap' : 'script',
+      alternates: mapEntry ? stringList(mapEntry.alternates) : [],
+      mustTokens: mapEntry ? stringList(mapEntry.must_tokens) : [],
+      mood: (mapEntry && sceneMood(mapEntry.mood)) || null,
+      candidates,
+      estimatedDuration: estimateNarrationSeconds(scene.texts.join(' '), speakingRate)
+    });
+    console.log(`[5Q][PLAN][${jobId}] Scene ${i + 1}: subject="${subject}" (${mapSubject ? 'sceneMap' : 'script'}) candidates=${candidates.length}`);
+  }
+
+  const estimatedDuration = Math.round(scenes.reduce((s, sc) => s + sc.estimatedDuration, 0) * 10) / 10;
+  return { version: PLAN_VERSION, scenes, estimatedDuration };
+}
+
+/**
+ * Validates a (possibly user-edited) plan and turns it into 5B scenes.
+ * Scene 1 is always rendered as the hook and scene 2 as the mega scene, so a plan needs at least two.
+ * @param {object} plan
+ * @returns {{ scenes: object[], script: string, errors: string[] }}
+ *   scenes: { id, texts (plain), isMegaScene, type, origIndices, visualSubject, subjectOverride, alternates, mustTokens, mood, clipOverride }
+ *   script: every scene line (markup kept), one per row, for narration lookup and music mood
+ */
+function normalizeScenePlan(plan) {
+  const errors = [];
+  if (!plan || typeof plan !== 'object' || !Array.isArray(plan.scenes)) {
+    return { scenes: [], script: '', errors: ['plan.scenes must be an array'] };
+  }
+  if (plan.scenes.length < 2) errors.push('plan needs at least 2 scenes (hook + main scene)');
+  if (plan.scenes.length > MAX_PLAN_SCENES) errors.push(`plan has ${plan.scenes.length} scenes, max is ${MAX_PLAN_SCENES}`);
+
+  const lines = [];
+  const scenes = plan.scenes.map((raw, i) => {
+    const label = `scenes[${i}]`;
+    if (!raw || typeof raw !== 'object') {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+    const rawTexts = Array.isArray(raw.texts) ? raw.texts : (typeof raw.text === 'string' ? [raw.text] : null);
+    if (!rawTexts || !rawTexts.length || rawTexts.some(t => typeof t !== 'string')) {
+      errors.push(`${label}.texts must be a non-empty array of strings`);
+      return null;
+    }
+    // One narration line per text; newlines would break the line → markup lookup
+    const speech = rawTexts.map(t => t.replace(/\s*\n+\s*/g, ' ').trim());
+    const texts = speech.map(stripProsodyMarkup);
+    if (texts.some(t => !t)) errors.push(`${label}.texts has an empty line`);
+    if (texts.join(' ').length > MAX_SCENE_CHARS) errors.push(`${label} text is longer than ${MAX_SCENE_CHARS} characters`);
+    if (raw.subject !== undefined && raw.subject !== null && typeof raw.subject !== 'string') {
+      errors.push(`${label}.subject must be a string`);
+    }
+    const subject = typeof raw.subject === 'string' ? raw.subject.trim() : '';
+    if (raw.mood !== undefined && raw.mood !== null && typeof raw.mood !== 'string') {
+      errors.push(`${label}.mood must be a string`);
+    }
+    const { override: clipOverride, error: clipError } = normalizeClipOverride(raw.clip);
+    if (clipError) errors.push(`${label}.clip: ${clipError}`);
+    const origStart = lines.length;
+    lines.push(...speech);
+    return {
+      id: `plan-scene${i + 1}`,
+      texts,
+      isMegaScene: i === 1,
+      type: i === 0 ? 'hook-summary' : i === 1 ? 'context-mega' : 'normal',
+      origIndices: texts.map((_, k) => origStart + k),
+      // A blanked subject goes back to automatic extraction
+      ...(subject ? { visualSubject: subject, subjectOverride: subject } : { visualSubject: extractVisualSubject(texts[texts.length - 1]) }),
+      alternates: stringList(raw.alternates),
+      mustTokens: stringList(raw.mustTokens),
+      ...(sceneMood(raw.mood) ? { mood: sceneMood(raw.mood) } : {}),
+      ...(clipOverride ? { clipOverride } : {})
+    };
+  });
+
+  if (errors.length) {
+    console.warn(`[5Q][VALIDATE][WARN] Plan rejected: ${errors.join('; ')}`);
+    return { scenes: [], script: '', errors };
+  }
+  console.log(`[5Q][VALIDATE] Plan OK: ${scenes.length} scenes, ${lines.length} lines.`);
+  return { scenes, script: lines.join('\n'), errors };
+}
+
+module.exports = {
+  CANDIDATE_SOURCES,
+  searchClipCandidates,
+  buildScenePlan,
+  normalizeScenePlan,
+  planMusicMood,
+  estimateNarrationSeconds
+};
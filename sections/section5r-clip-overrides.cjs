@@ -0,0 +1,186 @@
+// ===========================================================
+// SECTION 5R: CLIP OVERRIDES (user-pinned clips per scene)
+// A scene can skip the automatic matcher (5D) and use a clip the user chose:
+//   { source: 'r2', key }          → library object (10A)
+//   { source: 'pexels', id }       → Pexels video id (10B)
+//   { source: 'pixabay', id }      → Pixabay video id (10C)
+//   { source: 'unsplash', id }     → Unsplash photo id (10F), shown as a Ken Burns clip
+//   { source: 'upload', id }       → file from POST /api/clips/upload (Section 14)
+// Same shape as the search candidates (5Q, GET /api/clips/search), so a candidate can be sent back as-is.
+// Resolved clips land in the job folder and go through the normal 5F trim/mux;
+// stills (uploads, Unsplash) become a Ken Burns clip first (10D).
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const path = require('path');
+const { downloadR2ClipByKey } = require('./section10a-r2-clip-helper.cjs');
+const { downloadPexelsClipById } = require('./section10b-pexels-clip-helper.cjs');
+const { downloadPixabayClipById } = require('./section10c-pixabay-clip-helper.cjs');
+const { downloadUnsplashImageById } = require('./section10f-unsplash-image-helper.cjs');
+const { preprocessImageToJpeg, makeKenBurnsVideoFromImage, staticImageToVideo } = require('./section10d-kenburns-image-helper.cjs');
+
+console.log('[5R][INIT] Clip overrides module loaded.');
+
+const UPLOAD_DIR = path.resolve(__dirname, '..', 'uploads');
+const MAX_UPLOAD_BYTES = (parseInt(process.env.CLIP_UPLOAD_MAX_MB, 10) || 200) * 1024 * 1024;
+// mime → stored extension; the upload id carries the extension so lookups need no index
+const UPLOAD_TYPES = {
+  'video/mp4': { ext: '.mp4', kind: 'video' },
+  'video/quicktime': { ext: '.mov', kind: 'video' },
+  'video/webm': { ext: '.webm', kind: 'video' },
+  'image/jpeg': { ext: '.jpg', kind: 'image' },
+  'image/png': { ext: '.png', kind: 'image' },
+  'image/webp': { ext: '.webp', kind: 'image' }
+};
+const UPLOAD_ID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.(mp4|mov|webm|jpg|png|webp)$/;
+const PROVIDER_ID_RE = /^\d{1,12}$/;
+const UNSPLASH_ID_RE = /^[A-Za-z0-9_-]{1,40}$/;
+
+/**
+ * Local path of an uploaded clip, or null if the id is malformed or the file is gone.
+ * @param {string} uploadId
+ * @returns {string|null}
+ */
+function getUploadPath(uploadId) {
+  if (typeof uploadId !== 'string' || !UPLOAD_ID_RE.test(uploadId)) return null;
+  const filePath = path.join(UPLOAD_DIR, uploadId);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+function uploadKind(uploadId) {
+  const ext = path.extname(uploadId).toLowerCase();
+  const type = Object.values(UPLOAD_TYPES).find(t => t.ext === ext);
+  return type ? type.kind : null;
+}
+
+/**
+ * Validates one override.
+ * @param {object} raw
+ * @returns {{ override: object|null, error: string|null }}
+ */
+function normalizeClipOverride(raw) {
+  if (raw === undefined || raw === null) return { override: null, error: null };
+  if (typeof raw !== 'object') return { override: null, error: 'must be an object' };
+  const source = String(raw.source || '').toLowerCase();
+  if (source === 'r2') {
+    if (typeof raw.key !== 'string' || !raw.key.toLowerCase().endsWith('.mp4') || raw.key.length > 1024) {
+      return { override: null, error: 'r2 override needs key (an .mp4 object key)' };
+    }
+    return { override: { source, key: raw.key }, error: null };
+  }
+  if (source === 'pexels' || source === 'pixabay') {
+    const id = String(raw.id ?? '');
+    if (!PROVIDER_ID_RE.test(id)) return { override: null, error: `${source} override needs a numeric id` };
+    return { override: { source, id }, error: null };
+  }
+  if (source === 'unsplash') {
+    const id = String(raw.id ?? '');
+    if (!UNSPLASH_ID_RE.test(id)) return { override: null, error: 'unsplash override needs a photo id' };
+    return { override: { source, id }, error: null };
+  }
+  if (source === 'upload') {
+    if (!getUploadPath(raw.id)) return { override: null, error: `upload "${raw.id}" not found` };
+    return { override: { source, id: raw.id }, error: null };
+  }
+  return { override: null, error: 'source must be one of r2, pexels, pixabay, unsplash, upload' };
+}
+
+/**
+ * Validates the clipOverrides option of /api/generate-video.
+ * @param {object|Array} raw - { "<sceneIdx>": override } or [override|null, ...] (0-based scene index)
+ * @returns {{ overrides: Object<number, object>, errors: string[] }}
+ */
+function normalizeClipOverrides(raw) {
+  const overrides = {};
+  const errors = [];
+  if (raw === undefined || raw === null) return { overrides, errors };
+  if (typeof raw !== 'object') return { overrides, errors: ['clipOverrides must be an object or array'] };
+  for (const [key, value] of Object.entries(raw)) {
+    const idx = Number(key);
+    if (!Number.isInteger(idx) || idx < 0) {
+      errors.push(`clipOverrides["${key}"]: key must be a scene index`);
+      continue;
+    }
+    const { override, error } = normalizeClipOverride(value);
+    if (error) errors.push(`clipOverrides[${idx}]: ${error}`);
+    else if (override) overrides[idx] = override;
+  }
+  return { overrides, errors };
+}
+
+function describeClipOverride(override) {
+  return override.source === 'r2' ? `r2:${override.key}` : `${override.source}:${override.id}`;
+}
+
+// --- Still image → 1080x1920 Ken Burns clip (static fallback, like 10D) ---
+async function imageToClip(imgPath, workDir, sceneIdx, jobId, tag) {
+  const base = path.join(workDir, `scene${sceneIdx + 1}-${tag}-${path.basename(imgPath, path.extname(imgPath))}`);
+  const jpegPath = `${base}.jpg`;
+  const outPath = `${base}.mp4`;
+  await preprocessImageToJpeg(imgPath, jpegPath, jobId);
+  try {
+    return await makeKenBurnsVideoFromImage(jpegPath, outPath, 5, jobId);
+  } catch (err) {
+    console.warn(`[5R][IMAGE][WARN][${jobId}] Ken Burns failed for ${imgPath}, using static image video:`, err);
+    return staticImageToVideo(jpegPath, outPath, 5, jobId);
+  }
+}
+
+/**
+ * Fetches/prepares a pinned clip into the job folder.
+ * @param {object} override - From normalizeClipOverride
+ * @param {object} opts
+ * @param {string} opts.workDir
+ * @param {number} opts.sceneIdx
+ * @param {string} opts.jobId
+ * @returns {Promise<string>} Local video path
+ * @throws {Error} code 'CLIP_OVERRIDE_FAILED' when the pinned clip cannot be used
+ */
+async function resolveClipOverride(override, { workDir, sceneIdx, jobId }) {
+  const label = describeClipOverride(override);
+  console.log(`[5R][RESOLVE][${jobId}] Scene ${sceneIdx + 1} pinned to ${label}`);
+  let clipPath = null;
+  try {
+    if (override.source === 'r2') {
+      clipPath = await downloadR2ClipByKey(override.key, workDir, sceneIdx, jobId);
+    } else if (override.source === 'pexels') {
+      clipPath = await downloadPexelsClipById(override.id, workDir, sceneIdx, jobId);
+    } else if (override.source === 'pixabay') {
+      clipPath = await downloadPixabayClipById(override.id, workDir, sceneIdx, jobId);
+    } else if (override.source === 'unsplash') {
+      const imgPath = await downloadUnsplashImageById(override.id, workDir, sceneIdx, jobId);
+      if (imgPath) clipPath = await imageToClip(imgPath, workDir, sceneIdx, jobId, 'unsplash');
+    } else if (override.source === 'upload') {
+      const uploadPath = getUploadPath(override.id);
+      if (uploadPath && uploadKind(override.id) === 'image') {
+        clipPath = await imageToClip(uploadPath, workDir, sceneIdx, jobId, 'upload');
+      } else if (uploadPath) {
+        // Copied so the job folder owns it (and 5B's local-clip checks find it there)
+        clipPath = path.join(workDir, `scene${sceneIdx + 1}-upload-${override.id}`);
+        fs.copyFileSync(uploadPath, clipPath);
+      }
+    }
+  } catch (err) {
+    if (err.code === 'JOB_CANCELLED') throw err;
+    console.error(`[5R][RESOLVE][ERR][${jobId}] ${label} failed:`, err);
+  }
+  if (!clipPath) {
+    const err = new Error(`[5R][RESOLVE][ERR] Pinned clip ${label} for scene ${sceneIdx + 1} could not be loaded`);
+    err.code = 'CLIP_OVERRIDE_FAILED';
+    throw err;
+  }
+  console.log(`[5R][RESOLVE][${jobId}] Scene ${sceneIdx + 1} pinned clip ready: ${clipPath}`);
+  return clipPath;
+}
+
+module.exports = {
+  UPLOAD_DIR,
+  UPLOAD_TYPES,
+  MAX_UPLOAD_BYTES,
+  getUploadPath,
+  normalizeClipOverride,
+  normalizeClipOverrides,
+  describeClipOverride,
+  resolveClipOverride
+};
@@ -0,0 +1,270 @@
+// ===========================================================
+// SECTION 5S: VISUAL VERIFICATION (does the clip show the subject?)
+// Optional pass for the clip matcher (5D): grab a few frames from a candidate
+// clip, ask a vision verifier how well they show the scene subject, and reject
+// the clip below VISUAL_VERIFY_MIN_CONFIDENCE. Verdicts (accepted or not) are
+// kept on jobContext.clipVerifications and land in the scene's job record (5B).
+// Verifiers are pluggable, like TTS providers (5L):
+//   'openai' → vision chat model on low-detail frames (VISUAL_VERIFY_MODEL)
+//   'stub'   → local, no model: subject words vs clip name/tags, or a fixed
+//              VISUAL_VERIFY_STUB_CONFIDENCE (tests, offline runs)
+// On: request option visualVerify=true, or VISUAL_VERIFY=1 (visualVerify=false wins).
+// Fails open: a verifier error or missing credentials never blocks a render.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { trackProcess } = require('./section5k-job-cancellation.cjs');
+const { probeClip, readClipInfo } = require('./section10i-clip-metadata.cjs');
+
+const VISUAL_VERIFY_DEFAULT = process.env.VISUAL_VERIFY === '1';
+const DEFAULT_PROVIDER = (process.env.VISUAL_VERIFY_PROVIDER || 'openai').toLowerCase();
+// 0 is a valid floor (accept every verdict); unset/garbage falls back to 0.5
+const parsedMinConfidence = parseFloat(process.env.VISUAL_VERIFY_MIN_CONFIDENCE);
+const MIN_CONFIDENCE = Number.isFinite(parsedMinConfidence) ? Math.min(Math.max(parsedMinConfidence, 0), 1) : 0.5;
+const FRAME_COUNT = Math.min(Math.max(parseInt(process.env.VISUAL_VERIFY_FRAMES, 10) || 3, 1), 6);
+const FRAME_WIDTH = 512;         // px; plenty for "is this the Eiffel Tower?"
+const FRAME_TIMEOUT_MS = 20000;
+const VISION_MODEL = process.env.VISUAL_VERIFY_MODEL || 'gpt-4o-mini';
+const STOP_WORDS = ['the', 'of', 'and', 'in', 'on', 'with', 'to', 'is', 'for', 'at', 'by', 'as', 'a', 'an'];
+
+console.log(`[5S][INIT] Visual verification module loaded. default=${VISUAL_VERIFY_DEFAULT ? 'on' : 'off'} provider=${DEFAULT_PROVIDER} min=${MIN_CONFIDENCE}`);
+
+const verifiers = new Map(); // id -> verifier
+const warnedUnavailable = new Set();
+
+/**
+ * Registers (or replaces) a vision verifier.
+ * @param {object} verifier
+ * @param {string} verifier.id - e.g. 'openai'
+ * @param {string} [verifier.label]
+ * @param {Function} verifier.verify - async (framePaths, subject, { clipPath, jobId }) => { confidence: 0..1, reason }
+ * @param {Function} [verifier.isConfigured] - () => boolean (credentials present?)
+ * @returns {object} The registered verifier
+ */
+function registerVisionVerifier(verifier) {
+  if (!verifier || typeof verifier.id !== 'string' || !verifier.id) {
+    throw new Error('[5S][REGISTER][ERR] Verifier needs a string id');
+  }
+  if (typeof verifier.verify !== 'function') {
+    throw new Error(`[5S][REGISTER][ERR] Verifier "${verifier.id}" has no verify()`);
+  }
+  const id = verifier.id.toLowerCase();
+  const entry = { label: verifier.id, isConfigured: () => true, ...verifier, id };
+  if (verifiers.has(id)) console.warn(`[5S][REGISTER][WARN] Replacing verifier "${id}"`);
+  verifiers.set(id, entry);
+  warnedUnavailable.delete(id);
+  console.log(`[5S][REGISTER] Verifier "${id}" registered`);
+  return entry;
+}
+
+/**
+ * @param {string} id
+ * @returns {object|null}
+ */
+function getVisionVerifier(id) {
+  return verifiers.get(String(id || '').toLowerCase()) || null;
+}
+
+/**
+ * Whether a job verifies its clips (request option, else VISUAL_VERIFY).
+ * @param {*} requested - body.visualVerify
+ * @returns {boolean}
+ */
+function isVisualVerifyEnabled(requested) {
+  if (requested === true || requested === 'true') return true;
+  if (requested === false || requested === 'false') return false;
+  return VISUAL_VERIFY_DEFAULT;
+}
+
+function getMajorWords(subject) {
+  return String(subject || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length > 2 && !STOP_WORDS.includes(w));
+}
+
+// --- One JPEG at `seconds` (fast seek), tracked so a cancelled job kills it ---
+function extractFrame(clipPath, seconds, outPath) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'error', '-y', '-ss', seconds.toFixed(2), '-i', clipPath,
+      '-frames:v', '1', '-vf', `scale=${FRAME_WIDTH}:-2`, '-q:v', '4', outPath
+    ];
+    // Lazy like the OpenAI client below: Section 1 exits without its env
+    const { ffmpegPath } = require('./section1-setup.cjs');
+    const proc = trackProcess(spawn(ffmpegPath, args));
+    let stderr = '';
+    const timer = setTimeout(() => proc.kill('SIGKILL'), FRAME_TIMEOUT_MS);
+    proc.stderr.on('data', d => { stderr += d.toString(); });
+    proc.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    proc.on('close', code => {
+      clearTimeout(timer);
+      if (code === 0 && fs.existsSync(outPath) && fs.statSync(outPath).size > 0) return resolve(outPath);
+      reject(new Error(`[5S][FRAME][ERR] ffmpeg exited ${code} at ${seconds.toFixed(2)}s of ${clipPath}: ${stderr.trim().slice(-300)}`));
+    });
+  });
+}
+
+/**
+ * Extracts FRAME_COUNT frames spread over the clip (skipping the first/last 10%).
+ * @param {string} clipPath
+ * @param {string} outDir
+ * @param {string} prefix - File name prefix (scene + clip)
+ * @returns {Promise<string[]>} JPEG paths
+ */
+async function extractVerificationFrames(clipPath, outDir, prefix) {
+  const { duration } = await probeClip(clipPath);
+  const length = duration && duration > 0 ? duration : 1;
+  fs.mkdirSync(outDir, { recursive: true });
+  const frames = [];
+  for (let i = 0; i < FRAME_COUNT; i++) {
+    const at = length * (0.1 + (0.8 * (i + 0.5)) / FRAME_COUNT);
+    frames.push(await extractFrame(clipPath, at, path.join(outDir, `${prefix}-f${i + 1}.jpg`)));
+  }
+  return frames;
+}
+
+/**
+ * Checks a candidate clip against the subject.
+ * @param {string} clipPath
+ * @param {string} subject
+ * @param {object} opts
+ * @param {string} opts.workDir - Frames go to <workDir>/verify (removed afterwards)
+ * @param {number} opts.sceneIdx
+ * @param {string} opts.jobId
+ * @param {string} [opts.provider] - Verifier id (default VISUAL_VERIFY_PROVIDER)
+ * @returns {Promise<object|null>} { clipPath, subject, provider, confidence, verified, reason, checkedAt },
+ *   or null when the verifier is missing/unconfigured (caller keeps its own policy)
+ */
+async function verifyClip(clipPath, subject, { workDir, sceneIdx, jobId, provider = DEFAULT_PROVIDER }) {
+  const verifier = getVisionVerifier(provider);
+  let configured = false;
+  try {
+    configured = !!(verifier && verifier.isConfigured());
+  } catch (err) {
+    console.error(`[5S][CONFIG][ERR] isConfigured() threw for "${provider}":`, err);
+  }
+  if (!configured) {
+    if (!warnedUnavailable.has(provider)) {
+      warnedUnavailable.add(provider);
+      console.warn(`[5S][SKIP][${jobId}] Verifier "${provider}" is ${verifier ? 'not configured' : 'not registered'}; clips are not visually verified.`);
+    }
+    return null;
+  }
+
+  const started = Date.now();
+  const prefix = `scene${sceneIdx + 1}-${path.basename(clipPath, path.extname(clipPath))}`.slice(0, 80);
+  let frames = [];
+  try {
+    frames = await extractVerificationFrames(clipPath, path.join(workDir, 'verify'), prefix);
+    const result = await verifier.verify(frames, subject, { clipPath, jobId });
+    const confidence = Math.min(Math.max(Number(result && result.confidence) || 0, 0), 1);
+    const verdict = {
+      clipPath,
+      subject,
+      provider: verifier.id,
+      confidence: Math.round(confidence * 1000) / 1000,
+      verified: confidence >= MIN_CONFIDENCE,
+      reason: (result && result.reason) || null,
+      checkedAt: new Date().toISOString()
+    };
+    console.log(`[5S][VERIFY][${jobId}] Scene ${sceneIdx + 1} "${subject}" ${verdict.verified ? 'OK' : 'REJECT'} ` +
+      `confidence=${verdict.confidence} (${verifier.id}, ${frames.length} frames, ${Date.now() - started}ms): ${clipPath}` +
+      (verdict.reason ? ` | ${verdict.reason}` : ''));
+    return verdict;
+  } catch (err) {
+    if (err.code === 'JOB_CANCELLED') throw err;
+    console.error(`[5S][VERIFY][ERR][${jobId}] Verification failed for ${clipPath}, accepting it unverified:`, err);
+    return {
+      clipPath,
+      subject,
+      provider: verifier.id,
+      confidence: null,
+      verified: true,
+      reason: `verification failed: ${err.message || err}`,
+      checkedAt: new Date().toISOString()
+    };
+  } finally {
+    for (const frame of frames) fs.rm(frame, { force: true }, () => {});
+  }
+}
+
+// ===========================================================
+// BUILT-IN VERIFIERS
+// ===========================================================
+
+// Local stand-in: no pixels are looked at. Share of subject words found in the
+// clip's name and provider tags (10I), or a fixed confidence for tests.
+registerVisionVerifier({
+  id: 'stub',
+  label: 'Local stub (filename/tags)',
+  verify: async (framePaths, subject, { clipPath }) => {
+    if (process.env.VISUAL_VERIFY_STUB_CONFIDENCE !== undefined) {
+      return { confidence: Number(process.env.VISUAL_VERIFY_STUB_CONFIDENCE), reason: 'fixed stub confidence' };
+    }
+    const info = readClipInfo(clipPath) || {};
+    const haystack = [path.basename(clipPath), ...(info.tags || [])].join(' ').toLowerCase();
+    const words = getMajorWords(subject);
+    const hits = words.filter(w => haystack.includes(w));
+    return {
+      confidence: words.length ? hits.length / words.length : 0,
+      reason: `stub: ${hits.length}/${words.length} subject words in name/tags`
+    };
+  }
+});
+
+function visionPrompt(subject, frameCount) {
+  return `These are ${frameCount} frames from one stock video clip. ` +
+    `Does the clip clearly show: "${subject}"?\n` +
+    'Answer ONLY with JSON: {"confidence": <0..1, how sure you are it shows it>, "seen": "<what the frames actually show, max 12 words>"}';
+}
+
+registerVisionVerifier({
+  id: 'openai',
+  label: `OpenAI vision (${VISION_MODEL})`,
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+  verify: async (framePaths, subject, { jobId }) => {
+    // Lazy: Section 1 sets up every client and exits without its env
+    const { openai } = require('./section1-setup.cjs');
+    const completion = await openai.chat.completions.create({
+      model: VISION_MODEL,
+      temperature: 0,
+      max_tokens: 120,
+      response_format: { type: 'json_object' },
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: visionPrompt(subject, framePaths.length) },
+          ...framePaths.map(frame => ({
+            type: 'image_url',
+            image_url: { url: `data:image/jpeg;base64,${fs.readFileSync(frame).toString('base64')}`, detail: 'low' }
+          }))
+        ]
+      }]
+    });
+    const raw = (completion.choices && completion.choices[0] && completion.choices[0].message.content) || '';
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`[5S][OPENAI][ERR] Unparseable answer for "${subject}": ${raw.slice(0, 200)}`);
+    }
+    console.log(`[5S][OPENAI][${jobId}] "${subject}" → ${raw.replace(/\s+/g, ' ').slice(0, 200)}`);
+    return { confidence: Number(parsed.confidence), reason: parsed.seen ? `seen: ${parsed.seen}` : null };
+  }
+});
+
+module.exports = {
+  MIN_CONFIDENCE,
+  registerVisionVerifier,
+  getVisionVerifier,
+  isVisualVerifyEnabled,
+  extractVerificationFrames,
+  verifyClip
+};
@@ -0,0 +1,246 @@
+// ===========================================================
+// SECTION 5T: ASSET IDENTITY (one answer to "was this clip used?")
+// Every clip/image is known by a set of aliases:
+//   <provider>:<id>  pexels:123, pixabay:456, unsplash:AbC (search results, 10I clip info)
+//   r2:<key>         library object; archived clips also carry their origin
+//                    (sidecar source + providerId), so pexels:123 in R2 is still pexels:123
+//   stem:<name>      library file name without folder/extension (re-uploads of one clip)
+//   sha256:<hex>     content hash of the downloaded file
+//   url:<url>        media URL without query string (image fallbacks that have no id)
+// Two assets are the same if they share any alias. A job holds one tracker
+// (createUsedAssets) that 5B, 5D and the search helpers (10A-10G, 5Q) consult via isAssetUsed().
+// Cross-job window: jobs record their aliases (job record `usedAssets`); a new job can
+// exclude those of its channel's last N finished videos (avoidRecentClips / RECENT_CLIP_WINDOW).
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const crypto = require('crypto');
+const jobStore = require('./section5i-job-store.cjs');
+const { readClipInfo } = require('./section10i-clip-metadata.cjs');
+
+const DEFAULT_RECENT_WINDOW = Math.max(parseInt(process.env.RECENT_CLIP_WINDOW, 10) || 0, 0);
+const MAX_RECENT_WINDOW = 50;
+const MAX_CHANNEL_CHARS = 100;
+const MAX_CACHED_HASHES = 2000;
+
+console.log(`[5T][INIT] Asset identity module loaded. Recent window default=${DEFAULT_RECENT_WINDOW}`);
+
+// path|size|mtime → sha256 (insertion order = age)
+const hashCache = new Map();
+
+function normalizeUrl(url) {
+  return String(url).split(/[?#]/)[0];
+}
+
+/**
+ * All aliases of an asset.
+ * @param {object} identity
+ * @param {string} [identity.provider] - pexels | pixabay | unsplash | r2 | ...
+ * @param {string|number} [identity.providerId]
+ * @param {string} [identity.key] - Library key (R2)
+ * @param {string} [identity.stem] - Library stem (10H)
+ * @param {object} [identity.origin] - { source, providerId } an archived clip came from
+ * @param {string} [identity.contentHash] - sha256 hex
+ * @param {string} [identity.url] - Media URL
+ * @returns {string[]}
+ */
+function assetAliases(identity) {
+  if (!identity) return [];
+  const aliases = [];
+  const provider = String(identity.provider || '').toLowerCase();
+  const hasId = identity.providerId !== undefined && identity.providerId !== null && identity.providerId !== '';
+  if (provider && provider !== 'r2' && hasId) aliases.push(`${provider}:${identity.providerId}`);
+  if (identity.key) aliases.push(`r2:${identity.key}`);
+  if (identity.stem) aliases.push(`stem:${identity.stem}`);
+  const origin = identity.origin;
+  if (origin && origin.source && origin.providerId) aliases.push(`${String(origin.source).toLowerCase()}:${origin.providerId}`);
+  if (identity.contentHash) aliases.push(`sha256:${identity.contentHash}`);
+  if (identity.url) aliases.push(`url:${normalizeUrl(identity.url)}`);
+  return [...new Set(aliases)];
+}
+
+/**
+ * sha256 of a file (cached while path, size and mtime are unchanged).
+ * @param {string} localPath
+ * @returns {Promise<string>}
+ */
+async function hashFile(localPath) {
+  const stat = fs.statSync(localPath);
+  const cacheKey = `${localPath}|${stat.size}|${stat.mtimeMs}`;
+  if (hashCache.has(cacheKey)) return hashCache.get(cacheKey);
+  const hash = await new Promise((resolve, reject) => {
+    const h = crypto.createHash('sha256');
+    fs.createReadStream(localPath)
+      .on('error', reject)
+      .on('data', chunk => h.update(chunk))
+      .on('end', () => resolve(h.digest('hex')));
+  });
+  hashCache.set(cacheKey, hash);
+  if (hashCache.size > MAX_CACHED_HASHES) hashCache.delete(hashCache.keys().next().value);
+  return hash;
+}
+
+/**
+ * Identity of a downloaded/generated clip: what the caller knows, the 10I clip info, the content hash.
+ * @param {string} localPath
+ * @param {object} [known] - { provider, providerId, key, stem, origin, url }
+ * @returns {Promise<object>} Identity (see assetAliases) + localPath
+ */
+async function identifyClip(localPath, known = {}) {
+  const info = readClipInfo(localPath) || {};
+  let contentHash = null;
+  try {
+    contentHash = await hashFile(localPath);
+  } catch (err) {
+    console.error(`[5T][HASH][ERR] Could not hash ${localPath}:`, err);
+  }
+  return {
+    provider: known.provider || info.source || null,
+    providerId: known.providerId ?? info.providerId ?? null,
+    key: known.key || null,
+    stem: known.stem || null,
+    origin: known.origin || null,
+    url: known.url || null,
+    contentHash,
+    localPath
+  };
+}
+
+/**
+ * Identity of a library catalog entry (10H), before any download.
+ * @param {object} entry
+ * @returns {object}
+ */
+function identifyCatalogEntry(entry) {
+  const meta = entry.meta || {};
+  return {
+    provider: 'r2',
+    key: entry.key,
+    stem: entry.stem || null,
+    origin: meta.source && meta.providerId ? { source: meta.source, providerId: meta.providerId } : null
+  };
+}
+
+/**
+ * Identity of a search candidate (5Q / GET /api/clips/search shape).
+ * @param {object} candidate - { source, id, key, url }
+ * @returns {object}
+ */
+function identifyCandidate(candidate) {
+  if (candidate.source === 'r2') return { provider: 'r2', key: candidate.key };
+  return { provider: candidate.source, providerId: candidate.id, url: candidate.url || null };
+}
+
+/**
+ * Per-job record of used assets, plus aliases excluded from earlier videos.
+ * @param {string} jobId
+ * @param {object} [opts]
+ * @param {string[]} [opts.exclude] - Aliases from recent jobs (recentAssetAliases)
+ * @param {string[]} [opts.seed] - Aliases already used by this job (resume)
+ * @returns {object} { match, has, add, ids, size, toJSON }
+ */
+function createUsedAssets(jobId, { exclude = [], seed = [] } = {}) {
+  const used = new Map(seed.map(alias => [alias, 'RESUME'])); // alias → label of the pick
+  const excluded = new Set(exclude);
+  console.log(`[5T][TRACKER][${jobId}] ${used.size} used, ${excluded.size} excluded from recent videos`);
+  return {
+    /**
+     * @returns {{ alias: string, scope: 'job'|'recent', label: string|null }|null}
+     */
+    match(identity) {
+      for (const alias of assetAliases(identity)) {
+        if (used.has(alias)) return { alias, scope: 'job', label: used.get(alias) };
+        if (excluded.has(alias)) return { alias, scope: 'recent', label: null };
+      }
+      return null;
+    },
+    has(identity) {
+      return !!this.match(identity);
+    },
+    add(identity, label = '') {
+      const aliases = assetAliases(identity);
+      aliases.forEach(alias => used.set(alias, label));
+      console.log(`[5T][ADD][${jobId}] ${label}: ${aliases.join(' ') || '(no aliases)'} | used=${used.size}`);
+      return aliases;
+    },
+    ids() {
+      return [...used.keys()];
+    },
+    get size() {
+      return used.size;
+    },
+    toJSON() {
+      return this.ids();
+    }
+  };
+}
+
+/**
+ * The one dedupe check for search helpers. Accepts a tracker, or a plain array of
+ * used paths/keys/URLs (older callers, GET /api/clips/search).
+ * @param {object|string[]} used
+ * @param {object} identity
+ * @returns {boolean}
+ */
+function isAssetUsed(used, identity) {
+  if (!used || !identity) return false;
+  if (typeof used.match === 'function') return !!used.match(identity);
+  if (!Array.isArray(used) || !used.length) return false;
+  const aliases = assetAliases(identity);
+  const needles = [identity.key, identity.url, identity.localPath].filter(Boolean);
+  return used.some(u => typeof u === 'string' && u &&
+    (aliases.includes(u) || needles.some(n => u.includes(n) || n.includes(u))));
+}
+
+function normalizeChannel(raw) {
+  return typeof raw === 'string' ? raw.trim().toLowerCase().slice(0, MAX_CHANNEL_CHARS) : '';
+}
+
+/**
+ * How many earlier videos a job avoids reusing clips from.
+ * @param {*} raw - body.avoidRecentClips (undefined → RECENT_CLIP_WINDOW)
+ * @returns {{ window: number, error: string|null }}
+ */
+function normalizeRecentWindow(raw) {
+  if (raw === undefined || raw === null) return { window: DEFAULT_RECENT_WINDOW, error: null };
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_RECENT_WINDOW) {
+    return { window: 0, error: `avoidRecentClips must be an integer 0-${MAX_RECENT_WINDOW}` };
+  }
+  return { window: n, error: null };
+}
+
+/**
+ * Aliases used by the channel's last `window` finished videos (newest first).
+ * Jobs without a channel share one default channel.
+ * @param {object} opts
+ * @param {string} [opts.channel]
+ * @param {number} opts.window
+ * @param {string} opts.jobId - The asking job (never counted)
+ * @returns {string[]}
+ */
+function recentAssetAliases({ channel, window, jobId }) {
+  if (!window) return [];
+  const wanted = normalizeChannel(channel);
+  const recent = jobStore.listJobs(window, {
+    where: s => s.jobId !== jobId && s.state === 'done' && normalizeChannel(s.channel) === wanted
+  }).filter(job => Array.isArray(job.usedAssets));
+  const aliases = [...new Set(recent.flatMap(job => job.usedAssets))];
+  console.log(`[5T][RECENT][${jobId}] channel="${wanted || 'default'}" window=${window}: ${recent.length} videos, ${aliases.length} aliases excluded`);
+  return aliases;
+}
+
+module.exports = {
+  MAX_RECENT_WINDOW,
+  assetAliases,
+  hashFile,
+  identifyClip,
+  identifyCatalogEntry,
+  identifyCandidate,
+  createUsedAssets,
+  isAssetUsed,
+  normalizeChannel,
+  normalizeRecentWindow,
+  recentAssetAliases
+};
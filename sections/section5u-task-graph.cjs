@@ -0,0 +1,125 @@
+// ===========================================================
+// SECTION 5U: TASK GRAPH (bounded-parallel, dependency-aware steps)
+// Runs a job's steps as a DAG: a task starts once all of its deps are done
+// and its pool has a free slot. 5B uses it per scene:
+//   audio:N  (pool 'tts')     narration, all scenes in parallel
+//   clip:N   (pool 'clips')   clip search, chained clip:N-1 → clip:N so dedupe stays in scene order
+//   render:N (pool 'ffmpeg')  trim + mux + captions once clip:N and audio:N are ready
+// Tasks listed first get free slots first (scene order). Fail fast: after the first
+// error nothing new starts; running tasks are awaited, then the error is thrown
+// (err.taskId set) so cleanup never races a still-running ffmpeg.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+console.log('[5U][INIT] Task graph runner loaded.');
+
+// --- Unknown deps / duplicate ids / cycles are programming errors: throw before running anything ---
+function validateGraph(tasks) {
+  const byId = new Map();
+  for (const task of tasks) {
+    if (!task || typeof task.id !== 'string' || typeof task.run !== 'function') {
+      throw new Error('[5U][GRAPH][ERR] Every task needs a string id and a run()');
+    }
+    if (byId.has(task.id)) throw new Error(`[5U][GRAPH][ERR] Duplicate task id "${task.id}"`);
+    byId.set(task.id, task);
+  }
+  for (const task of tasks) {
+    for (const dep of task.deps || []) {
+      if (!byId.has(dep)) throw new Error(`[5U][GRAPH][ERR] Task "${task.id}" depends on unknown task "${dep}"`);
+    }
+  }
+  // Kahn: every task must become ready at some point
+  const remaining = new Map(tasks.map(t => [t.id, (t.deps || []).length]));
+  const queue = tasks.filter(t => !(t.deps || []).length).map(t => t.id);
+  let visited = 0;
+  while (queue.length) {
+    const id = queue.shift();
+    visited++;
+    for (const task of tasks) {
+      if ((task.deps || []).includes(id)) {
+        remaining.set(task.id, remaining.get(task.id) - 1);
+        if (remaining.get(task.id) === 0) queue.push(task.id);
+      }
+    }
+  }
+  if (visited !== tasks.length) throw new Error('[5U][GRAPH][ERR] Task graph has a cycle');
+}
+
+/**
+ * Runs tasks as a dependency graph with per-pool concurrency limits.
+ * @param {object[]} tasks - [{ id, deps?: string[], pool?: string, run: async (depResults) => any }]
+ *   depResults maps each dep id to its result.
+ * @param {object} [opts]
+ * @param {Object<string, number>} [opts.pools] - Slots per pool; tasks in unlisted pools are not limited
+ * @param {string} [opts.jobId]
+ * @returns {Promise<Object<string, *>>} Result of every task by id
+ * @throws {Error} The first task error (err.taskId = failing task)
+ */
+function runTaskGraph(tasks, { pools = {}, jobId = '' } = {}) {
+  validateGraph(tasks);
+  const results = new Map();
+  const pending = [...tasks];
+  const active = {}; // pool -> running count
+  const startedAt = Date.now();
+  let running = 0;
+  let failure = null;
+
+  return new Promise((resolve, reject) => {
+    function hasSlot(pool) {
+      return !(pool in pools) || (active[pool] || 0) < Math.max(1, pools[pool]);
+    }
+
+    function start(task) {
+      const pool = task.pool || 'default';
+      active[pool] = (active[pool] || 0) + 1;
+      running++;
+      const taskStarted = Date.now();
+      const depResults = Object.fromEntries((task.deps || []).map(dep => [dep, results.get(dep)]));
+      console.log(`[5U][START][${jobId}] ${task.id} | ${pool} ${active[pool]}/${pools[pool] || '∞'} | running=${running} pending=${pending.length}`);
+      Promise.resolve()
+        .then(() => task.run(depResults))
+        .then(value => {
+          results.set(task.id, value);
+          console.log(`[5U][DONE][${jobId}] ${task.id} in ${((Date.now() - taskStarted) / 1000).toFixed(1)}s`);
+        }, err => {
+          if (!failure) {
+            failure = err instanceof Error ? err : new Error(String(err));
+            failure.taskId = task.id;
+            console.error(`[5U][FAIL][${jobId}] ${task.id} failed, no new tasks will start (${running - 1} still running):`, failure.message);
+          } else {
+            console.warn(`[5U][FAIL][${jobId}] ${task.id} also failed:`, err && err.message ? err.message : err);
+          }
+        })
+        .finally(() => {
+          active[pool]--;
+          running--;
+          pump();
+        });
+    }
+
+    function pump() {
+      if (failure) {
+        if (!running) reject(failure);
+        return;
+      }
+      if (!pending.length && !running) {
+        console.log(`[5U][GRAPH][${jobId}] ${tasks.length} tasks done in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+        resolve(Object.fromEntries(results));
+        return;
+      }
+      for (let i = 0; i < pending.length; i++) {
+        const task = pending[i];
+        const ready = (task.deps || []).every(dep => results.has(dep));
+        if (ready && hasSlot(task.pool || 'default')) {
+          pending.splice(i, 1);
+          i--;
+          start(task);
+        }
+      }
+    }
+
+    pump();
+  });
+}
+
+module.exports = { runTaskGraph };
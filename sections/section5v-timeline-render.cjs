@@ -0,0 +1,218 @@
+// ===========================================================
+// SECTION 5V: TIMELINE COMPILER (single-pass final render)
+// The per-scene path encodes every frame up to five times (trim, mux, bulletproof,
+// concat, outro). Here a job's timeline is compiled into ONE filter_complex graph
+// and encoded once:
+//   per scene: clip → frame filter (blur fit / 5P smart crop) → fps, hold last
+//              frame, cut to narration length → captions (5N .ass)
+//              narration → 44.1k stereo, padded/cut to the same length
+//   concat all scenes → outro (fit to 1080x1920) → music bed under both, ducked by the
+//   narration only (5G musicBedChains), so it swells between lines and over the outro → libx264 once
+// Durations are exact per segment, so concat never drifts and subtitles (5O) can use
+// them directly. The graph is written next to the output (<out>.filtergraph) for debugging.
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const { spawn } = require('child_process');
+const ffmpeg = require('fluent-ffmpeg');
+const { ffmpegPath } = require('./section1-setup.cjs');
+const { trackProcess } = require('./section5k-job-cancellation.cjs');
+const { normalizeMusicOptions, musicBedChains } = require('./section5g-concat-and-music.cjs');
+
+const WIDTH = 1080;
+const HEIGHT = 1920;
+const FPS = 30;
+const TIMELINE_PRESET = process.env.TIMELINE_PRESET || 'veryfast';
+const TIMELINE_CRF = Math.min(Math.max(parseInt(process.env.TIMELINE_CRF, 10) || 20, 14), 32);
+const FIT_FILTER = `scale=${WIDTH}:${HEIGHT}:force_original_aspect_ratio=decrease,pad=${WIDTH}:${HEIGHT}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+const SAMPLE_RATE = 44100;
+const AUDIO_FORMAT = `aresample=${SAMPLE_RATE},aformat=sample_fmts=fltp:channel_layouts=stereo`;
+
+console.log(`[5V][INIT] Timeline compiler loaded. preset=${TIMELINE_PRESET} crf=${TIMELINE_CRF}`);
+
+// A file name as a filter option inside a graph: escaped for the option parser, then for
+// the graph parser (ffmpeg-filters "Notes on filtergraph escaping")
+function escapeFilterArg(value) {
+  const optionLevel = value.replace(/\\/g, '/').replace(/[':]/g, c => `\\${c}`);
+  return optionLevel.replace(/[\\'[\],;]/g, c => `\\${c}`);
+}
+
+// 5F/5P frame filters read [0:v] and use their own pad names; give each segment its own
+function scopeFrameFilter(filter, inputIdx, segIdx) {
+  return filter
+    .replace(/\[0:v\]/g, `[${inputIdx}:v]`)
+    .replace(/\[([A-Za-z_]\w*)\]/g, (m, label) => `[${label}_s${segIdx}]`);
+}
+
+function probeMedia(file) {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(file, (err, md) => {
+      if (err) return reject(err);
+      const streams = md.streams || [];
+      resolve({
+        duration: Number(md.format && md.format.duration) || 0,
+        hasVideo: streams.some(s => s.codec_type === 'video'),
+        hasAudio: streams.some(s => s.codec_type === 'audio')
+      });
+    });
+  });
+}
+
+function assertSegment(seg, idx) {
+  for (const [field, file] of [['clipPath', seg.clipPath], ['audioPath', seg.audioPath]]) {
+    if (!file || !fs.existsSync(file) || fs.statSync(file).size < 1000) {
+      throw new Error(`[5V][SEGMENT][ERR] Segment ${idx + 1} ${field} missing or too small: ${file}`);
+    }
+  }
+  if (!(seg.duration > 0)) throw new Error(`[5V][SEGMENT][ERR] Segment ${idx + 1} has no duration (${seg.duration})`);
+  if (typeof seg.frameFilter !== 'string' || !seg.frameFilter.includes('[0:v]')) {
+    throw new Error(`[5V][SEGMENT][ERR] Segment ${idx + 1} frame filter must read [0:v]`);
+  }
+}
+
+/**
+ * Compiles a timeline into ffmpeg inputs + one filter graph (pure, no I/O).
+ * @param {object} timeline
+ * @param {object[]} timeline.segments - In order: { clipPath, audioPath, duration, frameFilter, loop?, captionsPath? }
+ *   duration = narration length (the scene ends with its narration, as the 5F mux did)
+ * @param {string} [timeline.musicPath]
+ * @param {object} [timeline.musicOptions] - { level, duckDb } (5G normalizeMusicOptions)
+ * @param {object} [timeline.outro] - { path, duration, hasAudio } (probed by renderTimeline)
+ * @returns {{ inputArgs: string[], filterGraph: string, mainDuration: number, totalDuration: number }}
+ */
+function compileTimeline({ segments, musicPath = null, musicOptions = normalizeMusicOptions(), outro = null }) {
+  if (!Array.isArray(segments) || !segments.length) throw new Error('[5V][COMPILE][ERR] Timeline has no segments');
+  const inputArgs = [];
+  const chains = [];
+  let inputIdx = 0;
+  const addInput = (file, opts = []) => {
+    inputArgs.push(...opts, '-i', file);
+    return inputIdx++;
+  };
+
+  let mainDuration = 0;
+  const concatPads = [];
+  segments.forEach((seg, i) => {
+    const dur = seg.duration.toFixed(3);
+    // -t bounds the read (looped inputs would never end); tpad holds the last frame if the clip is short
+    const v = addInput(seg.clipPath, [...(seg.loop ? ['-stream_loop', '-1'] : []), '-t', (seg.duration + 1).toFixed(3)]);
+    const a = addInput(seg.audioPath);
+    const captions = seg.captionsPath ? `,subtitles=${escapeFilterArg(seg.captionsPath)}` : '';
+    chains.push(
+      `${scopeFrameFilter(seg.frameFilter, v, i)}[fit${i}]`,
+      `[fit${i}]setsar=1,fps=${FPS},tpad=stop_mode=clone:stop_duration=${dur},trim=duration=${dur},setpts=PTS-STARTPTS${captions},format=yuv420p[v${i}]`,
+      `[${a}:a]${AUDIO_FORMAT},apad,atrim=duration=${dur},asetpts=PTS-STARTPTS[a${i}]`
+    );
+    concatPads.push(`[v${i}][a${i}]`);
+    mainDuration += seg.duration;
+  });
+  chains.push(`${concatPads.join('')}concat=n=${segments.length}:v=1:a=1[mainv][mainraw]`);
+  // The narration keys the music ducking; it is silent from the outro on
+  if (musicPath) chains.push('[mainraw]asplit=2[maina][mainkey]');
+  else chains.push('[mainraw]anull[maina]');
+
+  let totalDuration = mainDuration;
+  if (outro) {
+    const o = addInput(outro.path);
+    const od = outro.duration.toFixed(3);
+    chains.push(`[${o}:v]${FIT_FILTER},fps=${FPS},format=yuv420p[outv]`);
+    chains.push(outro.hasAudio
+      ? `[${o}:a]${AUDIO_FORMAT},apad,atrim=duration=${od}[outa]`
+      : `anullsrc=channel_layout=stereo:sample_rate=44100,atrim=duration=${od},aformat=sample_fmts=fltp[outa]`);
+    chains.push('[mainv][maina][outv][outa]concat=n=2:v=1:a=1[vout][program]');
+    totalDuration += outro.duration;
+  } else {
+    chains.push('[mainv]null[vout]', '[maina]anull[program]');
+  }
+
+  if (musicPath) {
+    const m = addInput(musicPath);
+    chains.push(
+      `[${m}:a]${AUDIO_FORMAT}[music]`,
+      // Silence to the very end (a key that never ends would keep the graph running)
+      `[mainkey]apad=whole_len=${Math.ceil(totalDuration * SAMPLE_RATE)}[key]`,
+      ...musicBedChains({ music: 'music', key: 'key', program: 'program', out: 'aout' }, musicOptions)
+    );
+  } else {
+    chains.push('[program]anull[aout]');
+  }
+
+  return { inputArgs, filterGraph: chains.join(';\n'), mainDuration, totalDuration };
+}
+
+/**
+ * Renders a timeline to one mp4 with a single encode.
+ * @param {object} timeline - See compileTimeline; outro is given as { path } and probed here
+ * @param {string} outPath
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]
+ * @param {Function} [opts.onProgress] - (fraction 0..1) from ffmpeg's time= output
+ * @returns {Promise<{ outPath: string, mainDuration: number, totalDuration: number }>}
+ */
+async function renderTimeline(timeline, outPath, { jobId = '', onProgress = null } = {}) {
+  timeline.segments.forEach(assertSegment);
+  let outro = null;
+  if (timeline.outro && timeline.outro.path) {
+    const info = await probeMedia(timeline.outro.path);
+    if (!info.hasVideo || !(info.duration > 0)) throw new Error(`[5V][OUTRO][ERR] Outro has no video/duration: ${timeline.outro.path}`);
+    outro = { path: timeline.outro.path, duration: info.duration, hasAudio: info.hasAudio };
+  }
+  const { inputArgs, filterGraph, mainDuration, totalDuration } = compileTimeline({ ...timeline, outro });
+  const graphPath = `${outPath}.filtergraph`;
+  fs.writeFileSync(graphPath, filterGraph, 'utf8');
+
+  const args = [
+    '-hide_banner', '-y',
+    ...inputArgs,
+    '-filter_complex_script', graphPath,
+    '-map', '[vout]', '-map', '[aout]',
+    '-c:v', 'libx264', '-preset', TIMELINE_PRESET, '-crf', String(TIMELINE_CRF),
+    '-pix_fmt', 'yuv420p', '-r', String(FPS),
+    '-c:a', 'aac', '-b:a', '160k', '-ar', '44100', '-ac', '2',
+    '-movflags', '+faststart',
+    outPath
+  ];
+  const music = timeline.musicPath ? JSON.stringify(timeline.musicOptions || 'default') : 'off';
+  console.log(`[5V][RENDER][${jobId}] ${timeline.segments.length} segments, music=${music}, outro=${!!outro} | ` +
+    `${mainDuration.toFixed(2)}s main, ${totalDuration.toFixed(2)}s total → ${outPath}`);
+  console.log(`[5V][RENDER][CMD][${jobId}] ${ffmpegPath} ${args.join(' ')}`);
+  console.log(`[5V][RENDER][GRAPH][${jobId}] ${graphPath}\n${filterGraph}`);
+
+  const started = Date.now();
+  await new Promise((resolve, reject) => {
+    const proc = trackProcess(spawn(ffmpegPath, args));
+    let tail = '';
+    let lastLogged = -1;
+    proc.stderr.on('data', d => {
+      const text = d.toString();
+      tail = (tail + text).slice(-4000);
+      const m = /time=(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(text);
+      if (m && totalDuration > 0) {
+        const fraction = Math.min(1, (Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3])) / totalDuration);
+        const pct = Math.floor(fraction * 10) * 10;
+        if (pct !== lastLogged) {
+          lastLogged = pct;
+          console.log(`[5V][RENDER][PROGRESS][${jobId}] ${pct}%`);
+        }
+        if (onProgress) onProgress(fraction);
+      }
+    });
+    proc.on('error', reject);
+    proc.on('close', code => {
+      if (code === 0) return resolve();
+      console.error(`[5V][RENDER][STDERR][${jobId}]\n${tail}`);
+      reject(new Error(`[5V][RENDER][ERR] ffmpeg exited ${code}: ${tail.trim().split('\n').pop()}`));
+    });
+  });
+  if (!fs.existsSync(outPath) || fs.statSync(outPath).size < 10240) {
+    throw new Error(`[5V][RENDER][ERR] Output missing or too small: ${outPath}`);
+  }
+  console.log(`[5V][RENDER][OK][${jobId}] Encoded once in ${((Date.now() - started) / 1000).toFixed(1)}s: ${outPath} (${fs.statSync(outPath).size} bytes)`);
+  return { outPath, mainDuration, totalDuration };
+}
+
+module.exports = {
+  compileTimeline,
+  renderTimeline
+};
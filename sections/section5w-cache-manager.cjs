@@ -0,0 +1,472 @@
+// ===========================================================
+// SECTION 5W: RENDER CACHE MANAGER (audio_cache / video_cache)
+// 5B names cache files by the hash of what produced them (text + voice + prosody,
+// clip + crop, ...). This module keeps those directories in check:
+//   - index (<dir>/.cache-index.json): size, sha256, created, last access, hits per file
+//   - producers write to tempPathFor() and commit() renames into place, so a cache name
+//     only ever holds a finished file (two jobs making the same file never see each other's half)
+//   - lookup(): a hit only if the file is indexed, whole AND its sha256 still matches
+//     (corrupt/truncated files are deleted and re-made, not served)
+//   - byte budget per cache (AUDIO_CACHE_MAX_MB / VIDEO_CACHE_MAX_MB), LRU eviction
+//     down to 90% of it; files a running job uses are leased and never evicted
+//   - sidecars (<file>.words.json from 5N, ...) go with their file
+//   - hit/miss/eviction stats + list/verify/purge for the admin routes (Section 15)
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MB = 1024 * 1024;
+const INDEX_FILE = '.cache-index.json';
+const TEMP_PREFIX = '.tmp-'; // in-progress writes: .tmp-<pid>-<rand>-<file> (extension kept for ffmpeg)
+const MEDIA_FILE = /\.(mp3|wav|m4a|aac|mp4|mov|webm)$/i;
+const LOW_WATER = 0.9;          // evict down to 90% of the budget, not 1 byte under it
+const SAVE_DELAY_MS = 2000;
+
+console.log('[5W][INIT] Cache manager loaded.');
+
+const caches = new Map(); // name -> cache
+
+function sha256File(file) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash('sha256');
+    fs.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => h.update(chunk))
+      .on('end', () => resolve(h.digest('hex')));
+  });
+}
+
+function megabytesFromEnv(name, fallbackMb) {
+  const mb = Number(process.env[name]);
+  return (Number.isFinite(mb) && mb > 0 ? mb : fallbackMb) * MB;
+}
+
+/**
+ * Creates (and registers) a managed cache directory.
+ * @param {object} opts
+ * @param {string} opts.name - 'audio' | 'video' (admin route name)
+ * @param {string} opts.dir
+ * @param {number} opts.maxBytes - Byte budget
+ * @returns {object} { name, dir, pathFor, tempPathFor, lookup, commit, hold, release, list, stats, verify, purge, evict, flush }
+ */
+function createCache({ name, dir, maxBytes }) {
+  if (caches.has(name)) throw new Error(`[5W][CREATE][ERR] Cache "${name}" already exists`);
+  fs.mkdirSync(dir, { recursive: true });
+  const indexPath = path.join(dir, INDEX_FILE);
+  const entries = new Map(); // file name -> { file, size, sha256, createdAt, lastAccess, hits }
+  const leases = new Map();  // file name -> Set(jobId)
+  const temps = new Map();   // jobId -> Set(temp path) not committed yet
+  const counters = { hits: 0, misses: 0, corrupt: 0, evictions: 0, evictedBytes: 0 };
+  let saveTimer = null;
+
+  // --- Load the index, then reconcile it with what is really on disk ---
+  try {
+    if (fs.existsSync(indexPath)) {
+      const saved = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      for (const entry of saved.entries || []) entries.set(entry.file, entry);
+    }
+  } catch (err) {
+    console.error(`[5W][${name}][INDEX][ERR] Unreadable index, rebuilding from disk: ${indexPath}`, err);
+  }
+  // Temp files at boot are writes a crash cut short
+  let staleTemps = 0;
+  for (const f of fs.readdirSync(dir)) {
+    if (!f.startsWith(TEMP_PREFIX)) continue;
+    try {
+      fs.rmSync(path.join(dir, f), { force: true });
+      staleTemps++;
+    } catch (err) {
+      console.error(`[5W][${name}][INIT][ERR] Could not remove unfinished write ${f}:`, err);
+    }
+  }
+  const onDisk = new Set(fs.readdirSync(dir).filter(f => MEDIA_FILE.test(f) && !f.startsWith(TEMP_PREFIX)));
+  let dropped = 0;
+  let adopted = 0;
+  for (const file of [...entries.keys()]) {
+    if (!onDisk.has(file)) {
+      entries.delete(file);
+      dropped++;
+    }
+  }
+  for (const file of onDisk) {
+    const stat = fs.statSync(path.join(dir, file));
+    const entry = entries.get(file);
+    if (entry && entry.size === stat.size) continue;
+    // Unknown or changed since indexed: checksum is taken on its next hit
+    entries.set(file, { file, size: stat.size, sha256: null, createdAt: stat.mtimeMs, lastAccess: stat.mtimeMs, hits: 0 });
+    adopted++;
+  }
+  console.log(`[5W][${name}][INIT] ${dir}: ${entries.size} files, ${(totalBytes() / MB).toFixed(1)} MB of ${(maxBytes / MB).toFixed(0)} MB ` +
+    `(${adopted} adopted, ${dropped} stale index entries dropped, ${staleTemps} unfinished writes removed)`);
+
+  function totalBytes() {
+    let sum = 0;
+    for (const entry of entries.values()) sum += entry.size;
+    return sum;
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      saveIndex();
+    }, SAVE_DELAY_MS);
+    if (saveTimer.unref) saveTimer.unref();
+  }
+
+  function saveIndex() {
+    const tmp = `${indexPath}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), entries: [...entries.values()] }), 'utf8');
+      fs.renameSync(tmp, indexPath);
+    } catch (err) {
+      console.error(`[5W][${name}][INDEX][ERR] Could not save ${indexPath}:`, err);
+    }
+  }
+
+  function isLeased(file) {
+    const holders = leases.get(file);
+    return !!(holders && holders.size);
+  }
+
+  function lease(file, jobId) {
+    if (!jobId) return;
+    if (!leases.has(file)) leases.set(file, new Set());
+    leases.get(file).add(jobId);
+  }
+
+  // File + its sidecars (<file>.words.json, ...)
+  function removeFile(file, reason) {
+    const entry = entries.get(file);
+    entries.delete(file);
+    leases.delete(file);
+    for (const f of fs.readdirSync(dir)) {
+      if (f !== file && !f.startsWith(`${file}.`)) continue;
+      try {
+        fs.rmSync(path.join(dir, f), { force: true });
+      } catch (err) {
+        console.error(`[5W][${name}][RM][ERR] Could not remove ${f}:`, err);
+      }
+    }
+    console.log(`[5W][${name}][RM] ${file} (${entry ? (entry.size / MB).toFixed(2) : '?'} MB): ${reason}`);
+    scheduleSave();
+    return entry ? entry.size : 0;
+  }
+
+  function pathFor(file) {
+    return path.join(dir, file);
+  }
+
+  /**
+   * Where to write a cache file before commit(filePath, { from }) moves it into place.
+   * Temps of a job that never commits are removed by release(jobId).
+   * @param {string} filePath - pathFor(...) of this cache
+   * @param {string} [jobId]
+   * @returns {string}
+   */
+  function tempPathFor(filePath, jobId = '') {
+    const tmp = path.join(dir, `${TEMP_PREFIX}${process.pid}-${crypto.randomBytes(4).toString('hex')}-${path.basename(filePath)}`);
+    if (jobId) {
+      if (!temps.has(jobId)) temps.set(jobId, new Set());
+      temps.get(jobId).add(tmp);
+    }
+    return tmp;
+  }
+
+  function forgetTemp(tmp) {
+    for (const [jobId, set] of temps) {
+      if (set.delete(tmp) && !set.size) temps.delete(jobId);
+    }
+  }
+
+  /**
+   * Is there a usable cached file at `filePath`? Counts a hit or a miss; a hit is leased to the job.
+   * @param {string} filePath - pathFor(...) of this cache
+   * @param {object} [opts]
+   * @param {string} [opts.jobId]
+   * @param {number} [opts.minSize] - Smaller files are leftovers of a failed write
+   * @returns {Promise<boolean>}
+   */
+  async function lookup(filePath, { jobId = '', minSize = 10240 } = {}) {
+    const file = path.basename(filePath);
+    const known = entries.get(file);
+    if (!known) {
+      // Not committed (yet): never served, never deleted (it is not ours to judge)
+      counters.misses++;
+      return false;
+    }
+    if (!fs.existsSync(filePath)) {
+      entries.delete(file);
+      counters.misses++;
+      return false;
+    }
+    const stat = fs.statSync(filePath);
+    if (stat.size < minSize) {
+      removeFile(file, `too small (${stat.size} bytes), treating as a failed write`);
+      counters.misses++;
+      return false;
+    }
+    let sha;
+    try {
+      sha = await sha256File(filePath);
+    } catch (err) {
+      console.error(`[5W][${name}][HASH][ERR] ${filePath}:`, err);
+      counters.misses++;
+      return false;
+    }
+    const entry = entries.get(file);
+    if (entry && entry.sha256 && (entry.sha256 !== sha || entry.size !== stat.size)) {
+      counters.corrupt++;
+      counters.misses++;
+      removeFile(file, `checksum mismatch (indexed ${entry.sha256.slice(0, 12)}, now ${sha.slice(0, 12)})`);
+      return false;
+    }
+    const now = Date.now();
+    entries.set(file, {
+      file,
+      size: stat.size,
+      sha256: sha,
+      createdAt: entry ? entry.createdAt : stat.mtimeMs,
+      lastAccess: now,
+      hits: (entry ? entry.hits : 0) + 1
+    });
+    lease(file, jobId);
+    counters.hits++;
+    scheduleSave();
+    console.log(`[5W][${name}][HIT]${jobId ? `[${jobId}]` : ''} ${file}`);
+    return true;
+  }
+
+  /**
+   * Moves a finished write (`from`, see tempPathFor) to its cache name and records it
+   * (checksum taken now), leases it to the job, enforces the budget.
+   * @param {string} filePath
+   * @param {object} [opts]
+   * @param {string} [opts.jobId]
+   * @param {string} [opts.from] - Temp file the producer wrote
+   * @returns {Promise<object|null>} Index entry, null if there is nothing to commit
+   */
+  async function commit(filePath, { jobId = '', from = null } = {}) {
+    const file = path.basename(filePath);
+    const source = from || filePath;
+    if (!fs.existsSync(source)) {
+      console.error(`[5W][${name}][COMMIT][ERR] Nothing to commit at ${source}`);
+      if (from) forgetTemp(from);
+      return null;
+    }
+    if (from) {
+      // Atomic: readers see the old file or the whole new one
+      fs.renameSync(from, filePath);
+      forgetTemp(from);
+    }
+    const stat = fs.statSync(filePath);
+    const now = Date.now();
+    // Indexed before hashing so a concurrent lookup already counts it (and hashes it itself)
+    const entry = { file, size: stat.size, sha256: null, createdAt: now, lastAccess: now, hits: 0 };
+    entries.set(file, entry);
+    lease(file, jobId);
+    entry.sha256 = await sha256File(filePath);
+    scheduleSave();
+    console.log(`[5W][${name}][COMMIT]${jobId ? `[${jobId}]` : ''} ${file} (${(stat.size / MB).toFixed(2)} MB)`);
+    evict();
+    return entry;
+  }
+
+  /**
+   * Leases an already-known file without a lookup (resumed scenes keep what they restored).
+   * @param {string} filePath
+   * @param {string} jobId
+   * @returns {boolean} false if the cache does not know the file
+   */
+  function hold(filePath, jobId) {
+    const file = path.basename(filePath);
+    if (!entries.has(file)) return false;
+    lease(file, jobId);
+    return true;
+  }
+
+  /**
+   * Drops a job's leases (its files become evictable), removes writes it never committed, re-checks the budget.
+   * @param {string} jobId
+   */
+  function release(jobId) {
+    for (const tmp of temps.get(jobId) || []) {
+      try {
+        fs.rmSync(tmp, { force: true });
+      } catch (err) {
+        console.error(`[5W][${name}][RELEASE][ERR][${jobId}] Could not remove unfinished write ${tmp}:`, err);
+      }
+    }
+    temps.delete(jobId);
+    let released = 0;
+    for (const [file, holders] of leases) {
+      if (holders.delete(jobId)) released++;
+      if (!holders.size) leases.delete(file);
+    }
+    if (released) console.log(`[5W][${name}][RELEASE][${jobId}] ${released} leases released`);
+    evict();
+  }
+
+  /**
+   * LRU eviction of unleased files until the cache is under LOW_WATER of its budget.
+   * @returns {{ removed: number, bytes: number }}
+   */
+  function evict() {
+    let total = totalBytes();
+    if (total <= maxBytes) return { removed: 0, bytes: 0 };
+    const target = maxBytes * LOW_WATER;
+    const byAge = [...entries.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+    let removed = 0;
+    let bytes = 0;
+    for (const entry of byAge) {
+      if (total <= target) break;
+      if (isLeased(entry.file)) continue;
+      const freed = removeFile(entry.file, `LRU eviction (last used ${new Date(entry.lastAccess).toISOString()})`);
+      total -= freed;
+      bytes += freed;
+      removed++;
+    }
+    counters.evictions += removed;
+    counters.evictedBytes += bytes;
+    if (total > maxBytes) {
+      console.warn(`[5W][${name}][EVICT][WARN] Still ${(total / MB).toFixed(1)} MB over a ${(maxBytes / MB).toFixed(0)} MB budget: the rest is leased by running jobs`);
+    }
+    console.log(`[5W][${name}][EVICT] Removed ${removed} files (${(bytes / MB).toFixed(1)} MB), now ${(total / MB).toFixed(1)} MB`);
+    return { removed, bytes };
+  }
+
+  /**
+   * @param {object} [opts]
+   * @param {'lru'|'size'|'hits'} [opts.sort] - lru = least recently used first
+   * @param {number} [opts.limit]
+   * @returns {object[]}
+   */
+  function list({ sort = 'lru', limit = 100 } = {}) {
+    const sorters = {
+      lru: (a, b) => a.lastAccess - b.lastAccess,
+      size: (a, b) => b.size - a.size,
+      hits: (a, b) => b.hits - a.hits
+    };
+    return [...entries.values()]
+      .sort(sorters[sort] || sorters.lru)
+      .slice(0, limit)
+      .map(entry => ({ ...entry, leased: isLeased(entry.file) }));
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+      name,
+      dir,
+      files: entries.size,
+      bytes: totalBytes(),
+      maxBytes,
+      leased: leases.size,
+      ...counters,
+      hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null
+    };
+  }
+
+  /**
+   * Re-hashes every file; mismatches are removed, files without a checksum get one.
+   * @returns {Promise<{ checked: number, corrupt: string[] }>}
+   */
+  async function verify() {
+    const corrupt = [];
+    let checked = 0;
+    for (const entry of [...entries.values()]) {
+      const filePath = pathFor(entry.file);
+      if (!fs.existsSync(filePath)) {
+        entries.delete(entry.file);
+        continue;
+      }
+      const sha = await sha256File(filePath);
+      checked++;
+      if (entry.sha256 && entry.sha256 !== sha && !isLeased(entry.file)) {
+        counters.corrupt++;
+        corrupt.push(entry.file);
+        removeFile(entry.file, 'checksum mismatch (verify)');
+      } else if (!entry.sha256) {
+        entry.sha256 = sha;
+      }
+    }
+    scheduleSave();
+    console.log(`[5W][${name}][VERIFY] ${checked} checked, ${corrupt.length} corrupt removed`);
+    return { checked, corrupt };
+  }
+
+  /**
+   * Removes unleased files: one file, files unused for olderThanMs, or all.
+   * @param {object} opts
+   * @param {string} [opts.file]
+   * @param {number} [opts.olderThanMs]
+   * @returns {{ removed: number, bytes: number, skippedLeased: number }}
+   */
+  function purge({ file = null, olderThanMs = null } = {}) {
+    const cutoff = olderThanMs !== null ? Date.now() - olderThanMs : null;
+    let removed = 0;
+    let bytes = 0;
+    let skippedLeased = 0;
+    for (const entry of [...entries.values()]) {
+      if (file && entry.file !== file) continue;
+      if (cutoff !== null && entry.lastAccess > cutoff) continue;
+      if (isLeased(entry.file)) {
+        skippedLeased++;
+        continue;
+      }
+      bytes += removeFile(entry.file, 'purged by admin');
+      removed++;
+    }
+    console.log(`[5W][${name}][PURGE] ${removed} files (${(bytes / MB).toFixed(1)} MB) removed, ${skippedLeased} leased kept`);
+    return { removed, bytes, skippedLeased };
+  }
+
+  const cache = { name, dir, pathFor, tempPathFor, lookup, commit, hold, release, list, stats, verify, purge, evict, flush: saveIndex };
+  caches.set(name, cache);
+  evict();
+  return cache;
+}
+
+/**
+ * @param {string} name
+ * @returns {object|null}
+ */
+function getCache(name) {
+  return caches.get(name) || null;
+}
+
+function listCaches() {
+  return [...caches.values()];
+}
+
+/**
+ * Releases a finished/failed/cancelled job's leases in every cache.
+ * @param {string} jobId
+ */
+function releaseCacheLeases(jobId) {
+  for (const cache of caches.values()) cache.release(jobId);
+}
+
+// 5B's caches (repo root, next to jobs/)
+const audioCache = createCache({
+  name: 'audio',
+  dir: path.resolve(__dirname, '..', 'audio_cache'),
+  maxBytes: megabytesFromEnv('AUDIO_CACHE_MAX_MB', 1024)
+});
+const videoCache = createCache({
+  name: 'video',
+  dir: path.resolve(__dirname, '..', 'video_cache'),
+  maxBytes: megabytesFromEnv('VIDEO_CACHE_MAX_MB', 4096)
+});
+
+module.exports = {
+  audioCache,
+  videoCache,
+  createCache,
+  getCache,
+  listCaches,
+  releaseCacheLeases
+};
@@ -0,0 +1,396 @@
+// ===========================================================
+// SECTION 5X: JOB JANITOR (jobs/<jobId> work directories)
+// 5B renders every job in jobs/<jobId> (clips, narration mixes, finals). Nothing used to
+// remove them. Rules, by the job's state in the job store (Section 5I):
+//   done, final on R2      → deleted as soon as 5H's scene archiving has read the clips
+//   done, final local only → kept JOB_LOCAL_OUTPUT_RETENTION_HOURS (it is the only copy)
+//   failed / interrupted   → kept JOB_FAILED_RETENTION_HOURS for debugging and resume
+//                            (a retry after that just re-renders the missing scenes)
+//   cancelled              → deleted (nothing to debug, cannot be retried)
+//   queued / running       → never touched
+//   no job record          → orphan, kept for the failed window (by folder mtime)
+// Job records (Section 5I) of finished jobs are deleted JOB_RECORD_RETENTION_DAYS after they
+// ended (0 = kept forever), once their work dir is gone.
+// Clip uploads (uploads/, Section 14 → 5R) go after UPLOAD_RETENTION_HOURS, then oldest first while the
+// folder is over UPLOAD_DIR_MAX_MB. Uploads named by a queued/running job, or by a failed one still in
+// its retry window, are kept.
+// A sweep runs every JOB_JANITOR_INTERVAL_MIN (0 = off); disk usage for the admin route (Section 15).
+// MAX LOGGING, NO SILENT FAILURES
+// ===========================================================
+
+const fs = require('fs');
+const path = require('path');
+const jobStore = require('./section5i-job-store.cjs');
+const { UPLOAD_DIR } = require('./section5r-clip-overrides.cjs');
+
+const JOBS_DIR = path.resolve(__dirname, '..', 'jobs');
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const FAILED_RETENTION_MS = numberFromEnv('JOB_FAILED_RETENTION_HOURS', 72) * HOUR_MS;
+const LOCAL_OUTPUT_RETENTION_MS = numberFromEnv('JOB_LOCAL_OUTPUT_RETENTION_HOURS', 168) * HOUR_MS;
+const SWEEP_INTERVAL_MIN = numberFromEnv('JOB_JANITOR_INTERVAL_MIN', 30);
+const RECORD_RETENTION_MS = numberFromEnv('JOB_RECORD_RETENTION_DAYS', 30) * DAY_MS;
+const UPLOAD_RETENTION_MS = numberFromEnv('UPLOAD_RETENTION_HOURS', 168) * HOUR_MS;
+const UPLOAD_MAX_BYTES = numberFromEnv('UPLOAD_DIR_MAX_MB', 5120) * 1024 * 1024;
+const UPLOAD_ID_RE = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.(?:mp4|mov|webm|jpg|png|webp)/g;
+// Finished jobs are normally removed by finishJobWorkDir(); the sweep leaves them this long
+// so it never races a job that just hit 100% and has not started archiving yet
+const SWEEP_GRACE_MS = 15 * 60 * 1000;
+const FIRST_SWEEP_DELAY_MS = 60 * 1000;
+
+const archiving = new Set(); // jobIds whose clips are still being read by 5H archiving
+let lastSweep = null;
+let lastUploadSweep = null;
+
+console.log(`[5X][INIT] Job janitor loaded. ${JOBS_DIR} | failed kept ${FAILED_RETENTION_MS / HOUR_MS}h, ` +
+  `local outputs kept ${LOCAL_OUTPUT_RETENTION_MS / HOUR_MS}h, ` +
+  `records kept ${RECORD_RETENTION_MS ? `${RECORD_RETENTION_MS / DAY_MS}d` : 'forever'}, uploads kept ${UPLOAD_RETENTION_MS / HOUR_MS}h ` +
+  `(max ${UPLOAD_MAX_BYTES / 1024 / 1024} MB), ${SWEEP_INTERVAL_MIN ? `sweep every ${SWEEP_INTERVAL_MIN} min` : 'sweep off'}`);
+
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+function dirUsage(dir) {
+  let bytes = 0;
+  let files = 0;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    try {
+      if (entry.isDirectory()) {
+        const sub = dirUsage(full);
+        bytes += sub.bytes;
+        files += sub.files;
+      } else {
+        bytes += fs.lstatSync(full).size;
+        files++;
+      }
+    } catch (err) {
+      console.warn(`[5X][USAGE][WARN] Could not stat ${full}:`, err.message);
+    }
+  }
+  return { bytes, files };
+}
+
+function isRemoteUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+function timeOf(iso, fallback) {
+  const t = Date.parse(iso);
+  return Number.isFinite(t) ? t : fallback;
+}
+
+/**
+ * What the janitor does with one job folder.
+ * @param {string} jobId
+ * @param {number} dirMtimeMs
+ * @returns {{ state: string, action: 'delete'|'keep', reason: string, expiresAt: number|null }}
+ */
+function classifyJobDir(jobId, dirMtimeMs) {
+  const record = jobStore.isValidJobId(jobId) ? jobStore.getJob(jobId) : null;
+  if (!record) {
+    const expiresAt = dirMtimeMs + FAILED_RETENTION_MS;
+    return { state: 'orphan', action: 'keep', reason: 'no job record', expiresAt };
+  }
+  const { state } = record;
+  const finishedAt = timeOf(record.finishedAt, timeOf(record.updatedAt, dirMtimeMs));
+  if (!jobStore.TERMINAL_STATES.includes(state) || archiving.has(jobId)) {
+    return { state, action: 'keep', reason: archiving.has(jobId) ? 'scene clips still archiving' : 'job in progress', expiresAt: null };
+  }
+  if (state === 'cancelled') return { state, action: 'delete', reason: 'job cancelled', expiresAt: finishedAt };
+  if (state === 'done') {
+    const outputs = record.outputs || {};
+    if (isRemoteUrl(outputs.output)) return { state, action: 'delete', reason: 'final uploaded to R2', expiresAt: finishedAt };
+    return { state, action: 'keep', reason: 'final only stored locally', expiresAt: finishedAt + LOCAL_OUTPUT_RETENTION_MS };
+  }
+  return { state, action: 'keep', reason: `job ${state}, kept for debugging/retry`, expiresAt: finishedAt + FAILED_RETENTION_MS };
+}
+
+function removeJobDir(jobId, reason) {
+  const dir = path.join(JOBS_DIR, jobId);
+  if (!fs.existsSync(dir)) return 0;
+  let bytes = 0;
+  try {
+    bytes = dirUsage(dir).bytes;
+  } catch (err) {
+    console.warn(`[5X][RM][WARN][${jobId}] Could not size ${dir}:`, err.message);
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log(`[5X][RM][${jobId}] Removed work dir (${(bytes / 1024 / 1024).toFixed(1)} MB): ${reason}`);
+  return bytes;
+}
+
+/**
+ * Called by 5H cleanupJob when a job ends: removes its work dir now if the rules allow,
+ * after `after` (scene archiving, which reads clips from the dir) has settled.
+ * @param {string} jobId
+ * @param {object} [opts]
+ * @param {Promise} [opts.after]
+ * @returns {Promise<void>} Never rejects
+ */
+async function finishJobWorkDir(jobId, { after = null } = {}) {
+  const dir = path.join(JOBS_DIR, jobId);
+  if (!jobStore.isValidJobId(jobId) || !fs.existsSync(dir)) return;
+  if (after) {
+    archiving.add(jobId);
+    try {
+      await after;
+    } catch (err) {
+      console.warn(`[5X][FINISH][WARN][${jobId}] Archiving failed before cleanup:`, err);
+    } finally {
+      archiving.delete(jobId);
+    }
+  }
+  try {
+    const verdict = classifyJobDir(jobId, fs.statSync(dir).mtimeMs);
+    if (verdict.action === 'delete') {
+      removeJobDir(jobId, verdict.reason);
+    } else {
+      const until = verdict.expiresAt ? ` until ${new Date(verdict.expiresAt).toISOString()}` : '';
+      console.log(`[5X][KEEP][${jobId}] Work dir kept${until}: ${verdict.reason}`);
+    }
+  } catch (err) {
+    console.error(`[5X][FINISH][ERR][${jobId}] Could not clean up ${dir}:`, err);
+  }
+}
+
+/**
+ * One pass over jobs/: removes folders whose job allows it and whose window has passed.
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] - Only report what would go
+ * @returns {{ checked: number, removed: object[], bytesFreed: number, dryRun: boolean, at: string }}
+ */
+function sweepJobDirs({ dryRun = false } = {}) {
+  const now = Date.now();
+  const removed = [];
+  let checked = 0;
+  let bytesFreed = 0;
+  if (!fs.existsSync(JOBS_DIR)) return { checked, removed, bytesFreed, dryRun, at: new Date(now).toISOString() };
+  for (const entry of fs.readdirSync(JOBS_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    checked++;
+    const jobId = entry.name;
+    try {
+      const verdict = classifyJobDir(jobId, fs.statSync(path.join(JOBS_DIR, jobId)).mtimeMs);
+      const due = verdict.expiresAt !== null &&
+        (verdict.action === 'delete' ? now - verdict.expiresAt >= SWEEP_GRACE_MS : now >= verdict.expiresAt);
+      if (!due) continue;
+      const reason = verdict.action === 'delete' ? verdict.reason : `${verdict.reason}, retention window passed`;
+      const bytes = dryRun ? dirUsage(path.join(JOBS_DIR, jobId)).bytes : removeJobDir(jobId, reason);
+      removed.push({ jobId, state: verdict.state, bytes, reason });
+      bytesFreed += bytes;
+    } catch (err) {
+      console.error(`[5X][SWEEP][ERR][${jobId}] Could not process work dir:`, err);
+    }
+  }
+  const result = { checked, removed, bytesFreed, dryRun, at: new Date(now).toISOString() };
+  if (!dryRun) lastSweep = { ...result, removed: removed.length };
+  console.log(`[5X][SWEEP]${dryRun ? '[DRY RUN]' : ''} ${checked} job dirs checked, ${removed.length} ` +
+    `${dryRun ? 'would be ' : ''}removed (${(bytesFreed / 1024 / 1024).toFixed(1)} MB)`);
+  return result;
+}
+
+/**
+ * Disk usage of jobs/, per job state, the largest folders and free space on the volume.
+ * @param {object} [opts]
+ * @param {number} [opts.limit] - How many of the largest folders to list
+ * @returns {object}
+ */
+function getJobsDiskUsage({ limit = 20 } = {}) {
+  const jobs = [];
+  if (fs.existsSync(JOBS_DIR)) {
+    for (const entry of fs.readdirSync(JOBS_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const dir = path.join(JOBS_DIR, entry.name);
+      try {
+        const verdict = classifyJobDir(entry.name, fs.statSync(dir).mtimeMs);
+        jobs.push({
+          jobId: entry.name,
+          ...dirUsage(dir),
+          state: verdict.state,
+          action: verdict.action,
+          reason: verdict.reason,
+          expiresAt: verdict.expiresAt ? new Date(verdict.expiresAt).toISOString() : null
+        });
+      } catch (err) {
+        console.warn(`[5X][USAGE][WARN] Could not size ${dir}:`, err.message);
+      }
+    }
+  }
+  const byState = {};
+  for (const job of jobs) {
+    const bucket = byState[job.state] || (byState[job.state] = { dirs: 0, bytes: 0 });
+    bucket.dirs++;
+    bucket.bytes += job.bytes;
+  }
+  let volume = null;
+  try {
+    const fsStats = fs.statfsSync(fs.existsSync(JOBS_DIR) ? JOBS_DIR : path.dirname(JOBS_DIR));
+    volume = { totalBytes: fsStats.blocks * fsStats.bsize, freeBytes: fsStats.bavail * fsStats.bsize };
+  } catch (err) {
+    console.warn('[5X][USAGE][WARN] Could not read volume stats:', err.message);
+  }
+  return {
+    dir: JOBS_DIR,
+    dirs: jobs.length,
+    bytes: jobs.reduce((sum, job) => sum + job.bytes, 0),
+    byState,
+    largest: jobs.sort((a, b) => b.bytes - a.bytes).slice(0, limit),
+    volume,
+    records: jobStore.listJobSummaries().length,
+    retention: {
+      failedHours: FAILED_RETENTION_MS / HOUR_MS,
+      localOutputHours: LOCAL_OUTPUT_RETENTION_MS / HOUR_MS,
+      recordDays: RECORD_RETENTION_MS / DAY_MS,
+      sweepIntervalMin: SWEEP_INTERVAL_MIN
+    },
+    lastSweep
+  };
+}
+
+/**
+ * Deletes job records of jobs that ended more than JOB_RECORD_RETENTION_DAYS ago.
+ * A record whose work dir still exists is kept (the dir's rules are read from it).
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] - Only report what would go
+ * @returns {{ removed: object[], dryRun: boolean, at: string }}
+ */
+function sweepJobRecords({ dryRun = false } = {}) {
+  const now = Date.now();
+  const removed = [];
+  if (RECORD_RETENTION_MS > 0) {
+    const expired = jobStore.listJobSummaries({
+      where: s => jobStore.TERMINAL_STATES.includes(s.state) &&
+        now - timeOf(s.finishedAt, timeOf(s.createdAt, now)) >= RECORD_RETENTION_MS
+    });
+    for (const summary of expired) {
+      if (fs.existsSync(path.join(JOBS_DIR, summary.jobId))) continue;
+      if (dryRun || jobStore.deleteJob(summary.jobId)) {
+        removed.push({ jobId: summary.jobId, state: summary.state, finishedAt: summary.finishedAt });
+      }
+    }
+  }
+  console.log(`[5X][RECORDS]${dryRun ? '[DRY RUN]' : ''} ${removed.length} job records ${dryRun ? 'would be ' : ''}removed ` +
+    `(retention ${RECORD_RETENTION_MS ? `${RECORD_RETENTION_MS / DAY_MS}d` : 'off'})`);
+  return { removed, dryRun, at: new Date(now).toISOString() };
+}
+
+// --- Upload ids a job may still resolve: active jobs, and failed/interrupted ones that can be retried ---
+function uploadsInUse(now) {
+  const inUse = new Set();
+  const needsUploads = s => !jobStore.TERMINAL_STATES.includes(s.state) ||
+    (['failed', 'interrupted'].includes(s.state) && now < timeOf(s.finishedAt, 0) + FAILED_RETENTION_MS);
+  for (const record of jobStore.listJobs(Infinity, { where: needsUploads })) {
+    const text = JSON.stringify([record.inputs, record.scenePlan]);
+    for (const id of text.match(UPLOAD_ID_RE) || []) inUse.add(id);
+  }
+  return inUse;
+}
+
+function listUploads() {
+  if (!fs.existsSync(UPLOAD_DIR)) return [];
+  const uploads = [];
+  for (const entry of fs.readdirSync(UPLOAD_DIR, { withFileTypes: true })) {
+    if (!entry.isFile()) continue;
+    const full = path.join(UPLOAD_DIR, entry.name);
+    try {
+      const stat = fs.statSync(full);
+      uploads.push({ id: entry.name, bytes: stat.size, mtimeMs: stat.mtimeMs });
+    } catch (err) {
+      console.warn(`[5X][UPLOADS][WARN] Could not stat ${full}:`, err.message);
+    }
+  }
+  return uploads;
+}
+
+/**
+ * One pass over uploads/: removes uploads past UPLOAD_RETENTION_HOURS, then the oldest ones
+ * while the folder is over UPLOAD_DIR_MAX_MB. Uploads a job still needs are kept.
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun] - Only report what would go
+ * @returns {{ checked: number, removed: object[], bytesFreed: number, keptInUse: number, dryRun: boolean, at: string }}
+ */
+function sweepUploads({ dryRun = false } = {}) {
+  const now = Date.now();
+  const uploads = listUploads().sort((a, b) => a.mtimeMs - b.mtimeMs);
+  const inUse = uploads.length ? uploadsInUse(now) : new Set();
+  const removed = [];
+  let total = uploads.reduce((sum, u) => sum + u.bytes, 0);
+  let bytesFreed = 0;
+  for (const upload of uploads) {
+    if (inUse.has(upload.id)) continue;
+    const expired = now - upload.mtimeMs >= UPLOAD_RETENTION_MS;
+    if (!expired && total <= UPLOAD_MAX_BYTES) continue;
+    const reason = expired ? 'retention window passed' : 'uploads folder over its size cap';
+    if (!dryRun) {
+      try {
+        fs.rmSync(path.join(UPLOAD_DIR, upload.id), { force: true });
+        console.log(`[5X][UPLOADS][RM] Removed upload ${upload.id} (${(upload.bytes / 1024 / 1024).toFixed(1)} MB): ${reason}`);
+      } catch (err) {
+        console.error(`[5X][UPLOADS][ERR] Could not remove upload ${upload.id}:`, err);
+        continue;
+      }
+    }
+    removed.push({ id: upload.id, bytes: upload.bytes, reason });
+    total -= upload.bytes;
+    bytesFreed += upload.bytes;
+  }
+  const keptInUse = uploads.filter(u => inUse.has(u.id)).length;
+  const result = { checked: uploads.length, removed, bytesFreed, keptInUse, dryRun, at: new Date(now).toISOString() };
+  if (!dryRun) lastUploadSweep = { ...result, removed: removed.length };
+  console.log(`[5X][UPLOADS]${dryRun ? '[DRY RUN]' : ''} ${uploads.length} uploads checked, ${removed.length} ` +
+    `${dryRun ? 'would be ' : ''}removed (${(bytesFreed / 1024 / 1024).toFixed(1)} MB), ${keptInUse} in use by jobs`);
+  return result;
+}
+
+/**
+ * Disk usage of uploads/ and its retention settings.
+ * @returns {object}
+ */
+function getUploadsDiskUsage() {
+  const uploads = listUploads();
+  const oldest = uploads.reduce((min, u) => Math.min(min, u.mtimeMs), Infinity);
+  return {
+    dir: UPLOAD_DIR,
+    files: uploads.length,
+    bytes: uploads.reduce((sum, u) => sum + u.bytes, 0),
+    oldest: Number.isFinite(oldest) ? new Date(oldest).toISOString() : null,
+    retention: { hours: UPLOAD_RETENTION_MS / HOUR_MS, maxBytes: UPLOAD_MAX_BYTES },
+    lastSweep: lastUploadSweep
+  };
+}
+
+function runScheduledSweep() {
+  try {
+    sweepJobDirs();
+  } catch (err) {
+    console.error('[5X][SWEEP][ERR] Scheduled sweep failed:', err);
+  }
+  try {
+    sweepUploads();
+  } catch (err) {
+    console.error('[5X][UPLOADS][ERR] Scheduled upload sweep failed:', err);
+  }
+  try {
+    sweepJobRecords();
+  } catch (err) {
+    console.error('[5X][RECORDS][ERR] Scheduled record sweep failed:', err);
+  }
+}
+
+if (SWEEP_INTERVAL_MIN > 0) {
+  setTimeout(runScheduledSweep, FIRST_SWEEP_DELAY_MS).unref();
+  setInterval(runScheduledSweep, SWEEP_INTERVAL_MIN * 60 * 1000).unref();
+}
+
+module.exports = {
+  JOBS_DIR,
+  finishJobWorkDir,
+  sweepJobDirs,
+  getJobsDiskUsage,
+  sweepUploads,
+  getUploadsDiskUsage,
+  sweepJobRecords
+};
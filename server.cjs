@@ -68,6 +68,26 @@ console.log('[SERVER][INFO] Loading Section 8 (Contact Endpoint)...');
 const registerContactEndpoint = require('./sections/section8-contact-endpoint.cjs');
 registerContactEndpoint(app, section1);
 
+// ==== Section 12: Jobs API ====
+console.log('[SERVER][INFO] Loading Section 12 (Jobs API)...');
+const registerJobsEndpoint = require('./sections/section12-jobs-endpoint.cjs');
+registerJobsEndpoint(app);
+
+// ==== Section 13: Scene plan API ====
+console.log('[SERVER][INFO] Loading Section 13 (Plan Video API)...');
+const registerPlanVideoEndpoint = require('./sections/section13-plan-video-endpoint.cjs');
+registerPlanVideoEndpoint(app);
+
+// ==== Section 14: Clips API (search + uploads) ====
+console.log('[SERVER][INFO] Loading Section 14 (Clips API)...');
+const registerClipsEndpoint = require('./sections/section14-clips-endpoint.cjs');
+registerClipsEndpoint(app);
+
+// ==== Section 15: Admin API (render caches, job dirs) ====
+console.log('[SERVER][INFO] Loading Section 15 (Admin API)...');
+const registerAdminEndpoint = require('./sections/section15-admin-endpoint.cjs');
+registerAdminEndpoint(app);
+
 // ==== Section 9: 404 and server start ====
 console.log('[SERVER][INFO] Loading Section 9 (404 and Server Start)...');
 const registerErrorHandlerAndStart = require('./sections/section9-error-handling-and-server-start.cjs');